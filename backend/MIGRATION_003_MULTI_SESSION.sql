@@ -0,0 +1,22 @@
+-- ============================================================
+-- MIGRATION 003: One WhatsApp client session per organization
+-- ============================================================
+
+-- 1. Whether the backend should run this org's WhatsApp client.
+--    Set by POST /api/whatsapp-accounts, cleared by /disconnect,
+--    read on startup to restore every org's session.
+ALTER TABLE public.organizations
+  ADD COLUMN IF NOT EXISTS wa_session_enabled boolean NOT NULL DEFAULT false;
+
+-- 2. Per-org auto-reply flag (PATCH /api/bot/toggle)
+ALTER TABLE public.organizations
+  ADD COLUMN IF NOT EXISTS bot_enabled boolean NOT NULL DEFAULT true;
+
+-- 3. Keep existing set-up accounts running after the upgrade
+UPDATE public.organizations
+SET wa_session_enabled = true
+WHERE status IN ('connected', 'pending_qr', 'error');
+
+-- NOTE: sessions are now stored per org under .wwebjs_auth/session-<org_id>.
+-- The old single session folder (.wwebjs_auth/session) is not reused, so each
+-- org scans its QR code once after this upgrade.
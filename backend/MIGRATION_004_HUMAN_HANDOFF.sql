@@ -0,0 +1,16 @@
+-- ============================================================
+-- MIGRATION 004: Human handoff (per-conversation bot pause)
+-- ============================================================
+
+-- bot_paused: AI replies are skipped while true
+-- assigned_to: staff member who claimed the conversation
+-- handoff_reason / handoff_requested_at: set by the agent's request_human_handoff tool
+ALTER TABLE public.conversations
+  ADD COLUMN IF NOT EXISTS bot_paused boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS assigned_to uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS handoff_reason text,
+  ADD COLUMN IF NOT EXISTS handoff_requested_at timestamptz;
+
+-- Handoff queue lookups for the dashboard
+CREATE INDEX IF NOT EXISTS idx_conversations_bot_paused
+  ON public.conversations(org_id, bot_paused) WHERE bot_paused = true;
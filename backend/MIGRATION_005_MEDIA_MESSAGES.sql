@@ -0,0 +1,21 @@
+-- ============================================================
+-- MIGRATION 005: Inbound/outbound media messages
+-- ============================================================
+
+-- 1. Media columns on messages
+--    message_type keeps the WhatsApp type: chat, image, video, audio, ptt,
+--    document, sticker, location, vcard, multi_vcard
+--    media_storage_path: object path inside the whatsapp-media storage bucket
+--    media_metadata: location coordinates, vCards, voice note duration, ...
+ALTER TABLE public.messages
+  ADD COLUMN IF NOT EXISTS media_mime_type text,
+  ADD COLUMN IF NOT EXISTS media_filename text,
+  ADD COLUMN IF NOT EXISTS media_size integer,
+  ADD COLUMN IF NOT EXISTS media_storage_path text,
+  ADD COLUMN IF NOT EXISTS media_metadata jsonb DEFAULT '{}'::jsonb;
+
+-- 2. Private storage bucket (backend uploads with the service role key and
+--    hands out signed URLs to the dashboard)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('whatsapp-media', 'whatsapp-media', false)
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,8 @@
+-- ============================================================
+-- MIGRATION 006: Voice note transcripts
+-- ============================================================
+
+-- Speech-to-text output for ptt/audio messages (see transcriptionService).
+-- body keeps the caption or "[voice note]"; the bot replies to the transcript.
+ALTER TABLE public.messages
+  ADD COLUMN IF NOT EXISTS transcript text;
@@ -0,0 +1,36 @@
+-- ============================================================
+-- MIGRATION 007: Durable inbound message queue
+-- ============================================================
+
+-- One row per inbound WhatsApp message waiting for (or done with) AI processing.
+-- Jobs for the same contact run strictly one at a time, in arrival order.
+--   status: queued → processing → done
+--           processing → queued (retry after next_run_at) → ... → dead (dead-letter)
+-- wa_message_id is the serialized whatsapp-web.js id; the worker re-fetches
+-- the message from the org's session when the job runs.
+CREATE TABLE IF NOT EXISTS public.inbound_jobs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id uuid NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  wa_message_id text NOT NULL,
+  contact_key text NOT NULL,
+  message_preview text,
+  status text NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'processing', 'done', 'dead')),
+  attempts integer NOT NULL DEFAULT 0,
+  max_attempts integer NOT NULL DEFAULT 4,
+  next_run_at timestamptz NOT NULL DEFAULT now(),
+  locked_at timestamptz,
+  last_error text,
+  completed_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (org_id, wa_message_id)
+);
+
+-- Worker scan: pending jobs per org in arrival order
+CREATE INDEX IF NOT EXISTS idx_inbound_jobs_pending
+  ON public.inbound_jobs(org_id, created_at) WHERE status IN ('queued', 'processing');
+
+-- Dashboard: dead-letter list
+CREATE INDEX IF NOT EXISTS idx_inbound_jobs_dead
+  ON public.inbound_jobs(org_id, updated_at DESC) WHERE status = 'dead';
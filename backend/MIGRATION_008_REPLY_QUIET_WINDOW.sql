@@ -0,0 +1,9 @@
+-- ============================================================
+-- MIGRATION 008: Debounce bursts of customer messages
+-- ============================================================
+
+-- The bot waits until a contact has sent nothing for this many seconds,
+-- then answers all of their new messages in one reply. 0 = reply to each message.
+ALTER TABLE public.organizations
+  ADD COLUMN IF NOT EXISTS reply_quiet_window_seconds integer NOT NULL DEFAULT 3
+    CHECK (reply_quiet_window_seconds BETWEEN 0 AND 60);
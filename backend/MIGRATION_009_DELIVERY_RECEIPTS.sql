@@ -0,0 +1,17 @@
+-- ============================================================
+-- MIGRATION 009: Outbound delivery / read receipts
+-- ============================================================
+
+-- delivery_status: pending → sent → delivered → read (→ played for voice notes), or failed
+-- delivery_timeline: [{ "status": "sent", "at": "<iso>" }, ...] in the order receipts arrived
+-- delivery_error: why the last send attempt failed (cleared on a successful retry)
+ALTER TABLE public.messages
+  ADD COLUMN IF NOT EXISTS delivery_status text
+    CHECK (delivery_status IN ('pending', 'sent', 'delivered', 'read', 'played', 'failed')),
+  ADD COLUMN IF NOT EXISTS delivery_status_at timestamptz,
+  ADD COLUMN IF NOT EXISTS delivery_timeline jsonb NOT NULL DEFAULT '[]'::jsonb,
+  ADD COLUMN IF NOT EXISTS delivery_error text;
+
+-- message_ack events are matched by WhatsApp message id
+CREATE INDEX IF NOT EXISTS idx_messages_org_wa_message_id
+  ON public.messages(org_id, wa_message_id);
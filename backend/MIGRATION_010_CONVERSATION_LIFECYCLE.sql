@@ -0,0 +1,39 @@
+-- ============================================================
+-- MIGRATION 010: Conversation lifecycle (open → pending → resolved)
+-- ============================================================
+
+-- open:     customer is waiting on us
+-- pending:  waiting on the customer / a third party
+-- resolved: closed; the next customer message reopens it
+UPDATE public.conversations SET status = 'open'
+  WHERE status IS NULL OR status NOT IN ('open', 'pending', 'resolved');
+
+ALTER TABLE public.conversations
+  DROP CONSTRAINT IF EXISTS conversations_status_check;
+
+ALTER TABLE public.conversations
+  ADD CONSTRAINT conversations_status_check CHECK (status IN ('open', 'pending', 'resolved'));
+
+-- opened_at: start of the current session (creation or last reopen), used for resolution time
+-- resolved_at / resolved_by: when and by whom (null + auto_resolved for the idle sweep)
+-- reopen_count: how many times a customer came back after resolution
+ALTER TABLE public.conversations
+  ADD COLUMN IF NOT EXISTS opened_at timestamptz,
+  ADD COLUMN IF NOT EXISTS resolved_at timestamptz,
+  ADD COLUMN IF NOT EXISTS resolved_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS auto_resolved boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS reopen_count integer NOT NULL DEFAULT 0;
+
+UPDATE public.conversations SET opened_at = created_at WHERE opened_at IS NULL;
+
+ALTER TABLE public.conversations
+  ALTER COLUMN opened_at SET DEFAULT now();
+
+-- Status filter on the Messages page and the auto-resolve sweep
+CREATE INDEX IF NOT EXISTS idx_conversations_status
+  ON public.conversations(org_id, status, last_message_at);
+
+-- Conversations with no messages for this many hours are resolved automatically. 0 = never.
+ALTER TABLE public.organizations
+  ADD COLUMN IF NOT EXISTS auto_resolve_after_hours integer NOT NULL DEFAULT 24
+    CHECK (auto_resolve_after_hours BETWEEN 0 AND 720);
@@ -0,0 +1,15 @@
+-- ============================================================
+-- MIGRATION 011: Multi-turn memory for the KB bot
+-- ============================================================
+
+-- Running summary of turns that no longer fit the bot's history budget.
+-- memory_summary_through: created_at of the newest message folded into the summary,
+-- so each message is only summarized once. A summary older than opened_at belongs
+-- to a previous (resolved) session and is ignored.
+ALTER TABLE public.conversations
+  ADD COLUMN IF NOT EXISTS memory_summary text,
+  ADD COLUMN IF NOT EXISTS memory_summary_through timestamptz;
+
+-- History lookups for the current session
+CREATE INDEX IF NOT EXISTS idx_messages_conversation_created
+  ON public.messages(conversation_id, created_at DESC);
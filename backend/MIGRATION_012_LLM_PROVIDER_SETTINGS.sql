@@ -0,0 +1,18 @@
+-- ============================================================
+-- MIGRATION 012: Per-org LLM provider, model and parameters
+-- ============================================================
+
+-- llm_provider: groq | openai (any OpenAI-compatible API) | gemini | local (Ollama / llama.cpp)
+-- llm_api_key_encrypted: AES-256-GCM ciphertext (see secretService); never returned to the dashboard
+-- NULL model / key / base URL fall back to the server's env defaults
+ALTER TABLE public.organizations
+  ADD COLUMN IF NOT EXISTS llm_provider text NOT NULL DEFAULT 'groq'
+    CHECK (llm_provider IN ('groq', 'openai', 'gemini', 'local')),
+  ADD COLUMN IF NOT EXISTS llm_model text,
+  ADD COLUMN IF NOT EXISTS llm_api_key_encrypted text,
+  ADD COLUMN IF NOT EXISTS llm_base_url text,
+  ADD COLUMN IF NOT EXISTS llm_temperature numeric(3,2) NOT NULL DEFAULT 0.7
+    CHECK (llm_temperature BETWEEN 0 AND 2),
+  ADD COLUMN IF NOT EXISTS llm_max_tokens integer NOT NULL DEFAULT 1024
+    CHECK (llm_max_tokens BETWEEN 16 AND 8192),
+  ADD COLUMN IF NOT EXISTS llm_system_prompt text;
@@ -0,0 +1,34 @@
+-- ============================================================
+-- MIGRATION 013: LLM failover chain, fallback reply and reliability log
+-- ============================================================
+
+-- llm_fallbacks: ordered list tried after the primary model fails
+--   [{ "provider": "gemini", "model": "gemini-2.0-flash", "base_url": null, "api_key_encrypted": null }]
+--   Entries without a key use the org's primary key (same provider) or the server default.
+-- llm_fallback_action: what to do when every model fails
+--   message → send llm_fallback_message; handoff → send it and hand the chat to a human
+ALTER TABLE public.organizations
+  ADD COLUMN IF NOT EXISTS llm_fallbacks jsonb NOT NULL DEFAULT '[]'::jsonb,
+  ADD COLUMN IF NOT EXISTS llm_fallback_action text NOT NULL DEFAULT 'message'
+    CHECK (llm_fallback_action IN ('message', 'handoff')),
+  ADD COLUMN IF NOT EXISTS llm_fallback_message text;
+
+-- One row per model attempt. A request that needed the fallback chain has
+-- several rows with the same request_id (attempt 1, 2, …).
+-- outcome: success | error | skipped (circuit open)
+CREATE TABLE IF NOT EXISTS public.llm_provider_events (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id uuid REFERENCES public.organizations(id) ON DELETE CASCADE,
+  request_id uuid NOT NULL,
+  attempt integer NOT NULL,
+  provider text NOT NULL,
+  model text NOT NULL,
+  outcome text NOT NULL CHECK (outcome IN ('success', 'error', 'skipped')),
+  latency_ms integer,
+  status_code integer,
+  error text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_provider_events_org_created
+  ON public.llm_provider_events(org_id, created_at DESC);
@@ -0,0 +1,17 @@
+-- ============================================================
+-- MIGRATION 014: Knowledge base uploads in more formats
+-- ============================================================
+
+-- source_type records the format the content came from:
+-- text (typed in the dashboard), pdf, docx, txt, csv, markdown, html
+ALTER TABLE public.kb_sources
+  DROP CONSTRAINT IF EXISTS kb_sources_source_type_check;
+
+ALTER TABLE public.kb_sources
+  ADD CONSTRAINT kb_sources_source_type_check
+    CHECK (source_type IN ('text', 'pdf', 'docx', 'txt', 'csv', 'markdown', 'html'));
+
+-- Original upload details
+ALTER TABLE public.kb_sources
+  ADD COLUMN IF NOT EXISTS mime_type text,
+  ADD COLUMN IF NOT EXISTS file_size integer;
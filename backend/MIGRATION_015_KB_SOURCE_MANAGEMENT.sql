@@ -0,0 +1,35 @@
+-- ============================================================
+-- MIGRATION 015: KB source management (list, inspect, delete, re-index)
+-- ============================================================
+
+-- status: processing (upload or re-index running) → ready | error
+-- processed_chunks: progress while processing (out of chunk_count)
+-- error: why the last upload / re-index failed (NULL when ready)
+-- reindexed_at: last time the embeddings were rebuilt
+ALTER TABLE public.kb_sources
+  ADD COLUMN IF NOT EXISTS processed_chunks integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS error text,
+  ADD COLUMN IF NOT EXISTS updated_at timestamptz NOT NULL DEFAULT now(),
+  ADD COLUMN IF NOT EXISTS reindexed_at timestamptz;
+
+UPDATE public.kb_sources SET processed_chunks = chunk_count WHERE status = 'ready';
+
+ALTER TABLE public.kb_sources
+  DROP CONSTRAINT IF EXISTS kb_sources_status_check;
+
+ALTER TABLE public.kb_sources
+  ADD CONSTRAINT kb_sources_status_check CHECK (status IN ('processing', 'ready', 'error'));
+
+-- Deleting a source removes its chunks
+ALTER TABLE public.kb_chunks
+  DROP CONSTRAINT IF EXISTS kb_chunks_source_id_fkey;
+
+ALTER TABLE public.kb_chunks
+  ADD CONSTRAINT kb_chunks_source_id_fkey
+    FOREIGN KEY (source_id) REFERENCES public.kb_sources(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_kb_sources_org
+  ON public.kb_sources(org_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_kb_chunks_source
+  ON public.kb_chunks(source_id, chunk_index);
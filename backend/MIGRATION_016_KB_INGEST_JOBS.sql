@@ -0,0 +1,83 @@
+-- ============================================================
+-- MIGRATION 016: Background KB ingestion jobs
+-- ============================================================
+
+-- Per-chunk embedding state: pending → done | failed
+-- Chunks are stored before they are embedded, so embedding can be NULL while pending
+ALTER TABLE public.kb_chunks
+  ADD COLUMN IF NOT EXISTS embedding_status text NOT NULL DEFAULT 'done'
+    CHECK (embedding_status IN ('pending', 'done', 'failed')),
+  ADD COLUMN IF NOT EXISTS embedding_error text;
+
+UPDATE public.kb_chunks SET embedding_status = 'pending' WHERE embedding IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_kb_chunks_embedding_status
+  ON public.kb_chunks(source_id, embedding_status, chunk_index);
+
+-- One row per ingest / reindex / retry run of a source
+-- input: extracted text or pre-split chunks of an ingest job, cleared once the chunks are stored
+CREATE TABLE IF NOT EXISTS public.kb_ingest_jobs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id uuid NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  source_id uuid NOT NULL REFERENCES public.kb_sources(id) ON DELETE CASCADE,
+  kind text NOT NULL CHECK (kind IN ('ingest', 'reindex', 'retry')),
+  status text NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'done', 'failed')),
+  input jsonb,
+  total_chunks integer NOT NULL DEFAULT 0,
+  processed_chunks integer NOT NULL DEFAULT 0,
+  failed_chunks integer NOT NULL DEFAULT 0,
+  error text,
+  created_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  started_at timestamptz,
+  completed_at timestamptz,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_kb_ingest_jobs_status
+  ON public.kb_ingest_jobs(status, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_kb_ingest_jobs_source
+  ON public.kb_ingest_jobs(org_id, source_id, created_at DESC);
+
+ALTER TABLE public.kb_ingest_jobs ENABLE ROW LEVEL SECURITY;
+
+-- Search: skip chunks that have no vector yet, and keep sources searchable while
+-- they are re-indexed (their chunks keep the previous vector until replaced)
+CREATE OR REPLACE FUNCTION search_kb_chunks(
+  query_embedding vector(768),
+  match_threshold float DEFAULT 0.0,
+  match_count int DEFAULT 10,
+  filter_org_id uuid DEFAULT NULL,
+  filter_wa_account_id uuid DEFAULT NULL
+)
+RETURNS TABLE (
+  id uuid,
+  text text,
+  chunk_index integer,
+  title text,
+  similarity float,
+  metadata jsonb
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    c.id,
+    c.text,
+    c.chunk_index,
+    s.title,
+    1 - (c.embedding <=> query_embedding) AS similarity,
+    c.metadata
+  FROM kb_chunks c
+  INNER JOIN kb_sources s ON c.source_id = s.id
+  WHERE
+    s.status IN ('ready', 'processing')
+    AND c.embedding IS NOT NULL
+    AND (filter_org_id IS NULL OR s.org_id = filter_org_id)
+    AND (1 - (c.embedding <=> query_embedding)) >= match_threshold
+  ORDER BY c.embedding <=> query_embedding
+  LIMIT match_count;
+END;
+$$;
@@ -0,0 +1,14 @@
+-- ============================================================
+-- MIGRATION 017: Structure-aware KB chunking
+-- ============================================================
+
+-- chunking: options a source was chunked with, { strategy, maxTokens, overlapTokens }
+-- (see backend/src/chunker.js). NULL for sources chunked before this migration
+-- and for formats that split themselves (CSV rows).
+ALTER TABLE public.kb_sources
+  ADD COLUMN IF NOT EXISTS chunking jsonb;
+
+-- kb_chunks.metadata now carries { section, page, pages: [first, last] } for
+-- structured chunks; CSV chunks keep { columns, rows }.
+COMMENT ON COLUMN public.kb_chunks.metadata IS
+  'Chunk location: section (heading path), page / pages for PDFs; columns and rows for CSV';
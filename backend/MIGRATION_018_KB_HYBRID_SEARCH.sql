@@ -0,0 +1,79 @@
+-- ============================================================
+-- MIGRATION 018: Hybrid KB retrieval (vector + keyword) and per-org retrieval settings
+-- ============================================================
+
+-- Keyword index over chunk text. The 'simple' configuration does no stemming
+-- or stop-word removal, so ISBNs, phone numbers, product codes and non-English
+-- (e.g. Sinhala) words are indexed exactly as written.
+ALTER TABLE public.kb_chunks
+  ADD COLUMN IF NOT EXISTS search_tsv tsvector
+    GENERATED ALWAYS AS (to_tsvector('simple', coalesce(text, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_kb_chunks_search_tsv
+  ON public.kb_chunks USING gin (search_tsv);
+
+-- kb_min_score: drop results below this relevance (0-1): rerank score when
+--   reranking is on, otherwise cosine similarity. 0 keeps everything.
+-- kb_rerank_enabled: rerank fused results with the cross-encoder configured
+--   on the server (KB_RERANK_URL)
+ALTER TABLE public.organizations
+  ADD COLUMN IF NOT EXISTS kb_min_score real NOT NULL DEFAULT 0
+    CHECK (kb_min_score >= 0 AND kb_min_score <= 1),
+  ADD COLUMN IF NOT EXISTS kb_rerank_enabled boolean NOT NULL DEFAULT false;
+
+-- Keyword search: chunks containing any of the query's words, best matches
+-- first. Also returns the cosine similarity when a query embedding is given,
+-- so keyword hits can be filtered by the same minimum score. Chunks still
+-- waiting for their embedding are searchable by keyword.
+CREATE OR REPLACE FUNCTION search_kb_chunks_keyword(
+  query_text text,
+  query_embedding vector(768) DEFAULT NULL,
+  match_count int DEFAULT 10,
+  filter_org_id uuid DEFAULT NULL
+)
+RETURNS TABLE (
+  id uuid,
+  text text,
+  chunk_index integer,
+  title text,
+  rank float,
+  similarity float,
+  metadata jsonb
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  q tsquery;
+BEGIN
+  -- OR of the query's lexemes (websearch_to_tsquery would require every word)
+  SELECT string_agg(quote_literal(lexeme), ' | ')::tsquery
+    INTO q
+    FROM unnest(tsvector_to_array(to_tsvector('simple', coalesce(query_text, '')))) AS lexeme
+    WHERE lexeme !~ '[''\\]';
+
+  IF q IS NULL THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    c.id,
+    c.text,
+    c.chunk_index,
+    s.title,
+    ts_rank_cd(c.search_tsv, q, 1)::float AS rank,
+    CASE
+      WHEN query_embedding IS NULL OR c.embedding IS NULL THEN NULL
+      ELSE 1 - (c.embedding <=> query_embedding)
+    END AS similarity,
+    c.metadata
+  FROM kb_chunks c
+  INNER JOIN kb_sources s ON c.source_id = s.id
+  WHERE
+    s.status IN ('ready', 'processing')
+    AND (filter_org_id IS NULL OR s.org_id = filter_org_id)
+    AND c.search_tsv @@ q
+  ORDER BY rank DESC
+  LIMIT match_count;
+END;
+$$;
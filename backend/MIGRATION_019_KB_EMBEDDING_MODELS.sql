@@ -0,0 +1,149 @@
+-- ============================================================
+-- MIGRATION 019: Pluggable embedding models (HF Inference or local ONNX)
+-- ============================================================
+
+-- Vectors from different models can't be compared, so every chunk records
+-- the model that embedded it ("<provider>:<model>", e.g. "local:Xenova/bge-small-en-v1.5")
+-- and search only compares a query with chunks of the same model.
+-- kb_sources.embedding_model / embedding_dim: what the source was last embedded with.
+ALTER TABLE public.kb_sources
+  ADD COLUMN IF NOT EXISTS embedding_model text,
+  ADD COLUMN IF NOT EXISTS embedding_dim integer;
+
+ALTER TABLE public.kb_chunks
+  ADD COLUMN IF NOT EXISTS embedding_model text;
+
+-- Everything embedded so far came from the Hugging Face default model
+UPDATE public.kb_chunks
+  SET embedding_model = 'hf:BAAI/bge-base-en-v1.5'
+  WHERE embedding IS NOT NULL AND embedding_model IS NULL;
+
+UPDATE public.kb_sources s
+  SET embedding_model = 'hf:BAAI/bge-base-en-v1.5', embedding_dim = 768
+  WHERE s.embedding_model IS NULL
+    AND EXISTS (SELECT 1 FROM public.kb_chunks c WHERE c.source_id = s.id AND c.embedding IS NOT NULL);
+
+-- Any dimension: bge-base (768), bge-small / e5-small (384), ...
+-- HNSW needs a fixed dimension, so there is one partial index per dimension in use.
+DROP INDEX IF EXISTS kb_chunks_embedding_idx;
+
+ALTER TABLE public.kb_chunks
+  ALTER COLUMN embedding TYPE vector;
+
+CREATE INDEX IF NOT EXISTS kb_chunks_embedding_768_idx ON public.kb_chunks
+  USING hnsw ((embedding::vector(768)) vector_cosine_ops)
+  WHERE vector_dims(embedding) = 768;
+
+CREATE INDEX IF NOT EXISTS kb_chunks_embedding_384_idx ON public.kb_chunks
+  USING hnsw ((embedding::vector(384)) vector_cosine_ops)
+  WHERE vector_dims(embedding) = 384;
+
+CREATE INDEX IF NOT EXISTS idx_kb_chunks_embedding_model
+  ON public.kb_chunks(source_id, embedding_model);
+
+-- Search functions take vectors of any dimension and a model filter
+DROP FUNCTION IF EXISTS search_kb_chunks(vector, float, int, uuid, uuid);
+DROP FUNCTION IF EXISTS search_kb_chunks_keyword(text, vector, int, uuid);
+
+CREATE OR REPLACE FUNCTION search_kb_chunks(
+  query_embedding vector,
+  match_threshold float DEFAULT 0.0,
+  match_count int DEFAULT 10,
+  filter_org_id uuid DEFAULT NULL,
+  filter_wa_account_id uuid DEFAULT NULL,
+  filter_embedding_model text DEFAULT NULL
+)
+RETURNS TABLE (
+  id uuid,
+  text text,
+  chunk_index integer,
+  title text,
+  similarity float,
+  metadata jsonb
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  dims integer := vector_dims(query_embedding);
+BEGIN
+  -- Cast to the query's dimension so the matching partial HNSW index is used
+  RETURN QUERY EXECUTE format($sql$
+    SELECT
+      c.id,
+      c.text,
+      c.chunk_index,
+      s.title,
+      1 - (c.embedding::vector(%1$s) <=> $1::vector(%1$s)) AS similarity,
+      c.metadata
+    FROM kb_chunks c
+    INNER JOIN kb_sources s ON c.source_id = s.id
+    WHERE
+      s.status IN ('ready', 'processing')
+      AND c.embedding IS NOT NULL
+      AND vector_dims(c.embedding) = %1$s
+      AND ($3::uuid IS NULL OR s.org_id = $3)
+      AND ($5::text IS NULL OR c.embedding_model = $5)
+      AND (1 - (c.embedding::vector(%1$s) <=> $1::vector(%1$s))) >= $2
+    ORDER BY c.embedding::vector(%1$s) <=> $1::vector(%1$s)
+    LIMIT $4
+  $sql$, dims)
+  USING query_embedding, match_threshold, filter_org_id, match_count, filter_embedding_model;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION search_kb_chunks_keyword(
+  query_text text,
+  query_embedding vector DEFAULT NULL,
+  match_count int DEFAULT 10,
+  filter_org_id uuid DEFAULT NULL,
+  filter_embedding_model text DEFAULT NULL
+)
+RETURNS TABLE (
+  id uuid,
+  text text,
+  chunk_index integer,
+  title text,
+  rank float,
+  similarity float,
+  metadata jsonb
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  q tsquery;
+BEGIN
+  -- OR of the query's lexemes (websearch_to_tsquery would require every word)
+  SELECT string_agg(quote_literal(lexeme), ' | ')::tsquery
+    INTO q
+    FROM unnest(tsvector_to_array(to_tsvector('simple', coalesce(query_text, '')))) AS lexeme
+    WHERE lexeme !~ '[''\\]';
+
+  IF q IS NULL THEN
+    RETURN;
+  END IF;
+
+  -- Similarity only for chunks embedded with the query's model
+  RETURN QUERY
+  SELECT
+    c.id,
+    c.text,
+    c.chunk_index,
+    s.title,
+    ts_rank_cd(c.search_tsv, q, 1)::float AS rank,
+    CASE
+      WHEN query_embedding IS NULL OR c.embedding IS NULL THEN NULL
+      WHEN vector_dims(c.embedding) <> vector_dims(query_embedding) THEN NULL
+      WHEN filter_embedding_model IS NOT NULL AND c.embedding_model IS DISTINCT FROM filter_embedding_model THEN NULL
+      ELSE 1 - (c.embedding <=> query_embedding)
+    END AS similarity,
+    c.metadata
+  FROM kb_chunks c
+  INNER JOIN kb_sources s ON c.source_id = s.id
+  WHERE
+    s.status IN ('ready', 'processing')
+    AND (filter_org_id IS NULL OR s.org_id = filter_org_id)
+    AND c.search_tsv @@ q
+  ORDER BY rank DESC
+  LIMIT match_count;
+END;
+$$;
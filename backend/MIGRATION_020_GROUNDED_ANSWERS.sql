@@ -0,0 +1,29 @@
+-- ============================================================
+-- MIGRATION 020: Strict grounding (cited KB answers and a "don't know" guardrail)
+-- ============================================================
+
+-- kb_strict_grounding: the bot answers only from knowledge base chunks, cites
+--   the chunks it used, and never falls back to general knowledge
+-- kb_grounding_min_score: in strict mode, decline when the best search result
+--   scores below this (rerank score when reranking is on, otherwise cosine similarity)
+-- kb_grounding_action: what to do instead of answering
+--   'decline' — send kb_grounding_message
+--   'handoff' — send kb_grounding_message and hand the conversation to a human
+-- kb_grounding_message: reply sent when declining (NULL = built-in message)
+ALTER TABLE public.organizations
+  ADD COLUMN IF NOT EXISTS kb_strict_grounding boolean NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS kb_grounding_min_score real NOT NULL DEFAULT 0.6
+    CHECK (kb_grounding_min_score >= 0 AND kb_grounding_min_score <= 1),
+  ADD COLUMN IF NOT EXISTS kb_grounding_action text NOT NULL DEFAULT 'decline'
+    CHECK (kb_grounding_action IN ('decline', 'handoff')),
+  ADD COLUMN IF NOT EXISTS kb_grounding_message text;
+
+-- KB chunks an AI reply was based on, so reviewers can check why the bot said
+-- something. NULL when the reply was not grounded (strict mode off, manual
+-- replies); empty when a strict-mode reply declined to answer.
+-- Not a foreign key: chunks are replaced on re-index and the ids are kept as a record.
+ALTER TABLE public.messages
+  ADD COLUMN IF NOT EXISTS cited_chunk_ids uuid[];
+
+COMMENT ON COLUMN public.messages.cited_chunk_ids IS
+  'kb_chunks the AI reply cited (strict grounding); empty = declined to answer';
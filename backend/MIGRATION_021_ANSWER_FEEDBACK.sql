@@ -0,0 +1,39 @@
+-- ============================================================
+-- MIGRATION 021: Feedback on AI answers and corrections saved to the knowledge base
+-- ============================================================
+
+-- KB chunks retrieved for an AI reply (whether or not the reply cited them),
+-- so a wrong answer can be traced back to what the bot was shown:
+-- [{ "id": "<kb_chunks.id>", "title": "<source title>", "score": 0.71 }]
+ALTER TABLE public.messages
+  ADD COLUMN IF NOT EXISTS retrieved_chunks jsonb;
+
+-- Staff rating of an AI reply, one per staff member and message
+-- reason: why it was downvoted (see FEEDBACK_REASONS in services/feedbackService.js)
+-- correction_source_id: the FAQ source created from the corrected answer
+CREATE TABLE IF NOT EXISTS public.message_feedback (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id uuid NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  message_id uuid NOT NULL REFERENCES public.messages(id) ON DELETE CASCADE,
+  user_id uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+  rating text NOT NULL CHECK (rating IN ('up', 'down')),
+  reason text,
+  comment text,
+  correction_source_id uuid REFERENCES public.kb_sources(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (message_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_feedback_org_rating
+  ON public.message_feedback(org_id, rating, created_at DESC);
+
+ALTER TABLE public.message_feedback ENABLE ROW LEVEL SECURITY;
+
+-- Corrected answers become question/answer KB sources
+ALTER TABLE public.kb_sources
+  DROP CONSTRAINT IF EXISTS kb_sources_source_type_check;
+
+ALTER TABLE public.kb_sources
+  ADD CONSTRAINT kb_sources_source_type_check
+    CHECK (source_type IN ('text', 'pdf', 'docx', 'txt', 'csv', 'markdown', 'html', 'faq'));
@@ -0,0 +1,92 @@
+-- ============================================================
+-- MIGRATION 022: Curated FAQs answered verbatim before the AI
+-- ============================================================
+
+-- An approved answer and the ways customers ask for it.
+-- question: the main wording, shown in the dashboard
+-- variants: other wordings ("when are you open?", "opening hours")
+-- hit_count / last_hit_at: how often the FAQ answered a customer
+CREATE TABLE IF NOT EXISTS public.faqs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id uuid NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  question text NOT NULL,
+  variants text[] NOT NULL DEFAULT '{}',
+  answer text NOT NULL,
+  enabled boolean NOT NULL DEFAULT true,
+  hit_count integer NOT NULL DEFAULT 0,
+  last_hit_at timestamptz,
+  created_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_faqs_org ON public.faqs(org_id, created_at DESC);
+
+ALTER TABLE public.faqs ENABLE ROW LEVEL SECURITY;
+
+-- One embedded row per wording (the question and each variant). Rebuilt
+-- whenever the FAQ changes; embedding_model works like kb_chunks.embedding_model.
+CREATE TABLE IF NOT EXISTS public.faq_questions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  faq_id uuid NOT NULL REFERENCES public.faqs(id) ON DELETE CASCADE,
+  org_id uuid NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  text text NOT NULL,
+  embedding vector,
+  embedding_model text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_faq_questions_org_model
+  ON public.faq_questions(org_id, embedding_model);
+
+ALTER TABLE public.faq_questions ENABLE ROW LEVEL SECURITY;
+
+-- faq_min_score: cosine similarity (0-1) a customer message needs with one of
+-- an FAQ's wordings before the FAQ answer is sent instead of an AI reply
+ALTER TABLE public.organizations
+  ADD COLUMN IF NOT EXISTS faq_min_score real NOT NULL DEFAULT 0.85
+    CHECK (faq_min_score >= 0 AND faq_min_score <= 1);
+
+-- Replies that were a curated FAQ answer (FAQ hits in analytics)
+ALTER TABLE public.messages
+  ADD COLUMN IF NOT EXISTS faq_id uuid REFERENCES public.faqs(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_messages_faq
+  ON public.messages(org_id, faq_id) WHERE faq_id IS NOT NULL;
+
+-- Closest enabled FAQ wordings to a customer message. An org has few FAQs,
+-- so a scan of its rows is fast and works for vectors of any dimension.
+CREATE OR REPLACE FUNCTION match_faq_questions(
+  query_embedding vector,
+  filter_org_id uuid,
+  filter_embedding_model text,
+  match_count int DEFAULT 3
+)
+RETURNS TABLE (
+  faq_id uuid,
+  question text,
+  similarity float
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT q.faq_id, q.text AS question, 1 - (q.embedding <=> query_embedding) AS similarity
+  FROM public.faq_questions q
+  JOIN public.faqs f ON f.id = q.faq_id
+  WHERE q.org_id = filter_org_id
+    AND f.enabled
+    AND q.embedding_model = filter_embedding_model
+    AND q.embedding IS NOT NULL
+    AND vector_dims(q.embedding) = vector_dims(query_embedding)
+  ORDER BY q.embedding <=> query_embedding
+  LIMIT match_count;
+$$;
+
+-- Count a hit without a read-modify-write race
+CREATE OR REPLACE FUNCTION record_faq_hit(p_faq_id uuid)
+RETURNS void
+LANGUAGE sql
+AS $$
+  UPDATE public.faqs
+    SET hit_count = hit_count + 1, last_hit_at = now()
+    WHERE id = p_faq_id;
+$$;
@@ -0,0 +1,44 @@
+-- ============================================================
+-- MIGRATION 023: Versioned per-org system prompts with variables
+-- ============================================================
+
+-- Every saved edit of an org's system prompt (the bot's persona). Versions are
+-- never changed; publishing one copies it to organizations.llm_system_prompt,
+-- which is what the bot uses. Rolling back is publishing an older version.
+-- content may use {{variables}} (see organizations.prompt_variables).
+CREATE TABLE IF NOT EXISTS public.prompt_versions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id uuid NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  version integer NOT NULL,
+  content text NOT NULL,
+  note text,
+  created_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  -- Last time this version went live
+  published_at timestamptz,
+  UNIQUE (org_id, version)
+);
+
+ALTER TABLE public.prompt_versions ENABLE ROW LEVEL SECURITY;
+
+-- prompt_version_id: the published version (null while the org uses the default prompt)
+-- prompt_variables: values for {{variables}} in the prompt, e.g.
+--   {"business_hours": "Mon-Fri 9:00-18:00", "language": "English"}
+--   business_name falls back to organizations.name
+ALTER TABLE public.organizations
+  ADD COLUMN IF NOT EXISTS prompt_version_id uuid REFERENCES public.prompt_versions(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS prompt_variables jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+-- Keep the prompts orgs already had as their first, published version
+WITH existing AS (
+  INSERT INTO public.prompt_versions (org_id, version, content, note, published_at)
+  SELECT id, 1, llm_system_prompt, 'Imported from settings', now()
+  FROM public.organizations o
+  WHERE llm_system_prompt IS NOT NULL
+    AND NOT EXISTS (SELECT 1 FROM public.prompt_versions p WHERE p.org_id = o.id)
+  RETURNING id, org_id
+)
+UPDATE public.organizations o
+SET prompt_version_id = existing.id
+FROM existing
+WHERE o.id = existing.org_id;
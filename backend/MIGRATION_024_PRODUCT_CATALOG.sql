@@ -0,0 +1,115 @@
+-- ============================================================
+-- MIGRATION 024: Generic product catalog with variants
+-- ============================================================
+
+-- What the org sells, described per org (see catalogService):
+-- {
+--   "item_label": "product", "item_label_plural": "products",
+--   "attributes": [{ "key": "brand", "label": "Brand", "type": "text"|"number"|"boolean"|"select",
+--                    "options": [...], "required": false, "searchable": true, "filterable": false }],
+--   "variant_options": [{ "key": "size", "label": "Size", "values": ["S", "M", "L"] }]
+-- }
+-- The ordering agent's tools and instructions are generated from it.
+ALTER TABLE public.organizations
+  ADD COLUMN IF NOT EXISTS catalog_schema jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+-- 1. Products: what customers browse. attributes holds the org's custom fields.
+CREATE TABLE IF NOT EXISTS public.products (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  org_id uuid NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  description text,
+  category text,
+  price numeric(10, 2) NOT NULL CHECK (price >= 0),
+  image_url text,
+  attributes jsonb NOT NULL DEFAULT '{}'::jsonb,
+  is_active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_products_org ON public.products(org_id, is_active, name);
+CREATE INDEX IF NOT EXISTS idx_products_attributes ON public.products USING gin(attributes);
+
+ALTER TABLE public.products ENABLE ROW LEVEL SECURITY;
+
+-- 2. Variants: what customers buy. Every product has at least one; a product
+-- without options (one size) has a single variant with options = {}.
+-- price: overrides the product price when set
+CREATE TABLE IF NOT EXISTS public.product_variants (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id uuid NOT NULL REFERENCES public.products(id) ON DELETE CASCADE,
+  org_id uuid NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  options jsonb NOT NULL DEFAULT '{}'::jsonb,
+  sku text,
+  barcode text,
+  price numeric(10, 2) CHECK (price >= 0),
+  stock integer NOT NULL DEFAULT 0 CHECK (stock >= 0),
+  is_active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_variants_product ON public.product_variants(product_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_variants_sku
+  ON public.product_variants(org_id, sku) WHERE sku IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_variants_barcode
+  ON public.product_variants(org_id, barcode) WHERE barcode IS NOT NULL;
+
+ALTER TABLE public.product_variants ENABLE ROW LEVEL SECURITY;
+
+-- 3. Order lines point at the variant bought; book_id is kept for old rows
+ALTER TABLE public.order_items
+  ADD COLUMN IF NOT EXISTS variant_id uuid REFERENCES public.product_variants(id) ON DELETE RESTRICT,
+  ALTER COLUMN book_id DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_order_items_variant ON public.order_items(variant_id);
+
+-- 4. Move the books into the catalog. Products keep the book ids; the ISBN
+-- becomes the barcode of the book's single variant. Barcodes are unique per
+-- org, so when books share an ISBN only the oldest gets it; the others are
+-- left without a barcode to fix by hand.
+INSERT INTO public.products (id, org_id, name, description, category, price, image_url, attributes, is_active, created_at, updated_at)
+SELECT id, org_id, title, description, category, price, image_url,
+       jsonb_strip_nulls(jsonb_build_object('author', NULLIF(btrim(author), ''))), COALESCE(is_active, true),
+       COALESCE(created_at, now()), COALESCE(updated_at, now())
+FROM public.books
+ON CONFLICT (id) DO NOTHING;
+
+INSERT INTO public.product_variants (product_id, org_id, barcode, stock, is_active)
+SELECT b.id, b.org_id,
+       CASE
+         WHEN b.isbn_rank = 1 AND NOT EXISTS (
+           SELECT 1 FROM public.product_variants v WHERE v.org_id = b.org_id AND v.barcode = b.isbn
+         ) THEN b.isbn
+       END,
+       b.stock, true
+FROM (
+  SELECT id, org_id, stock, NULLIF(btrim(isbn), '') AS isbn,
+         row_number() OVER (PARTITION BY org_id, NULLIF(btrim(isbn), '') ORDER BY created_at, id) AS isbn_rank
+  FROM public.books
+) b
+WHERE NOT EXISTS (SELECT 1 FROM public.product_variants v WHERE v.product_id = b.id);
+
+UPDATE public.order_items oi
+SET variant_id = v.id
+FROM public.product_variants v
+WHERE oi.variant_id IS NULL AND v.product_id = oi.book_id;
+
+-- Bookstores keep talking about books, by author (optional: not every book
+-- had one, and a required attribute would block editing those)
+UPDATE public.organizations
+SET catalog_schema = '{
+  "item_label": "book",
+  "item_label_plural": "books",
+  "attributes": [
+    { "key": "author", "label": "Author", "type": "text", "required": false, "searchable": true, "filterable": false }
+  ],
+  "variant_options": []
+}'::jsonb
+WHERE catalog_schema = '{}'::jsonb
+  AND id IN (SELECT DISTINCT org_id FROM public.books);
+
+-- books and order_items.book_id are no longer used; drop them once the catalog is verified:
+-- ALTER TABLE public.order_items DROP COLUMN book_id;
+-- DROP TABLE public.books;
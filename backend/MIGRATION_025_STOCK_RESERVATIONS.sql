@@ -0,0 +1,342 @@
+-- ============================================================
+-- MIGRATION 025: Stock reservations and low-stock alerts
+-- ============================================================
+
+-- stock:    units on hand
+-- reserved: units held by orders awaiting payment; available = stock - reserved
+ALTER TABLE public.product_variants
+  ADD COLUMN IF NOT EXISTS reserved integer NOT NULL DEFAULT 0 CHECK (reserved >= 0);
+
+-- What an order holds (see stockService):
+--   none       draft; nothing held
+--   reserved   confirmed by the customer; its units are reserved until stock_reserved_until
+--   committed  payment approved; its units left stock
+--   released   cancelled or expired; its units are available again
+ALTER TABLE public.orders
+  ADD COLUMN IF NOT EXISTS stock_status text NOT NULL DEFAULT 'none'
+    CHECK (stock_status IN ('none', 'reserved', 'committed', 'released')),
+  ADD COLUMN IF NOT EXISTS stock_reserved_until timestamptz;
+
+-- Units each line holds (reserved, then committed); 0 while nothing is held.
+-- Commit and release move exactly these, so the numbers match the reservation
+-- even if a line were changed afterwards.
+ALTER TABLE public.order_items
+  ADD COLUMN IF NOT EXISTS stock_quantity integer NOT NULL DEFAULT 0 CHECK (stock_quantity >= 0);
+
+-- Expiry sweep
+CREATE INDEX IF NOT EXISTS idx_orders_stock_reserved
+  ON public.orders(stock_reserved_until) WHERE stock_status = 'reserved';
+
+-- stock_reservation_hours: how long an unpaid order holds its units
+-- low_stock_threshold: variants with this many units available or fewer are flagged on the dashboard
+ALTER TABLE public.organizations
+  ADD COLUMN IF NOT EXISTS stock_reservation_hours integer NOT NULL DEFAULT 24
+    CHECK (stock_reservation_hours BETWEEN 1 AND 720),
+  ADD COLUMN IF NOT EXISTS low_stock_threshold integer NOT NULL DEFAULT 5
+    CHECK (low_stock_threshold BETWEEN 0 AND 100000);
+
+-- Orders already awaiting payment or review hold their units from now on
+WITH held AS (
+  SELECT oi.variant_id, SUM(oi.quantity)::integer AS quantity
+  FROM public.order_items oi
+  JOIN public.orders o ON o.id = oi.order_id
+  WHERE o.status IN ('pending_payment', 'receipt_submitted')
+    AND o.stock_status = 'none'
+    AND oi.variant_id IS NOT NULL
+  GROUP BY oi.variant_id
+)
+UPDATE public.product_variants v
+SET reserved = v.reserved + held.quantity
+FROM held
+WHERE v.id = held.variant_id;
+
+UPDATE public.order_items oi
+SET stock_quantity = oi.quantity
+FROM public.orders o
+WHERE o.id = oi.order_id
+  AND o.status IN ('pending_payment', 'receipt_submitted')
+  AND o.stock_status = 'none'
+  AND oi.variant_id IS NOT NULL;
+
+UPDATE public.orders
+SET stock_status = 'reserved', stock_reserved_until = now() + interval '24 hours'
+WHERE status IN ('pending_payment', 'receipt_submitted') AND stock_status = 'none';
+
+-- The functions below lock the order, then its variants in id order, so two
+-- agents confirming the last unit at once are serialized and can't deadlock.
+-- Reserving and committing from scratch hold each line's quantity in
+-- order_items.stock_quantity; a held commit and a release move stock_quantity.
+-- Shortages come back as [{ variant_id, name, options, requested, available }].
+--
+-- Status changes (orderService.transitionOrder) pass p_from_status/p_to_status:
+-- the stock only moves, and the status only changes, if the order still has
+-- p_from_status under the lock. Otherwise { ok: false, status: <current> } and
+-- nothing changes, so concurrent approve/cancel can't both move the stock.
+
+DROP FUNCTION IF EXISTS reserve_order_stock(uuid, timestamptz);
+DROP FUNCTION IF EXISTS commit_order_stock(uuid);
+DROP FUNCTION IF EXISTS release_order_stock(uuid, boolean);
+
+-- Hold an order's units. Nothing is reserved unless every line fits.
+CREATE OR REPLACE FUNCTION reserve_order_stock(
+  p_order_id uuid,
+  p_reserved_until timestamptz,
+  p_from_status text DEFAULT NULL,
+  p_to_status text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_status text;
+  v_stock_status text;
+  v_shortages jsonb;
+BEGIN
+  SELECT status::text, stock_status INTO v_status, v_stock_status
+  FROM public.orders WHERE id = p_order_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'Order not found');
+  END IF;
+  IF p_from_status IS NOT NULL AND v_status <> p_from_status THEN
+    RETURN jsonb_build_object('ok', false, 'status', v_status);
+  END IF;
+
+  IF v_stock_status = 'reserved' THEN
+    UPDATE public.orders SET stock_reserved_until = p_reserved_until WHERE id = p_order_id;
+  ELSIF v_stock_status <> 'committed' THEN
+    PERFORM 1 FROM public.product_variants
+      WHERE id IN (SELECT variant_id FROM public.order_items WHERE order_id = p_order_id)
+      ORDER BY id
+      FOR UPDATE;
+
+    SELECT jsonb_agg(jsonb_build_object(
+             'variant_id', v.id, 'name', p.name, 'options', v.options,
+             'requested', i.quantity, 'available', GREATEST(v.stock - v.reserved, 0)))
+    INTO v_shortages
+    FROM (
+      SELECT variant_id, SUM(quantity)::integer AS quantity
+      FROM public.order_items
+      WHERE order_id = p_order_id AND variant_id IS NOT NULL
+      GROUP BY variant_id
+    ) i
+    JOIN public.product_variants v ON v.id = i.variant_id
+    JOIN public.products p ON p.id = v.product_id
+    WHERE v.stock - v.reserved < i.quantity OR NOT v.is_active OR NOT p.is_active;
+
+    IF v_shortages IS NOT NULL THEN
+      RETURN jsonb_build_object('ok', false, 'shortages', v_shortages);
+    END IF;
+
+    UPDATE public.product_variants v
+    SET reserved = v.reserved + i.quantity, updated_at = now()
+    FROM (
+      SELECT variant_id, SUM(quantity)::integer AS quantity
+      FROM public.order_items
+      WHERE order_id = p_order_id AND variant_id IS NOT NULL
+      GROUP BY variant_id
+    ) i
+    WHERE v.id = i.variant_id;
+
+    UPDATE public.order_items
+    SET stock_quantity = quantity
+    WHERE order_id = p_order_id AND variant_id IS NOT NULL;
+
+    UPDATE public.orders
+    SET stock_status = 'reserved', stock_reserved_until = p_reserved_until
+    WHERE id = p_order_id;
+  END IF;
+
+  IF p_to_status IS NOT NULL THEN
+    UPDATE public.orders
+    SET status = p_to_status::public.order_status, status_changed_at = now(), updated_at = now()
+    WHERE id = p_order_id;
+  END IF;
+
+  RETURN jsonb_build_object('ok', true);
+END;
+$$;
+
+-- Take an order's units out of stock (payment approved). A reservation that was
+-- released in the meantime is taken from the available units, if there still are enough.
+CREATE OR REPLACE FUNCTION commit_order_stock(
+  p_order_id uuid,
+  p_from_status text DEFAULT NULL,
+  p_to_status text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_status text;
+  v_stock_status text;
+  v_held boolean;
+  v_shortages jsonb;
+BEGIN
+  SELECT status::text, stock_status INTO v_status, v_stock_status
+  FROM public.orders WHERE id = p_order_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'Order not found');
+  END IF;
+  IF p_from_status IS NOT NULL AND v_status <> p_from_status THEN
+    RETURN jsonb_build_object('ok', false, 'status', v_status);
+  END IF;
+
+  IF v_stock_status <> 'committed' THEN
+    v_held := v_stock_status = 'reserved';
+
+    PERFORM 1 FROM public.product_variants
+      WHERE id IN (SELECT variant_id FROM public.order_items WHERE order_id = p_order_id)
+      ORDER BY id
+      FOR UPDATE;
+
+    SELECT jsonb_agg(jsonb_build_object(
+             'variant_id', v.id, 'name', p.name, 'options', v.options,
+             'requested', i.quantity,
+             'available', CASE WHEN v_held THEN v.stock ELSE GREATEST(v.stock - v.reserved, 0) END))
+    INTO v_shortages
+    FROM (
+      SELECT variant_id, SUM(CASE WHEN v_held THEN stock_quantity ELSE quantity END)::integer AS quantity
+      FROM public.order_items
+      WHERE order_id = p_order_id AND variant_id IS NOT NULL
+      GROUP BY variant_id
+    ) i
+    JOIN public.product_variants v ON v.id = i.variant_id
+    JOIN public.products p ON p.id = v.product_id
+    WHERE (v_held AND v.stock < i.quantity)
+       OR (NOT v_held AND v.stock - v.reserved < i.quantity);
+
+    IF v_shortages IS NOT NULL THEN
+      RETURN jsonb_build_object('ok', false, 'shortages', v_shortages);
+    END IF;
+
+    UPDATE public.product_variants v
+    SET stock = v.stock - i.quantity,
+        reserved = CASE WHEN v_held THEN GREATEST(v.reserved - i.quantity, 0) ELSE v.reserved END,
+        updated_at = now()
+    FROM (
+      SELECT variant_id, SUM(CASE WHEN v_held THEN stock_quantity ELSE quantity END)::integer AS quantity
+      FROM public.order_items
+      WHERE order_id = p_order_id AND variant_id IS NOT NULL
+      GROUP BY variant_id
+    ) i
+    WHERE v.id = i.variant_id;
+
+    IF NOT v_held THEN
+      UPDATE public.order_items
+      SET stock_quantity = quantity
+      WHERE order_id = p_order_id AND variant_id IS NOT NULL;
+    END IF;
+
+    UPDATE public.orders
+    SET stock_status = 'committed', stock_reserved_until = NULL
+    WHERE id = p_order_id;
+  END IF;
+
+  IF p_to_status IS NOT NULL THEN
+    UPDATE public.orders
+    SET status = p_to_status::public.order_status, status_changed_at = now(), updated_at = now()
+    WHERE id = p_order_id;
+  END IF;
+
+  RETURN jsonb_build_object('ok', true);
+END;
+$$;
+
+-- Give an order's units back: a reservation is dropped, committed units return
+-- to stock. p_expired_only: only if the reservation expired unpaid (the sweep).
+CREATE OR REPLACE FUNCTION release_order_stock(
+  p_order_id uuid,
+  p_expired_only boolean DEFAULT false,
+  p_from_status text DEFAULT NULL,
+  p_to_status text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_order record;
+  v_released boolean := false;
+BEGIN
+  SELECT status::text AS status, stock_status, stock_reserved_until INTO v_order
+  FROM public.orders WHERE id = p_order_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('ok', false, 'error', 'Order not found');
+  END IF;
+  IF p_from_status IS NOT NULL AND v_order.status <> p_from_status THEN
+    RETURN jsonb_build_object('ok', false, 'status', v_order.status);
+  END IF;
+  IF p_expired_only AND NOT (
+    v_order.stock_status = 'reserved'
+    AND v_order.status = 'pending_payment'
+    AND v_order.stock_reserved_until < now()
+  ) THEN
+    RETURN jsonb_build_object('ok', true, 'released', false);
+  END IF;
+
+  IF v_order.stock_status IN ('reserved', 'committed') THEN
+    PERFORM 1 FROM public.product_variants
+      WHERE id IN (SELECT variant_id FROM public.order_items WHERE order_id = p_order_id)
+      ORDER BY id
+      FOR UPDATE;
+
+    UPDATE public.product_variants v
+    SET reserved = CASE WHEN v_order.stock_status = 'reserved' THEN GREATEST(v.reserved - i.quantity, 0) ELSE v.reserved END,
+        stock = CASE WHEN v_order.stock_status = 'committed' THEN v.stock + i.quantity ELSE v.stock END,
+        updated_at = now()
+    FROM (
+      SELECT variant_id, SUM(stock_quantity)::integer AS quantity
+      FROM public.order_items
+      WHERE order_id = p_order_id AND variant_id IS NOT NULL
+      GROUP BY variant_id
+    ) i
+    WHERE v.id = i.variant_id;
+
+    UPDATE public.order_items
+    SET stock_quantity = 0
+    WHERE order_id = p_order_id;
+
+    UPDATE public.orders
+    SET stock_status = 'released', stock_reserved_until = NULL
+    WHERE id = p_order_id;
+
+    v_released := true;
+  END IF;
+
+  IF p_to_status IS NOT NULL THEN
+    UPDATE public.orders
+    SET status = p_to_status::public.order_status, status_changed_at = now(), updated_at = now()
+    WHERE id = p_order_id;
+  END IF;
+
+  RETURN jsonb_build_object('ok', true, 'released', v_released);
+END;
+$$;
+
+-- Variants at or below the org's low_stock_threshold, scarcest first
+CREATE OR REPLACE FUNCTION low_stock_variants(p_org_id uuid, p_limit integer DEFAULT 50)
+RETURNS TABLE (
+  variant_id uuid,
+  product_id uuid,
+  name text,
+  options jsonb,
+  sku text,
+  stock integer,
+  reserved integer,
+  available integer,
+  threshold integer
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT v.id, p.id, p.name, v.options, v.sku, v.stock, v.reserved,
+         GREATEST(v.stock - v.reserved, 0), o.low_stock_threshold
+  FROM public.product_variants v
+  JOIN public.products p ON p.id = v.product_id
+  JOIN public.organizations o ON o.id = v.org_id
+  WHERE v.org_id = p_org_id
+    AND v.is_active
+    AND p.is_active
+    AND v.stock - v.reserved <= o.low_stock_threshold
+  ORDER BY v.stock - v.reserved, p.name
+  LIMIT p_limit;
+$$;
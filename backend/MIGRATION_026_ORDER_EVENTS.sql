@@ -0,0 +1,48 @@
+-- ============================================================
+-- MIGRATION 026: Order status state machine and audit history
+-- ============================================================
+
+-- The allowed transitions live in orderService (ORDER_TRANSITIONS):
+--   draft → pending_payment → receipt_submitted → confirmed → shipped → delivered
+--   receipt_submitted → pending_payment   (receipt rejected)
+--   pending_payment → confirmed           (paid without a receipt)
+--   draft, pending_payment, receipt_submitted, confirmed → cancelled
+--   confirmed, shipped, delivered → refunded
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM pg_enum e
+    JOIN pg_type t ON t.oid = e.enumtypid
+    WHERE t.typname = 'order_status' AND e.enumlabel = 'delivering'
+  ) THEN
+    ALTER TYPE public.order_status RENAME VALUE 'delivering' TO 'shipped';
+  END IF;
+END $$;
+ALTER TYPE public.order_status ADD VALUE IF NOT EXISTS 'refunded';
+
+-- One row per status change, written by orderService.transitionOrder.
+-- from_status is null for the row recording an order's creation.
+-- actor_type: customer (through the WhatsApp agent), user (dashboard; actor_id
+-- is the team member) or system (automatic)
+CREATE TABLE IF NOT EXISTS public.order_events (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id uuid NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+  org_id uuid NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+  from_status public.order_status,
+  to_status public.order_status NOT NULL,
+  actor_type text NOT NULL CHECK (actor_type IN ('customer', 'user', 'system')),
+  actor_id uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+  reason text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_events_order ON public.order_events(order_id, created_at);
+
+ALTER TABLE public.order_events ENABLE ROW LEVEL SECURITY;
+
+-- Start existing orders' history at their current status
+INSERT INTO public.order_events (order_id, org_id, from_status, to_status, actor_type, reason, created_at)
+SELECT o.id, o.org_id, NULL, o.status, 'system', 'Status before history was recorded',
+       COALESCE(o.status_changed_at, o.created_at, now())
+FROM public.orders o
+WHERE NOT EXISTS (SELECT 1 FROM public.order_events e WHERE e.order_id = o.id);
@@ -1,5 +1,7 @@
 -- ============================================================
 -- SEED: Sample Books for Testing
+-- A bookstore catalog (MIGRATION_024): one product per book with the
+-- author as an attribute and a single variant carrying the ISBN and stock
 -- Replace 'YOUR_ORG_ID' with your actual organization UUID
 -- ============================================================
 
@@ -20,54 +22,76 @@ BEGIN
     RAISE EXCEPTION 'No organization found. Create one first.';
   END IF;
 
+  UPDATE public.organizations
+  SET catalog_schema = '{
+    "item_label": "book",
+    "item_label_plural": "books",
+    "attributes": [
+      { "key": "author", "label": "Author", "type": "text", "required": true, "searchable": true, "filterable": false }
+    ],
+    "variant_options": []
+  }'::jsonb
+  WHERE id = v_org_id;
+
+  WITH seed (title, author, isbn, category, description, price, stock) AS (VALUES
   -- Fiction
-  INSERT INTO public.books (org_id, title, author, isbn, category, description, price, stock) VALUES
-  (v_org_id, 'Dune', 'Frank Herbert', '978-0441013593', 'Science Fiction',
+  ('Dune', 'Frank Herbert', '978-0441013593', 'Science Fiction',
    'Set on the desert planet Arrakis, Dune is the story of Paul Atreides and his family''s struggle for control of the most valuable substance in the universe.', 12.99, 25),
 
-  (v_org_id, '1984', 'George Orwell', '978-0451524935', 'Fiction',
+  ('1984', 'George Orwell', '978-0451524935', 'Fiction',
    'A dystopian novel set in a totalitarian society ruled by Big Brother, exploring themes of surveillance, truth, and freedom.', 9.99, 40),
 
-  (v_org_id, 'To Kill a Mockingbird', 'Harper Lee', '978-0061120084', 'Fiction',
+  ('To Kill a Mockingbird', 'Harper Lee', '978-0061120084', 'Fiction',
    'A classic novel about racial injustice in the American South, seen through the eyes of young Scout Finch.', 11.49, 30),
 
-  (v_org_id, 'The Great Gatsby', 'F. Scott Fitzgerald', '978-0743273565', 'Fiction',
+  ('The Great Gatsby', 'F. Scott Fitzgerald', '978-0743273565', 'Fiction',
    'A tale of wealth, love, and the American Dream set in the Jazz Age of the 1920s.', 8.99, 35),
 
   -- Science & Technology
-  (v_org_id, 'A Brief History of Time', 'Stephen Hawking', '978-0553380163', 'Science',
+  ('A Brief History of Time', 'Stephen Hawking', '978-0553380163', 'Science',
    'An accessible exploration of the universe, from the Big Bang to black holes, by one of the greatest physicists.', 14.99, 20),
 
-  (v_org_id, 'Sapiens: A Brief History of Humankind', 'Yuval Noah Harari', '978-0062316097', 'Science',
+  ('Sapiens: A Brief History of Humankind', 'Yuval Noah Harari', '978-0062316097', 'Science',
    'A sweeping narrative of human history, from the evolution of Homo sapiens to the present day.', 16.99, 15),
 
   -- Programming
-  (v_org_id, 'Clean Code', 'Robert C. Martin', '978-0132350884', 'Programming',
+  ('Clean Code', 'Robert C. Martin', '978-0132350884', 'Programming',
    'A handbook of agile software craftsmanship with practical advice on writing readable, maintainable code.', 29.99, 20),
 
-  (v_org_id, 'JavaScript: The Good Parts', 'Douglas Crockford', '978-0596517748', 'Programming',
+  ('JavaScript: The Good Parts', 'Douglas Crockford', '978-0596517748', 'Programming',
    'A concise guide to the best features of JavaScript, helping developers write elegant and effective code.', 19.99, 18),
 
-  (v_org_id, 'The Pragmatic Programmer', 'David Thomas & Andrew Hunt', '978-0135957059', 'Programming',
+  ('The Pragmatic Programmer', 'David Thomas & Andrew Hunt', '978-0135957059', 'Programming',
    'A timeless guide to software development covering topics from career development to architectural techniques.', 34.99, 12),
 
   -- Self-Help & Business
-  (v_org_id, 'Atomic Habits', 'James Clear', '978-0735211292', 'Self-Help',
+  ('Atomic Habits', 'James Clear', '978-0735211292', 'Self-Help',
    'A practical guide to building good habits and breaking bad ones, using proven strategies from biology and psychology.', 13.99, 50),
 
-  (v_org_id, 'Rich Dad Poor Dad', 'Robert Kiyosaki', '978-1612680194', 'Business',
+  ('Rich Dad Poor Dad', 'Robert Kiyosaki', '978-1612680194', 'Business',
    'Personal finance lessons about money, investing, and building wealth, told through the contrast of two father figures.', 10.99, 45),
 
   -- Children & Education
-  (v_org_id, 'Harry Potter and the Philosopher''s Stone', 'J.K. Rowling', '978-0747532699', 'Fantasy',
+  ('Harry Potter and the Philosopher''s Stone', 'J.K. Rowling', '978-0747532699', 'Fantasy',
    'The first book in the Harry Potter series, following a young wizard''s journey at Hogwarts School of Witchcraft and Wizardry.', 12.49, 60),
 
-  (v_org_id, 'The Alchemist', 'Paulo Coelho', '978-0062315007', 'Fiction',
+  ('The Alchemist', 'Paulo Coelho', '978-0062315007', 'Fiction',
    'A philosophical novel about a shepherd boy''s journey to find treasure and discover his personal legend.', 11.99, 35),
 
   -- Out of stock example
-  (v_org_id, 'Design Patterns', 'Gang of Four', '978-0201633610', 'Programming',
-   'The classic reference for object-oriented design patterns, describing 23 foundational patterns for software development.', 39.99, 0);
+  ('Design Patterns', 'Gang of Four', '978-0201633610', 'Programming',
+   'The classic reference for object-oriented design patterns, describing 23 foundational patterns for software development.', 39.99, 0)
+  ),
+  inserted AS (
+    INSERT INTO public.products (org_id, name, category, description, price, attributes)
+    SELECT v_org_id, title, category, description, price, jsonb_build_object('author', author)
+    FROM seed
+    RETURNING id, name
+  )
+  INSERT INTO public.product_variants (product_id, org_id, barcode, stock)
+  SELECT inserted.id, v_org_id, seed.isbn, seed.stock
+  FROM inserted
+  JOIN seed ON seed.title = inserted.name;
 
   RAISE NOTICE 'Inserted 14 sample books for org %', v_org_id;
 END $$;
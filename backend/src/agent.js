@@ -1,18 +1,31 @@
 require('dotenv').config();
-const Groq = require('groq-sdk');
 const orderService = require('./services/orderService');
-const { searchKB } = require('./rag');
+const catalogService = require('./services/catalogService');
+const { searchKB, getOrgRetrievalConfig } = require('./rag');
+const handoffService = require('./services/handoffService');
+const { chatCompletion, getOrgLLMConfig } = require('./services/llmService');
+const { getAgentGroundingRules, extractCitations } = require('./services/groundingService');
 
-const GROQ_MODEL = process.env.GROQ_MODEL || 'llama-3.3-70b-versatile';
 const MAX_TOOL_ITERATIONS = 10;
 
-const groq = process.env.GROQ_API_KEY ? new Groq({ apiKey: process.env.GROQ_API_KEY }) : null;
-
-const AGENT_SYSTEM_PROMPT = `You are a friendly and helpful bookstore assistant on WhatsApp. You help customers browse books, manage their shopping cart, and place orders.
+/**
+ * What the tools do and how to use them; follows the org's prompt (persona, see
+ * promptService). Worded for what the org sells (its catalog schema).
+ * @param {object} schema - Catalog schema (catalogService)
+ * @returns {string}
+ */
+function buildToolInstructions(schema) {
+    const item = schema.item_label;
+    const items = schema.item_label_plural;
+    const searchBy = ['name', ...schema.attributes.filter(a => a.searchable || a.filterable).map(a => a.label.toLowerCase()), 'category'];
+    const options = schema.variant_options.map(o => o.label.toLowerCase());
+    const shown = ['name', ...schema.attributes.filter(a => a.searchable).map(a => a.label.toLowerCase()), 'price', 'stock'];
+
+    return `You help customers browse ${items}, manage their shopping cart, and place orders.
 
 Your capabilities:
-- Search the book catalog by title, author, or category
-- Show book details including price and availability
+- Search the ${item} catalog by ${searchBy.join(', ')}
+- Show ${item} details including price and availability
 - Manage the customer's shopping cart (add, update, remove items)
 - Confirm orders and provide bank transfer payment details
 - Check order status and history
@@ -20,44 +33,99 @@ Your capabilities:
 
 Guidelines:
 - Be conversational and warm, but concise — this is WhatsApp messaging
-- When showing books, format them as a numbered list with title, author, price, and stock
-- When a customer wants to add a book, use the book's ID from search results
+- When showing ${items}, format them as a numbered list with ${shown.join(', ')}
+- Each ${item} comes in one or more variants${options.length > 0 ? ` (by ${options.join(', ')})` : ''}; price and stock are per variant${options.length > 0 ? `. Ask which ${options.join(' and ')} the customer wants when it matters` : ''}
+- When a customer wants to add a ${item}, use the variant_id of the chosen variant from search results
 - Always show the cart total after modifications
 - When confirming an order, clearly display the bank transfer details and ask the customer to send a photo of their transfer receipt
-- If a book is out of stock, let the customer know and suggest alternatives
+- If a ${item} is out of stock, let the customer know and suggest alternatives
 - Use emojis sparingly to keep messages friendly
-- For questions unrelated to books/orders, use the search_kb tool to find answers from the knowledge base`;
+- For questions unrelated to ${items}/orders, use the search_kb tool to find answers from the knowledge base
+- If the customer asks for a human, is upset, or you cannot resolve their request with your tools, call request_human_handoff and tell the customer a team member will reply shortly`;
+}
 
-const tools = [
-    {
-        type: 'function',
-        function: {
-            name: 'search_books',
-            description: 'Search the book catalog by title, author, or category. Returns matching books with price and availability.',
-            parameters: {
-                type: 'object',
-                properties: {
-                    query: { type: 'string', description: 'Search query — book title, author name, or keyword' },
-                    category: { type: 'string', description: 'Optional category filter (e.g., Fiction, Programming, Science)' },
+/**
+ * JSON schema for a search filter on an attribute or variant option
+ * @param {string} type - text, number, boolean or select
+ * @param {string} description
+ * @param {Array<string>} values - Allowed values (select attributes, variant options)
+ * @returns {object}
+ */
+function filterParameter(type, description, values = []) {
+    if (type === 'number') return { type: 'number', description };
+    if (type === 'boolean') return { type: 'boolean', description };
+    return values.length > 0 ? { type: 'string', enum: values, description } : { type: 'string', description };
+}
+
+/**
+ * The catalog tools, with search filters for the org's filterable attributes and variant options
+ * @param {object} schema - Catalog schema (catalogService)
+ * @returns {Array<object>}
+ */
+function buildCatalogTools(schema) {
+    const item = schema.item_label;
+    const items = schema.item_label_plural;
+    const searchable = schema.attributes.filter(a => a.searchable).map(a => a.label.toLowerCase());
+
+    const filters = {};
+    for (const attr of schema.attributes.filter(a => a.filterable)) {
+        filters[attr.key] = filterParameter(attr.type, `Optional ${attr.label} filter`, attr.options);
+    }
+    for (const option of schema.variant_options) {
+        filters[option.key] = filterParameter('select', `Optional ${option.label}: only list variants with this ${option.label.toLowerCase()}`, option.values);
+    }
+
+    return [
+        {
+            type: 'function',
+            function: {
+                name: 'search_products',
+                description: `Search the ${item} catalog by ${['name', ...searchable, 'category'].join(', ')}. Returns matching ${items} with their variants, prices and availability.`,
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        query: { type: 'string', description: `Search query — ${[`${item} name`, ...searchable, 'keyword', 'SKU or barcode'].join(', ')}` },
+                        category: { type: 'string', description: 'Optional category filter' },
+                        ...filters,
+                    },
+                    required: ['query'],
                 },
-                required: ['query'],
             },
         },
-    },
-    {
-        type: 'function',
-        function: {
-            name: 'get_book_details',
-            description: 'Get full details of a specific book including description, ISBN, and stock.',
-            parameters: {
-                type: 'object',
-                properties: {
-                    book_id: { type: 'string', description: 'The UUID of the book' },
+        {
+            type: 'function',
+            function: {
+                name: 'get_product_details',
+                description: `Get full details of a specific ${item} including description, variants and stock.`,
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        product_id: { type: 'string', description: `The product_id of the ${item}` },
+                    },
+                    required: ['product_id'],
                 },
-                required: ['book_id'],
             },
         },
-    },
+        {
+            type: 'function',
+            function: {
+                name: 'add_to_cart',
+                description: `Add a ${item} to the customer's shopping cart.`,
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        variant_id: { type: 'string', description: `The variant_id of the ${item} variant to add` },
+                        quantity: { type: 'integer', description: 'Number of units to add (default 1)' },
+                    },
+                    required: ['variant_id'],
+                },
+            },
+        },
+    ];
+}
+
+// Tools that don't depend on what the org sells
+const orderTools = [
     {
         type: 'function',
         function: {
@@ -66,21 +134,6 @@ const tools = [
             parameters: { type: 'object', properties: {} },
         },
     },
-    {
-        type: 'function',
-        function: {
-            name: 'add_to_cart',
-            description: "Add a book to the customer's shopping cart.",
-            parameters: {
-                type: 'object',
-                properties: {
-                    book_id: { type: 'string', description: 'The UUID of the book to add' },
-                    quantity: { type: 'integer', description: 'Number of copies to add (default 1)' },
-                },
-                required: ['book_id'],
-            },
-        },
-    },
     {
         type: 'function',
         function: {
@@ -114,7 +167,7 @@ const tools = [
         type: 'function',
         function: {
             name: 'confirm_order',
-            description: 'Finalize the cart and confirm the order. Returns bank transfer details for payment. Only call this when the customer explicitly wants to place/confirm their order.',
+            description: 'Finalize the cart and confirm the order. Returns bank transfer details for payment; the items are held for the customer until items_held_until. Only call this when the customer explicitly wants to place/confirm their order.',
             parameters: { type: 'object', properties: {} },
         },
     },
@@ -156,7 +209,7 @@ const tools = [
         type: 'function',
         function: {
             name: 'search_kb',
-            description: 'Search the knowledge base for general questions unrelated to book ordering (e.g., store hours, return policy, contact info).',
+            description: 'Search the knowledge base for general questions unrelated to ordering (e.g., store hours, return policy, contact info).',
             parameters: {
                 type: 'object',
                 properties: {
@@ -166,6 +219,20 @@ const tools = [
             },
         },
     },
+    {
+        type: 'function',
+        function: {
+            name: 'request_human_handoff',
+            description: 'Hand this conversation over to a human team member. The bot stops replying until staff resume it. Use when the customer asks for a person, is upset, or the request cannot be handled with the other tools.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    reason: { type: 'string', description: 'Short summary of why a human is needed (shown to staff)' },
+                },
+                required: ['reason'],
+            },
+        },
+    },
 ];
 
 async function executeTool(name, args, ctx) {
@@ -173,34 +240,32 @@ async function executeTool(name, args, ctx) {
     const startTime = Date.now();
     try {
         switch (name) {
-            case 'search_books':
-                return { books: await orderService.searchBooks(ctx.orgId, args.query, args.category) };
+            case 'search_products':
+                return { products: await catalogService.searchCatalog(ctx.orgId, args) };
 
-            case 'get_book_details':
-                return await orderService.getBookDetails(ctx.orgId, args.book_id) || { error: 'Book not found' };
+            case 'get_product_details':
+                return await catalogService.getProductForAgent(ctx.orgId, args.product_id) || { error: 'Product not found' };
 
             case 'get_cart':
                 return await orderService.getCart(ctx.orgId, ctx.contactId);
 
             case 'add_to_cart':
-                return await orderService.addToCart(ctx.orgId, ctx.contactId, ctx.conversationId, args.book_id, args.quantity || 1);
+                return await orderService.addToCart(ctx.orgId, ctx.contactId, ctx.conversationId, args.variant_id, args.quantity || 1);
 
             case 'update_cart_item':
-                return await orderService.updateCartItem(args.order_item_id, args.quantity);
+                return await orderService.updateCartItem(ctx.orgId, ctx.contactId, args.order_item_id, args.quantity);
 
             case 'remove_from_cart':
-                return await orderService.removeFromCart(args.order_item_id);
+                return await orderService.removeFromCart(ctx.orgId, ctx.contactId, args.order_item_id);
 
             case 'confirm_order':
                 return await orderService.confirmOrder(ctx.orgId, ctx.contactId);
 
             case 'cancel_order': {
-                if (args.order_id) {
-                    return await orderService.cancelOrder(args.order_id);
-                }
-                const status = await orderService.getOrderStatus(ctx.orgId, ctx.contactId);
+                // Resolves the customer's own order (their latest when no id is given)
+                const status = await orderService.getOrderStatus(ctx.orgId, ctx.contactId, args.order_id);
                 if (status.error) return status;
-                return await orderService.cancelOrder(status.order_id);
+                return await orderService.cancelOrder(ctx.orgId, status.order_id);
             }
 
             case 'get_order_status':
@@ -210,19 +275,41 @@ async function executeTool(name, args, ctx) {
                 return { orders: await orderService.getOrderHistory(ctx.orgId, ctx.contactId) };
 
             case 'search_kb': {
-                const results = await searchKB(args.query, { topK: 3, orgId: ctx.orgId, waAccountId: ctx.orgId });
+                let results = await searchKB(args.query, { topK: 3, orgId: ctx.orgId, waAccountId: ctx.orgId });
+                if (ctx.grounding?.strict) {
+                    // Weak matches can't back an answer in strict mode
+                    results = (results || []).filter(r => (Number(r.score) || 0) >= ctx.grounding.minScore);
+                }
                 if (!results || results.length === 0) {
                     return { answer: 'No relevant information found in the knowledge base.' };
                 }
+                ctx.kbRetrieved?.push(...results.map(r => ({ id: r.id, title: r.title, score: r.score })));
                 return {
                     snippets: results.map(r => ({
+                        // Citation number, unique across search_kb calls in this run
+                        ...(ctx.kbRefs ? { ref: ctx.kbRefs.push(r.id) } : {}),
                         text: r.text,
                         source: r.title,
+                        section: r.metadata?.section || null,
+                        page: r.metadata?.page ?? null,
                         score: r.score,
                     })),
                 };
             }
 
+            case 'request_human_handoff': {
+                if (!ctx.conversationId) {
+                    // Chat tester has no real conversation to pause
+                    return { success: true, note: 'Test mode: no conversation to hand off.' };
+                }
+                await handoffService.requestHandoff({
+                    orgId: ctx.orgId,
+                    conversationId: ctx.conversationId,
+                    reason: args.reason,
+                });
+                return { success: true, message: 'A human team member has been notified and will take over this chat.' };
+            }
+
             default:
                 return { error: `Unknown tool: ${name}` };
         }
@@ -234,17 +321,54 @@ async function executeTool(name, args, ctx) {
     }
 }
 
-async function runAgent({ conversationHistory, userMessage, toolContext, returnToolLogs = false }) {
-    if (!groq) {
-        const errMsg = "AI Error: Groq API key not configured.";
-        return returnToolLogs ? { reply: errMsg, toolLogs: [] } : errMsg;
-    }
+/**
+ * Answer a customer with the ordering agent, calling tools until it has a reply
+ * @param {object} params
+ * @param {Array<object>} params.conversationHistory - Earlier turns in OpenAI format
+ * @param {string} params.userMessage
+ * @param {object} params.toolContext - { orgId, contactId, conversationId }
+ * @param {boolean} params.returnToolLogs - Return { reply, toolLogs, citedChunkIds, retrievedChunks } instead of the reply
+ * @param {string|null} params.systemPrompt - Rendered prompt to use instead of the org's published one (draft testing)
+ */
+async function runAgent({ conversationHistory, userMessage, toolContext, returnToolLogs = false, systemPrompt: promptOverride = null }) {
+    // Provider, model and parameters come from the org's settings; chatCompletion
+    // fails over along the org's fallback chain and throws LLM_UNAVAILABLE when all fail
+    const config = await getOrgLLMConfig(toolContext?.orgId);
+    const catalogSchema = await catalogService.getCatalogSchema(toolContext?.orgId || null);
+    const tools = [...buildCatalogTools(catalogSchema), ...orderTools];
+
+    const { grounding } = toolContext?.orgId
+        ? await getOrgRetrievalConfig(toolContext.orgId)
+        : { grounding: { strict: false } };
 
     const toolLogs = [];
+    // Chunk ids of the search_kb snippets shown so far; snippet ref n is kbRefs[n - 1]
+    const kbRefs = grounding.strict ? [] : null;
+    // KB chunks search_kb returned, saved with the reply (messages.retrieved_chunks)
+    const kbRetrieved = [];
+    const ctx = { ...toolContext, grounding, kbRefs, kbRetrieved };
+
+    // The org's prompt sets the persona; the tool guidance always follows it
+    let systemPrompt = `${promptOverride || config.systemPrompt}\n\n${buildToolInstructions(catalogSchema)}`;
+    if (grounding.strict) {
+        systemPrompt += `\n\n${getAgentGroundingRules(grounding)}`;
+    }
+
+    // Strip citation markers from the customer's text; citedChunkIds is null outside strict mode
+    // and when no KB snippets were shown ([] would record a declined answer, MIGRATION_020)
+    const finish = (output) => {
+        const retrievedChunks = kbRetrieved.length > 0 ? kbRetrieved : null;
+        if (!kbRefs || kbRefs.length === 0) {
+            return returnToolLogs ? { reply: output, toolLogs, citedChunkIds: null, retrievedChunks } : output;
+        }
+        const { text, citedChunkIds } = extractCitations(output, kbRefs);
+        const reply = text || output;
+        return returnToolLogs ? { reply, toolLogs, citedChunkIds, retrievedChunks } : reply;
+    };
 
     // Build messages array from conversation history
     const messages = [
-        { role: 'system', content: AGENT_SYSTEM_PROMPT },
+        { role: 'system', content: systemPrompt },
     ];
 
     // Add conversation history (already in OpenAI format)
@@ -262,35 +386,24 @@ async function runAgent({ conversationHistory, userMessage, toolContext, returnT
     const MAX_RETRIES = 2;
 
     while (iterations < MAX_TOOL_ITERATIONS) {
-        let completion;
+        let responseMessage;
         try {
-            completion = await groq.chat.completions.create({
-                model: GROQ_MODEL,
-                messages,
-                tools,
-                tool_choice: 'auto',
-                temperature: 0.7,
-                max_tokens: 1024,
-            });
+            ({ message: responseMessage } = await chatCompletion({ config, messages, tools }));
         } catch (err) {
             if (err.status === 400 && err.error?.error?.code === 'tool_use_failed' && retries < MAX_RETRIES) {
                 retries++;
-                console.warn(`⚠️ Groq tool_use_failed, retry ${retries}/${MAX_RETRIES}`);
+                console.warn(`⚠️ ${config.provider} tool_use_failed, retry ${retries}/${MAX_RETRIES}`);
                 continue;
             }
             throw err;
         }
 
-        const choice = completion.choices?.[0];
-        if (!choice) break;
-
-        const responseMessage = choice.message;
+        if (!responseMessage) break;
         messages.push(responseMessage);
 
         // If no tool calls, we have the final response
         if (!responseMessage.tool_calls || responseMessage.tool_calls.length === 0) {
-            const reply = responseMessage.content?.trim() || "I'm sorry, I couldn't process that request. Please try again.";
-            return returnToolLogs ? { reply, toolLogs } : reply;
+            return finish(responseMessage.content?.trim() || "I'm sorry, I couldn't process that request. Please try again.");
         }
 
         // Process tool calls
@@ -307,7 +420,7 @@ async function runAgent({ conversationHistory, userMessage, toolContext, returnT
                 args = {};
             }
 
-            const result = await executeTool(name, args, toolContext);
+            const result = await executeTool(name, args, ctx);
 
             toolLogs.push({ tool: name, args, result });
 
@@ -324,15 +437,9 @@ async function runAgent({ conversationHistory, userMessage, toolContext, returnT
     }
 
     // Get final response after all tool calls
-    const finalCompletion = await groq.chat.completions.create({
-        model: GROQ_MODEL,
-        messages,
-        temperature: 0.7,
-        max_tokens: 1024,
-    });
-
-    const reply = finalCompletion.choices?.[0]?.message?.content?.trim() || "I'm sorry, I couldn't process that request. Please try again.";
-    return returnToolLogs ? { reply, toolLogs } : reply;
+    const { message: finalMessage } = await chatCompletion({ config, messages });
+
+    return finish(finalMessage?.content?.trim() || "I'm sorry, I couldn't process that request. Please try again.");
 }
 
 module.exports = { runAgent };
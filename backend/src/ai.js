@@ -1,93 +1,163 @@
 // backend/src/ai.js
 
 require('dotenv').config();
-const Groq = require('groq-sdk');
-const { InferenceClient } = require('@huggingface/inference');
+const { chatCompletion, getOrgLLMConfig } = require('./services/llmService');
+const { embedQuery, embedPassages } = require('./services/embeddingService');
+const { formatChunkLocation } = require('./chunker');
 
-const GROQ_MODEL = process.env.GROQ_MODEL || "llama-3.3-70b-versatile";
-const HF_EMBED_MODEL = process.env.HF_EMBED_MODEL || "BAAI/bge-base-en-v1.5";
-
-const groq = process.env.GROQ_API_KEY ? new Groq({ apiKey: process.env.GROQ_API_KEY }) : null;
-const hfClient = process.env.HF_API_TOKEN ? new InferenceClient(process.env.HF_API_TOKEN) : null;
-
-if (!groq) {
-  console.error("❌ Missing GROQ_API_KEY in .env");
-  process.exit(1);
+if (!process.env.GROQ_API_KEY) {
+  console.warn("⚠️ GROQ_API_KEY not set — organizations need their own LLM provider and API key in Settings");
 }
 
+// Added to the org's prompt (persona) for KB answers
+const KB_ANSWER_RULES = "Use the provided knowledge base snippets as the main source of truth. If the answer is not clearly in the snippets, you can answer from general knowledge but keep it relevant to the business.";
+
 /**
- * Generate a natural language reply using KB snippets via Groq (Llama 3.3 70B).
+ * Generate a natural language reply using KB snippets with the org's LLM provider.
+ * history: recent turns [{ role: 'user'|'assistant', content }], oldest first
+ * summary: condensed summary of turns older than history (optional)
+ * systemPrompt: replaces the org's published prompt, already rendered (draft testing)
+ * systemInstruction: replaces the whole system instruction, prompt and KB rules
  */
 async function generateAIReply({
+  orgId = null,
   userMessage,
   kbMatches = [],
-  systemInstruction = "You are a helpful customer support assistant for this business. Use the provided knowledge base snippets as the main source of truth. If the answer is not clearly in the snippets, you can answer from general knowledge but keep it relevant to the business.",
+  history = [],
+  summary = null,
+  systemPrompt = null,
+  systemInstruction = null,
 }) {
   try {
+    const config = await getOrgLLMConfig(orgId);
+    const instruction = systemInstruction || `${systemPrompt || config.systemPrompt}\n\n${KB_ANSWER_RULES}`;
+
     const kbContext = kbMatches
-      .map(
-        (m, i) =>
-          `Snippet ${i + 1} (from "${m.title}", score: ${m.score?.toFixed?.(3) ?? "n/a"}):\n${m.text}`
-      )
+      .map((m, i) => {
+        const location = formatChunkLocation(m.metadata);
+        return `Snippet ${i + 1} (from "${m.title}"${location ? `, ${location}` : ""}, score: ${m.score?.toFixed?.(3) ?? "n/a"}):\n${m.text}`;
+      })
       .join("\n\n");
 
     const userPrompt = kbMatches.length
       ? `Use these knowledge base snippets when relevant:\n\n${kbContext}\n\nUser question:\n${userMessage}`
       : `No knowledge base snippets were retrieved.\n\nUser question:\n${userMessage}`;
 
-    const completion = await groq.chat.completions.create({
-      model: GROQ_MODEL,
+    const systemContent = summary
+      ? `${instruction}\n\nSummary of the earlier conversation with this customer:\n${summary}`
+      : instruction;
+
+    const { message } = await chatCompletion({
+      config,
       messages: [
-        { role: "system", content: systemInstruction },
+        { role: "system", content: systemContent },
+        ...history.filter((m) => m.content).map((m) => ({ role: m.role, content: m.content })),
         { role: "user", content: userPrompt },
       ],
-      temperature: 0.7,
-      max_tokens: 1024,
     });
 
-    const output = completion.choices?.[0]?.message?.content?.trim() ||
+    const output = message?.content?.trim() ||
       "I'm not sure, could you rephrase?";
 
     return output;
   } catch (err) {
     console.error("❌ generateAIReply Error:", err);
-    return "AI Error: Something went wrong while generating a reply.";
+    // Let the caller decide: the inbound queue retries, chat-test reports it
+    throw err;
   }
 }
 
+const formatTranscript = (messages) =>
+  messages.map((m) => `${m.role === "user" ? "Customer" : "Assistant"}: ${m.content}`).join("\n");
+
 /**
- * Create embeddings using Hugging Face Inference SDK (BAAI/bge-base-en-v1.5).
+ * Fold older conversation turns into a running summary.
+ * Returns null if the call fails, so the caller can tell the messages weren't summarized.
  */
-async function embedText(text) {
+async function summarizeConversation({ orgId = null, previousSummary = null, messages = [], maxTokens = 300 }) {
+  if (messages.length === 0) return previousSummary;
+
   try {
-    if (!hfClient) {
-      console.error("❌ Missing HF_API_TOKEN in .env");
-      return [];
-    }
-
-    const output = await hfClient.featureExtraction({
-      model: HF_EMBED_MODEL,
-      inputs: text,
-      provider: "hf-inference",
+    const { message } = await chatCompletion({
+      orgId,
+      small: true,
+      messages: [
+        {
+          role: "system",
+          content: "You maintain a running summary of a customer support chat. Merge the existing summary with the new messages into one short summary. Keep facts the assistant needs later: what the customer wants, products, names, numbers, dates, decisions and open questions. Write plain sentences, no preamble.",
+        },
+        {
+          role: "user",
+          content: `Existing summary:\n${previousSummary || "(none)"}\n\nNew messages:\n${formatTranscript(messages)}`,
+        },
+      ],
+      temperature: 0.2,
+      maxTokens,
     });
 
-    if (Array.isArray(output) && typeof output[0] === 'number') {
-      return output;
-    }
-    if (Array.isArray(output) && Array.isArray(output[0])) {
-      return output[0];
-    }
+    return message?.content?.trim() || null;
+  } catch (err) {
+    console.error("❌ summarizeConversation Error:", err);
+    return null;
+  }
+}
 
-    console.error("❌ Unexpected HF embedding response format:", typeof output);
-    return [];
+/**
+ * Rewrite a follow-up message into a standalone search query using the conversation.
+ * "and how much is shipping for that?" → "shipping cost for the Harry Potter box set"
+ * Falls back to the raw message when there is no history or the call fails.
+ */
+async function condenseQuery({ orgId = null, userMessage, history = [], summary = null }) {
+  if (history.length === 0 && !summary) return userMessage;
 
+  try {
+    const { message } = await chatCompletion({
+      orgId,
+      small: true,
+      messages: [
+        {
+          role: "system",
+          content: "Rewrite the customer's latest message as one standalone search query for a knowledge base, resolving pronouns and references from the conversation. Keep the customer's language. Reply with the query only. If the message is already standalone, repeat it unchanged.",
+        },
+        {
+          role: "user",
+          content: `${summary ? `Earlier conversation (summary):\n${summary}\n\n` : ""}Recent messages:\n${formatTranscript(history.slice(-6))}\n\nLatest customer message:\n${userMessage}`,
+        },
+      ],
+      temperature: 0,
+      maxTokens: 100,
+    });
+
+    const query = message?.content?.trim().replace(/^["']|["']$/g, "");
+    return query || userMessage;
   } catch (err) {
-    console.error("❌ embedText Error:", err);
-    return [];
+    console.error("❌ condenseQuery Error:", err);
+    return userMessage;
   }
 }
 
+/**
+ * Embed a search query with the configured embedding provider (services/embeddingService)
+ * @param {string} text
+ * @returns {Promise<Array<number>>} Vector, or [] if embedding failed
+ */
+async function embedText(text) {
+  return embedQuery(text);
+}
+
+/**
+ * Embed several texts in one request (KB ingestion)
+ * @param {Array<string>} texts
+ * @returns {Promise<Array<Array<number>>>} One vector per text; [] where embedding failed
+ */
+async function embedTexts(texts) {
+  return embedPassages(texts);
+}
+
 module.exports = {
   generateAIReply,
+  summarizeConversation,
+  condenseQuery,
   embedText,
+  embedTexts,
 };
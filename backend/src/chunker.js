@@ -0,0 +1,352 @@
+// chunker.js
+
+/**
+ * KB chunking
+ *
+ * Strategies (kb_sources.chunking.strategy):
+ * - structured: paragraphs, list items, table rows and headings are kept whole
+ *   where they fit; chunks never cross a heading, and each chunk records its
+ *   section title and page. Long paragraphs are split by sentence.
+ * - sentence:   sentences packed up to the size limit, ignoring layout
+ * - fixed:      fixed windows of words
+ *
+ * Sizes are in estimated embedding-model tokens (see estimateTokens), and
+ * consecutive chunks share up to overlapTokens of text so an answer that
+ * straddles a boundary is still found. Overlap is not carried across headings.
+ */
+
+const CHUNKING_STRATEGIES = ['structured', 'sentence', 'fixed'];
+
+const DEFAULT_CHUNKING = {
+    strategy: 'structured',
+    maxTokens: parseInt(process.env.KB_CHUNK_MAX_TOKENS, 10) || 256,
+    overlapTokens: parseInt(process.env.KB_CHUNK_OVERLAP_TOKENS, 10) || 40,
+};
+
+const MIN_CHUNK_TOKENS = 32;
+const MAX_CHUNK_TOKENS = 1024;
+
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.+?)\s*#*$/;
+const LIST_ITEM = /^\s*([-*+•▪◦‣]|\d{1,3}[.)]|[a-z][.)])\s+/i;
+const SENTENCE_END = /[.!?:;।॥。！？]["'”’)\]]*$/;
+
+const sentenceSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+    ? new Intl.Segmenter(undefined, { granularity: 'sentence' })
+    : null;
+
+/**
+ * Rough token count for sizing chunks
+ * English averages ~4 characters per token; other scripts (Sinhala, Tamil, ...)
+ * split into far more tokens per character, so they are counted at ~2.
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    let ascii = 0;
+    let other = 0;
+    for (const ch of text || '') {
+        if (ch.charCodeAt(0) < 128) ascii++;
+        else if (!/\s/.test(ch)) other++;
+    }
+    return Math.ceil(ascii / 4 + other / 2);
+}
+
+/**
+ * Validate chunking options from a request, filling in defaults
+ * @param {object} raw - { strategy, maxTokens | max_tokens, overlapTokens | overlap_tokens }
+ * @returns {{ strategy: string, maxTokens: number, overlapTokens: number }}
+ * @throws {Error} On an unknown strategy or out-of-range size
+ */
+function normalizeChunkingOptions(raw = {}) {
+    const strategy = raw.strategy || DEFAULT_CHUNKING.strategy;
+    if (!CHUNKING_STRATEGIES.includes(strategy)) {
+        throw new Error(`chunk strategy must be one of: ${CHUNKING_STRATEGIES.join(', ')}`);
+    }
+
+    const maxRaw = raw.maxTokens ?? raw.max_tokens;
+    const maxTokens = maxRaw === undefined || maxRaw === null || maxRaw === '' ? DEFAULT_CHUNKING.maxTokens : Number(maxRaw);
+    if (!Number.isInteger(maxTokens) || maxTokens < MIN_CHUNK_TOKENS || maxTokens > MAX_CHUNK_TOKENS) {
+        throw new Error(`chunk size must be a whole number of tokens between ${MIN_CHUNK_TOKENS} and ${MAX_CHUNK_TOKENS}`);
+    }
+
+    const overlapRaw = raw.overlapTokens ?? raw.overlap_tokens;
+    const overlapTokens = overlapRaw === undefined || overlapRaw === null || overlapRaw === ''
+        ? Math.min(DEFAULT_CHUNKING.overlapTokens, Math.floor(maxTokens / 2))
+        : Number(overlapRaw);
+    if (!Number.isInteger(overlapTokens) || overlapTokens < 0 || overlapTokens > maxTokens / 2) {
+        throw new Error('chunk overlap must be a whole number of tokens, at most half the chunk size');
+    }
+
+    return { strategy, maxTokens, overlapTokens };
+}
+
+/**
+ * Split text into sentences (Intl.Segmenter handles most scripts; regex fallback)
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function splitSentences(text) {
+    const sentences = sentenceSegmenter
+        ? Array.from(sentenceSegmenter.segment(text), s => s.segment)
+        : text.split(/(?<=[.!?।॥。！？])\s+/);
+    return sentences.map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Split text that is too long for one chunk into word windows
+ * (or character windows for text without spaces)
+ */
+function splitWords(text, maxTokens) {
+    const words = text.split(/\s+/).filter(Boolean);
+    const pieces = [];
+    let current = [];
+
+    const flush = () => {
+        if (current.length) pieces.push(current.join(' '));
+        current = [];
+    };
+
+    for (const word of words) {
+        if (estimateTokens(word) > maxTokens) {
+            flush();
+            const step = Math.max(1, Math.floor(word.length * maxTokens / estimateTokens(word)));
+            for (let i = 0; i < word.length; i += step) pieces.push(word.slice(i, i + step));
+            continue;
+        }
+        if (current.length && estimateTokens([...current, word].join(' ')) > maxTokens) flush();
+        current.push(word);
+    }
+    flush();
+    return pieces;
+}
+
+/**
+ * Break a block into units no larger than maxTokens: whole if it fits,
+ * else by sentence, else by word window
+ */
+function splitBlock(text, maxTokens) {
+    if (estimateTokens(text) <= maxTokens) return [text];
+    return splitSentences(text).flatMap(s => (estimateTokens(s) <= maxTokens ? [s] : splitWords(s, maxTokens)));
+}
+
+/**
+ * Whether a line of PDF text looks like a heading: short, no closing
+ * punctuation, starts with a capital or a number, and the next line starts
+ * new text rather than continuing a wrapped sentence (lowercase, a digit or
+ * closing punctuation would continue it)
+ */
+function looksLikeHeading(line, nextLine) {
+    const trimmed = line.trim();
+    const next = (nextLine || '').trim();
+    if (!trimmed || !next) return false;
+    if (trimmed.length > 50 || trimmed.split(/\s+/).length > 6) return false;
+    if (SENTENCE_END.test(trimmed) || /[,\-–—&/(]$/.test(trimmed) || LIST_ITEM.test(trimmed)) return false;
+    return /^[\p{Lu}\d]/u.test(trimmed) && !/^[\p{Ll}\d,.;:)\]%]/u.test(next);
+}
+
+function isTableRow(line) {
+    return (line.match(/\|/g) || []).length >= 2 || line.includes('\t');
+}
+
+/**
+ * Parse one page of text into layout blocks
+ * @param {string} text
+ * @param {object} options
+ * @param {boolean} options.softWraps - Lines inside a paragraph are hard-wrapped (PDF) and joined with spaces
+ * @param {boolean} options.guessHeadings - Detect headings without markdown markers (PDF)
+ * @returns {Array<{ type: 'heading'|'item'|'row'|'paragraph', text: string, level?: number, guessed?: boolean }>}
+ *   guessed: a heading detected by guessHeadings rather than marked up
+ */
+function parseBlocks(text, { softWraps = false, guessHeadings = false } = {}) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = null;
+
+    const flush = () => {
+        if (paragraph && paragraph.lines.length) {
+            blocks.push({ type: paragraph.type, text: paragraph.lines.join(softWraps ? ' ' : '\n').trim() });
+        }
+        paragraph = null;
+    };
+
+    lines.forEach((raw, i) => {
+        const line = raw.trim();
+        if (!line) {
+            flush();
+            return;
+        }
+
+        const heading = MARKDOWN_HEADING.exec(line);
+        if (heading) {
+            flush();
+            blocks.push({ type: 'heading', level: heading[1].length, text: heading[2].trim() });
+            return;
+        }
+        const startsBlock = !paragraph || SENTENCE_END.test(paragraph.lines[paragraph.lines.length - 1]);
+        if (guessHeadings && startsBlock && looksLikeHeading(line, lines[i + 1])) {
+            flush();
+            blocks.push({ type: 'heading', level: 2, text: line, guessed: true });
+            return;
+        }
+        if (isTableRow(line) && !/^\|?[\s:|-]+\|?$/.test(line)) {
+            flush();
+            blocks.push({ type: 'row', text: line.replace(/\t+/g, ' | ') });
+            return;
+        }
+        if (/^\|?[\s:|-]+\|?$/.test(line) && line.includes('-') && line.includes('|')) {
+            return; // markdown table separator
+        }
+        if (LIST_ITEM.test(raw)) {
+            flush();
+            paragraph = { type: 'item', lines: [line] };
+            return;
+        }
+        if (!paragraph) paragraph = { type: 'paragraph', lines: [] };
+        paragraph.lines.push(line);
+    });
+    flush();
+
+    return blocks;
+}
+
+/**
+ * Pack units into chunks of at most maxTokens with overlap
+ * @param {Array<{ text: string, joiner: string, section: string|null, page: number|null }>} units
+ * @param {object} options - { maxTokens, overlapTokens }
+ * @returns {Array<{ text: string, metadata: object }>}
+ */
+function packUnits(units, { maxTokens, overlapTokens }) {
+    const chunks = [];
+    let current = [];
+
+    const textOf = (list) => list.map((u, i) => (i === 0 ? u.text : u.joiner + u.text)).join('');
+
+    const emit = () => {
+        if (!current.length) return;
+        const pages = current.map(u => u.page).filter(p => p !== null && p !== undefined);
+        const metadata = {};
+        if (current[0].section) metadata.section = current[0].section;
+        if (pages.length) {
+            metadata.page = pages[0];
+            if (pages[pages.length - 1] !== pages[0]) metadata.pages = [pages[0], pages[pages.length - 1]];
+        }
+        chunks.push({ text: textOf(current).trim(), metadata });
+    };
+
+    const overlapFrom = (list) => {
+        const carried = [];
+        for (let i = list.length - 1; i > 0; i--) {
+            const candidate = [list[i], ...carried];
+            if (estimateTokens(textOf(candidate)) > overlapTokens) break;
+            carried.unshift(list[i]);
+        }
+        return carried;
+    };
+
+    for (const unit of units) {
+        const sectionChanged = current.length && unit.section !== current[0].section;
+        if (sectionChanged) {
+            emit();
+            current = [];
+        } else if (current.length && estimateTokens(textOf([...current, unit])) > maxTokens) {
+            emit();
+            const carried = overlapFrom(current);
+            current = estimateTokens(textOf([...carried, unit])) > maxTokens ? [] : carried;
+        }
+        current.push(unit);
+    }
+    emit();
+
+    return chunks;
+}
+
+/**
+ * Chunk a document
+ * @param {object} doc
+ * @param {string} doc.text - Full text (used when there are no pages)
+ * @param {Array<{ page: number, text: string }>} doc.pages - Per-page text (PDF)
+ * @param {string} doc.layout - 'pdf' for hard-wrapped text without heading markers
+ * @param {object} options - Chunking options (see normalizeChunkingOptions)
+ * @returns {Array<{ text: string, metadata: { section?: string, page?: number, pages?: Array<number> } }>}
+ */
+function chunkDocument({ text = '', pages = null, layout = null }, options = {}) {
+    const { strategy, maxTokens, overlapTokens } = normalizeChunkingOptions(options);
+    const isPdf = layout === 'pdf';
+    const sourcePages = pages && pages.length ? pages : [{ page: null, text }];
+
+    const units = [];
+    const headings = []; // heading text by level (1-6)
+
+    for (const { page, text: pageText } of sourcePages) {
+        if (strategy === 'fixed') {
+            splitWords(pageText, Math.max(1, Math.floor(maxTokens / 8)))
+                .forEach(piece => units.push({ text: piece, joiner: ' ', section: null, page }));
+            continue;
+        }
+
+        if (strategy === 'sentence') {
+            const flat = isPdf ? pageText.replace(/\s*\n\s*/g, ' ') : pageText;
+            splitSentences(flat)
+                .flatMap(s => splitBlock(s, maxTokens))
+                .forEach(s => units.push({ text: s, joiner: ' ', section: null, page }));
+            continue;
+        }
+
+        for (const block of parseBlocks(pageText, { softWraps: isPdf, guessHeadings: isPdf })) {
+            if (block.type === 'heading') {
+                headings.length = block.level - 1;
+                headings[block.level - 1] = block.text;
+                // A guessed heading may be ordinary text; keep it in the chunk too
+                if (!block.guessed) continue;
+            }
+
+            const section = headings.filter(Boolean).join(' > ') || null;
+            splitBlock(block.text, maxTokens).forEach((piece, i) => {
+                units.push({ text: piece, joiner: i === 0 ? '\n' : ' ', section, page });
+            });
+        }
+    }
+
+    return packUnits(units, { maxTokens, overlapTokens });
+}
+
+/**
+ * Where a chunk came from, for prompts and citations
+ * @param {object} metadata - kb_chunks.metadata
+ * @returns {string|null} e.g. 'section "Returns > Refunds", page 3'
+ */
+function formatChunkLocation(metadata = {}) {
+    const parts = [];
+    if (metadata?.section) parts.push(`section "${metadata.section}"`);
+    if (metadata?.pages) parts.push(`pages ${metadata.pages[0]}-${metadata.pages[1]}`);
+    else if (metadata?.page) parts.push(`page ${metadata.page}`);
+    return parts.length ? parts.join(', ') : null;
+}
+
+// Simple text chunking: split into ~800-char blocks
+function chunkText(text, maxLen = 800) {
+    const sentences = text.split(/(?<=[\.!\?])\s+/);
+    const chunks = [];
+    let current = '';
+
+    for (const s of sentences) {
+        if ((current + ' ' + s).length > maxLen) {
+            if (current.trim()) chunks.push(current.trim());
+            current = s;
+        } else {
+            current += ' ' + s;
+        }
+    }
+    if (current.trim()) chunks.push(current.trim());
+    return chunks;
+}
+
+module.exports = {
+    CHUNKING_STRATEGIES,
+    DEFAULT_CHUNKING,
+    estimateTokens,
+    normalizeChunkingOptions,
+    chunkDocument,
+    formatChunkLocation,
+    chunkText,
+};
@@ -0,0 +1,135 @@
+const { decodeText } = require('./text');
+
+/**
+ * CSV extractor
+ * Each row becomes "Header: value" pairs so a chunk still makes sense on its
+ * own (e.g. "Product: Blue mug | Price: 12.50 | In stock: yes"). Rows are
+ * grouped into chunks of up to maxLen characters; metadata records the
+ * 1-based data row range and the column headers.
+ */
+
+const MAX_CHUNK_LENGTH = 800;
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, newlines inside quotes)
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+function parseCsv(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n') {
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+/**
+ * Guess the delimiter from the header line (comma, semicolon or tab)
+ */
+function detectDelimiter(text) {
+    const firstLine = text.split('\n', 1)[0];
+    const counts = [',', ';', '\t'].map(d => [d, firstLine.split(d).length - 1]);
+    counts.sort((a, b) => b[1] - a[1]);
+    return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+/**
+ * Turn CSV rows into header-labelled chunks
+ * @param {Array<string>} headers
+ * @param {Array<Array<string>>} rows - Data rows (without the header row)
+ * @param {number} maxLen
+ * @returns {Array<{ text: string, metadata: object }>}
+ */
+function rowsToChunks(headers, rows, maxLen = MAX_CHUNK_LENGTH) {
+    const chunks = [];
+    let lines = [];
+    let firstRow = 1;
+
+    const flush = (lastRow) => {
+        if (lines.length === 0) return;
+        chunks.push({
+            text: lines.join('\n'),
+            metadata: { columns: headers, rows: [firstRow, lastRow] },
+        });
+        lines = [];
+    };
+
+    rows.forEach((row, i) => {
+        const line = headers
+            .map((header, col) => [header || `Column ${col + 1}`, (row[col] || '').replace(/\s+/g, ' ').trim()])
+            .filter(([, value]) => value !== '')
+            .map(([header, value]) => `${header}: ${value}`)
+            .join(' | ');
+        if (!line) return;
+
+        const length = lines.reduce((sum, l) => sum + l.length + 1, 0);
+        if (lines.length > 0 && length + line.length > maxLen) {
+            flush(i);
+            firstRow = i + 1;
+        }
+        lines.push(line);
+    });
+    flush(rows.length);
+
+    return chunks;
+}
+
+module.exports = {
+    sourceType: 'csv',
+    extensions: ['csv', 'tsv'],
+    mimeTypes: ['text/csv', 'text/tab-separated-values', 'application/csv'],
+
+    async extract(buffer) {
+        const text = decodeText(buffer);
+        const [headerRow, ...rows] = parseCsv(text, detectDelimiter(text));
+        if (!headerRow) {
+            return { text: '', chunks: [], meta: { rows: 0 } };
+        }
+
+        const headers = headerRow.map(h => h.trim());
+        const chunks = rowsToChunks(headers, rows);
+        return {
+            text: chunks.map(c => c.text).join('\n'),
+            chunks,
+            meta: { rows: rows.length, columns: headers },
+        };
+    },
+
+    parseCsv,
+    detectDelimiter,
+    rowsToChunks,
+};
@@ -0,0 +1,24 @@
+const mammoth = require('mammoth');
+const { htmlToText } = require('./html');
+
+/**
+ * Word extractor (mammoth). Only .docx — legacy binary .doc files are not supported.
+ * Converted through HTML so headings, lists and tables keep their structure.
+ */
+module.exports = {
+    sourceType: 'docx',
+    extensions: ['docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+
+    async extract(buffer) {
+        const { value, messages } = await mammoth.convertToHtml({ buffer });
+        const warnings = (messages || []).filter(m => m.type === 'warning');
+        if (warnings.length > 0) {
+            console.warn(`⚠️ DOCX extraction warnings: ${warnings.map(m => m.message).join('; ')}`);
+        }
+        return {
+            text: htmlToText(value || '').text,
+            meta: {},
+        };
+    },
+};
@@ -0,0 +1,58 @@
+const { decodeText } = require('./text');
+
+/**
+ * HTML extractor
+ * Drops scripts, styles and navigation chrome, turns block elements into
+ * line breaks, headings into markdown "#" lines and decodes entities.
+ */
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    ndash: '–', mdash: '—', hellip: '…', copy: '©', reg: '®', euro: '€', pound: '£',
+};
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            // Out-of-range code points are left as written (fromCodePoint would throw)
+            return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+        }
+        return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+function htmlToText(html) {
+    const titleMatch = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+    const text = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|noscript|svg|head|nav|footer)\b[\s\S]*?<\/\1>/gi, '')
+        .replace(/<h([1-6])\b[^>]*>/gi, (match, level) => `\n\n${'#'.repeat(Number(level))} `)
+        .replace(/<li\b[^>]*>/gi, '\n- ')
+        .replace(/<(td|th)\b[^>]*>/gi, ' | ')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/?(p|div|section|article|main|header|h[1-6]|ul|ol|table|tr|blockquote|pre|dl|dt|dd)\b[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, '');
+
+    return {
+        title: titleMatch ? decodeEntities(titleMatch[1]).trim() || null : null,
+        text: decodeEntities(text)
+            .replace(/[ \t]+/g, ' ')
+            .replace(/ *\n */g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim(),
+    };
+}
+
+module.exports = {
+    sourceType: 'html',
+    extensions: ['html', 'htm'],
+    mimeTypes: ['text/html', 'application/xhtml+xml'],
+
+    async extract(buffer) {
+        const { title, text } = htmlToText(decodeText(buffer));
+        return { text, meta: { title } };
+    },
+
+    htmlToText,
+};
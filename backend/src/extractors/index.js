@@ -0,0 +1,62 @@
+const pdf = require('./pdf');
+const docx = require('./docx');
+const text = require('./text');
+const csv = require('./csv');
+const markdown = require('./markdown');
+const html = require('./html');
+
+/**
+ * Knowledge base extractors
+ * One module per file format. Each exports:
+ * - sourceType: value stored in kb_sources.source_type
+ * - extensions / mimeTypes: how uploads are matched to it
+ * - extract(buffer, { filename }): Promise<{ text, chunks?, pages?, layout?, meta }>
+ *     text: extracted text, with headings as markdown "#" lines where the
+ *     format has them (see chunker.js)
+ *     chunks: optional pre-split [{ text, metadata }] for formats with their own
+ *     structure (CSV rows); otherwise the text is chunked by the ingest job
+ *     pages: optional per-page text [{ page, text }] so chunks record their page
+ *     layout: 'pdf' for hard-wrapped text without heading markers
+ *     meta: format details returned to the client (pages, rows, ...)
+ */
+
+const EXTRACTORS = [pdf, docx, text, csv, markdown, html];
+
+function extensionOf(filename) {
+    const match = /\.([a-z0-9]+)$/i.exec(filename || '');
+    return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Find the extractor for an uploaded file
+ * The extension wins over the MIME type: browsers report CSV as
+ * application/vnd.ms-excel and Markdown as application/octet-stream.
+ *
+ * @param {string} filename - Original filename
+ * @param {string} mimeType - MIME type reported by the client
+ * @returns {object|null} Extractor module, or null if the format is not supported
+ */
+function getExtractor(filename, mimeType) {
+    const extension = extensionOf(filename);
+    if (extension) {
+        const byExtension = EXTRACTORS.find(e => e.extensions.includes(extension));
+        if (byExtension) return byExtension;
+    }
+
+    const baseMime = (mimeType || '').split(';')[0].trim().toLowerCase();
+    return EXTRACTORS.find(e => e.mimeTypes.includes(baseMime)) || null;
+}
+
+/**
+ * File extensions accepted by /kb/upload (for error messages and the file picker)
+ * @returns {Array<string>}
+ */
+function supportedExtensions() {
+    return EXTRACTORS.flatMap(e => e.extensions);
+}
+
+module.exports = {
+    getExtractor,
+    supportedExtensions,
+    extensionOf,
+};
@@ -0,0 +1,37 @@
+const { decodeText } = require('./text');
+
+/**
+ * Markdown extractor
+ * Keeps headings (as "#" lines) and list structure and drops markup that
+ * would only add noise to embeddings (images, link targets, emphasis, code fences).
+ */
+
+function markdownToText(markdown) {
+    return markdown
+        .replace(/^---\n[\s\S]*?\n---\n/, '')               // front matter
+        .replace(/```[^\n]*\n([\s\S]*?)```/g, '$1')         // fenced code → its content
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')           // images → alt text
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')            // links → label
+        .replace(/^(#{1,6})[ \t]+(.*?)[ \t]*#*$/gm, '$1 $2')     // headings
+        .replace(/^[ \t]*>[ \t]?/gm, '')                          // blockquotes
+        .replace(/^[ \t]*([-*+]|\d+\.)[ \t]+/gm, '- ')            // list markers
+        .replace(/^[ \t]*([-*_][ \t]*){3,}$/gm, '')               // horizontal rules
+        // Emphasis markers only count at word edges, so snake_case_names and 2*3*4 survive
+        .replace(/(^|\W)(\*\*|__)(\S(?:.*?\S)??)\2(?=\W|$)/gm, '$1$3')   // bold
+        .replace(/(^|\W)([*_])(\S(?:.*?\S)??)\2(?=\W|$)/gm, '$1$3')       // italics
+        .replace(/`([^`]+)`/g, '$1')                        // inline code
+        .replace(/<[^>]+>/g, '')                            // inline HTML
+        .replace(/\n{3,}/g, '\n\n');
+}
+
+module.exports = {
+    sourceType: 'markdown',
+    extensions: ['md', 'markdown'],
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+
+    async extract(buffer) {
+        return { text: markdownToText(decodeText(buffer)).trim(), meta: {} };
+    },
+
+    markdownToText,
+};
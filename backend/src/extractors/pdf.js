@@ -0,0 +1,24 @@
+const { PDFParse } = require('pdf-parse');
+
+/**
+ * PDF extractor (pdf-parse)
+ */
+module.exports = {
+    sourceType: 'pdf',
+    extensions: ['pdf'],
+    mimeTypes: ['application/pdf'],
+
+    async extract(buffer) {
+        const parser = new PDFParse({ data: buffer });
+        const pdfData = await parser.getText();
+        const pages = (pdfData.pages || [])
+            .map(p => ({ page: p.num, text: (p.text || '').trim() }))
+            .filter(p => p.text);
+        return {
+            text: (pdfData.text || '').trim(),
+            pages: pages.length > 0 ? pages : null,
+            layout: 'pdf',
+            meta: { pages: pdfData.numpages || pdfData.numPages || pdfData.total || null },
+        };
+    },
+};
@@ -0,0 +1,24 @@
+/**
+ * Plain text extractor
+ */
+
+/**
+ * Decode a text upload as UTF-8, dropping a byte order mark and normalizing line endings
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function decodeText(buffer) {
+    return buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+module.exports = {
+    sourceType: 'txt',
+    extensions: ['txt', 'text'],
+    mimeTypes: ['text/plain'],
+
+    async extract(buffer) {
+        return { text: decodeText(buffer).trim(), meta: {} };
+    },
+
+    decodeText,
+};
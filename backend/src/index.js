@@ -1,10 +1,14 @@
 const { addTextToKB } = require('./kb');
-const { searchKB } = require('./rag');
-const { generateAIReply } = require('./ai');
+const { getExtractor, supportedExtensions } = require('./extractors');
+const { normalizeChunkingOptions } = require('./chunker');
+const { searchKB, invalidateOrgRetrievalConfig } = require('./rag');
+const { isRerankAvailable } = require('./services/rerankService');
+const { getEmbeddingDimensions } = require('./services/embeddingService');
+const { generateGroundedReply } = require('./services/groundingService');
 const requireAuth = require('./middleware/requireAuth');
 const requireRole = require('./middleware/requireRole');
 const { initSocket, setWaState, getWaState } = require('./services/socketService');
-const waService = require('./services/waService');
+const waSessionManager = require('./services/waSessionManager');
 const {
     createWhatsAppAccount,
     getWhatsAppAccountsByOrg,
@@ -12,10 +16,31 @@ const {
     getWhatsAppAccountStats,
     disconnectWhatsAppAccount
 } = require('./services/whatsappAccountService');
-const bookService = require('./services/bookService');
+const catalogService = require('./services/catalogService');
+const catalogImportService = require('./services/catalogImportService');
 const orderService = require('./services/orderService');
+const stockService = require('./services/stockService');
+const handoffService = require('./services/handoffService');
+const conversationService = require('./services/conversationService');
+const kbSourceService = require('./services/kbSourceService');
+const feedbackService = require('./services/feedbackService');
+const faqService = require('./services/faqService');
+const promptService = require('./services/promptService');
+const kbIngestQueue = require('./services/kbIngestQueue');
+const { withMediaUrls } = require('./services/mediaService');
+const { listInboundJobs, retryInboundJob, discardInboundJob } = require('./services/inboundQueue');
 const { supabaseAdmin } = require('./auth/supabase');
 const { runAgent } = require('./agent');
+const { condenseQuery } = require('./ai');
+const { buildMemoryFromHistory } = require('./services/conversationMemory');
+const {
+    listProviders,
+    invalidateOrgLLMConfig,
+    getOrgLLMConfig,
+    isLLMUnavailable,
+    getProviderReliability,
+} = require('./services/llmService');
+const { encryptSecret, decryptSecret, maskSecret } = require('./services/secretService');
 
 const express = require('express');
 const dotenv = require('dotenv');
@@ -69,12 +94,19 @@ app.options([
     '/', 
     '/kb/add-text', 
     '/kb/upload-pdf', 
+    '/kb/upload',
     '/api/conversations',
+    '/api/kb/sources',
     '/api/messages',
     '/api/whatsapp-accounts',
     '/api/bot/status',
     '/api/bot/toggle',
     '/api/messages/send-media',
+    '/api/faqs',
+    '/api/products',
+    '/api/products/import',
+    '/api/catalog/schema',
+    '/api/catalog/low-stock',
 ], cors({ origin: origins }));
 
 app.use(express.json());
@@ -87,16 +119,23 @@ app.get('/', (req, res) => {
     res.send('WhatsApp AI Bot (Gemini) backend is running ✅');
 });
 
-// GET /api/bot/status — returns current bot auto-reply state
-app.get('/api/bot/status', requireAuth, (req, res) => {
-    res.json({ ok: true, botEnabled: waService.botEnabled });
+// GET /api/bot/status — returns current bot auto-reply state for the org
+app.get('/api/bot/status', requireAuth, requireRole([]), async (req, res) => {
+    try {
+        const botEnabled = await waSessionManager.isBotEnabled(req.auth.org_id);
+        res.json({ ok: true, botEnabled });
+    } catch (error) {
+        console.error('❌ Error fetching bot status:', error);
+        res.status(500).json({ error: 'Failed to fetch bot status' });
+    }
 });
 
-// PATCH /api/bot/toggle — admin only: flip the auto-reply flag
+// PATCH /api/bot/toggle — admin only: flip the auto-reply flag for the org
 app.patch('/api/bot/toggle', requireAuth, requireRole(['admin']), async (req, res) => {
     try {
-        const newValue = !waService.botEnabled;
-        await waService.setBotEnabled(newValue);
+        const orgId = req.auth.org_id;
+        const newValue = !(await waSessionManager.isBotEnabled(orgId));
+        await waSessionManager.setBotEnabled(orgId, newValue);
         console.log(`🤖 Bot toggled to: ${newValue ? 'enabled' : 'disabled'}`);
         res.json({ ok: true, botEnabled: newValue });
     } catch (error) {
@@ -106,39 +145,37 @@ app.patch('/api/bot/toggle', requireAuth, requireRole(['admin']), async (req, re
 });
 
 // POST /api/messages/send
-app.post('/api/messages/send', requireAuth, async (req, res) => {
+app.post('/api/messages/send', requireAuth, requireRole([]), async (req, res) => {
     try {
-        const orgId = getOrgId(req);
+        const orgId = req.auth.org_id;
         console.log('Received request to send message:', { orgId, body: req.body });
-        if (!orgId) return res.status(400).json({ ok: false, error: 'Missing organization ID' });
 
         const { conversationId, text } = req.body;
         if (!conversationId || !text) {
             return res.status(400).json({ ok: false, error: 'conversationId and text are required' });
         }
 
-        const waService = require('./services/waService');
-        const dbMessage = await waService.sendManualMessage(orgId, conversationId, text);
+        const dbMessage = await waSessionManager.sendManualMessage(orgId, conversationId, text);
 
         res.json({ ok: true, message: dbMessage });
     } catch (err) {
         console.error('Error sending message manually:', err);
-        res.status(500).json({ ok: false, error: err.message });
+        // savedMessage: the message was stored as 'failed' and can be retried
+        res.status(500).json({ ok: false, error: err.message, message: err.savedMessage || null });
     }
 });
 
 // POST /api/messages/send-media — send an image or document from the dashboard
-app.post('/api/messages/send-media', requireAuth, mediaUpload.single('file'), async (req, res) => {
+app.post('/api/messages/send-media', requireAuth, requireRole([]), mediaUpload.single('file'), async (req, res) => {
     try {
-        const orgId = getOrgId(req);
-        if (!orgId) return res.status(400).json({ ok: false, error: 'Missing organization ID' });
+        const orgId = req.auth.org_id;
 
         if (!req.file) return res.status(400).json({ ok: false, error: 'No file uploaded or unsupported type' });
 
         const { conversationId, caption = '' } = req.body;
         if (!conversationId) return res.status(400).json({ ok: false, error: 'conversationId is required' });
 
-        const dbMessage = await waService.sendManualMediaMessage(
+        const dbMessage = await waSessionManager.sendManualMediaMessage(
             orgId,
             conversationId,
             req.file.buffer,
@@ -150,6 +187,56 @@ app.post('/api/messages/send-media', requireAuth, mediaUpload.single('file'), as
         res.json({ ok: true, message: dbMessage });
     } catch (err) {
         console.error('❌ Error sending media message:', err);
+        res.status(500).json({ ok: false, error: err.message, message: err.savedMessage || null });
+    }
+});
+
+function feedbackErrorStatus(err) {
+    if (err.message === 'Message not found') return 404;
+    if (err.message === 'Only AI replies can be rated') return 400;
+    if (/^(rating|reason|question|answer) (must|is required)/.test(err.message)) return 400;
+    return 500;
+}
+
+// POST /api/messages/:id/feedback { rating: 'up'|'down'|null, reason?, comment? } — rate an AI reply
+app.post('/api/messages/:id/feedback', requireAuth, requireRole([]), async (req, res) => {
+    try {
+        const { rating = null, reason = null, comment = null } = req.body || {};
+        const feedback = await feedbackService.setFeedback(req.auth.org_id, req.params.id, req.auth.user.id, {
+            rating,
+            reason,
+            comment,
+        });
+        res.json({ ok: true, feedback });
+    } catch (err) {
+        console.error('❌ Error saving answer feedback:', err);
+        res.status(feedbackErrorStatus(err)).json({ ok: false, error: err.message });
+    }
+});
+
+// POST /api/messages/:id/correction { answer, question? } — save the corrected answer as a FAQ KB source
+app.post('/api/messages/:id/correction', requireAuth, requireRole(['admin']), async (req, res) => {
+    try {
+        const { question = null, answer } = req.body || {};
+        const result = await feedbackService.saveCorrectionAsFAQ(req.auth.org_id, req.params.id, req.auth.user.id, {
+            question,
+            answer,
+        });
+        // Embedding runs in the background like any other KB source
+        res.status(202).json({ ok: true, ...result });
+    } catch (err) {
+        console.error('❌ Error saving corrected answer:', err);
+        res.status(feedbackErrorStatus(err)).json({ ok: false, error: err.message });
+    }
+});
+
+// POST /api/messages/:id/retry — resend an outbound message whose delivery failed
+app.post('/api/messages/:id/retry', requireAuth, requireRole([]), async (req, res) => {
+    try {
+        const delivery = await waSessionManager.retryFailedMessage(req.auth.org_id, req.params.id);
+        res.json({ ok: true, message: delivery });
+    } catch (err) {
+        console.error('❌ Error retrying message:', err);
         res.status(500).json({ ok: false, error: err.message });
     }
 });
@@ -190,14 +277,20 @@ app.get('/api/analytics/summary', requireAuth, async (req, res) => {
             { count: outgoingMessages },
             { count: aiMessages },
             { count: humanMessages },
+            { count: faqMessages },
         ] = await Promise.all([
             supabaseAdmin.from('conversations').select('*', { count: 'exact', head: true }).eq('org_id', orgId),
             supabaseAdmin.from('messages').select('*', { count: 'exact', head: true }).eq('org_id', orgId).eq('direction', 'inbound'),
             supabaseAdmin.from('messages').select('*', { count: 'exact', head: true }).eq('org_id', orgId).eq('direction', 'outbound'),
             supabaseAdmin.from('messages').select('*', { count: 'exact', head: true }).eq('org_id', orgId).eq('direction', 'outbound').eq('ai_used', true),
-            supabaseAdmin.from('messages').select('*', { count: 'exact', head: true }).eq('org_id', orgId).eq('direction', 'outbound').eq('ai_used', false),
+            supabaseAdmin.from('messages').select('*', { count: 'exact', head: true }).eq('org_id', orgId).eq('direction', 'outbound').eq('ai_used', false).is('faq_id', null),
+            supabaseAdmin.from('messages').select('*', { count: 'exact', head: true }).eq('org_id', orgId).eq('direction', 'outbound').not('faq_id', 'is', null),
         ]);
 
+        // Resolution times over the last 30 days
+        const resolutionSince = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+        const resolution = await conversationService.getResolutionStats(orgId, resolutionSince);
+
         const totalMessages = (incomingMessages || 0) + (outgoingMessages || 0);
 
         return res.json({
@@ -209,6 +302,13 @@ app.get('/api/analytics/summary', requireAuth, async (req, res) => {
                 totalConversations: totalConversations || 0,
                 aiMessages: aiMessages || 0,
                 humanMessages: humanMessages || 0,
+                faqMessages: faqMessages || 0,
+                openConversations: resolution.open,
+                pendingConversations: resolution.pending,
+                resolvedConversations: resolution.resolved,
+                autoResolvedConversations: resolution.autoResolved,
+                avgResolutionMinutes: resolution.avgResolutionMinutes,
+                medianResolutionMinutes: resolution.medianResolutionMinutes,
             }
         });
     } catch (error) {
@@ -217,6 +317,33 @@ app.get('/api/analytics/summary', requireAuth, async (req, res) => {
     }
 });
 
+// GET /api/analytics/llm-providers - Success rate, latency and failovers per model
+app.get('/api/analytics/llm-providers', requireAuth, requireRole([]), async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 90);
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        const reliability = await getProviderReliability(req.auth.org_id, since);
+        res.json({ ok: true, days, ...reliability });
+    } catch (err) {
+        console.error('Error in GET /api/analytics/llm-providers:', err);
+        res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
+// GET /api/analytics/answer-feedback?days=&limit= - Most-downvoted AI replies and the KB chunks behind them
+app.get('/api/analytics/answer-feedback', requireAuth, requireRole([]), async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        const report = await feedbackService.getDownvoteReport(req.auth.org_id, { since, limit });
+        res.json({ ok: true, days, ...report });
+    } catch (err) {
+        console.error('Error in GET /api/analytics/answer-feedback:', err);
+        res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
 // GET /api/analytics/messages/daily - Get daily message counts for charting
 app.get('/api/analytics/messages/daily', requireAuth, async (req, res) => {
     try {
@@ -303,6 +430,7 @@ app.get('/api/analytics/messages/daily', requireAuth, async (req, res) => {
 });
 
 // GET /api/conversations - Get all conversations for the user's organization
+// Optional ?status=open|pending|resolved (comma-separated for several)
 app.get('/api/conversations', requireAuth, async (req, res) => {
     try {
         const orgId = getOrgId(req);
@@ -332,22 +460,42 @@ app.get('/api/conversations', requireAuth, async (req, res) => {
             return res.status(403).json({ error: 'Access to this organization denied' });
         }
 
+        const statuses = req.query.status ? String(req.query.status).split(',').map(s => s.trim()) : [];
+        const invalidStatus = statuses.find(s => !conversationService.CONVERSATION_STATUSES.includes(s));
+        if (invalidStatus) {
+            return res.status(400).json({ error: `Invalid status "${invalidStatus}"` });
+        }
+
         // Fetch conversations with contact details
-        const { data: conversations, error: convError } = await supabaseAdmin
+        let query = supabaseAdmin
             .from('conversations')
             .select(`
                 id,
                 status,
+                opened_at,
+                resolved_at,
+                auto_resolved,
+                reopen_count,
                 last_message_at,
                 last_message_preview,
                 created_at,
+                bot_paused,
+                assigned_to,
+                handoff_reason,
+                handoff_requested_at,
                 contacts:contact_id (
                     id,
                     wa_number,
                     name
                 )
             `)
-            .eq('org_id', orgId)
+            .eq('org_id', orgId);
+
+        if (statuses.length > 0) {
+            query = query.in('status', statuses);
+        }
+
+        const { data: conversations, error: convError } = await query
             .order('last_message_at', { ascending: false, nullsFirst: false })
             .order('created_at', { ascending: false });
 
@@ -363,6 +511,109 @@ app.get('/api/conversations', requireAuth, async (req, res) => {
     }
 });
 
+// PATCH /api/conversations/:id - Change the conversation status (open, pending, resolved)
+app.patch('/api/conversations/:id', requireAuth, requireRole([]), async (req, res) => {
+    try {
+        const { status } = req.body || {};
+        if (!conversationService.CONVERSATION_STATUSES.includes(status)) {
+            return res.status(400).json({
+                ok: false,
+                error: `status must be one of: ${conversationService.CONVERSATION_STATUSES.join(', ')}`,
+            });
+        }
+
+        const conversation = await conversationService.updateConversationStatus(
+            req.auth.org_id,
+            req.params.id,
+            status,
+            req.auth.user.id
+        );
+        res.json({ ok: true, conversation });
+    } catch (err) {
+        console.error('Error in PATCH /api/conversations/:id:', err);
+        const code = err.message === 'Conversation not found' ? 404 : 500;
+        res.status(code).json({ ok: false, error: err.message });
+    }
+});
+
+// ==================== Human Handoff ====================
+
+// POST /api/conversations/:id/claim - Assign the conversation to the current user and pause the bot
+app.post('/api/conversations/:id/claim', requireAuth, requireRole([]), async (req, res) => {
+    try {
+        const conversation = await handoffService.claimConversation(req.auth.org_id, req.params.id, req.auth.user.id);
+        res.json({ ok: true, conversation });
+    } catch (err) {
+        console.error('Error in POST /api/conversations/:id/claim:', err);
+        res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
+// POST /api/conversations/:id/release - Unassign the conversation (bot stays paused)
+app.post('/api/conversations/:id/release', requireAuth, requireRole([]), async (req, res) => {
+    try {
+        const conversation = await handoffService.releaseConversation(req.auth.org_id, req.params.id);
+        res.json({ ok: true, conversation });
+    } catch (err) {
+        console.error('Error in POST /api/conversations/:id/release:', err);
+        res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
+// POST /api/conversations/:id/resume - Hand the conversation back to the bot
+app.post('/api/conversations/:id/resume', requireAuth, requireRole([]), async (req, res) => {
+    try {
+        const conversation = await handoffService.resumeBot(req.auth.org_id, req.params.id);
+        res.json({ ok: true, conversation });
+    } catch (err) {
+        console.error('Error in POST /api/conversations/:id/resume:', err);
+        res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
+// ==================== Inbound Message Queue ====================
+
+const INBOUND_JOB_STATUSES = new Set(['pending', 'queued', 'processing', 'dead', 'done']);
+
+// GET /api/inbound-jobs?status=pending|dead|... - Queue health: waiting, retrying and dead-lettered jobs
+app.get('/api/inbound-jobs', requireAuth, requireRole(['admin']), async (req, res) => {
+    try {
+        const status = req.query.status || 'pending';
+        if (!INBOUND_JOB_STATUSES.has(status)) {
+            return res.status(400).json({ ok: false, error: 'Invalid status' });
+        }
+
+        const { jobs, counts } = await listInboundJobs(req.auth.org_id, { status });
+        res.json({ ok: true, jobs, counts });
+    } catch (err) {
+        console.error('Error in GET /api/inbound-jobs:', err);
+        res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
+// POST /api/inbound-jobs/:id/retry - Requeue a dead or waiting job now
+app.post('/api/inbound-jobs/:id/retry', requireAuth, requireRole(['admin']), async (req, res) => {
+    try {
+        const job = await retryInboundJob(req.auth.org_id, req.params.id);
+        waSessionManager.getSession(req.auth.org_id)?.queue.drain();
+        res.json({ ok: true, job });
+    } catch (err) {
+        console.error('Error in POST /api/inbound-jobs/:id/retry:', err);
+        res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
+// DELETE /api/inbound-jobs/:id - Drop a dead or waiting job without processing it
+app.delete('/api/inbound-jobs/:id', requireAuth, requireRole(['admin']), async (req, res) => {
+    try {
+        await discardInboundJob(req.auth.org_id, req.params.id);
+        res.json({ ok: true });
+    } catch (err) {
+        console.error('Error in DELETE /api/inbound-jobs/:id:', err);
+        res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
 // GET /api/messages/:conversationId - Get messages for a specific conversation
 app.get('/api/messages/:conversationId', requireAuth, async (req, res) => {
     try {
@@ -415,7 +666,19 @@ app.get('/api/messages/:conversationId', requireAuth, async (req, res) => {
                 sender_type,
                 body,
                 message_type,
+                media_mime_type,
+                media_filename,
+                media_size,
+                media_storage_path,
+                media_metadata,
+                transcript,
+                delivery_status,
+                delivery_status_at,
+                delivery_timeline,
+                delivery_error,
                 ai_used,
+                cited_chunk_ids,
+                faq_id,
                 created_at
             `)
             .eq('conversation_id', conversationId)
@@ -426,7 +689,38 @@ app.get('/api/messages/:conversationId', requireAuth, async (req, res) => {
             return res.status(500).json({ error: 'Failed to fetch messages' });
         }
 
-        return res.json({ ok: true, messages: messages || [] });
+        // KB chunks behind grounded AI replies, so staff can check why the bot said something
+        const citedIds = [...new Set((messages || []).flatMap(m => m.cited_chunk_ids || []))];
+        const citedChunks = new Map();
+        if (citedIds.length > 0) {
+            try {
+                for (const chunk of await kbSourceService.getChunksByIds(orgId, citedIds)) {
+                    citedChunks.set(chunk.id, chunk);
+                }
+            } catch (error) {
+                console.error('⚠️ Could not load cited KB chunks:', error.message);
+            }
+        }
+        const withCitations = (messages || []).map(m => (m.cited_chunk_ids
+            ? {
+                ...m,
+                // Chunks deleted since (source removed or re-indexed) are marked missing
+                cited_chunks: m.cited_chunk_ids.map(id => citedChunks.get(id) || { id, missing: true }),
+            }
+            : m));
+
+        // Staff ratings of the AI replies
+        let feedback = new Map();
+        try {
+            const aiMessageIds = withCitations.filter(m => m.ai_used && m.direction === 'outbound').map(m => m.id);
+            feedback = await feedbackService.getFeedbackSummaries(orgId, aiMessageIds, req.auth.user.id);
+        } catch (error) {
+            console.error('⚠️ Could not load answer feedback:', error.message);
+        }
+        const withFeedback = withCitations.map(m => (feedback.has(m.id) ? { ...m, feedback: feedback.get(m.id) } : m));
+
+        // Signed URLs let the dashboard render/download stored media directly
+        return res.json({ ok: true, messages: await withMediaUrls(withFeedback) });
     } catch (error) {
         console.error('❌ Error in /api/messages:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -579,6 +873,9 @@ app.post('/api/whatsapp-accounts', requireAuth, requireRole(['admin']), async (r
             return res.status(500).json({ error: 'Failed to create WhatsApp account' });
         }
 
+        // Start this org's WhatsApp client so the dashboard can show its QR code
+        await waSessionManager.startSession(orgId);
+
         return res.json({ ok: true, account });
     } catch (error) {
         console.error('❌ Error in POST /api/whatsapp-accounts:', error);
@@ -609,7 +906,8 @@ app.post('/api/whatsapp-accounts/:accountId/disconnect', requireAuth, requireRol
             return res.status(403).json({ error: 'Access denied' });
         }
 
-        // Disconnect account
+        // Stop the org's WhatsApp client and log it out, then mark the account disconnected
+        await waSessionManager.stopSession(accountId, { logout: true });
         const success = await disconnectWhatsAppAccount(accountId);
 
         if (!success) {
@@ -623,7 +921,17 @@ app.post('/api/whatsapp-accounts/:accountId/disconnect', requireAuth, requireRol
     }
 });
 
-// POST /kb/add-text { title, text }
+// Chunking options of a KB upload (JSON body or multipart fields): chunk_strategy, chunk_max_tokens, chunk_overlap_tokens
+// Throws on invalid values
+function kbChunkingFromBody(body = {}) {
+    return normalizeChunkingOptions({
+        strategy: body.chunk_strategy || undefined,
+        maxTokens: body.chunk_max_tokens,
+        overlapTokens: body.chunk_overlap_tokens,
+    });
+}
+
+// POST /kb/add-text { title, text, chunk_strategy?, chunk_max_tokens?, chunk_overlap_tokens? }
 app.post('/kb/add-text', requireAuth, requireRole(['admin']), async (req, res) => {
     try {
         const { title, text } = req.body;
@@ -631,6 +939,13 @@ app.post('/kb/add-text', requireAuth, requireRole(['admin']), async (req, res) =
             return res.status(400).json({ error: 'title and text are required' });
         }
 
+        let chunking;
+        try {
+            chunking = kbChunkingFromBody(req.body);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
         const orgId = getOrgId(req);
         if (!orgId) {
             return res.status(400).json({ error: 'x-org-id header or body is required' });
@@ -659,18 +974,100 @@ app.post('/kb/add-text', requireAuth, requireRole(['admin']), async (req, res) =
         
         const createdBy = req.auth.user.id;
 
-        //convert text kb to chunks and save to pgvector db
-        const addedChunks = await addTextToKB(title, text, orgId, createdBy, 'text');
+        // Chunking and embedding run in the background; progress via GET /api/kb/jobs/:id or kb:job-progress
+        const { sourceId, jobId } = await addTextToKB(title, text, orgId, createdBy, 'text', null, { chunking });
 
-        return res.json({ ok: true, addedChunks });
+        return res.status(202).json({ ok: true, sourceId, jobId });
     } catch (error) {
         console.error('❌ Error in /kb/add-text:', error);
         res.status(500).json({ error: error.message || 'Failed to add knowledge base text' });
     }
 });
 
+// POST /kb/upload
+// Expects: multipart/form-data with field "file" (PDF, DOCX, TXT, CSV, Markdown or HTML), optional "title"
+// and optional chunking fields (chunk_strategy, chunk_max_tokens, chunk_overlap_tokens)
+app.post('/kb/upload', requireAuth, requireRole(['admin']), upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ ok: false, error: 'No file uploaded' });
+        }
+
+        let chunking;
+        try {
+            chunking = kbChunkingFromBody(req.body);
+        } catch (error) {
+            return res.status(400).json({ ok: false, error: error.message });
+        }
+
+        const extractor = getExtractor(req.file.originalname, req.file.mimetype);
+        if (!extractor) {
+            return res.status(400).json({
+                ok: false,
+                error: `Unsupported file type. Supported: ${supportedExtensions().map(e => `.${e}`).join(', ')}`,
+            });
+        }
+
+        const orgId = req.auth.org_id;
+        const title =
+            (req.body && req.body.title && req.body.title.trim()) ||
+            req.file.originalname.replace(/\.[^.]+$/, '') ||
+            'Untitled document';
+
+        console.log(`📄 Received ${extractor.sourceType} file for KB:`, {
+            filename: req.file.originalname,
+            size: req.file.size,
+            title,
+            orgId,
+        });
+
+        let extracted;
+        try {
+            extracted = await extractor.extract(req.file.buffer, { filename: req.file.originalname });
+        } catch (error) {
+            console.error(`❌ Error extracting ${extractor.sourceType} file:`, error);
+            return res.status(400).json({ ok: false, error: `Could not read this ${extractor.sourceType.toUpperCase()} file` });
+        }
+
+        if (!extracted.text) {
+            return res.status(400).json({ ok: false, error: `No extractable text in ${extractor.sourceType.toUpperCase()} file` });
+        }
+
+        const { sourceId, jobId } = await addTextToKB(
+            title,
+            extracted.text,
+            orgId,
+            req.auth.user.id,
+            extractor.sourceType,
+            req.file.originalname,
+            {
+                chunks: extracted.chunks,
+                pages: extracted.pages,
+                layout: extracted.layout,
+                chunking,
+                mimeType: req.file.mimetype,
+                fileSize: req.file.size,
+            }
+        );
+
+        return res.status(202).json({
+            ok: true,
+            title,
+            sourceType: extractor.sourceType,
+            sourceId,
+            jobId,
+            pages: extracted.meta.pages ?? null,
+            rows: extracted.meta.rows ?? null,
+        });
+    } catch (err) {
+        console.error('❌ Error in /kb/upload:', err);
+        return res.status(500).json({ ok: false, error: 'internal_error' });
+    }
+});
+
 // POST /kb/upload-pdf
 // Expects: multipart/form-data with field "file" (PDF) and optional "title"
+// Kept for existing clients; /kb/upload accepts PDFs as well
 app.post('/kb/upload-pdf', requireAuth, requireRole(['admin']), upload.single('file'), async (req, res) => {
     try {
       if (!req.file) {
@@ -729,14 +1126,22 @@ app.post('/kb/upload-pdf', requireAuth, requireRole(['admin']), upload.single('f
       if (!text) {
         return res.status(400).json({ ok: false, error: 'No extractable text in PDF' });
       }
+
+      const pages = (pdfData.pages || [])
+        .map(p => ({ page: p.num, text: (p.text || '').trim() }))
+        .filter(p => p.text);
   
-      // Reuse helper to chunk + embed + save
-      const addedChunks = await addTextToKB(title, text, orgId, createdBy, 'pdf', req.file.originalname);
+      // Reuse helper to queue chunking + embedding
+      const { sourceId, jobId } = await addTextToKB(title, text, orgId, createdBy, 'pdf', req.file.originalname, {
+        pages: pages.length > 0 ? pages : null,
+        layout: 'pdf',
+      });
   
-      return res.json({
+      return res.status(202).json({
         ok: true,
         title,
-        addedChunks,
+        sourceId,
+        jobId,
         pages: pdfData.numpages || pdfData.numPages || null,
       });
     } catch (err) {
@@ -746,13 +1151,180 @@ app.post('/kb/upload-pdf', requireAuth, requireRole(['admin']), upload.single('f
   });  
 
 
-// ==================== BOOK MANAGEMENT ROUTES ====================
+// ==================== KB SOURCE ROUTES ====================
+
+const KB_SOURCE_STATUSES = new Set(['processing', 'ready', 'error']);
 
-app.get('/api/books', requireAuth, async (req, res) => {
+function kbSourceErrorStatus(err) {
+    if (err.message === 'KB source not found') return 404;
+    if (err.message === 'KB job not found') return 404;
+    if (err.message === 'KB source is already being processed') return 409;
+    if (err.message === 'title is required' || err.message === 'No failed chunks to retry') return 400;
+    return 500;
+}
+
+// GET /api/kb/sources?status= - Knowledge base sources with chunk counts and processing status
+app.get('/api/kb/sources', requireAuth, requireRole([]), async (req, res) => {
+    try {
+        const status = req.query.status || null;
+        if (status && !KB_SOURCE_STATUSES.has(status)) {
+            return res.status(400).json({ ok: false, error: 'Invalid status' });
+        }
+
+        const sources = await kbSourceService.listSources(req.auth.org_id, { status });
+        res.json({ ok: true, sources });
+    } catch (err) {
+        console.error('Error in GET /api/kb/sources:', err);
+        res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
+// GET /api/kb/sources/:id - One source
+app.get('/api/kb/sources/:id', requireAuth, requireRole([]), async (req, res) => {
+    try {
+        const source = await kbSourceService.getSource(req.auth.org_id, req.params.id);
+        res.json({ ok: true, source });
+    } catch (err) {
+        console.error('Error in GET /api/kb/sources/:id:', err);
+        res.status(kbSourceErrorStatus(err)).json({ ok: false, error: err.message });
+    }
+});
+
+// GET /api/kb/sources/:id/chunks?limit=&offset= - Chunk texts of a source, in order
+app.get('/api/kb/sources/:id/chunks', requireAuth, requireRole([]), async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        await kbSourceService.getSource(req.auth.org_id, req.params.id);
+        const { chunks, total } = await kbSourceService.listSourceChunks(req.auth.org_id, req.params.id, { limit, offset });
+        res.json({ ok: true, chunks, total, limit, offset });
+    } catch (err) {
+        console.error('Error in GET /api/kb/sources/:id/chunks:', err);
+        res.status(kbSourceErrorStatus(err)).json({ ok: false, error: err.message });
+    }
+});
+
+// PATCH /api/kb/sources/:id { title } - Rename a source
+app.patch('/api/kb/sources/:id', requireAuth, requireRole(['admin']), async (req, res) => {
+    try {
+        const source = await kbSourceService.updateSourceDetails(req.auth.org_id, req.params.id, req.body || {});
+        res.json({ ok: true, source });
+    } catch (err) {
+        console.error('Error in PATCH /api/kb/sources/:id:', err);
+        res.status(kbSourceErrorStatus(err)).json({ ok: false, error: err.message });
+    }
+});
+
+// DELETE /api/kb/sources/:id - Delete a source and all of its chunks
+app.delete('/api/kb/sources/:id', requireAuth, requireRole(['admin']), async (req, res) => {
+    try {
+        await kbSourceService.deleteSource(req.auth.org_id, req.params.id);
+        res.json({ ok: true });
+    } catch (err) {
+        console.error('Error in DELETE /api/kb/sources/:id:', err);
+        res.status(kbSourceErrorStatus(err)).json({ ok: false, error: err.message });
+    }
+});
+
+// POST /api/kb/sources/:id/reindex - Rebuild the source's embeddings in the background
+app.post('/api/kb/sources/:id/reindex', requireAuth, requireRole(['admin']), async (req, res) => {
+    try {
+        const { source, job } = await kbIngestQueue.reindexSource(req.auth.org_id, req.params.id, req.auth.user.id);
+        res.status(202).json({ ok: true, source, jobId: job.id });
+    } catch (err) {
+        console.error('Error in POST /api/kb/sources/:id/reindex:', err);
+        res.status(kbSourceErrorStatus(err)).json({ ok: false, error: err.message });
+    }
+});
+
+// POST /api/kb/sources/:id/retry - Embed the chunks that failed, without uploading the file again
+app.post('/api/kb/sources/:id/retry', requireAuth, requireRole(['admin']), async (req, res) => {
+    try {
+        const { source, job } = await kbIngestQueue.retryFailedChunks(req.auth.org_id, req.params.id, req.auth.user.id);
+        res.status(202).json({ ok: true, source, jobId: job.id });
+    } catch (err) {
+        console.error('Error in POST /api/kb/sources/:id/retry:', err);
+        res.status(kbSourceErrorStatus(err)).json({ ok: false, error: err.message });
+    }
+});
+
+// GET /api/kb/jobs?source_id= - Recent ingestion jobs
+app.get('/api/kb/jobs', requireAuth, requireRole([]), async (req, res) => {
+    try {
+        const jobs = await kbIngestQueue.listIngestJobs(req.auth.org_id, { sourceId: req.query.source_id || null });
+        res.json({ ok: true, jobs });
+    } catch (err) {
+        console.error('Error in GET /api/kb/jobs:', err);
+        res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
+// GET /api/kb/jobs/:id - Ingestion job status and progress
+app.get('/api/kb/jobs/:id', requireAuth, requireRole([]), async (req, res) => {
+    try {
+        const job = await kbIngestQueue.getIngestJob(req.auth.org_id, req.params.id);
+        res.json({ ok: true, job });
+    } catch (err) {
+        console.error('Error in GET /api/kb/jobs/:id:', err);
+        res.status(kbSourceErrorStatus(err)).json({ ok: false, error: err.message });
+    }
+});
+
+// GET /api/kb/embedding - Embedding model in use and the sources embedded with another model (need a re-index)
+app.get('/api/kb/embedding', requireAuth, requireRole([]), async (req, res) => {
+    try {
+        await getEmbeddingDimensions();
+        const { model, compatible, staleSources } = await kbSourceService.getEmbeddingCompatibility(req.auth.org_id);
+        res.json({ ok: true, model, compatible, staleSources });
+    } catch (err) {
+        console.error('Error in GET /api/kb/embedding:', err);
+        res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
+// ==================== PRODUCT CATALOG ROUTES ====================
+
+function productErrorStatus(err) {
+    if (err.message === 'Product not found') return 404;
+    if (/^(name|price|attributes|variants|schema|file|format)\b.* (must|is|needs|clashes|has)/.test(err.message)) return 400;
+    return 500;
+}
+
+app.get('/api/catalog/schema', requireAuth, requireRole([]), async (req, res) => {
+    try {
+        const schema = await catalogService.getCatalogSchema(req.auth.org_id);
+        res.json({ ok: true, schema });
+    } catch (err) {
+        console.error('Error in GET /api/catalog/schema:', err);
+        res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
+app.get('/api/catalog/low-stock', requireAuth, requireRole([]), async (req, res) => {
+    try {
+        const variants = await stockService.getLowStock(req.auth.org_id);
+        res.json({ ok: true, variants });
+    } catch (err) {
+        console.error('Error in GET /api/catalog/low-stock:', err);
+        res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
+app.patch('/api/catalog/schema', requireAuth, requireRole(['admin']), async (req, res) => {
+    try {
+        const schema = await catalogService.setCatalogSchema(req.auth.org_id, req.body?.schema);
+        res.json({ ok: true, schema });
+    } catch (err) {
+        console.error('Error in PATCH /api/catalog/schema:', err);
+        res.status(productErrorStatus(err)).json({ ok: false, error: err.message });
+    }
+});
+
+app.get('/api/products', requireAuth, requireRole([]), async (req, res) => {
     try {
-        const orgId = req.headers['x-org-id'] || req.body?.orgId;
         const { page, limit, search, category } = req.query;
-        const result = await bookService.listBooks(orgId, {
+        const result = await catalogService.listProducts(req.auth.org_id, {
             page: parseInt(page) || 1,
             limit: parseInt(limit) || 20,
             search,
@@ -760,73 +1332,153 @@ app.get('/api/books', requireAuth, async (req, res) => {
         });
         res.json({ ok: true, ...result });
     } catch (err) {
-        console.error('Error in GET /api/books:', err);
+        console.error('Error in GET /api/products:', err);
         res.status(500).json({ ok: false, error: err.message });
     }
 });
 
-app.get('/api/books/categories', requireAuth, async (req, res) => {
+app.get('/api/products/categories', requireAuth, requireRole([]), async (req, res) => {
     try {
-        const orgId = req.headers['x-org-id'] || req.body?.orgId;
-        const categories = await bookService.getCategories(orgId);
+        const categories = await catalogService.getCategories(req.auth.org_id);
         res.json({ ok: true, categories });
     } catch (err) {
-        console.error('Error in GET /api/books/categories:', err);
+        console.error('Error in GET /api/products/categories:', err);
         res.status(500).json({ ok: false, error: err.message });
     }
 });
 
-app.get('/api/books/:id', requireAuth, async (req, res) => {
+// Catalog spreadsheet in the import layout (see catalogImportService)
+app.get('/api/products/export', requireAuth, requireRole(['admin']), async (req, res) => {
     try {
-        const orgId = req.headers['x-org-id'] || req.body?.orgId;
-        const book = await bookService.getBook(orgId, req.params.id);
-        res.json({ ok: true, book });
+        const { filename, contentType, body } = await catalogImportService.exportCatalog(req.auth.org_id, req.query.format || 'csv');
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(body);
     } catch (err) {
-        console.error('Error in GET /api/books/:id:', err);
-        res.status(500).json({ ok: false, error: err.message });
+        console.error('Error in GET /api/products/export:', err);
+        res.status(productErrorStatus(err)).json({ ok: false, error: err.message });
     }
 });
 
-app.post('/api/books', requireAuth, requireRole(['admin']), async (req, res) => {
+// Bulk upsert from a CSV/XLSX file; dryRun (default true) only validates and reports
+app.post('/api/products/import', requireAuth, requireRole(['admin']), upload.single('file'), async (req, res) => {
     try {
-        const orgId = req.headers['x-org-id'] || req.body?.orgId;
-        const book = await bookService.createBook(orgId, req.body);
-        res.json({ ok: true, book });
+        if (!req.file) {
+            return res.status(400).json({ ok: false, error: 'file is required' });
+        }
+        const report = await catalogImportService.importCatalog(
+            req.auth.org_id,
+            { buffer: req.file.buffer, filename: req.file.originalname },
+            { dryRun: req.body?.dryRun !== 'false' }
+        );
+        res.json({ ok: true, ...report });
     } catch (err) {
-        console.error('Error in POST /api/books:', err);
-        res.status(500).json({ ok: false, error: err.message });
+        console.error('Error in POST /api/products/import:', err);
+        res.status(productErrorStatus(err)).json({ ok: false, error: err.message });
     }
 });
 
-app.patch('/api/books/:id', requireAuth, requireRole(['admin']), async (req, res) => {
+app.get('/api/products/:id', requireAuth, requireRole([]), async (req, res) => {
     try {
-        const orgId = req.headers['x-org-id'] || req.body?.orgId;
-        const book = await bookService.updateBook(orgId, req.params.id, req.body);
-        res.json({ ok: true, book });
+        const product = await catalogService.getProduct(req.auth.org_id, req.params.id);
+        res.json({ ok: true, product });
     } catch (err) {
-        console.error('Error in PATCH /api/books/:id:', err);
-        res.status(500).json({ ok: false, error: err.message });
+        console.error('Error in GET /api/products/:id:', err);
+        res.status(productErrorStatus(err)).json({ ok: false, error: err.message });
     }
 });
 
-app.delete('/api/books/:id', requireAuth, requireRole(['admin']), async (req, res) => {
+app.post('/api/products', requireAuth, requireRole(['admin']), async (req, res) => {
     try {
-        const orgId = req.headers['x-org-id'] || req.body?.orgId;
-        await bookService.deleteBook(orgId, req.params.id);
+        const product = await catalogService.createProduct(req.auth.org_id, req.body || {});
+        res.json({ ok: true, product });
+    } catch (err) {
+        console.error('Error in POST /api/products:', err);
+        res.status(productErrorStatus(err)).json({ ok: false, error: err.message });
+    }
+});
+
+app.patch('/api/products/:id', requireAuth, requireRole(['admin']), async (req, res) => {
+    try {
+        const product = await catalogService.updateProduct(req.auth.org_id, req.params.id, req.body || {});
+        res.json({ ok: true, product });
+    } catch (err) {
+        console.error('Error in PATCH /api/products/:id:', err);
+        res.status(productErrorStatus(err)).json({ ok: false, error: err.message });
+    }
+});
+
+app.delete('/api/products/:id', requireAuth, requireRole(['admin']), async (req, res) => {
+    try {
+        await catalogService.deleteProduct(req.auth.org_id, req.params.id);
         res.json({ ok: true });
     } catch (err) {
-        console.error('Error in DELETE /api/books/:id:', err);
+        console.error('Error in DELETE /api/products/:id:', err);
+        res.status(productErrorStatus(err)).json({ ok: false, error: err.message });
+    }
+});
+
+// ==================== CURATED FAQ ROUTES ====================
+
+function faqErrorStatus(err) {
+    if (err.message === 'FAQ not found') return 404;
+    if (/^(question|variants|answer) (must|is required)/.test(err.message)) return 400;
+    return 500;
+}
+
+app.get('/api/faqs', requireAuth, requireRole([]), async (req, res) => {
+    try {
+        const faqs = await faqService.listFaqs(req.auth.org_id);
+        res.json({ ok: true, faqs });
+    } catch (err) {
+        console.error('Error in GET /api/faqs:', err);
         res.status(500).json({ ok: false, error: err.message });
     }
 });
 
+app.post('/api/faqs', requireAuth, requireRole(['admin']), async (req, res) => {
+    try {
+        const faq = await faqService.createFaq(req.auth.org_id, req.auth.user.id, req.body || {});
+        res.json({ ok: true, faq });
+    } catch (err) {
+        console.error('Error in POST /api/faqs:', err);
+        res.status(faqErrorStatus(err)).json({ ok: false, error: err.message });
+    }
+});
+
+app.patch('/api/faqs/:id', requireAuth, requireRole(['admin']), async (req, res) => {
+    try {
+        const faq = await faqService.updateFaq(req.auth.org_id, req.params.id, req.body || {});
+        res.json({ ok: true, faq });
+    } catch (err) {
+        console.error('Error in PATCH /api/faqs/:id:', err);
+        res.status(faqErrorStatus(err)).json({ ok: false, error: err.message });
+    }
+});
+
+app.delete('/api/faqs/:id', requireAuth, requireRole(['admin']), async (req, res) => {
+    try {
+        await faqService.deleteFaq(req.auth.org_id, req.params.id);
+        res.json({ ok: true });
+    } catch (err) {
+        console.error('Error in DELETE /api/faqs/:id:', err);
+        res.status(faqErrorStatus(err)).json({ ok: false, error: err.message });
+    }
+});
+
 // ==================== ORDER MANAGEMENT ROUTES ====================
 
-app.get('/api/orders', requireAuth, async (req, res) => {
+function orderErrorStatus(err) {
+    if (err.message === 'Order not found') return 404;
+    if (/^status must be/.test(err.message)) return 400;
+    if (/^(Cannot change an order|Not enough stock)/.test(err.message)) return 409;
+    return 500;
+}
+
+app.get('/api/orders', requireAuth, requireRole([]), async (req, res) => {
     try {
-        const orgId = req.headers['x-org-id'] || req.body?.orgId;
         const { status, page, limit } = req.query;
-        const result = await orderService.listOrders(orgId, {
+        const result = await orderService.listOrders(req.auth.org_id, {
             status,
             page: parseInt(page) || 1,
             limit: parseInt(limit) || 20,
@@ -838,36 +1490,40 @@ app.get('/api/orders', requireAuth, async (req, res) => {
     }
 });
 
-app.get('/api/orders/:id', requireAuth, async (req, res) => {
+app.get('/api/orders/:id', requireAuth, requireRole([]), async (req, res) => {
     try {
-        const order = await orderService.getOrderById(req.params.id);
+        const order = await orderService.getOrderById(req.auth.org_id, req.params.id);
         res.json({ ok: true, order });
     } catch (err) {
         console.error('Error in GET /api/orders/:id:', err);
-        res.status(500).json({ ok: false, error: err.message });
+        res.status(orderErrorStatus(err)).json({ ok: false, error: err.message });
     }
 });
 
 app.patch('/api/orders/:id/status', requireAuth, requireRole(['admin']), async (req, res) => {
     try {
-        const { status, admin_notes } = req.body;
-        await orderService.updateOrderStatus(req.params.id, status, admin_notes);
+        const { status, admin_notes, reason } = req.body;
+        await orderService.updateOrderStatus(req.auth.org_id, req.params.id, status, {
+            userId: req.auth.user.id,
+            reason,
+            adminNotes: admin_notes,
+        });
         res.json({ ok: true });
     } catch (err) {
         console.error('Error in PATCH /api/orders/:id/status:', err);
-        res.status(500).json({ ok: false, error: err.message });
+        res.status(orderErrorStatus(err)).json({ ok: false, error: err.message });
     }
 });
 
 app.post('/api/orders/:id/approve-receipt', requireAuth, requireRole(['admin']), async (req, res) => {
     try {
-        await orderService.approveReceipt(req.params.id, req.user?.id);
+        await orderService.approveReceipt(req.auth.org_id, req.params.id, req.auth.user.id);
 
         // Auto-notify customer via WhatsApp
         try {
-            const order = await orderService.getOrderById(req.params.id);
+            const order = await orderService.getOrderById(req.auth.org_id, req.params.id);
             if (order?.conversation_id) {
-                await waService.sendManualMessage(
+                await waSessionManager.sendManualMessage(
                     order.org_id,
                     order.conversation_id,
                     `✅ Your payment for order #${order.order_number} has been confirmed! We'll ship your order soon. Thank you for your purchase!`
@@ -880,20 +1536,20 @@ app.post('/api/orders/:id/approve-receipt', requireAuth, requireRole(['admin']),
         res.json({ ok: true });
     } catch (err) {
         console.error('Error in POST /api/orders/:id/approve-receipt:', err);
-        res.status(500).json({ ok: false, error: err.message });
+        res.status(orderErrorStatus(err)).json({ ok: false, error: err.message });
     }
 });
 
 app.post('/api/orders/:id/reject-receipt', requireAuth, requireRole(['admin']), async (req, res) => {
     try {
         const { notes } = req.body;
-        await orderService.rejectReceipt(req.params.id, req.user?.id, notes);
+        await orderService.rejectReceipt(req.auth.org_id, req.params.id, req.auth.user.id, notes);
 
         // Auto-notify customer via WhatsApp
         try {
-            const order = await orderService.getOrderById(req.params.id);
+            const order = await orderService.getOrderById(req.auth.org_id, req.params.id);
             if (order?.conversation_id) {
-                await waService.sendManualMessage(
+                await waSessionManager.sendManualMessage(
                     order.org_id,
                     order.conversation_id,
                     `We couldn't verify the payment receipt for order #${order.order_number}. Please send a clearer photo of your bank transfer receipt, or contact us for help.`
@@ -906,16 +1562,18 @@ app.post('/api/orders/:id/reject-receipt', requireAuth, requireRole(['admin']),
         res.json({ ok: true });
     } catch (err) {
         console.error('Error in POST /api/orders/:id/reject-receipt:', err);
-        res.status(500).json({ ok: false, error: err.message });
+        res.status(orderErrorStatus(err)).json({ ok: false, error: err.message });
     }
 });
 
-app.get('/api/orders/:id/receipt', requireAuth, async (req, res) => {
+// The image is loaded by URL (?download=true&token=...&org_id=...), so the org comes as a query parameter
+app.get('/api/orders/:id/receipt', requireAuth, requireRole([]), async (req, res) => {
     try {
         const { data: receipt } = await supabaseAdmin
             .from('payment_receipts')
-            .select('id, media_type, media_mime_type, media_data, status, created_at, notes')
+            .select('id, media_type, media_mime_type, media_data, status, created_at, notes, orders!inner(org_id)')
             .eq('order_id', req.params.id)
+            .eq('orders.org_id', req.auth.org_id)
             .order('created_at', { ascending: false })
             .limit(1)
             .single();
@@ -930,7 +1588,7 @@ app.get('/api/orders/:id/receipt', requireAuth, async (req, res) => {
             return res.send(Buffer.from(receipt.media_data));
         }
 
-        const { media_data, ...meta } = receipt;
+        const { media_data, orders: _order, ...meta } = receipt;
         meta.has_media = !!media_data;
         res.json({ ok: true, receipt: meta });
     } catch (err) {
@@ -944,11 +1602,173 @@ app.get('/api/orders/:id/receipt', requireAuth, async (req, res) => {
 app.patch('/api/settings/agent', requireAuth, requireRole(['admin']), async (req, res) => {
     try {
         const orgId = req.headers['x-org-id'] || req.body?.orgId;
-        const { agent_mode, bank_transfer_details } = req.body;
+        const { agent_mode, bank_transfer_details, reply_quiet_window_seconds, auto_resolve_after_hours } = req.body;
+        const {
+            llm_provider,
+            llm_model,
+            llm_api_key,
+            llm_base_url,
+            llm_temperature,
+            llm_max_tokens,
+            llm_fallbacks,
+            llm_fallback_action,
+            llm_fallback_message,
+        } = req.body;
+        const { kb_min_score, kb_rerank_enabled } = req.body;
+        const { kb_strict_grounding, kb_grounding_min_score, kb_grounding_action, kb_grounding_message } = req.body;
+        const { faq_min_score } = req.body;
+        const { stock_reservation_hours, low_stock_threshold } = req.body;
 
         const updates = {};
         if (agent_mode) updates.agent_mode = agent_mode;
         if (bank_transfer_details !== undefined) updates.bank_transfer_details = bank_transfer_details;
+        if (reply_quiet_window_seconds !== undefined) {
+            const seconds = Number(reply_quiet_window_seconds);
+            if (!Number.isInteger(seconds) || seconds < 0 || seconds > 60) {
+                return res.status(400).json({ ok: false, error: 'reply_quiet_window_seconds must be a whole number between 0 and 60' });
+            }
+            updates.reply_quiet_window_seconds = seconds;
+        }
+        if (auto_resolve_after_hours !== undefined) {
+            const hours = Number(auto_resolve_after_hours);
+            if (!Number.isInteger(hours) || hours < 0 || hours > 720) {
+                return res.status(400).json({ ok: false, error: 'auto_resolve_after_hours must be a whole number between 0 and 720' });
+            }
+            updates.auto_resolve_after_hours = hours;
+        }
+        if (stock_reservation_hours !== undefined) {
+            const hours = Number(stock_reservation_hours);
+            if (!Number.isInteger(hours) || hours < 1 || hours > 720) {
+                return res.status(400).json({ ok: false, error: 'stock_reservation_hours must be a whole number between 1 and 720' });
+            }
+            updates.stock_reservation_hours = hours;
+        }
+        if (low_stock_threshold !== undefined) {
+            const threshold = Number(low_stock_threshold);
+            if (!Number.isInteger(threshold) || threshold < 0 || threshold > 100000) {
+                return res.status(400).json({ ok: false, error: 'low_stock_threshold must be a whole number between 0 and 100000' });
+            }
+            updates.low_stock_threshold = threshold;
+        }
+
+        // LLM provider settings
+        if (llm_provider !== undefined) {
+            if (!listProviders().some(p => p.id === llm_provider)) {
+                return res.status(400).json({ ok: false, error: `Unknown llm_provider "${llm_provider}"` });
+            }
+            updates.llm_provider = llm_provider;
+        }
+        if (llm_model !== undefined) {
+            updates.llm_model = String(llm_model || '').trim().slice(0, 200) || null;
+        }
+        if (llm_api_key !== undefined) {
+            // Empty string clears the key (falls back to the server default)
+            updates.llm_api_key_encrypted = llm_api_key ? encryptSecret(String(llm_api_key).trim()) : null;
+        }
+        if (llm_base_url !== undefined) {
+            const baseUrl = String(llm_base_url || '').trim();
+            if (baseUrl && !/^https?:\/\/\S+$/.test(baseUrl)) {
+                return res.status(400).json({ ok: false, error: 'llm_base_url must be an http(s) URL' });
+            }
+            updates.llm_base_url = baseUrl || null;
+        }
+        if (llm_temperature !== undefined) {
+            const temperature = Number(llm_temperature);
+            if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) {
+                return res.status(400).json({ ok: false, error: 'llm_temperature must be between 0 and 2' });
+            }
+            updates.llm_temperature = temperature;
+        }
+        if (llm_max_tokens !== undefined) {
+            const maxTokens = Number(llm_max_tokens);
+            if (!Number.isInteger(maxTokens) || maxTokens < 16 || maxTokens > 8192) {
+                return res.status(400).json({ ok: false, error: 'llm_max_tokens must be a whole number between 16 and 8192' });
+            }
+            updates.llm_max_tokens = maxTokens;
+        }
+        if (llm_fallbacks !== undefined) {
+            if (!Array.isArray(llm_fallbacks) || llm_fallbacks.length > 5) {
+                return res.status(400).json({ ok: false, error: 'llm_fallbacks must be a list of at most 5 models' });
+            }
+            const providerIds = listProviders().map(p => p.id);
+            const invalid = llm_fallbacks.find(f => !f || !providerIds.includes(f.provider));
+            if (invalid) {
+                return res.status(400).json({ ok: false, error: `Unknown fallback provider "${invalid?.provider}"` });
+            }
+
+            // Keys are write-only: keep a saved key unless a new one is sent or it is cleared with ''
+            const { data: current } = await supabaseAdmin
+                .from('organizations')
+                .select('llm_fallbacks')
+                .eq('id', orgId)
+                .single();
+            const previous = current?.llm_fallbacks || [];
+
+            updates.llm_fallbacks = llm_fallbacks.map(f => {
+                const model = String(f.model || '').trim().slice(0, 200) || null;
+                const baseUrl = String(f.base_url || '').trim() || null;
+                const saved = previous.find(p => p.provider === f.provider && p.model === model && p.base_url === baseUrl);
+                return {
+                    provider: f.provider,
+                    model,
+                    base_url: baseUrl,
+                    api_key_encrypted: f.api_key === undefined
+                        ? saved?.api_key_encrypted || null
+                        : f.api_key ? encryptSecret(String(f.api_key).trim()) : null,
+                };
+            });
+        }
+        if (llm_fallback_action !== undefined) {
+            if (!['message', 'handoff'].includes(llm_fallback_action)) {
+                return res.status(400).json({ ok: false, error: 'llm_fallback_action must be "message" or "handoff"' });
+            }
+            updates.llm_fallback_action = llm_fallback_action;
+        }
+        if (llm_fallback_message !== undefined) {
+            updates.llm_fallback_message = String(llm_fallback_message || '').trim().slice(0, 1000) || null;
+        }
+
+        // Knowledge base retrieval settings
+        if (kb_min_score !== undefined) {
+            const score = Number(kb_min_score);
+            if (!Number.isFinite(score) || score < 0 || score > 1) {
+                return res.status(400).json({ ok: false, error: 'kb_min_score must be between 0 and 1' });
+            }
+            updates.kb_min_score = score;
+        }
+        if (kb_rerank_enabled !== undefined) {
+            updates.kb_rerank_enabled = Boolean(kb_rerank_enabled);
+        }
+
+        // Strict grounding: answer only from cited KB chunks, otherwise decline or hand off
+        if (kb_strict_grounding !== undefined) {
+            updates.kb_strict_grounding = Boolean(kb_strict_grounding);
+        }
+        if (kb_grounding_min_score !== undefined) {
+            const score = Number(kb_grounding_min_score);
+            if (!Number.isFinite(score) || score < 0 || score > 1) {
+                return res.status(400).json({ ok: false, error: 'kb_grounding_min_score must be between 0 and 1' });
+            }
+            updates.kb_grounding_min_score = score;
+        }
+        if (kb_grounding_action !== undefined) {
+            if (!['decline', 'handoff'].includes(kb_grounding_action)) {
+                return res.status(400).json({ ok: false, error: "kb_grounding_action must be 'decline' or 'handoff'" });
+            }
+            updates.kb_grounding_action = kb_grounding_action;
+        }
+        if (kb_grounding_message !== undefined) {
+            updates.kb_grounding_message = String(kb_grounding_message || '').trim().slice(0, 1000) || null;
+        }
+
+        // Curated FAQs: how close a message must be to an FAQ question to get its answer verbatim
+        if (faq_min_score !== undefined) {
+            const score = Number(faq_min_score);
+            if (!Number.isFinite(score) || score < 0 || score > 1) {
+                return res.status(400).json({ ok: false, error: 'faq_min_score must be between 0 and 1' });
+            }
+            updates.faq_min_score = score;
+        }
 
         const { error } = await supabaseAdmin
             .from('organizations')
@@ -956,6 +1776,14 @@ app.patch('/api/settings/agent', requireAuth, requireRole(['admin']), async (req
             .eq('id', orgId);
 
         if (error) throw error;
+
+        // Apply to the running session without a restart
+        if (updates.reply_quiet_window_seconds !== undefined) {
+            waSessionManager.getSession(orgId)?.setQuietWindow(updates.reply_quiet_window_seconds);
+        }
+        invalidateOrgLLMConfig(orgId);
+        invalidateOrgRetrievalConfig(orgId);
+
         res.json({ ok: true });
     } catch (err) {
         console.error('Error in PATCH /api/settings/agent:', err);
@@ -963,33 +1791,192 @@ app.patch('/api/settings/agent', requireAuth, requireRole(['admin']), async (req
     }
 });
 
-app.get('/api/settings/agent', requireAuth, async (req, res) => {
+app.get('/api/settings/agent', requireAuth, requireRole([]), async (req, res) => {
     try {
-        const orgId = req.headers['x-org-id'] || req.body?.orgId;
+        const orgId = req.auth.org_id;
         const { data, error } = await supabaseAdmin
             .from('organizations')
-            .select('agent_mode, bank_transfer_details')
+            .select(`
+                agent_mode,
+                bank_transfer_details,
+                reply_quiet_window_seconds,
+                auto_resolve_after_hours,
+                stock_reservation_hours,
+                low_stock_threshold,
+                llm_provider,
+                llm_model,
+                llm_api_key_encrypted,
+                llm_base_url,
+                llm_temperature,
+                llm_max_tokens,
+                llm_system_prompt,
+                llm_fallbacks,
+                llm_fallback_action,
+                llm_fallback_message,
+                kb_min_score,
+                kb_rerank_enabled,
+                kb_strict_grounding,
+                kb_grounding_min_score,
+                kb_grounding_action,
+                kb_grounding_message,
+                faq_min_score
+            `)
             .eq('id', orgId)
             .single();
 
         if (error) throw error;
-        res.json({ ok: true, ...data });
+
+        // The key itself never leaves the server
+        const { llm_api_key_encrypted, llm_fallbacks, ...settings } = data;
+
+        // Members (catalog, chat tester) get the rest; the LLM setup is the admins'
+        if (req.auth.role !== 'admin') {
+            const memberSettings = Object.fromEntries(Object.entries(settings).filter(([key]) => !key.startsWith('llm_')));
+            return res.json({ ok: true, ...memberSettings, kb_rerank_available: isRerankAvailable() });
+        }
+
+        res.json({
+            ok: true,
+            ...settings,
+            llm_api_key_hint: maskSecret(decryptSecret(llm_api_key_encrypted)),
+            llm_fallbacks: (llm_fallbacks || []).map(({ api_key_encrypted, ...f }) => ({
+                ...f,
+                api_key_hint: maskSecret(decryptSecret(api_key_encrypted)),
+            })),
+            llm_providers: listProviders(),
+            kb_rerank_available: isRerankAvailable(),
+        });
     } catch (err) {
         console.error('Error in GET /api/settings/agent:', err);
         res.status(500).json({ ok: false, error: err.message });
     }
 });
 
+// ==================== PROMPT ROUTES ====================
+// The org's system prompt is versioned; llm_system_prompt is set by publishing a version
+
+function promptErrorStatus(err) {
+    if (err.message === 'Prompt version not found') return 404;
+    if (/^(content|variables) (must|is required)/.test(err.message)) return 400;
+    return 500;
+}
+
+// GET /api/prompts - versions (newest first), the published one and the prompt variables
+app.get('/api/prompts', requireAuth, requireRole(['admin']), async (req, res) => {
+    try {
+        const [{ versions, publishedVersionId, defaultPrompt }, { variables }] = await Promise.all([
+            promptService.listPromptVersions(req.auth.org_id),
+            promptService.getPromptVariables(req.auth.org_id),
+        ]);
+        res.json({ ok: true, versions, publishedVersionId, defaultPrompt, variables });
+    } catch (err) {
+        console.error('Error in GET /api/prompts:', err);
+        res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
+// POST /api/prompts { content, note?, publish? } - save the next version, optionally publishing it
+app.post('/api/prompts', requireAuth, requireRole(['admin']), async (req, res) => {
+    try {
+        const { content, note = null, publish = false } = req.body || {};
+        let version = await promptService.createPromptVersion(req.auth.org_id, req.auth.user.id, { content, note });
+        if (publish) {
+            version = await promptService.publishPromptVersion(req.auth.org_id, version.id);
+            invalidateOrgLLMConfig(req.auth.org_id);
+        }
+        res.json({ ok: true, version });
+    } catch (err) {
+        console.error('Error in POST /api/prompts:', err);
+        res.status(promptErrorStatus(err)).json({ ok: false, error: err.message });
+    }
+});
+
+// POST /api/prompts/preview { content } - the prompt with its variables filled in
+app.post('/api/prompts/preview', requireAuth, requireRole(['admin']), async (req, res) => {
+    try {
+        const preview = await promptService.previewPrompt(req.auth.org_id, req.body?.content || '');
+        res.json({ ok: true, ...preview });
+    } catch (err) {
+        console.error('Error in POST /api/prompts/preview:', err);
+        res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
+// PATCH /api/prompts/variables { variables: { name: value } } - replace the prompt variables
+app.patch('/api/prompts/variables', requireAuth, requireRole(['admin']), async (req, res) => {
+    try {
+        const { variables } = await promptService.setPromptVariables(req.auth.org_id, req.body?.variables);
+        invalidateOrgLLMConfig(req.auth.org_id);
+        res.json({ ok: true, variables });
+    } catch (err) {
+        console.error('Error in PATCH /api/prompts/variables:', err);
+        res.status(promptErrorStatus(err)).json({ ok: false, error: err.message });
+    }
+});
+
+// POST /api/prompts/:id/publish - make a version live (also how to roll back)
+app.post('/api/prompts/:id/publish', requireAuth, requireRole(['admin']), async (req, res) => {
+    try {
+        const version = await promptService.publishPromptVersion(req.auth.org_id, req.params.id);
+        invalidateOrgLLMConfig(req.auth.org_id);
+        res.json({ ok: true, version });
+    } catch (err) {
+        console.error('Error in POST /api/prompts/:id/publish:', err);
+        res.status(promptErrorStatus(err)).json({ ok: false, error: err.message });
+    }
+});
+
+// GET /api/prompts/:id/diff?against=<versionId> - line diff, against the previous version by default
+app.get('/api/prompts/:id/diff', requireAuth, requireRole(['admin']), async (req, res) => {
+    try {
+        const diff = await promptService.diffPromptVersions(req.auth.org_id, req.params.id, req.query.against || null);
+        res.json({ ok: true, ...diff });
+    } catch (err) {
+        console.error('Error in GET /api/prompts/:id/diff:', err);
+        res.status(promptErrorStatus(err)).json({ ok: false, error: err.message });
+    }
+});
+
 // ==================== CHAT TESTER ROUTE ====================
 
-app.post('/api/chat-test', requireAuth, async (req, res) => {
+app.post('/api/chat-test', requireAuth, requireRole([]), async (req, res) => {
     try {
-        const orgId = req.headers['x-org-id'] || req.body?.orgId;
-        const { message, history } = req.body;
+        const orgId = req.auth.org_id;
+        const { message, history, promptVersionId, promptDraft } = req.body;
 
         if (!message) {
             return res.status(400).json({ ok: false, error: 'message is required' });
         }
+        // Unpublished prompts are an admin's to see, like the prompt editor
+        if ((promptVersionId || promptDraft) && req.auth.role !== 'admin') {
+            return res.status(403).json({ ok: false, error: 'Only admins can test unpublished prompts' });
+        }
+
+        // Test an unpublished prompt: a saved version or unsaved editor text
+        let systemPrompt = null;
+        if (promptVersionId || promptDraft) {
+            const content = promptVersionId
+                ? (await promptService.getPromptVersion(orgId, promptVersionId)).content
+                : promptDraft;
+            ({ rendered: systemPrompt } = await promptService.previewPrompt(orgId, content));
+        }
+
+        // Curated FAQs answer first in both modes, like on WhatsApp
+        const faqMatch = await faqService.matchFaq(orgId, message);
+        if (faqMatch) {
+            return res.json({
+                ok: true,
+                mode: 'faq',
+                reply: faqMatch.faq.answer,
+                faq: {
+                    id: faqMatch.faq.id,
+                    question: faqMatch.faq.question,
+                    matchedQuestion: faqMatch.question,
+                    similarity: faqMatch.similarity,
+                },
+                toolLogs: [],
+            });
+        }
 
         const { data: orgConfig } = await supabaseAdmin
             .from('organizations')
@@ -1003,30 +1990,65 @@ app.post('/api/chat-test', requireAuth, async (req, res) => {
                 userMessage: message,
                 toolContext: { orgId, contactId: null, conversationId: null },
                 returnToolLogs: true,
+                systemPrompt,
             });
             return res.json({
                 ok: true,
                 mode: 'ordering_agent',
                 reply: result.reply,
+                citedChunkIds: result.citedChunkIds,
                 toolLogs: result.toolLogs,
             });
         }
 
-        // KB-only mode
-        const kbMatches = await searchKB(message, { topK: 3, orgId });
-        const reply = await generateAIReply({ userMessage: message, kbMatches });
+        // KB-only mode — same memory and query condensing as the WhatsApp bot
+        const priorTurns = [...(history || [])];
+        while (priorTurns.length > 0 && priorTurns[priorTurns.length - 1].role === 'user') {
+            priorTurns.pop();
+        }
+        const memory = await buildMemoryFromHistory(priorTurns, orgId);
+        const searchQuery = await condenseQuery({ orgId, userMessage: message, ...memory });
+
+        const kbMatches = await searchKB(searchQuery, { topK: 3, orgId });
+        const { reply, citedChunkIds, declined } = await generateGroundedReply({
+            orgId,
+            userMessage: message,
+            kbMatches,
+            ...memory,
+            systemPrompt,
+        });
         return res.json({
             ok: true,
             mode: 'kb_only',
             reply,
+            searchQuery,
+            memorySummary: memory.summary,
+            citedChunkIds,
+            declined,
             kbMatches: kbMatches.map(m => ({
+                id: m.id,
                 title: m.title,
+                section: m.metadata?.section || null,
+                page: m.metadata?.page ?? null,
                 score: m.score,
+                matched_by: m.matched_by,
                 text: m.text?.substring(0, 200),
             })),
             toolLogs: [],
         });
     } catch (err) {
+        // Show what a customer would get when every model fails
+        if (isLLMUnavailable(err)) {
+            const { fallbackMessage, fallbackAction } = await getOrgLLMConfig(req.headers['x-org-id'] || req.body?.orgId);
+            return res.json({
+                ok: true,
+                mode: 'fallback',
+                reply: fallbackMessage,
+                fallbackAction,
+                error: err.message,
+                toolLogs: [],
+            });
+        }
         console.error('Error in POST /api/chat-test:', err);
         res.status(500).json({ ok: false, error: err.message });
     }
@@ -1043,8 +2065,8 @@ initSocket(server, process.env.CORS_ORIGIN?.split(",").map(s => s.trim()) || "*"
 
 // -------------------- WhatsApp service setup --------------------
 
-// Initialize WhatsApp service with dependencies
-waService.init(setWaState, searchKB, generateAIReply);
+// Initialize WhatsApp session manager with dependencies shared by every org's session
+waSessionManager.init(setWaState, searchKB, generateGroundedReply);
 
 // -------------------- Start everything --------------------
 
@@ -1063,15 +2085,20 @@ process.on('uncaughtException', (error) => {
     throw error;
 });
 
-// Initialize WhatsApp client with error handling
+// Start one WhatsApp client per organization that has WhatsApp enabled
 (async () => {
-    // Load organization and account context from database
-    await waService.loadContext();
-    
-    // Initialize WhatsApp client
-    await waService.initialize();
+    await waSessionManager.startAll();
 })();
 
+// Resolve idle conversations per org's auto_resolve_after_hours
+conversationService.startAutoResolveSweeper();
+
+// Release the stock of orders left unpaid past their reservation
+stockService.startReservationSweeper();
+
+// Chunk and embed KB uploads in the background (resumes jobs interrupted by a restart)
+kbIngestQueue.startKbIngestWorker();
+
 // Use server.listen() instead of app.listen() to ensure socket.io and Express share the same HTTP server
 server.listen(PORT, () => {
     console.log(`🚀 Server listening on http://localhost:${PORT}`);
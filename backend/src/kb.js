@@ -1,38 +1,29 @@
 // kb.js
-const { embedText } = require('./ai');
 const { supabaseAdmin } = require('./auth/supabase');
-const { getWhatsAppAccountById } = require('./services/whatsappAccountService');
-
-// Simple text chunking: split into ~800-char blocks
-function chunkText(text, maxLen = 800) {
-    const sentences = text.split(/(?<=[\.!\?])\s+/);
-    const chunks = [];
-    let current = '';
-
-    for (const s of sentences) {
-        if ((current + ' ' + s).length > maxLen) {
-            if (current.trim()) chunks.push(current.trim());
-            current = s;
-        } else {
-            current += ' ' + s;
-        }
-    }
-    if (current.trim()) chunks.push(current.trim());
-    return chunks;
-}
+const { chunkText, normalizeChunkingOptions } = require('./chunker');
+const { enqueueIngestJob } = require('./services/kbIngestQueue');
 
 /**
- * Add text to knowledge base by saving to Supabase tables
+ * Add text to the knowledge base
+ * Creates the kb_sources row ('processing') and queues an ingestion job;
+ * chunking and embedding run in the background (see services/kbIngestQueue).
+ *
  * @param {string} title - Title of the knowledge base source
  * @param {string} text - Text content to chunk and embed
- * @param {string} waAccountId - WhatsApp account ID
- * @param {string} orgId - Organization ID (optional, will be fetched if not provided)
+ * @param {string} orgId - Organization ID
  * @param {string} createdBy - User ID who created this (optional)
- * @param {string} sourceType - Type of source ('text' or 'pdf', default: 'text')
+ * @param {string} sourceType - Type of source ('text', 'pdf', 'docx', 'txt', 'csv', 'markdown', 'html'; default: 'text')
  * @param {string} originalFilename - Original filename if from file upload (optional)
- * @returns {Promise<number>} Number of chunks added
+ * @param {object} options
+ * @param {Array<{ text: string, metadata: object }>} options.chunks - Pre-split chunks (e.g. CSV rows); skips chunking
+ * @param {Array<{ page: number, text: string }>} options.pages - Per-page text, so chunks record their page (optional)
+ * @param {string} options.layout - 'pdf' for hard-wrapped text without heading markers (optional)
+ * @param {object} options.chunking - { strategy, maxTokens, overlapTokens } (optional, see chunker.js)
+ * @param {string} options.mimeType - MIME type of the uploaded file (optional)
+ * @param {number} options.fileSize - Size of the uploaded file in bytes (optional)
+ * @returns {Promise<{ sourceId: string, jobId: string }>}
  */
-async function addTextToKB(title, text, orgId, createdBy = null, sourceType = 'text', originalFilename = null) {
+async function addTextToKB(title, text, orgId, createdBy = null, sourceType = 'text', originalFilename = null, options = {}) {
     if (!supabaseAdmin) {
         throw new Error('Supabase admin client not configured');
     }
@@ -41,8 +32,8 @@ async function addTextToKB(title, text, orgId, createdBy = null, sourceType = 't
         throw new Error('org_id is required.');
     }
 
-    const chunks = chunkText(text);
-    let added = 0;
+    // Pre-split chunks keep the format's own structure
+    const chunking = options.chunks ? null : normalizeChunkingOptions(options.chunking || {});
 
     // Create kb_source record
     const { data: source, error: sourceError } = await supabaseAdmin
@@ -52,6 +43,9 @@ async function addTextToKB(title, text, orgId, createdBy = null, sourceType = 't
             title,
             source_type: sourceType,
             original_filename: originalFilename || null,
+            mime_type: options.mimeType || null,
+            file_size: options.fileSize || null,
+            chunking,
             status: 'processing',
             chunk_count: 0,
             created_by: createdBy || null,
@@ -66,90 +60,21 @@ async function addTextToKB(title, text, orgId, createdBy = null, sourceType = 't
 
     console.log(`📚 Created KB source: ${source.id} for "${title}"`);
 
-    // Process chunks and create embeddings
-    const chunkRecords = [];
-    for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i];
-        if (!chunk.trim()) continue;
-
-        try {
-            const embedding = await embedText(chunk); // calls Gemini embeddings
-
-            if (!embedding || embedding.length === 0) {
-                console.warn(`⚠️ Failed to generate embedding for chunk ${i + 1}, skipping`);
-                continue;
-            }
-
-            chunkRecords.push({
-                org_id: orgId,
-                source_id: source.id,
-                chunk_index: i,
-                text: chunk,
-                embedding: embedding, // Pass as array - Supabase will handle vector conversion
-                metadata: {},
-            });
-
-            added++;
-        } catch (error) {
-            console.error(`❌ Error processing chunk ${i + 1}:`, error);
-            // Continue with other chunks even if one fails
-        }
-    }
-
-    // Insert all chunks in batch
-    if (chunkRecords.length > 0) {
-        // Insert chunks - Supabase will handle vector type conversion from array
-        const { data: insertedChunks, error: batchError } = await supabaseAdmin
-            .from('kb_chunks')
-            .insert(chunkRecords)
-            .select();
-
-        if (batchError) {
-            console.error('❌ Error inserting chunks in batch:', batchError);
-            // Fallback: try inserting one by one
-            let insertedCount = 0;
-            for (const chunkRecord of chunkRecords) {
-                try {
-                    const { error: chunkError } = await supabaseAdmin
-                        .from('kb_chunks')
-                        .insert(chunkRecord);
-
-                    if (chunkError) {
-                        console.error(`❌ Error inserting chunk ${chunkRecord.chunk_index}:`, chunkError);
-                    } else {
-                        insertedCount++;
-                    }
-                } catch (error) {
-                    console.error(`❌ Error inserting chunk ${chunkRecord.chunk_index}:`, error);
-                }
-            }
-            added = insertedCount;
-        } else {
-            added = insertedChunks ? insertedChunks.length : 0;
-        }
-
-        // Update source with final chunk count
-        await supabaseAdmin
-            .from('kb_sources')
-            .update({
-                chunk_count: added,
-                status: added > 0 ? 'ready' : 'error',
-            })
-            .eq('id', source.id);
-
-        console.log(`✅ Added ${added} chunks to KB source: ${source.id}`);
-        return added;
-    } else {
-        // No chunks were successfully processed
-        await supabaseAdmin
-            .from('kb_sources')
-            .update({
-                status: 'error',
-            })
-            .eq('id', source.id);
-
-        return 0;
-    }
+    const job = await enqueueIngestJob({
+        orgId,
+        sourceId: source.id,
+        kind: 'ingest',
+        input: {
+            text,
+            pages: options.pages || null,
+            layout: options.layout || null,
+            chunking,
+            chunks: options.chunks || null,
+        },
+        createdBy,
+    });
+
+    return { sourceId: source.id, jobId: job.id };
 }
 
 module.exports = {
@@ -1,6 +1,8 @@
-const { embedText } = require('./ai');
 const { supabaseAdmin } = require('./auth/supabase');
 const { getWhatsAppAccountById } = require('./services/whatsappAccountService');
+const { isRerankAvailable, rerank } = require('./services/rerankService');
+const { getEmbeddingModel, embedQuery } = require('./services/embeddingService');
+const { getEmbeddingCompatibility } = require('./services/kbSourceService');
 
 // Cosine similarity calculation (fallback if vector search not available)
 function cosineSim(a, b) {
@@ -20,15 +22,299 @@ function cosineSim(a, b) {
 }
 
 /**
- * Search knowledge base using Supabase pgvector similarity search
+ * Hybrid KB retrieval
+ *
+ * Two retrievers run side by side:
+ * - vector:  pgvector cosine similarity (search_kb_chunks), good for paraphrases
+ * - keyword: Postgres full-text search (search_kb_chunks_keyword), good for exact
+ *            terms embeddings blur: ISBNs, phone numbers, product codes, names
+ * Their rankings are merged with reciprocal rank fusion (score = Σ 1 / (RRF_K + rank)),
+ * then optionally reordered by a cross-encoder (services/rerankService).
+ *
+ * Per-org settings (organizations): kb_min_score drops results whose relevance
+ * (rerank score, or cosine similarity without reranking) is below it;
+ * a keyword hit containing an identifier from the query (SKU, ISBN, order code)
+ * scores 1, since embeddings can't tell such codes apart;
+ * kb_rerank_enabled turns on reranking when KB_RERANK_URL is configured.
+ * The kb_grounding_* settings are read here too but applied to the reply
+ * (services/groundingService), and faq_min_score to curated FAQ matching (services/faqService).
+ *
+ * The query is only compared with chunks embedded by the same model
+ * (services/embeddingService). Sources embedded with another model are
+ * detected before searching, logged, and matched by keyword only.
+ */
+
+const RRF_K = 60;
+const MIN_IDENTIFIER_LENGTH = 4;
+const EXACT_MATCH_SCORE = 1;
+const CONFIG_CACHE_TTL_MS = 30 * 1000;
+const COMPATIBILITY_CACHE_TTL_MS = 60 * 1000;
+const DEFAULT_GROUNDING_MIN_SCORE = 0.6;
+const DEFAULT_FAQ_MIN_SCORE = 0.85;
+
+const retrievalConfigCache = new Map();
+const compatibilityCache = new Map();
+
+/**
+ * Retrieval settings of an organization (cached for CONFIG_CACHE_TTL_MS)
+ * @param {string} orgId - Organization UUID
+ * @returns {Promise<{
+ *   minScore: number,
+ *   rerank: boolean,
+ *   grounding: { strict: boolean, minScore: number, action: 'decline'|'handoff', message: string|null },
+ *   faqMinScore: number
+ * }>}
+ */
+async function getOrgRetrievalConfig(orgId) {
+  const cached = retrievalConfigCache.get(orgId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.config;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('organizations')
+    .select('kb_min_score, kb_rerank_enabled, kb_strict_grounding, kb_grounding_min_score, kb_grounding_action, kb_grounding_message, faq_min_score')
+    .eq('id', orgId)
+    .maybeSingle();
+
+  if (error) {
+    // Columns may not exist yet — search with the defaults
+    console.warn('⚠️ Could not read org retrieval settings:', error.message);
+  }
+
+  const config = {
+    minScore: Number(data?.kb_min_score) || 0,
+    rerank: Boolean(data?.kb_rerank_enabled) && isRerankAvailable(),
+    grounding: {
+      strict: Boolean(data?.kb_strict_grounding),
+      minScore: Number(data?.kb_grounding_min_score ?? DEFAULT_GROUNDING_MIN_SCORE),
+      action: data?.kb_grounding_action === 'handoff' ? 'handoff' : 'decline',
+      message: data?.kb_grounding_message || null,
+    },
+    faqMinScore: Number(data?.faq_min_score ?? DEFAULT_FAQ_MIN_SCORE),
+  };
+  retrievalConfigCache.set(orgId, { config, expiresAt: Date.now() + CONFIG_CACHE_TTL_MS });
+  return config;
+}
+
+/**
+ * Drop the cached retrieval settings after the org changes them
+ * @param {string} orgId - Organization UUID
+ */
+function invalidateOrgRetrievalConfig(orgId) {
+  retrievalConfigCache.delete(orgId);
+}
+
+/**
+ * Whether the org has any source the current embedding model can search
+ * (cached for COMPATIBILITY_CACHE_TTL_MS); warns about sources that need a re-index
+ * @param {string} orgId - Organization UUID
+ * @returns {Promise<boolean>}
+ */
+async function canVectorSearch(orgId) {
+  const cached = compatibilityCache.get(orgId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.searchable;
+  }
+
+  let searchable = true;
+  try {
+    const { model, compatible, staleSources } = await getEmbeddingCompatibility(orgId);
+    if (staleSources.length > 0) {
+      const models = [...new Set(staleSources.map(s => `${s.embedding_model} (${s.embedding_dim ?? '?'} dims)`))];
+      console.warn(`⚠️ ${staleSources.length} KB source(s) of org ${orgId} were embedded with ${models.join(', ')}, ` +
+        `not ${model.id} (${model.dimensions ?? '?'} dims): keyword search only until re-indexed`);
+    }
+    searchable = compatible > 0 || staleSources.length === 0;
+  } catch (error) {
+    // Columns may not exist yet — search anyway
+    console.warn('⚠️ Could not check KB embedding models:', error.message);
+  }
+
+  compatibilityCache.set(orgId, { searchable, expiresAt: Date.now() + COMPATIBILITY_CACHE_TTL_MS });
+  return searchable;
+}
+
+/**
+ * Nearest chunks by embedding (RPC, or in-memory cosine similarity without it)
+ * @returns {Promise<Array<object>>} Chunks with similarity, best first
+ */
+async function vectorSearch({ orgId, waAccountId, queryEmbedding, embeddingModel, count }) {
+  // Try to use RPC function for vector similarity search (more efficient)
+  // If it doesn't exist, fall back to in-memory computation
+  const { data: rpcResults, error: rpcError } = await supabaseAdmin
+    .rpc('search_kb_chunks', {
+      query_embedding: queryEmbedding,
+      match_threshold: 0.0,
+      match_count: count,
+      filter_org_id: orgId,
+      filter_wa_account_id: waAccountId || null,
+      filter_embedding_model: embeddingModel,
+    });
+
+  if (!rpcError && rpcResults && Array.isArray(rpcResults)) {
+    return rpcResults.map(r => ({
+      id: r.id,
+      text: r.text,
+      title: r.title || 'Unknown',
+      similarity: r.similarity || r.score || 0,
+      chunk_index: r.chunk_index,
+      metadata: r.metadata || {},
+    }));
+  }
+
+  // Fallback: Fetch chunks and compute similarity in memory
+  console.log('📝 Using in-memory similarity computation (consider creating search_kb_chunks RPC function for better performance)');
+
+  const { data: chunks, error } = await supabaseAdmin
+    .from('kb_chunks')
+    .select(`
+      id,
+      text,
+      chunk_index,
+      embedding,
+      metadata,
+      kb_sources!inner (
+        id,
+        title,
+        org_id
+      )
+    `)
+    .eq('kb_sources.org_id', orgId)
+    .in('kb_sources.status', ['ready', 'processing'])
+    .not('embedding', 'is', null)
+    .eq('embedding_model', embeddingModel)
+    .limit(500);
+
+  if (error) {
+    console.error('❌ Error fetching KB chunks:', error);
+    return [];
+  }
+
+  return (chunks || [])
+    .map(chunk => {
+      // Handle embedding - it might be returned as array or string
+      let embedding = chunk.embedding;
+      if (typeof embedding === 'string') {
+        try {
+          embedding = JSON.parse(embedding);
+        } catch (e) {
+          console.warn('⚠️ Could not parse embedding string:', e);
+          return null;
+        }
+      }
+
+      if (!Array.isArray(embedding) || embedding.length !== queryEmbedding.length) {
+        return null;
+      }
+
+      return {
+        id: chunk.id,
+        text: chunk.text,
+        title: chunk.kb_sources?.title || 'Unknown',
+        similarity: cosineSim(queryEmbedding, embedding),
+        chunk_index: chunk.chunk_index,
+        metadata: chunk.metadata || {},
+      };
+    })
+    .filter(c => c !== null && c.similarity > 0) // Filter out invalid results
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, count);
+}
+
+/**
+ * Chunks matching the query's words (full-text search)
+ * @returns {Promise<Array<object>>} Chunks with similarity (null without a query embedding), best first
+ */
+async function keywordSearch({ orgId, query, queryEmbedding, embeddingModel, count }) {
+  const { data, error } = await supabaseAdmin
+    .rpc('search_kb_chunks_keyword', {
+      query_text: query,
+      query_embedding: queryEmbedding,
+      match_count: count,
+      filter_org_id: orgId,
+      filter_embedding_model: embeddingModel,
+    });
+
+  if (error) {
+    // Not migrated yet (MIGRATION_018) — vector results only
+    console.warn('⚠️ Keyword KB search unavailable:', error.message);
+    return [];
+  }
+
+  return (data || []).map(r => ({
+    id: r.id,
+    text: r.text,
+    title: r.title || 'Unknown',
+    similarity: r.similarity ?? null,
+    chunk_index: r.chunk_index,
+    metadata: r.metadata || {},
+  }));
+}
+
+/**
+ * Letter/digit codes in a query (SKUs, ISBNs, phone numbers, order numbers),
+ * lowercased with separators removed: "ISBN 978-0-441-01359-3" → ['9780441013593']
+ * @param {string} query
+ * @returns {Array<string>}
+ */
+function extractIdentifiers(query) {
+  return (query || '')
+    .split(/\s+/)
+    .map(token => token.toLowerCase().replace(/[^\p{L}\p{N}]/gu, ''))
+    .filter(token => token.length >= MIN_IDENTIFIER_LENGTH && /\d/.test(token));
+}
+
+/**
+ * Whether a chunk contains one of the query's identifiers, ignoring case and separators
+ * @param {string} text - Chunk text
+ * @param {Array<string>} identifiers - From extractIdentifiers
+ * @returns {boolean}
+ */
+function containsIdentifier(text, identifiers) {
+  if (identifiers.length === 0) return false;
+  const normalized = (text || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+  return identifiers.some(id => normalized.includes(id));
+}
+
+/**
+ * Merge rankings with reciprocal rank fusion
+ * @param {object} rankings - { name: Array<chunk> } each best first
+ * @returns {Array<object>} Chunks with rrf_score and matched_by, best first
+ */
+function fuseRankings(rankings) {
+  const fused = new Map();
+
+  for (const [name, results] of Object.entries(rankings)) {
+    results.forEach((chunk, rank) => {
+      const entry = fused.get(chunk.id) || { ...chunk, rrf_score: 0, matched_by: [] };
+      entry.rrf_score += 1 / (RRF_K + rank + 1);
+      entry.matched_by.push(name);
+      if (entry.similarity === null || entry.similarity === undefined) {
+        entry.similarity = chunk.similarity ?? null;
+      }
+      fused.set(chunk.id, entry);
+    });
+  }
+
+  return [...fused.values()].sort((a, b) => b.rrf_score - a.rrf_score);
+}
+
+/**
+ * Search the knowledge base (hybrid vector + keyword retrieval)
  * @param {string} query - Search query text
  * @param {object} options - Search options
  * @param {number} options.topK - Number of top results to return (default: 3)
  * @param {string} options.waAccountId - Filter by WhatsApp account ID (optional)
  * @param {string} options.orgId - Organization ID (optional, will be fetched if waAccountId provided)
- * @returns {Promise<Array>} Array of matching chunks with scores
+ * @param {number} options.minScore - Overrides the org's kb_min_score (optional)
+ * @param {boolean} options.rerank - Overrides the org's kb_rerank_enabled (optional)
+ * @returns {Promise<Array>} Matching chunks: { id, text, title, score, similarity, rrf_score,
+ *   rerank_score, matched_by, exact_match, chunk_index, metadata }; score is the rerank score
+ *   when reranked, otherwise the cosine similarity, and EXACT_MATCH_SCORE for keyword hits
+ *   containing an identifier from the query (exact_match)
  */
-async function searchKB(query, { topK = 3, waAccountId = null, orgId = null } = {}) {
+async function searchKB(query, { topK = 3, waAccountId = null, orgId = null, minScore, rerank: useRerank } = {}) {
   if (!supabaseAdmin) {
     console.error('❌ Supabase admin client not configured');
     return [];
@@ -47,102 +333,52 @@ async function searchKB(query, { topK = 3, waAccountId = null, orgId = null } =
     return [];
   }
 
-  // Generate query embedding
-  const queryEmbedding = await embedText(query);
-  if (!queryEmbedding || queryEmbedding.length === 0) {
-    console.error('❌ Failed to generate query embedding');
-    return [];
-  }
-
   try {
-    // Try to use RPC function for vector similarity search (more efficient)
-    // If it doesn't exist, fall back to in-memory computation
-    const { data: rpcResults, error: rpcError } = await supabaseAdmin
-      .rpc('search_kb_chunks', {
-        query_embedding: queryEmbedding,
-        match_threshold: 0.0,
-        match_count: topK * 3, // Fetch more to allow filtering
-        filter_org_id: orgId,
-        filter_wa_account_id: waAccountId || null,
-      });
+    const config = await getOrgRetrievalConfig(orgId);
+    const threshold = minScore ?? config.minScore;
+    const shouldRerank = (useRerank ?? config.rerank) && isRerankAvailable();
+    const poolSize = Math.max(topK * 4, 20);
 
-    if (!rpcError && rpcResults && Array.isArray(rpcResults)) {
-      return rpcResults.slice(0, topK).map(r => ({
-        id: r.id,
-        text: r.text,
-        title: r.title || 'Unknown',
-        score: r.similarity || r.score || 0,
-        chunk_index: r.chunk_index,
-        metadata: r.metadata || {},
-      }));
+    // Generate query embedding; without one, keyword search still answers
+    const queryEmbedding = await embedQuery(query);
+    const hasEmbedding = Array.isArray(queryEmbedding) && queryEmbedding.length > 0;
+    if (!hasEmbedding) {
+      console.error('❌ Failed to generate query embedding, using keyword search only');
     }
 
-    // Fallback: Fetch chunks and compute similarity in memory
-    console.log('📝 Using in-memory similarity computation (consider creating search_kb_chunks RPC function for better performance)');
-    
-    let queryBuilder = supabaseAdmin
-      .from('kb_chunks')
-      .select(`
-        id,
-        text,
-        chunk_index,
-        embedding,
-        metadata,
-        kb_sources!inner (
-          id,
-          title,
-          org_id
-        )
-      `)
-      .eq('kb_sources.org_id', orgId)
-      .eq('kb_sources.status', 'ready')
-      .limit(500);
-
-    const { data: chunks, error } = await queryBuilder;
-
-    if (error) {
-      console.error('❌ Error fetching KB chunks:', error);
-      return [];
-    }
+    const embeddingModel = getEmbeddingModel().id;
+    const useVectors = hasEmbedding && await canVectorSearch(orgId);
 
-    if (!chunks || chunks.length === 0) {
-      return [];
-    }
+    const [vectorResults, keywordResults] = await Promise.all([
+      useVectors ? vectorSearch({ orgId, waAccountId, queryEmbedding, embeddingModel, count: poolSize }) : [],
+      keywordSearch({ orgId, query, queryEmbedding: hasEmbedding ? queryEmbedding : null, embeddingModel, count: poolSize }),
+    ]);
 
-    // Compute similarity scores
-    const scored = chunks
-      .map(chunk => {
-        // Handle embedding - it might be returned as array or string
-        let embedding = chunk.embedding;
-        if (typeof embedding === 'string') {
-          try {
-            embedding = JSON.parse(embedding);
-          } catch (e) {
-            console.warn('⚠️ Could not parse embedding string:', e);
-            return null;
-          }
-        }
-        
-        if (!Array.isArray(embedding) || embedding.length !== queryEmbedding.length) {
-          return null;
-        }
+    // Exact code lookups pass every minimum score, whatever the embedding or reranker make of them
+    const identifiers = extractIdentifiers(query);
+    let candidates = fuseRankings({ vector: vectorResults, keyword: keywordResults })
+      .slice(0, poolSize)
+      .map(c => {
+        const exact = c.matched_by.includes('keyword') && containsIdentifier(c.text, identifiers);
+        return { ...c, exact_match: exact, rerank_score: null, score: exact ? EXACT_MATCH_SCORE : (c.similarity ?? 0) };
+      });
 
-        const score = cosineSim(queryEmbedding, embedding);
-        return {
-          id: chunk.id,
-          text: chunk.text,
-          title: chunk.kb_sources?.title || 'Unknown',
-          score,
-          chunk_index: chunk.chunk_index,
-          metadata: chunk.metadata || {},
-        };
-      })
-      .filter(c => c !== null && c.score > 0) // Filter out invalid results
-      .sort((a, b) => b.score - a.score)
-      .slice(0, topK);
-
-    return scored;
+    if (shouldRerank && candidates.length > 1) {
+      const scores = await rerank(query, candidates.map(c => c.text));
+      if (scores) {
+        candidates = candidates
+          .map((c, i) => ({ ...c, rerank_score: scores[i], score: c.exact_match ? EXACT_MATCH_SCORE : scores[i] }))
+          .sort((a, b) => b.score - a.score || b.rerank_score - a.rerank_score);
+      }
+    }
+
+    // Without a query embedding there is no similarity to compare against
+    const reranked = candidates.length > 0 && candidates[0].rerank_score !== null;
+    if (threshold > 0 && (reranked || hasEmbedding)) {
+      candidates = candidates.filter(c => c.exact_match || c.score >= threshold);
+    }
 
+    return candidates.slice(0, topK);
   } catch (error) {
     console.error('❌ Error in searchKB:', error);
     return [];
@@ -151,5 +387,8 @@ async function searchKB(query, { topK = 3, waAccountId = null, orgId = null } =
 
 module.exports = {
   cosineSim,
+  fuseRankings,
   searchKB,
+  getOrgRetrievalConfig,
+  invalidateOrgRetrievalConfig,
 };
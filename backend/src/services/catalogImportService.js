@@ -0,0 +1,557 @@
+const ExcelJS = require('exceljs');
+const { supabaseAdmin } = require('../auth/supabase');
+const catalogService = require('./catalogService');
+const { parseCsv, detectDelimiter } = require('../extractors/csv');
+const { decodeText } = require('../extractors/text');
+
+/**
+ * Catalog Import / Export
+ * Spreadsheets (CSV or XLSX) with one row per variant:
+ *   product_id, name, category, description, price, image_url,
+ *   <attribute keys>, <variant option keys>, variant_id, sku, barcode, variant_price, stock
+ * Attribute and option columns may also be headed by their labels; "title" and
+ * "isbn" are read as name and barcode. Export writes the active catalog in the
+ * same layout, so an exported file can be edited and imported back. Text cells
+ * starting with = + - @ are exported behind a ' so spreadsheet apps don't run
+ * them as formulas; import removes it again.
+ *
+ * Import upserts. A row updates the variant in variant_id, else the one with its
+ * SKU, else the one with its barcode, else adds a variant to the product in
+ * product_id; any other row
+ * creates a product. When the schema has variant options, rows of a new
+ * product are grouped by name. Empty cells leave existing values alone, nothing
+ * is removed, and a deleted product matched by a row is restored.
+ *
+ * A product is written only if all of its rows are valid. A dry run validates
+ * and reports the same per-row outcome without writing anything.
+ */
+
+const MAX_IMPORT_ROWS = 5000;
+const UPDATE_CONCURRENCY = 5;
+const PAGE_SIZE = 1000;
+// Ids per .in() filter, keeps the request URL short
+const ID_BATCH_SIZE = 200;
+
+const PRODUCT_COLUMNS = ['product_id', 'name', 'category', 'description', 'price', 'image_url'];
+const VARIANT_COLUMNS = ['variant_id', 'sku', 'barcode', 'variant_price', 'stock'];
+const COLUMN_ALIASES = { title: 'name', isbn: 'barcode' };
+
+const FORMATS = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// Leading characters a spreadsheet app reads as a formula
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+/**
+ * Quote text a spreadsheet app would run as a formula: "=HYPERLINK(...)" → "'=HYPERLINK(...)"
+ * @param {*} value - Exported cell value; numbers are left alone
+ * @returns {*}
+ */
+function escapeFormula(value) {
+    return typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+}
+
+function headerKey(header) {
+    return String(header || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Text of an XLSX cell value (rich text, hyperlinks and formula results included)
+ * @param {*} value - ExcelJS cell value
+ * @returns {string}
+ */
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'object') {
+        if (Array.isArray(value.richText)) return value.richText.map(r => r.text).join('');
+        if (value.text !== undefined) return cellText(value.text);
+        if (value.result !== undefined) return cellText(value.result);
+        return '';
+    }
+    return String(value);
+}
+
+/**
+ * Read the rows of an uploaded spreadsheet
+ * @param {Buffer} buffer
+ * @param {string} filename - Picks the parser by extension
+ * @returns {Promise<{ headers: Array<string>, rows: Array<{ line: number, cells: Array<string> }> }>}
+ *   line: 1-based row number in the file (the header is row 1)
+ */
+async function readSpreadsheet(buffer, filename) {
+    const ext = String(filename || '').split('.').pop().toLowerCase();
+
+    if (ext === 'xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        try {
+            await workbook.xlsx.load(buffer);
+        } catch {
+            throw new Error('file is not a valid .xlsx spreadsheet');
+        }
+        const sheet = workbook.worksheets[0];
+        if (!sheet) return { headers: [], rows: [] };
+
+        const rows = [];
+        sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+            const cells = [];
+            for (let col = 1; col <= sheet.columnCount; col++) {
+                cells.push(cellText(row.getCell(col).value));
+            }
+            if (cells.some(c => c.trim() !== '')) rows.push({ line: rowNumber, cells });
+        });
+        const [header, ...data] = rows;
+        return { headers: header ? header.cells : [], rows: data };
+    }
+
+    if (['csv', 'tsv', 'txt'].includes(ext)) {
+        const text = decodeText(buffer);
+        const delimiter = ext === 'tsv' ? '\t' : detectDelimiter(text);
+        // parseCsv drops blank lines, so line numbers count non-blank rows
+        const [header, ...data] = parseCsv(text, delimiter);
+        return {
+            headers: header || [],
+            rows: data.map((cells, i) => ({ line: i + 2, cells })),
+        };
+    }
+
+    throw new Error('file must be a .csv or .xlsx spreadsheet');
+}
+
+/**
+ * Match spreadsheet headers to catalog fields
+ * @param {Array<string>} headers
+ * @param {object} schema - Catalog schema
+ * @returns {{ columns: Array<{ type: string, key: string }|null>, ignored: Array<string> }}
+ *   type: field, attribute or option; null for ignored columns
+ */
+function mapColumns(headers, schema) {
+    const targets = new Map();
+    for (const key of [...PRODUCT_COLUMNS, ...VARIANT_COLUMNS]) {
+        targets.set(key, { type: 'field', key });
+    }
+    for (const [type, entries] of [['attribute', schema.attributes], ['option', schema.variant_options]]) {
+        for (const entry of entries) {
+            targets.set(entry.key, { type, key: entry.key });
+        }
+        for (const entry of entries) {
+            if (!targets.has(headerKey(entry.label))) targets.set(headerKey(entry.label), { type, key: entry.key });
+        }
+    }
+    for (const [alias, key] of Object.entries(COLUMN_ALIASES)) {
+        if (!targets.has(alias)) targets.set(alias, targets.get(key));
+    }
+
+    const seen = new Set();
+    const ignored = [];
+    const columns = headers.map((header) => {
+        const target = targets.get(headerKey(header));
+        const id = target && `${target.type}:${target.key}`;
+        if (!target || seen.has(id)) {
+            if (String(header || '').trim()) ignored.push(String(header).trim());
+            return null;
+        }
+        seen.add(id);
+        return target;
+    });
+
+    if (!['name', 'sku', 'barcode', 'product_id', 'variant_id'].some(key => seen.has(`field:${key}`))) {
+        throw new Error('file must have a name, sku, barcode, product_id or variant_id column');
+    }
+    return { columns, ignored };
+}
+
+/**
+ * A row's non-empty cells by what they set
+ * @returns {{ fields: object, attributes: object, options: object }}
+ */
+function readRow(cells, columns) {
+    const record = { fields: {}, attributes: {}, options: {} };
+    const buckets = { field: record.fields, attribute: record.attributes, option: record.options };
+    columns.forEach((column, i) => {
+        // Undo escapeFormula
+        const value = String(cells[i] ?? '').trim().replace(/^'(?=[=+\-@])/, '');
+        if (column && value) buckets[column.type][column.key] = value;
+    });
+    return record;
+}
+
+/**
+ * Variant input for a row, over the existing variant it updates (if any)
+ * @param {object} record - From readRow
+ * @param {object|null} existing - Product variant
+ * @returns {object} normalizeProductInput variant
+ */
+function variantInput({ fields, options }, existing) {
+    const base = existing
+        ? { id: existing.id, options: existing.options, sku: existing.sku, barcode: existing.barcode, price: existing.price, stock: existing.stock }
+        : { options: {}, sku: null, barcode: null, price: null, stock: 0 };
+
+    return {
+        ...base,
+        options: { ...base.options, ...options },
+        ...(fields.sku !== undefined ? { sku: fields.sku } : {}),
+        ...(fields.barcode !== undefined ? { barcode: fields.barcode } : {}),
+        ...(fields.variant_price !== undefined ? { price: fields.variant_price } : {}),
+        ...(fields.stock !== undefined ? { stock: fields.stock } : {}),
+    };
+}
+
+/**
+ * Active variants of an org that have a SKU or barcode
+ * @param {string} orgId - Organization UUID
+ * @returns {Promise<{ bySku: Map, byBarcode: Map }>}
+ */
+async function loadVariantCodes(orgId) {
+    const bySku = new Map();
+    const byBarcode = new Map();
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await supabaseAdmin
+            .from('product_variants')
+            .select('id, product_id, sku, barcode')
+            .eq('org_id', orgId)
+            .eq('is_active', true)
+            .or('sku.not.is.null,barcode.not.is.null')
+            .order('id')
+            .range(from, from + PAGE_SIZE - 1);
+
+        if (error) throw error;
+        for (const variant of data || []) {
+            if (variant.sku) bySku.set(variant.sku, variant);
+            if (variant.barcode) byBarcode.set(variant.barcode, variant);
+        }
+        if (!data || data.length < PAGE_SIZE) break;
+    }
+    return { bySku, byBarcode };
+}
+
+/**
+ * Active variants of an org by id
+ * @param {string} orgId - Organization UUID
+ * @param {Array<string>} ids
+ * @returns {Promise<Map<string, object>>}
+ */
+async function loadVariantsById(orgId, ids) {
+    const variants = new Map();
+    for (let start = 0; start < ids.length; start += ID_BATCH_SIZE) {
+        const { data, error } = await supabaseAdmin
+            .from('product_variants')
+            .select('id, product_id, sku, barcode')
+            .eq('org_id', orgId)
+            .eq('is_active', true)
+            .in('id', ids.slice(start, start + ID_BATCH_SIZE));
+
+        if (error) throw error;
+        for (const variant of data || []) variants.set(variant.id, variant);
+    }
+    return variants;
+}
+
+/**
+ * Products by id, deleted ones included
+ * @param {string} orgId - Organization UUID
+ * @param {Array<string>} ids
+ * @returns {Promise<Map<string, object>>}
+ */
+async function loadProducts(orgId, ids) {
+    const products = new Map();
+    for (let start = 0; start < ids.length; start += ID_BATCH_SIZE) {
+        const { data, error } = await supabaseAdmin
+            .from('products')
+            .select(catalogService.PRODUCT_FIELDS)
+            .eq('org_id', orgId)
+            .in('id', ids.slice(start, start + ID_BATCH_SIZE));
+
+        if (error) throw error;
+        for (const product of data || []) {
+            products.set(product.id, catalogService.withActiveVariants(product));
+        }
+    }
+    return products;
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Import a CSV/XLSX catalog spreadsheet
+ * @param {string} orgId - Organization UUID
+ * @param {object} file
+ * @param {Buffer} file.buffer
+ * @param {string} file.filename
+ * @param {object} options
+ * @param {boolean} options.dryRun - Validate and report only
+ * @returns {Promise<object>} { dryRun, ignoredColumns, summary, rows: [{ row, name, sku, action, error }] }
+ *   action: create, update (an existing variant), add_variant or error
+ */
+async function importCatalog(orgId, { buffer, filename }, { dryRun = true } = {}) {
+    const schema = await catalogService.getCatalogSchema(orgId);
+    const { headers, rows } = await readSpreadsheet(buffer, filename);
+
+    if (rows.length === 0) throw new Error('file has no rows to import');
+    if (rows.length > MAX_IMPORT_ROWS) throw new Error(`file must have at most ${MAX_IMPORT_ROWS} rows`);
+
+    const { columns, ignored } = mapColumns(headers, schema);
+    const records = rows.map(({ line, cells }) => ({ line, ...readRow(cells, columns) }));
+
+    const { bySku, byBarcode } = await loadVariantCodes(orgId);
+    const byId = await loadVariantsById(orgId, [...new Set(records
+        .map(r => r.fields.variant_id)
+        .filter(id => id && UUID_PATTERN.test(id)))]);
+    const referencedIds = new Set();
+    for (const { fields } of records) {
+        const variant = (fields.variant_id && byId.get(fields.variant_id)) ||
+            (fields.sku && bySku.get(fields.sku)) || (fields.barcode && byBarcode.get(fields.barcode));
+        if (variant) referencedIds.add(variant.product_id);
+        if (fields.product_id && UUID_PATTERN.test(fields.product_id)) referencedIds.add(fields.product_id);
+    }
+    const products = await loadProducts(orgId, [...referencedIds]);
+
+    // 1. Resolve each row to a product and variant; per-row checks
+    const results = records.map(record => ({
+        row: record.line,
+        name: record.fields.name || null,
+        sku: record.fields.sku || null,
+        action: null,
+        error: null,
+    }));
+    const variantIdLines = new Map();
+    const skuLines = new Map();
+    const barcodeLines = new Map();
+    const groups = new Map();
+
+    records.forEach((record, i) => {
+        const { fields } = record;
+        const result = results[i];
+        const newProductKey = schema.variant_options.length > 0 && fields.name
+            ? `name:${fields.name.toLowerCase()}`
+            : `row:${record.line}`;
+        const join = (key, product = null) => {
+            if (!groups.has(key)) groups.set(key, { product, indexes: [] });
+            groups.get(key).indexes.push(i);
+        };
+        // Failed rows still join their product, which then isn't written
+        const fail = (message, key = fields.product_id ? `id:${fields.product_id}` : newProductKey) => {
+            result.action = 'error';
+            result.error = message;
+            join(key);
+        };
+
+        const unique = [[fields.variant_id, variantIdLines, 'variant_id'], [fields.sku, skuLines, 'sku'], [fields.barcode, barcodeLines, 'barcode']];
+        for (const [value, lines, label] of unique) {
+            if (!value) continue;
+            if (lines.has(value)) return fail(`${label} ${value} is also on row ${lines.get(value)}`);
+            lines.set(value, record.line);
+        }
+
+        const byIdMatch = fields.variant_id ? byId.get(fields.variant_id) : null;
+        if (fields.variant_id && !byIdMatch) return fail('variant_id is not in the catalog', `row:${record.line}`);
+        const bySkuMatch = fields.sku && bySku.get(fields.sku);
+        const byBarcodeMatch = fields.barcode && byBarcode.get(fields.barcode);
+        if (byIdMatch) {
+            // A row may change its variant's codes, but not to another variant's
+            if (bySkuMatch && bySkuMatch.id !== byIdMatch.id) return fail('sku belongs to another variant');
+            if (byBarcodeMatch && byBarcodeMatch.id !== byIdMatch.id) return fail('barcode belongs to another variant');
+        } else if (bySkuMatch && byBarcodeMatch && bySkuMatch.id !== byBarcodeMatch.id) {
+            return fail('sku and barcode belong to different variants');
+        }
+        const match = byIdMatch || bySkuMatch || byBarcodeMatch || null;
+
+        let productId = match?.product_id || null;
+        if (fields.product_id) {
+            if (!products.has(fields.product_id)) return fail('product_id is not in the catalog', `row:${record.line}`);
+            if (productId && productId !== fields.product_id) return fail('variant_id, sku or barcode belongs to another product');
+            productId = fields.product_id;
+        }
+
+        const product = productId ? products.get(productId) : null;
+        const key = productId ? `id:${productId}` : newProductKey;
+        const existing = match ? product?.variants.find(v => v.id === match.id) || null : null;
+        record.variant = variantInput(record, existing);
+        result.name = result.name || product?.name || null;
+
+        try {
+            catalogService.normalizeProductInput({ variants: [record.variant] }, schema, true);
+        } catch (err) {
+            return fail(err.message, key);
+        }
+
+        result.action = product ? (existing ? 'update' : 'add_variant') : 'create';
+        join(key, product);
+    });
+
+    // 2. Build each product's input from its rows; a product is written only if all its rows are valid
+    const creates = [];
+    const updates = [];
+
+    for (const group of groups.values()) {
+        const { indexes } = group;
+        const failed = indexes.find(i => results[i].action === 'error');
+        if (failed !== undefined) {
+            for (const i of indexes) {
+                if (results[i].action === 'error') continue;
+                results[i].action = 'error';
+                results[i].error = `Not imported: row ${results[failed].row} of this product has errors`;
+            }
+            continue;
+        }
+
+        const product = group.product || null;
+        const groupRecords = indexes.map(i => records[i]);
+        const { product_id: _id, variant_id: _variantId, sku: _sku, barcode: _barcode, variant_price: _price, stock: _stock, ...fields } = groupRecords[0].fields;
+        const { attributes } = groupRecords[0];
+
+        let input;
+        if (product) {
+            const variants = product.variants.map(v => variantInput({ fields: {}, options: {} }, v));
+            for (const { variant } of groupRecords) {
+                const at = variant.id ? variants.findIndex(v => v.id === variant.id) : -1;
+                if (at >= 0) variants[at] = variant;
+                else variants.push(variant);
+            }
+            input = {
+                ...fields,
+                ...(Object.keys(attributes).length > 0 ? { attributes: { ...product.attributes, ...attributes } } : {}),
+                ...(product.is_active ? {} : { is_active: true }),
+                variants,
+            };
+        } else {
+            input = { ...fields, attributes, variants: groupRecords.map(r => r.variant) };
+        }
+
+        try {
+            catalogService.normalizeProductInput(input, schema, Boolean(product));
+        } catch (err) {
+            for (const i of indexes) {
+                results[i].action = 'error';
+                results[i].error = err.message;
+            }
+            continue;
+        }
+
+        (product ? updates : creates).push({ product, input, indexes });
+    }
+
+    const markFailed = (indexes, err) => {
+        for (const i of indexes) {
+            results[i].action = 'error';
+            results[i].error = err.message || 'Import failed';
+        }
+    };
+
+    // 3. Write
+    if (!dryRun) {
+        await catalogService.createProducts(orgId, creates.map(c => c.input), (batchIndexes, err) => {
+            if (err) {
+                console.error('❌ Catalog import batch failed:', err.message);
+                for (const b of batchIndexes) markFailed(creates[b].indexes, err);
+            }
+        });
+
+        for (let start = 0; start < updates.length; start += UPDATE_CONCURRENCY) {
+            await Promise.all(updates.slice(start, start + UPDATE_CONCURRENCY).map(({ product, input, indexes }) =>
+                catalogService.updateProduct(orgId, product.id, input).catch((err) => {
+                    console.error(`❌ Catalog import failed to update product ${product.id}:`, err.message);
+                    markFailed(indexes, err);
+                })));
+        }
+    }
+
+    const done = ({ indexes }) => indexes.every(i => results[i].action !== 'error');
+    const count = (action) => results.filter(r => r.action === action).length;
+    const summary = {
+        rows: results.length,
+        imported: results.length - count('error'),
+        failed: count('error'),
+        productsCreated: creates.filter(done).length,
+        productsUpdated: updates.filter(done).length,
+        productsRestored: updates.filter(u => done(u) && !u.product.is_active).length,
+        variantsCreated: count('create') + count('add_variant'),
+        variantsUpdated: count('update'),
+    };
+
+    console.log(`📦 Catalog import${dryRun ? ' (dry run)' : ''}: ${summary.imported}/${summary.rows} rows, ${summary.productsCreated} created, ${summary.productsUpdated} updated, ${summary.failed} failed`);
+    return { dryRun, ignoredColumns: ignored, summary, rows: results };
+}
+
+/**
+ * Export the active catalog, one row per variant
+ * @param {string} orgId - Organization UUID
+ * @param {string} format - csv or xlsx
+ * @returns {Promise<{ filename: string, contentType: string, body: Buffer }>}
+ */
+async function exportCatalog(orgId, format = 'csv') {
+    if (!FORMATS[format]) throw new Error('format must be csv or xlsx');
+    const schema = await catalogService.getCatalogSchema(orgId);
+
+    const headers = [
+        ...PRODUCT_COLUMNS,
+        ...schema.attributes.map(a => a.key),
+        ...schema.variant_options.map(o => o.key),
+        ...VARIANT_COLUMNS,
+    ];
+    const rows = [];
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await supabaseAdmin
+            .from('products')
+            .select(catalogService.PRODUCT_FIELDS)
+            .eq('org_id', orgId)
+            .eq('is_active', true)
+            .order('name')
+            .order('id')
+            .range(from, from + PAGE_SIZE - 1);
+
+        if (error) throw error;
+        for (const product of (data || []).map(catalogService.withActiveVariants)) {
+            const productCells = [
+                product.id, product.name, product.category, product.description, Number(product.price), product.image_url,
+                ...schema.attributes.map(a => {
+                    const value = product.attributes?.[a.key];
+                    return typeof value === 'boolean' ? (value ? 'yes' : 'no') : value;
+                }),
+            ];
+            // A product without active variants still gets a row
+            for (const variant of product.variants.length > 0 ? product.variants : [null]) {
+                rows.push([
+                    ...productCells,
+                    ...schema.variant_options.map(o => variant?.options?.[o.key]),
+                    variant?.id, variant?.sku, variant?.barcode,
+                    variant?.price === null || variant?.price === undefined ? null : Number(variant.price),
+                    variant?.stock,
+                ]);
+            }
+        }
+        if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    let body;
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet(schema.item_label_plural.slice(0, 31) || 'products');
+        sheet.addRow(headers).font = { bold: true };
+        for (const row of rows) sheet.addRow(row.map(v => escapeFormula(v) ?? null));
+        body = Buffer.from(await workbook.xlsx.writeBuffer());
+    } else {
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : String(escapeFormula(value));
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        // BOM so Excel opens it as UTF-8
+        body = Buffer.from(`\uFEFF${[headers, ...rows].map(row => row.map(escape).join(',')).join('\r\n')}\r\n`, 'utf8');
+    }
+
+    console.log(`📦 Catalog export: ${rows.length} rows (${format})`);
+    return {
+        filename: `${schema.item_label_plural.replace(/[^a-z0-9_-]+/gi, '-')}-${new Date().toISOString().slice(0, 10)}.${format}`,
+        contentType: FORMATS[format],
+        body,
+    };
+}
+
+module.exports = {
+    importCatalog,
+    exportCatalog,
+};
@@ -0,0 +1,829 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../auth/supabase');
+
+/**
+ * Catalog Service
+ * What an org sells: products with variants (size, colour…), described by the
+ * org's catalog schema (organizations.catalog_schema):
+ * - item_label / item_label_plural  what the org calls its products ("book", "shirt")
+ * - attributes       custom product fields (brand, material, author) with a type:
+ *                    text, number, boolean or select (one of options). searchable ones
+ *                    are matched by searches, filterable ones become search filters.
+ * - variant_options  what variants differ in, e.g. { key: 'size', values: ['S', 'M'] }
+ *
+ * Every product has at least one variant (options {} when it has no options).
+ * Stock, SKU and barcode live on the variant, and so does the price when it
+ * differs from the product's. Carts and orders hold variants (order_items.variant_id).
+ *
+ * The ordering agent's tools and instructions are generated from the schema (agent.js).
+ */
+
+const DEFAULT_CATALOG_SCHEMA = {
+    item_label: 'product',
+    item_label_plural: 'products',
+    attributes: [],
+    variant_options: [],
+};
+
+const ATTRIBUTE_TYPES = ['text', 'number', 'boolean', 'select'];
+// Attribute and option keys become agent tool parameters next to these
+const RESERVED_KEYS = ['query', 'category', 'name', 'description', 'price', 'stock', 'sku', 'barcode', 'product_id', 'variant_id', 'quantity', 'image_url', 'variant_price', 'reserved'];
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+const MAX_ATTRIBUTES = 20;
+const MAX_VARIANT_OPTIONS = 3;
+const MAX_OPTION_VALUES = 50;
+const MAX_VARIANTS = 100;
+const MAX_TEXT_LENGTH = 500;
+const MAX_CODE_LENGTH = 64;
+const SEARCH_LIMIT = 10;
+const BULK_INSERT_SIZE = 200;
+const SCHEMA_CACHE_TTL_MS = 30 * 1000;
+
+// reserved: units held by unpaid orders (MIGRATION_025); only stock - reserved can be sold
+const VARIANT_FIELDS = 'id, product_id, options, sku, barcode, price, stock, reserved, is_active';
+const PRODUCT_FIELDS = `id, org_id, name, description, category, price, image_url, attributes, is_active, created_at, updated_at, product_variants(${VARIANT_FIELDS})`;
+
+const schemaCache = new Map();
+
+function requireDb() {
+    if (!supabaseAdmin) {
+        throw new Error('Supabase admin client not configured');
+    }
+}
+
+// ─── Catalog schema ──────────────────────────────────────────────────────────
+
+function cleanKey(value, what) {
+    const key = String(value || '').trim();
+    if (!KEY_PATTERN.test(key)) {
+        throw new Error(`schema ${what} keys must be lowercase letters, digits and _ ("${key}")`);
+    }
+    if (RESERVED_KEYS.includes(key)) {
+        throw new Error(`schema ${what} key "${key}" is reserved`);
+    }
+    return key;
+}
+
+function cleanValues(values, what) {
+    if (values !== undefined && !Array.isArray(values)) {
+        throw new Error(`schema ${what} must be a list`);
+    }
+    const cleaned = [...new Set((values || []).map(v => String(v ?? '').trim()).filter(Boolean))];
+    if (cleaned.length > MAX_OPTION_VALUES) {
+        throw new Error(`schema ${what} must have at most ${MAX_OPTION_VALUES} values`);
+    }
+    return cleaned;
+}
+
+/**
+ * Validate a catalog schema from the dashboard
+ * @param {object} input
+ * @returns {object} The schema to store
+ */
+function normalizeCatalogSchema(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('schema must be an object');
+    }
+
+    const itemLabel = String(input.item_label || DEFAULT_CATALOG_SCHEMA.item_label).trim().toLowerCase().slice(0, 40);
+    const itemLabelPlural = String(input.item_label_plural || `${itemLabel}s`).trim().toLowerCase().slice(0, 40);
+
+    if (input.attributes !== undefined && !Array.isArray(input.attributes)) {
+        throw new Error('schema attributes must be a list');
+    }
+    if ((input.attributes || []).length > MAX_ATTRIBUTES) {
+        throw new Error(`schema attributes must be at most ${MAX_ATTRIBUTES}`);
+    }
+    const keys = new Set();
+    const attributes = (input.attributes || []).map((attr) => {
+        const key = cleanKey(attr?.key, 'attribute');
+        if (keys.has(key)) throw new Error(`schema attribute "${key}" is defined twice`);
+        keys.add(key);
+
+        const type = attr.type || 'text';
+        if (!ATTRIBUTE_TYPES.includes(type)) {
+            throw new Error(`schema attribute types must be one of: ${ATTRIBUTE_TYPES.join(', ')}`);
+        }
+        const options = type === 'select' ? cleanValues(attr.options, `attribute "${key}" options`) : [];
+        if (type === 'select' && options.length === 0) {
+            throw new Error(`schema attribute "${key}" needs options to choose from`);
+        }
+
+        return {
+            key,
+            label: String(attr.label || key).trim().slice(0, 60),
+            type,
+            ...(type === 'select' ? { options } : {}),
+            required: Boolean(attr.required),
+            searchable: type === 'text' && attr.searchable !== false,
+            filterable: Boolean(attr.filterable),
+        };
+    });
+
+    if (input.variant_options !== undefined && !Array.isArray(input.variant_options)) {
+        throw new Error('schema variant_options must be a list');
+    }
+    if ((input.variant_options || []).length > MAX_VARIANT_OPTIONS) {
+        throw new Error(`schema variant_options must be at most ${MAX_VARIANT_OPTIONS}`);
+    }
+    const variantOptions = (input.variant_options || []).map((option) => {
+        const key = cleanKey(option?.key, 'variant option');
+        if (keys.has(key)) throw new Error(`schema variant option "${key}" clashes with another key`);
+        keys.add(key);
+        return {
+            key,
+            label: String(option.label || key).trim().slice(0, 60),
+            // Empty: any value
+            values: cleanValues(option.values, `variant option "${key}" values`),
+        };
+    });
+
+    return {
+        item_label: itemLabel || DEFAULT_CATALOG_SCHEMA.item_label,
+        item_label_plural: itemLabelPlural || DEFAULT_CATALOG_SCHEMA.item_label_plural,
+        attributes,
+        variant_options: variantOptions,
+    };
+}
+
+/**
+ * The org's catalog schema (cached for SCHEMA_CACHE_TTL_MS)
+ * @param {string|null} orgId - Organization UUID
+ * @returns {Promise<object>} Defaults filled in; DEFAULT_CATALOG_SCHEMA when unset
+ */
+async function getCatalogSchema(orgId) {
+    const cached = orgId && schemaCache.get(orgId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.schema;
+    }
+
+    let stored = null;
+    if (orgId && supabaseAdmin) {
+        const { data, error } = await supabaseAdmin
+            .from('organizations')
+            .select('catalog_schema')
+            .eq('id', orgId)
+            .maybeSingle();
+
+        if (error) {
+            // Column may not exist yet — describe a plain product catalog
+            console.warn('⚠️ Could not read the catalog schema:', error.message);
+        } else {
+            stored = data?.catalog_schema;
+        }
+    }
+
+    const schema = { ...DEFAULT_CATALOG_SCHEMA, ...(stored || {}) };
+    if (orgId) {
+        schemaCache.set(orgId, { schema, expiresAt: Date.now() + SCHEMA_CACHE_TTL_MS });
+    }
+    return schema;
+}
+
+/**
+ * Replace the org's catalog schema
+ * Products keep attribute values the new schema no longer has until they are edited.
+ * @param {string} orgId - Organization UUID
+ * @param {object} input - See normalizeCatalogSchema
+ * @returns {Promise<object>} The stored schema
+ */
+async function setCatalogSchema(orgId, input) {
+    requireDb();
+    const schema = normalizeCatalogSchema(input);
+
+    const { error } = await supabaseAdmin
+        .from('organizations')
+        .update({ catalog_schema: schema })
+        .eq('id', orgId);
+
+    if (error) throw error;
+
+    schemaCache.delete(orgId);
+    console.log(`🗂️ Catalog schema updated: ${schema.attributes.length} attributes, ${schema.variant_options.length} variant options`);
+    return schema;
+}
+
+// ─── Products ────────────────────────────────────────────────────────────────
+
+/**
+ * Coerce attribute values to the schema's types
+ * @param {object} input - key → value from the dashboard
+ * @param {object} schema - Catalog schema
+ * @param {boolean} checkRequired
+ * @returns {object} Attributes to store (schema keys only)
+ */
+function normalizeAttributes(input, schema, checkRequired) {
+    if (input !== undefined && input !== null && (typeof input !== 'object' || Array.isArray(input))) {
+        throw new Error('attributes must be an object');
+    }
+
+    const attributes = {};
+    for (const attr of schema.attributes) {
+        const raw = input?.[attr.key];
+        const empty = raw === undefined || raw === null || raw === '';
+
+        if (empty) {
+            if (checkRequired && attr.required) throw new Error(`attributes.${attr.key} is required`);
+            continue;
+        }
+
+        if (attr.type === 'number') {
+            const value = Number(raw);
+            if (!Number.isFinite(value)) throw new Error(`attributes.${attr.key} must be a number`);
+            attributes[attr.key] = value;
+        } else if (attr.type === 'boolean') {
+            attributes[attr.key] = raw === true || ['true', 'yes', 'y', '1'].includes(String(raw).trim().toLowerCase());
+        } else if (attr.type === 'select') {
+            const value = String(raw);
+            if (!attr.options.includes(value)) {
+                throw new Error(`attributes.${attr.key} must be one of: ${attr.options.join(', ')}`);
+            }
+            attributes[attr.key] = value;
+        } else {
+            attributes[attr.key] = String(raw).trim().slice(0, MAX_TEXT_LENGTH);
+        }
+    }
+    return attributes;
+}
+
+function cleanCode(value, field) {
+    const code = String(value ?? '').trim();
+    if (code.length > MAX_CODE_LENGTH) {
+        throw new Error(`variants ${field} must be at most ${MAX_CODE_LENGTH} characters`);
+    }
+    return code || null;
+}
+
+/**
+ * Validate a product's variants
+ * @param {Array<object>} input - [{ id?, options, sku, barcode, price, stock, is_active }]
+ * @param {object} schema - Catalog schema
+ * @returns {Array<object>}
+ */
+function normalizeVariants(input, schema) {
+    if (!Array.isArray(input) || input.length === 0) {
+        throw new Error('variants must be a non-empty list');
+    }
+    if (input.length > MAX_VARIANTS) {
+        throw new Error(`variants must be at most ${MAX_VARIANTS}`);
+    }
+
+    const seen = new Set();
+    return input.map((variant) => {
+        const options = {};
+        for (const [key, value] of Object.entries(variant?.options || {})) {
+            const option = schema.variant_options.find(o => o.key === key);
+            if (!option) throw new Error(`variants option "${key}" is not in the catalog schema`);
+            const text = String(value ?? '').trim();
+            if (!text) continue;
+            if (option.values.length > 0 && !option.values.includes(text)) {
+                throw new Error(`variants ${key} must be one of: ${option.values.join(', ')}`);
+            }
+            options[key] = text;
+        }
+
+        const signature = JSON.stringify(schema.variant_options.map(o => options[o.key] || ''));
+        if (seen.has(signature)) throw new Error('variants must each have different options');
+        seen.add(signature);
+
+        const price = variant.price === undefined || variant.price === null || variant.price === ''
+            ? null
+            : Number(variant.price);
+        if (price !== null && (!Number.isFinite(price) || price < 0)) {
+            throw new Error('variants price must be a non-negative number');
+        }
+        const stock = Number(variant.stock ?? 0);
+        if (!Number.isInteger(stock) || stock < 0) {
+            throw new Error('variants stock must be a whole number of at least 0');
+        }
+
+        return {
+            ...(variant.id ? { id: variant.id } : {}),
+            options,
+            sku: cleanCode(variant.sku, 'sku'),
+            barcode: cleanCode(variant.barcode, 'barcode'),
+            price,
+            stock,
+            is_active: variant.is_active !== false,
+        };
+    });
+}
+
+/**
+ * Validate product fields from the dashboard
+ * @param {object} input
+ * @param {object} schema - Catalog schema
+ * @param {boolean} partial - Only validate the fields present (updates)
+ * @returns {{ fields: object, variants: Array<object>|undefined }}
+ */
+function normalizeProductInput(input, schema, partial = false) {
+    const fields = {};
+
+    if (!partial || input.name !== undefined) {
+        const name = String(input.name || '').trim();
+        if (!name) throw new Error('name is required');
+        fields.name = name.slice(0, 200);
+    }
+    if (!partial || input.price !== undefined) {
+        const price = Number(input.price);
+        if (input.price === '' || input.price === null || !Number.isFinite(price) || price < 0) {
+            throw new Error('price must be a non-negative number');
+        }
+        fields.price = price;
+    }
+    for (const key of ['description', 'category', 'image_url']) {
+        if (!partial || input[key] !== undefined) {
+            fields[key] = String(input[key] || '').trim() || null;
+        }
+    }
+    if (!partial || input.attributes !== undefined) {
+        fields.attributes = normalizeAttributes(input.attributes, schema, true);
+    }
+    if (partial && input.is_active !== undefined) {
+        // Restores a deleted product (catalog import)
+        fields.is_active = input.is_active !== false;
+    }
+
+    // A new product without variants gets one without options
+    const variants = input.variants !== undefined
+        ? normalizeVariants(input.variants, schema)
+        : (partial ? undefined : normalizeVariants([{ stock: input.stock }], schema));
+
+    return { fields, variants };
+}
+
+/**
+ * Only the active variants, in a stable order
+ * @param {object} product - products row with product_variants
+ * @returns {object}
+ */
+function withActiveVariants(product) {
+    const { product_variants: variants, ...rest } = product;
+    return {
+        ...rest,
+        variants: (variants || [])
+            .filter(v => v.is_active)
+            .sort((a, b) => JSON.stringify(a.options).localeCompare(JSON.stringify(b.options))),
+    };
+}
+
+/**
+ * Create, update and retire a product's variants to match the list
+ * Variants left out are deactivated, not deleted: past orders point at them.
+ * @param {string} orgId - Organization UUID
+ * @param {string} productId - products UUID
+ * @param {Array<object>} variants - From normalizeVariants
+ */
+async function saveVariants(orgId, productId, variants) {
+    const { data: existing, error } = await supabaseAdmin
+        .from('product_variants')
+        .select('id')
+        .eq('product_id', productId);
+
+    if (error) throw error;
+
+    const existingIds = new Set((existing || []).map(v => v.id));
+    const keptIds = new Set(variants.filter(v => v.id && existingIds.has(v.id)).map(v => v.id));
+    const now = new Date().toISOString();
+
+    const retired = [...existingIds].filter(id => !keptIds.has(id));
+    if (retired.length > 0) {
+        // Free their SKUs and barcodes first, the kept and new variants may reuse them
+        const { error: retireError } = await supabaseAdmin
+            .from('product_variants')
+            .update({ is_active: false, sku: null, barcode: null, updated_at: now })
+            .in('id', retired);
+        if (retireError) throw retireError;
+    }
+
+    for (const variant of variants) {
+        const { id, ...fields } = variant;
+        const { error: saveError } = keptIds.has(id)
+            ? await supabaseAdmin
+                .from('product_variants')
+                .update({ ...fields, updated_at: now })
+                .eq('id', id)
+            : await supabaseAdmin
+                .from('product_variants')
+                .insert({ ...fields, product_id: productId, org_id: orgId });
+
+        if (saveError) {
+            if (saveError.code === '23505') {
+                throw new Error('variants sku and barcode must be unique in the catalog');
+            }
+            throw saveError;
+        }
+    }
+}
+
+/**
+ * Make a search term safe inside a PostgREST or() filter
+ * @param {string} term
+ * @returns {string}
+ */
+function cleanSearchTerm(term) {
+    return String(term || '').replace(/[,()*%\\"]/g, ' ').trim();
+}
+
+/**
+ * or() filter matching a search term against names, descriptions, searchable
+ * attributes and variant SKUs/barcodes
+ * @param {string} orgId - Organization UUID
+ * @param {string} term - Cleaned search term
+ * @param {object} schema - Catalog schema
+ * @returns {Promise<string>}
+ */
+async function buildSearchFilter(orgId, term, schema) {
+    const pattern = `%${term}%`;
+    const conditions = [
+        `name.ilike.${pattern}`,
+        `description.ilike.${pattern}`,
+        `category.ilike.${pattern}`,
+        ...schema.attributes
+            .filter(a => a.searchable)
+            .map(a => `attributes->>${a.key}.ilike.${pattern}`),
+    ];
+
+    const { data: codes, error } = await supabaseAdmin
+        .from('product_variants')
+        .select('product_id')
+        .eq('org_id', orgId)
+        .eq('is_active', true)
+        .or(`sku.ilike.${term},barcode.eq.${term}`)
+        .limit(SEARCH_LIMIT);
+
+    if (error) throw error;
+    const productIds = [...new Set((codes || []).map(c => c.product_id))];
+    if (productIds.length > 0) {
+        conditions.push(`id.in.(${productIds.join(',')})`);
+    }
+    return conditions.join(',');
+}
+
+/**
+ * Products of an org for the dashboard, by name
+ * @param {string} orgId - Organization UUID
+ * @param {object} options - { page, limit, search, category }
+ * @returns {Promise<{ products: Array<object>, total: number }>}
+ */
+async function listProducts(orgId, { page = 1, limit = 20, search, category } = {}) {
+    requireDb();
+    const schema = await getCatalogSchema(orgId);
+
+    let qb = supabaseAdmin
+        .from('products')
+        .select(PRODUCT_FIELDS, { count: 'exact' })
+        .eq('org_id', orgId)
+        .eq('is_active', true)
+        .order('name');
+
+    const term = cleanSearchTerm(search);
+    if (term) {
+        qb = qb.or(await buildSearchFilter(orgId, term, schema));
+    }
+    if (category) {
+        qb = qb.ilike('category', category);
+    }
+
+    const from = (page - 1) * limit;
+    qb = qb.range(from, from + limit - 1);
+
+    const { data, error, count } = await qb;
+    if (error) throw error;
+    return { products: (data || []).map(withActiveVariants), total: count || 0 };
+}
+
+/**
+ * One product with its active variants
+ * @param {string} orgId - Organization UUID
+ * @param {string} productId - products UUID
+ * @returns {Promise<object>}
+ */
+async function getProduct(orgId, productId) {
+    requireDb();
+
+    const { data, error } = await supabaseAdmin
+        .from('products')
+        .select(PRODUCT_FIELDS)
+        .eq('id', productId)
+        .eq('org_id', orgId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new Error('Product not found');
+    return withActiveVariants(data);
+}
+
+/**
+ * Create a product and its variants
+ * @param {string} orgId - Organization UUID
+ * @param {object} input - { name, price, description, category, image_url, attributes, variants }
+ * @returns {Promise<object>} The product
+ */
+async function createProduct(orgId, input) {
+    requireDb();
+    const schema = await getCatalogSchema(orgId);
+    const { fields, variants } = normalizeProductInput(input, schema);
+
+    const { data, error } = await supabaseAdmin
+        .from('products')
+        .insert({ org_id: orgId, ...fields })
+        .select('id')
+        .single();
+
+    if (error) throw error;
+
+    try {
+        await saveVariants(orgId, data.id, variants);
+    } catch (variantError) {
+        // No product without variants
+        await supabaseAdmin.from('products').delete().eq('id', data.id);
+        throw variantError;
+    }
+    return getProduct(orgId, data.id);
+}
+
+/**
+ * Create many products at once (catalog import), BULK_INSERT_SIZE per round trip
+ * Inputs are validated like createProduct's; a failing batch is rolled back.
+ * @param {string} orgId - Organization UUID
+ * @param {Array<object>} inputs - createProduct inputs
+ * @param {function} [onBatch] - Called with (inputIndexes, error) after each batch; error is null on success
+ * @returns {Promise<number>} Products created
+ */
+async function createProducts(orgId, inputs, onBatch = () => {}) {
+    requireDb();
+    const schema = await getCatalogSchema(orgId);
+    const validated = inputs.map(input => normalizeProductInput(input, schema));
+
+    let created = 0;
+    for (let start = 0; start < validated.length; start += BULK_INSERT_SIZE) {
+        const batch = validated.slice(start, start + BULK_INSERT_SIZE);
+        const indexes = batch.map((_, i) => start + i);
+        // Ids are chosen here so each variant can point at its product
+        const products = batch.map(({ fields }) => ({ id: crypto.randomUUID(), org_id: orgId, ...fields }));
+        const variants = batch.flatMap(({ variants: productVariants }, i) =>
+            productVariants.map(({ id: _id, ...variant }) => ({ ...variant, product_id: products[i].id, org_id: orgId })));
+
+        const { error } = await supabaseAdmin.from('products').insert(products);
+        if (error) {
+            onBatch(indexes, error);
+            continue;
+        }
+
+        const { error: variantError } = await supabaseAdmin.from('product_variants').insert(variants);
+        if (variantError) {
+            await supabaseAdmin.from('products').delete().in('id', products.map(p => p.id));
+            onBatch(indexes, variantError.code === '23505'
+                ? new Error('variants sku and barcode must be unique in the catalog')
+                : variantError);
+            continue;
+        }
+
+        created += batch.length;
+        onBatch(indexes, null);
+    }
+    return created;
+}
+
+/**
+ * Update a product; variants, when given, replace the current ones
+ * @param {string} orgId - Organization UUID
+ * @param {string} productId - products UUID
+ * @param {object} input - Any of the createProduct fields
+ * @returns {Promise<object>} The product
+ */
+async function updateProduct(orgId, productId, input) {
+    requireDb();
+    const schema = await getCatalogSchema(orgId);
+    const { fields, variants } = normalizeProductInput(input, schema, true);
+
+    await getProduct(orgId, productId);
+
+    const { error } = await supabaseAdmin
+        .from('products')
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('id', productId)
+        .eq('org_id', orgId);
+
+    if (error) throw error;
+
+    if (variants) {
+        await saveVariants(orgId, productId, variants);
+    }
+    return getProduct(orgId, productId);
+}
+
+/**
+ * Hide a product from the catalog (kept for past orders)
+ * @param {string} orgId - Organization UUID
+ * @param {string} productId - products UUID
+ * @returns {Promise<{ success: boolean }>}
+ */
+async function deleteProduct(orgId, productId) {
+    requireDb();
+
+    const { data, error } = await supabaseAdmin
+        .from('products')
+        .update({ is_active: false, updated_at: new Date().toISOString() })
+        .eq('id', productId)
+        .eq('org_id', orgId)
+        .select('id')
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new Error('Product not found');
+    return { success: true };
+}
+
+/**
+ * Categories in use, alphabetically
+ * @param {string} orgId - Organization UUID
+ * @returns {Promise<Array<string>>}
+ */
+async function getCategories(orgId) {
+    requireDb();
+
+    const { data, error } = await supabaseAdmin
+        .from('products')
+        .select('category')
+        .eq('org_id', orgId)
+        .eq('is_active', true)
+        .not('category', 'is', null);
+
+    if (error) throw error;
+    return [...new Set((data || []).map(r => r.category))].sort();
+}
+
+// ─── Ordering agent ──────────────────────────────────────────────────────────
+
+/**
+ * "Classic Tee (M / Red)" — how a variant is named to customers and staff
+ * @param {string} name - Product name
+ * @param {object} options - Variant options
+ * @returns {string}
+ */
+function describeVariant(name, options) {
+    const values = Object.values(options || {}).filter(Boolean);
+    return values.length > 0 ? `${name} (${values.join(' / ')})` : name;
+}
+
+/**
+ * Units of a variant that can still be sold: on hand minus those reserved by unpaid orders
+ * @param {object} variant - { stock, reserved }
+ * @returns {number}
+ */
+function availableStock(variant) {
+    return Math.max((variant?.stock || 0) - (variant?.reserved || 0), 0);
+}
+
+/**
+ * A product as the agent sees it: attributes by label, variants with their own ids
+ * @param {object} product - From withActiveVariants
+ * @param {object} schema - Catalog schema
+ * @param {boolean} detailed - Include the description and barcodes
+ * @returns {object}
+ */
+function toAgentProduct(product, schema, detailed = false) {
+    const attributes = {};
+    for (const attr of schema.attributes) {
+        const value = product.attributes?.[attr.key];
+        if (value !== undefined && value !== null && value !== '') attributes[attr.label] = value;
+    }
+
+    return {
+        product_id: product.id,
+        name: product.name,
+        category: product.category,
+        ...(detailed ? { description: product.description } : {}),
+        attributes,
+        variants: product.variants.map(v => ({
+            variant_id: v.id,
+            options: v.options,
+            price: Number(v.price ?? product.price),
+            stock: availableStock(v),
+            sku: v.sku,
+            ...(detailed ? { barcode: v.barcode } : {}),
+        })),
+    };
+}
+
+/**
+ * Search the catalog for the ordering agent
+ * @param {string} orgId - Organization UUID
+ * @param {object} params - Tool arguments: query, category and the schema's filterable
+ *   attributes and variant options by key
+ * @returns {Promise<Array<object>>} Up to SEARCH_LIMIT products (toAgentProduct); only
+ *   variants matching the option filters are listed
+ */
+async function searchCatalog(orgId, params = {}) {
+    requireDb();
+    const schema = await getCatalogSchema(orgId);
+
+    let qb = supabaseAdmin
+        .from('products')
+        .select(PRODUCT_FIELDS)
+        .eq('org_id', orgId)
+        .eq('is_active', true);
+
+    const term = cleanSearchTerm(params.query);
+    if (term) {
+        qb = qb.or(await buildSearchFilter(orgId, term, schema));
+    }
+    if (params.category) {
+        qb = qb.ilike('category', params.category);
+    }
+
+    for (const attr of schema.attributes.filter(a => a.filterable)) {
+        const value = params[attr.key];
+        if (value === undefined || value === null || value === '') continue;
+        qb = attr.type === 'text'
+            ? qb.ilike(`attributes->>${attr.key}`, `%${cleanSearchTerm(value)}%`)
+            : qb.eq(`attributes->>${attr.key}`, String(value));
+    }
+
+    // Option filters narrow the variants, so fetch extra products to fill the page
+    const optionFilters = schema.variant_options
+        .filter(o => params[o.key])
+        .map(o => [o.key, String(params[o.key]).toLowerCase()]);
+
+    const { data, error } = await qb.order('name').limit(optionFilters.length > 0 ? SEARCH_LIMIT * 5 : SEARCH_LIMIT);
+    if (error) throw error;
+
+    return (data || [])
+        .map(withActiveVariants)
+        .map(product => ({
+            ...product,
+            variants: product.variants.filter(v =>
+                optionFilters.every(([key, value]) => String(v.options?.[key] || '').toLowerCase() === value)),
+        }))
+        .filter(product => product.variants.length > 0)
+        .slice(0, SEARCH_LIMIT)
+        .map(product => toAgentProduct(product, schema));
+}
+
+/**
+ * One product for the ordering agent, with its description
+ * @param {string} orgId - Organization UUID
+ * @param {string} productId - products UUID
+ * @returns {Promise<object|null>} null when the product doesn't exist or is hidden
+ */
+async function getProductForAgent(orgId, productId) {
+    const schema = await getCatalogSchema(orgId);
+    const product = await getProduct(orgId, productId).catch(() => null);
+    if (!product || !product.is_active) return null;
+    return toAgentProduct(product, schema, true);
+}
+
+/**
+ * A variant that can be bought, with its product
+ * @param {string} orgId - Organization UUID
+ * @param {string} variantId - product_variants UUID
+ * @returns {Promise<object|null>} { id, product_id, name, options, sku, price, stock } with
+ *   stock the units available; null when the variant or its product is missing or hidden
+ */
+async function getSellableVariant(orgId, variantId) {
+    requireDb();
+
+    const { data, error } = await supabaseAdmin
+        .from('product_variants')
+        .select(`${VARIANT_FIELDS}, products!inner(name, price, is_active)`)
+        .eq('id', variantId)
+        .eq('org_id', orgId)
+        .maybeSingle();
+
+    // A malformed id from the model is just "not found"
+    if (error || !data || !data.is_active || !data.products.is_active) return null;
+
+    return {
+        id: data.id,
+        product_id: data.product_id,
+        name: describeVariant(data.products.name, data.options),
+        options: data.options,
+        sku: data.sku,
+        price: Number(data.price ?? data.products.price),
+        stock: availableStock(data),
+    };
+}
+
+module.exports = {
+    DEFAULT_CATALOG_SCHEMA,
+    PRODUCT_FIELDS,
+    getCatalogSchema,
+    setCatalogSchema,
+    listProducts,
+    getProduct,
+    createProduct,
+    createProducts,
+    updateProduct,
+    deleteProduct,
+    getCategories,
+    normalizeProductInput,
+    withActiveVariants,
+    describeVariant,
+    availableStock,
+    searchCatalog,
+    getProductForAgent,
+    getSellableVariant,
+};
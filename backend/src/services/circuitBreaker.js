@@ -0,0 +1,95 @@
+/**
+ * Circuit Breaker
+ * Stops calling a failing dependency for a cooldown period.
+ *
+ * closed    → calls go through; consecutive failures are counted
+ * open      → after failureThreshold failures (or an explicit trip, e.g. HTTP 429),
+ *             calls are skipped until the cooldown ends
+ * half-open → after the cooldown one call (the probe) is let through and the
+ *             others are skipped until it settles; success closes the circuit,
+ *             failure opens it again. A probe that never reports back is given
+ *             up on after probeTimeoutMs.
+ *
+ * State is in-memory and per process.
+ */
+class CircuitBreaker {
+    /**
+     * @param {object} options
+     * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+     * @param {number} options.cooldownMs - How long an open circuit skips calls
+     * @param {number} options.probeTimeoutMs - How long a half-open circuit waits on its probe
+     */
+    constructor({ failureThreshold = 3, cooldownMs = 60000, probeTimeoutMs = 60000 } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.probeTimeoutMs = probeTimeoutMs;
+        this.circuits = new Map(); // key → { label, failures, openUntil, probeUntil, lastError }
+    }
+
+    /**
+     * Whether calls for this key should be skipped right now
+     * @param {string} key
+     * @returns {boolean}
+     */
+    isOpen(key) {
+        const circuit = this.circuits.get(key);
+        if (!circuit || !circuit.openUntil) return false;
+
+        const now = Date.now();
+        if (now < circuit.openUntil) return true;
+
+        // Half-open: let one call through to test the dependency, skip the rest until it settles
+        if (circuit.probeUntil && now < circuit.probeUntil) return true;
+        circuit.probeUntil = now + this.probeTimeoutMs;
+        return false;
+    }
+
+    /**
+     * @param {string} key
+     */
+    recordSuccess(key) {
+        this.circuits.delete(key);
+    }
+
+    /**
+     * @param {string} key
+     * @param {object} options
+     * @param {string} options.label - Human-readable name for logs and status
+     * @param {string} options.error - Error message
+     * @param {boolean} options.trip - Open immediately regardless of the failure count
+     * @param {number} options.cooldownMs - Override the cooldown (e.g. from Retry-After)
+     * @returns {boolean} Whether the circuit is now open
+     */
+    recordFailure(key, { label = key, error = null, trip = false, cooldownMs = null } = {}) {
+        const circuit = this.circuits.get(key) || { label, failures: 0, openUntil: null, probeUntil: null, lastError: null };
+        circuit.failures++;
+        circuit.lastError = error;
+        circuit.probeUntil = null;
+
+        if (trip || circuit.failures >= this.failureThreshold) {
+            circuit.openUntil = Date.now() + (cooldownMs || this.cooldownMs);
+            console.warn(`⚡ Circuit open for ${label} until ${new Date(circuit.openUntil).toISOString()}: ${error || 'repeated failures'}`);
+        }
+
+        this.circuits.set(key, circuit);
+        return !!circuit.openUntil;
+    }
+
+    /**
+     * Currently open circuits
+     * @returns {Array<{ label: string, failures: number, openUntil: string, lastError: string|null }>}
+     */
+    openCircuits() {
+        const now = Date.now();
+        return [...this.circuits.values()]
+            .filter(c => c.openUntil && c.openUntil > now)
+            .map(c => ({
+                label: c.label,
+                failures: c.failures,
+                openUntil: new Date(c.openUntil).toISOString(),
+                lastError: c.lastError,
+            }));
+    }
+}
+
+module.exports = { CircuitBreaker };
@@ -0,0 +1,160 @@
+const { supabaseAdmin } = require('../auth/supabase');
+const { summarizeConversation } = require('../ai');
+
+/**
+ * Conversation Memory
+ * Builds the chat history the KB bot sees for a conversation.
+ *
+ * - Only the current session counts (messages since conversations.opened_at)
+ * - The newest turns are sent verbatim up to MEMORY_TOKEN_BUDGET
+ * - Older turns are folded into conversations.memory_summary, incrementally,
+ *   so each message is summarized once
+ * - Trailing inbound messages are the turn being answered and are left out
+ *
+ * Tokens are estimated at ~4 characters per token; this only needs to be
+ * good enough to keep prompts bounded.
+ */
+
+const MEMORY_TOKEN_BUDGET = parseInt(process.env.MEMORY_TOKEN_BUDGET, 10) || 1500;
+const MEMORY_MAX_MESSAGES = parseInt(process.env.MEMORY_MAX_MESSAGES, 10) || 50;
+const SUMMARY_MAX_TOKENS = 300;
+
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+function toTurn(row) {
+    return {
+        role: row.direction === 'inbound' ? 'user' : 'assistant',
+        content: row.body,
+    };
+}
+
+/**
+ * Split messages (oldest first) into the newest ones that fit the budget and the rest
+ * @param {Array<object>} messages - Items with a content or body string
+ * @param {number} budget - Token budget for the recent part
+ * @returns {{ recent: Array<object>, older: Array<object> }}
+ */
+function splitByBudget(messages, budget = MEMORY_TOKEN_BUDGET) {
+    let used = 0;
+    let start = messages.length;
+
+    while (start > 0) {
+        const cost = estimateTokens(messages[start - 1].content ?? messages[start - 1].body);
+        if (used + cost > budget) break;
+        used += cost;
+        start--;
+    }
+
+    return { recent: messages.slice(start), older: messages.slice(0, start) };
+}
+
+/**
+ * Load history and summary for the KB bot
+ * Non-blocking: errors are logged and an empty memory is returned
+ *
+ * @param {string} conversationId - Conversation UUID
+ * @returns {Promise<{ history: Array<{role: string, content: string}>, summary: string|null }>}
+ */
+async function loadConversationMemory(conversationId) {
+    const empty = { history: [], summary: null };
+    if (!supabaseAdmin || !conversationId) return empty;
+
+    try {
+        const { data: conversation, error: convError } = await supabaseAdmin
+            .from('conversations')
+            .select('org_id, opened_at, memory_summary, memory_summary_through')
+            .eq('id', conversationId)
+            .single();
+
+        if (convError) throw convError;
+
+        let query = supabaseAdmin
+            .from('messages')
+            .select('direction, body, transcript, created_at')
+            .eq('conversation_id', conversationId)
+            .order('created_at', { ascending: false })
+            .limit(MEMORY_MAX_MESSAGES);
+
+        if (conversation.opened_at) {
+            query = query.gte('created_at', conversation.opened_at);
+        }
+
+        const { data: rows, error } = await query;
+        if (error) throw error;
+
+        // Voice notes are remembered by their transcript
+        const messages = (rows || [])
+            .reverse()
+            .map(m => ({ ...m, body: m.transcript || m.body }))
+            .filter(m => m.body);
+
+        // The unanswered inbound messages at the end are the current turn
+        while (messages.length > 0 && messages[messages.length - 1].direction === 'inbound') {
+            messages.pop();
+        }
+
+        const { recent, older } = splitByBudget(messages);
+
+        // A summary from a previous session doesn't apply after a reopen
+        const sameSession = conversation.memory_summary_through &&
+            (!conversation.opened_at || new Date(conversation.memory_summary_through) >= new Date(conversation.opened_at));
+        let summary = sameSession ? conversation.memory_summary : null;
+        const summarizedThrough = sameSession ? conversation.memory_summary_through : null;
+
+        const unsummarized = older.filter(m => !summarizedThrough || new Date(m.created_at) > new Date(summarizedThrough));
+        const updatedSummary = unsummarized.length > 0
+            ? await summarizeConversation({
+                orgId: conversation.org_id,
+                previousSummary: summary,
+                messages: unsummarized.map(toTurn),
+                maxTokens: SUMMARY_MAX_TOKENS,
+            })
+            : null;
+
+        // On failure the previous summary is kept and the messages are summarized next turn
+        if (updatedSummary) {
+            summary = updatedSummary;
+            const { error: updateError } = await supabaseAdmin
+                .from('conversations')
+                .update({
+                    memory_summary: summary,
+                    memory_summary_through: unsummarized[unsummarized.length - 1].created_at,
+                })
+                .eq('id', conversationId);
+
+            if (updateError) {
+                console.warn('⚠️ Failed to store conversation summary:', updateError.message);
+            } else {
+                console.log(`🧠 Summarized ${unsummarized.length} older message(s) for conversation ${conversationId}`);
+            }
+        }
+
+        return { history: recent.map(toTurn), summary: summary || null };
+    } catch (error) {
+        console.error('❌ Error loading conversation memory:', error);
+        return empty;
+    }
+}
+
+/**
+ * Apply the same budget to a client-supplied history (chat tester); nothing is stored
+ * @param {Array<{role: string, content: string}>} history - Oldest first
+ * @param {string|null} orgId - Organization UUID (selects the LLM provider)
+ * @returns {Promise<{ history: Array<object>, summary: string|null }>}
+ */
+async function buildMemoryFromHistory(history = [], orgId = null) {
+    const turns = history.filter(m => m && m.content && (m.role === 'user' || m.role === 'assistant'));
+    const { recent, older } = splitByBudget(turns);
+    const summary = older.length > 0
+        ? await summarizeConversation({ orgId, messages: older, maxTokens: SUMMARY_MAX_TOKENS })
+        : null;
+
+    return { history: recent, summary };
+}
+
+module.exports = {
+    loadConversationMemory,
+    buildMemoryFromHistory,
+};
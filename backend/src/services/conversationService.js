@@ -0,0 +1,279 @@
+const { supabaseAdmin } = require('../auth/supabase');
+const { emitToOrg } = require('./socketService');
+
+/**
+ * Conversation Service
+ * Conversation lifecycle: open → pending → resolved.
+ *
+ * - open:     the customer is waiting on us (new conversations start here)
+ * - pending:  we are waiting on the customer or a third party
+ * - resolved: closed by an agent, or automatically after
+ *             organizations.auto_resolve_after_hours without messages
+ *
+ * A new customer message reopens a resolved conversation and starts a fresh
+ * session (opened_at reset); resolution time is resolved_at - opened_at.
+ * Resolving also clears any handoff so the next session starts with the bot.
+ *
+ * Socket.io event (org room):
+ * - conversation:updated { conversationId, status, resolved_at, bot_paused, assigned_to }
+ */
+
+const CONVERSATION_STATUSES = ['open', 'pending', 'resolved'];
+
+const LIFECYCLE_FIELDS = 'id, org_id, status, opened_at, resolved_at, resolved_by, auto_resolved, reopen_count, bot_paused, assigned_to';
+
+const AUTO_RESOLVE_SWEEP_MS = parseInt(process.env.AUTO_RESOLVE_SWEEP_MS, 10) || 15 * 60 * 1000; // 15 minutes
+
+let sweepTimer = null;
+
+function emitConversationUpdated(conversation) {
+    emitToOrg(conversation.org_id, 'conversation:updated', {
+        conversationId: conversation.id,
+        status: conversation.status,
+        resolved_at: conversation.resolved_at,
+        bot_paused: conversation.bot_paused,
+        assigned_to: conversation.assigned_to,
+    });
+}
+
+/**
+ * Column updates for moving a conversation into a status
+ * @param {object} current - Conversation row with LIFECYCLE_FIELDS
+ * @param {string} status - Target status
+ * @param {object} options
+ * @param {string|null} options.userId - Staff member making the change
+ * @param {boolean} options.auto - Set by the idle sweep
+ * @returns {object} Columns to update
+ */
+function statusUpdates(current, status, { userId = null, auto = false } = {}) {
+    const now = new Date().toISOString();
+
+    if (status === 'resolved') {
+        return {
+            status,
+            resolved_at: now,
+            resolved_by: auto ? null : userId,
+            auto_resolved: auto,
+            bot_paused: false,
+            assigned_to: null,
+            handoff_reason: null,
+            handoff_requested_at: null,
+        };
+    }
+
+    // Leaving 'resolved' starts a new session
+    if (current.status === 'resolved') {
+        return {
+            status,
+            opened_at: now,
+            resolved_at: null,
+            resolved_by: null,
+            auto_resolved: false,
+            reopen_count: (current.reopen_count || 0) + 1,
+        };
+    }
+
+    return { status };
+}
+
+/**
+ * Change a conversation's status (dashboard action)
+ * @param {string} orgId - Organization UUID
+ * @param {string} conversationId - Conversation UUID
+ * @param {string} status - 'open', 'pending' or 'resolved'
+ * @param {string|null} userId - Staff member making the change
+ * @returns {Promise<object>} Updated conversation lifecycle fields
+ */
+async function updateConversationStatus(orgId, conversationId, status, userId = null) {
+    if (!supabaseAdmin) {
+        throw new Error('Supabase admin client not configured');
+    }
+    if (!CONVERSATION_STATUSES.includes(status)) {
+        throw new Error(`status must be one of: ${CONVERSATION_STATUSES.join(', ')}`);
+    }
+
+    const { data: current, error: findError } = await supabaseAdmin
+        .from('conversations')
+        .select(LIFECYCLE_FIELDS)
+        .eq('id', conversationId)
+        .eq('org_id', orgId)
+        .maybeSingle();
+
+    if (findError) throw findError;
+    if (!current) throw new Error('Conversation not found');
+    if (current.status === status) return current;
+
+    const { data, error } = await supabaseAdmin
+        .from('conversations')
+        .update(statusUpdates(current, status, { userId }))
+        .eq('id', conversationId)
+        .eq('org_id', orgId)
+        .select(LIFECYCLE_FIELDS)
+        .single();
+
+    if (error) throw error;
+
+    console.log(`📋 Conversation ${conversationId}: ${current.status} → ${status}`);
+    emitConversationUpdated(data);
+    return data;
+}
+
+/**
+ * Reopen a resolved conversation because the customer wrote again
+ * Non-blocking: errors are logged and the conversation is returned unchanged
+ *
+ * @param {object} conversation - conversations row (select *)
+ * @returns {Promise<object>} The (possibly reopened) conversation
+ */
+async function reopenIfResolved(conversation) {
+    if (!supabaseAdmin || conversation.status !== 'resolved') {
+        return conversation;
+    }
+
+    try {
+        // Conditional on status so two concurrent messages only reopen once
+        const { data, error } = await supabaseAdmin
+            .from('conversations')
+            .update(statusUpdates(conversation, 'open'))
+            .eq('id', conversation.id)
+            .eq('status', 'resolved')
+            .select('*')
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return conversation;
+
+        console.log(`🔄 Reopened resolved conversation ${conversation.id}`);
+        emitConversationUpdated(data);
+        return data;
+    } catch (error) {
+        console.error('❌ Error reopening conversation:', error);
+        return conversation;
+    }
+}
+
+/**
+ * Resolve conversations that have been idle longer than their org's
+ * auto_resolve_after_hours. Conversations waiting on a human (bot_paused) are left alone.
+ * @returns {Promise<number>} Number of conversations resolved
+ */
+async function autoResolveIdleConversations() {
+    if (!supabaseAdmin) return 0;
+
+    try {
+        const { data: orgs, error: orgError } = await supabaseAdmin
+            .from('organizations')
+            .select('id, auto_resolve_after_hours')
+            .gt('auto_resolve_after_hours', 0);
+
+        if (orgError) throw orgError;
+
+        let resolved = 0;
+        for (const org of orgs || []) {
+            const cutoff = new Date(Date.now() - org.auto_resolve_after_hours * 60 * 60 * 1000).toISOString();
+            const now = new Date().toISOString();
+
+            const { data, error } = await supabaseAdmin
+                .from('conversations')
+                .update({
+                    status: 'resolved',
+                    resolved_at: now,
+                    resolved_by: null,
+                    auto_resolved: true,
+                })
+                .eq('org_id', org.id)
+                .in('status', ['open', 'pending'])
+                .eq('bot_paused', false)
+                .lt('last_message_at', cutoff)
+                .select(LIFECYCLE_FIELDS);
+
+            if (error) {
+                console.error(`❌ Error auto-resolving conversations for org ${org.id}:`, error);
+                continue;
+            }
+
+            (data || []).forEach(emitConversationUpdated);
+            resolved += (data || []).length;
+        }
+
+        if (resolved > 0) {
+            console.log(`📋 Auto-resolved ${resolved} idle conversation(s)`);
+        }
+        return resolved;
+    } catch (error) {
+        console.error('❌ Error in autoResolveIdleConversations:', error);
+        return 0;
+    }
+}
+
+/**
+ * Run the idle auto-resolve sweep now and every AUTO_RESOLVE_SWEEP_MS
+ */
+function startAutoResolveSweeper() {
+    if (sweepTimer) return;
+    autoResolveIdleConversations();
+    sweepTimer = setInterval(autoResolveIdleConversations, AUTO_RESOLVE_SWEEP_MS);
+    sweepTimer.unref?.();
+}
+
+/**
+ * Conversation status counts and resolution times for analytics
+ * Auto-resolved conversations are counted but excluded from resolution times
+ * (their resolved_at includes the idle period).
+ *
+ * @param {string} orgId - Organization UUID
+ * @param {string} since - ISO timestamp; only conversations resolved after it are timed
+ * @returns {Promise<object>} { open, pending, resolved, autoResolved, avgResolutionMinutes, medianResolutionMinutes }
+ */
+async function getResolutionStats(orgId, since) {
+    const count = (status) => supabaseAdmin
+        .from('conversations')
+        .select('*', { count: 'exact', head: true })
+        .eq('org_id', orgId)
+        .eq('status', status);
+
+    const [
+        { count: open },
+        { count: pending },
+        { count: resolved },
+        { data: resolvedRows, error },
+    ] = await Promise.all([
+        count('open'),
+        count('pending'),
+        count('resolved'),
+        supabaseAdmin
+            .from('conversations')
+            .select('opened_at, resolved_at, auto_resolved')
+            .eq('org_id', orgId)
+            .eq('status', 'resolved')
+            .gte('resolved_at', since),
+    ]);
+
+    if (error) throw error;
+
+    const minutes = (resolvedRows || [])
+        .filter(r => !r.auto_resolved && r.opened_at && r.resolved_at)
+        .map(r => (new Date(r.resolved_at) - new Date(r.opened_at)) / 60000)
+        .sort((a, b) => a - b);
+
+    const avg = minutes.length ? minutes.reduce((sum, m) => sum + m, 0) / minutes.length : null;
+    const median = minutes.length ? minutes[Math.floor((minutes.length - 1) / 2)] : null;
+
+    return {
+        open: open || 0,
+        pending: pending || 0,
+        resolved: resolved || 0,
+        autoResolved: (resolvedRows || []).filter(r => r.auto_resolved).length,
+        avgResolutionMinutes: avg === null ? null : Math.round(avg),
+        medianResolutionMinutes: median === null ? null : Math.round(median),
+    };
+}
+
+module.exports = {
+    CONVERSATION_STATUSES,
+    updateConversationStatus,
+    reopenIfResolved,
+    autoResolveIdleConversations,
+    startAutoResolveSweeper,
+    getResolutionStats,
+};
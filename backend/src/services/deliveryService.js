@@ -0,0 +1,189 @@
+const { supabaseAdmin } = require('../auth/supabase');
+const { emitToOrg } = require('./socketService');
+
+/**
+ * Delivery Service
+ * Tracks delivery/read receipts of outbound WhatsApp messages.
+ *
+ * whatsapp-web.js reports progress through 'message_ack' events:
+ *   -1 ERROR → failed, 0 PENDING → pending, 1 SERVER → sent,
+ *    2 DEVICE → delivered, 3 READ → read, 4 PLAYED → played (voice notes)
+ *
+ * Each messages row keeps its latest delivery_status plus a delivery_timeline
+ * of every status change. Socket.io event (org room):
+ * - message:status { messageId, conversationId, delivery_status, delivery_status_at, delivery_error }
+ */
+
+const ACK_STATUSES = {
+    '-1': 'failed',
+    0: 'pending',
+    1: 'sent',
+    2: 'delivered',
+    3: 'read',
+    4: 'played',
+};
+
+// Receipts can arrive out of order; never move a message backwards
+const STATUS_RANK = {
+    pending: 0,
+    sent: 1,
+    delivered: 2,
+    read: 3,
+    played: 4,
+};
+
+/**
+ * Whether an ack should replace the message's current delivery status.
+ * A failure replaces pending and sent; after it only proof of delivery
+ * (delivered, read, played) moves the message on. The rest only move forward.
+ * @param {string|null} current - messages.delivery_status
+ * @param {string} status - Status of the ack
+ * @returns {boolean}
+ */
+function isAckNewer(current, status) {
+    if (!current) return true;
+    if (status === 'failed') return current === 'pending' || current === 'sent';
+    if (current === 'failed') return STATUS_RANK[status] > STATUS_RANK.sent;
+    return STATUS_RANK[status] > STATUS_RANK[current];
+}
+
+const DELIVERY_FIELDS = 'id, org_id, conversation_id, delivery_status, delivery_status_at, delivery_timeline, delivery_error';
+
+// An ack can beat saveOutgoingMessage to the database; look again after this delay
+const ACK_RETRY_DELAY_MS = 3000;
+
+/**
+ * Initial delivery columns for a new outbound messages row
+ * @param {string} status - 'pending', 'sent' or 'failed'
+ * @param {string|null} error - Send error for 'failed'
+ * @returns {object} Columns to merge into the insert
+ */
+function deliveryColumns(status, error = null) {
+    const at = new Date().toISOString();
+    return {
+        delivery_status: status,
+        delivery_status_at: at,
+        delivery_timeline: [{ status, at, ...(error ? { error } : {}) }],
+        delivery_error: error,
+    };
+}
+
+/**
+ * Append a status to a message's timeline and broadcast it
+ * @param {object} message - messages row with DELIVERY_FIELDS
+ * @param {string} status - New delivery status
+ * @param {object} extra - Additional columns (e.g. new wa_message_id after a retry)
+ * @param {string|null} error - Error for 'failed'
+ * @returns {Promise<object>} Updated row
+ */
+async function applyDeliveryStatus(message, status, { extra = {}, error = null } = {}) {
+    const at = new Date().toISOString();
+    const timeline = [...(message.delivery_timeline || []), { status, at, ...(error ? { error } : {}) }];
+
+    const { data, error: updateError } = await supabaseAdmin
+        .from('messages')
+        .update({
+            ...extra,
+            delivery_status: status,
+            delivery_status_at: at,
+            delivery_timeline: timeline,
+            delivery_error: error,
+        })
+        .eq('id', message.id)
+        .select(DELIVERY_FIELDS)
+        .single();
+
+    if (updateError) throw updateError;
+
+    emitToOrg(data.org_id, 'message:status', {
+        messageId: data.id,
+        conversationId: data.conversation_id,
+        delivery_status: data.delivery_status,
+        delivery_status_at: data.delivery_status_at,
+        delivery_error: data.delivery_error,
+    });
+
+    return data;
+}
+
+/**
+ * Record a whatsapp-web.js message_ack for one of our outbound messages
+ * Non-blocking: errors are logged
+ *
+ * @param {string} orgId - Organization UUID
+ * @param {string} waMessageId - WhatsApp message id (msg.id.id, as stored in messages.wa_message_id)
+ * @param {number} ack - whatsapp-web.js MessageAck value
+ * @param {boolean} isRetry - Second lookup after the row wasn't found yet
+ */
+async function recordAck(orgId, waMessageId, ack, isRetry = false) {
+    try {
+        const status = ACK_STATUSES[ack];
+        if (!status || !supabaseAdmin || !waMessageId) return;
+
+        const { data: message, error } = await supabaseAdmin
+            .from('messages')
+            .select(DELIVERY_FIELDS)
+            .eq('org_id', orgId)
+            .eq('wa_message_id', waMessageId)
+            .eq('direction', 'outbound')
+            .maybeSingle();
+
+        if (error) throw error;
+
+        if (!message) {
+            if (!isRetry) {
+                setTimeout(() => recordAck(orgId, waMessageId, ack, true), ACK_RETRY_DELAY_MS);
+            }
+            return;
+        }
+
+        if (!isAckNewer(message.delivery_status, status)) return;
+
+        await applyDeliveryStatus(message, status, {
+            error: status === 'failed' ? 'WhatsApp reported the message as not sent' : null,
+        });
+    } catch (error) {
+        console.error('❌ Error recording message ack:', error);
+    }
+}
+
+/**
+ * Mark an outbound message as failed (send threw)
+ * @param {string} messageId - messages row UUID
+ * @param {string} errorMessage
+ * @returns {Promise<object>} Updated row
+ */
+async function markFailed(messageId, errorMessage) {
+    const { data: message, error } = await supabaseAdmin
+        .from('messages')
+        .select(DELIVERY_FIELDS)
+        .eq('id', messageId)
+        .single();
+
+    if (error) throw error;
+    return applyDeliveryStatus(message, 'failed', { error: errorMessage });
+}
+
+/**
+ * Mark a previously failed message as sent again after a successful retry
+ * @param {string} messageId - messages row UUID
+ * @param {string|null} waMessageId - WhatsApp id of the new send (acks are matched on it)
+ * @returns {Promise<object>} Updated row
+ */
+async function markResent(messageId, waMessageId) {
+    const { data: message, error } = await supabaseAdmin
+        .from('messages')
+        .select(DELIVERY_FIELDS)
+        .eq('id', messageId)
+        .single();
+
+    if (error) throw error;
+    return applyDeliveryStatus(message, 'sent', { extra: { wa_message_id: waMessageId } });
+}
+
+module.exports = {
+    deliveryColumns,
+    recordAck,
+    markFailed,
+    markResent,
+};
@@ -0,0 +1,185 @@
+const path = require('path');
+const { InferenceClient } = require('@huggingface/inference');
+
+/**
+ * Embedding Service
+ * Turns KB chunks and search queries into vectors.
+ *
+ * Providers (EMBEDDING_PROVIDER; default hf when HF_API_TOKEN is set, otherwise local):
+ * - hf     Hugging Face Inference API (HF_API_TOKEN, HF_EMBED_MODEL, default BAAI/bge-base-en-v1.5, 768 dims)
+ * - local  In-process ONNX model through transformers.js (EMBEDDING_LOCAL_MODEL, default
+ *          Xenova/bge-small-en-v1.5, 384 dims). Downloaded once into EMBEDDING_CACHE_DIR;
+ *          with EMBEDDING_ALLOW_DOWNLOAD=false only models already there are used (fully offline).
+ *
+ * Every vector is tagged with the model that made it ("<provider>:<model>", see
+ * getEmbeddingModel). Vectors of different models can't be compared, so chunks
+ * record their model (kb_chunks.embedding_model) and search only compares a query
+ * with chunks of the same model; sources embedded with another model need a re-index.
+ */
+
+const PROVIDER_NAME = process.env.EMBEDDING_PROVIDER || (process.env.HF_API_TOKEN ? 'hf' : 'local');
+
+const hfClient = process.env.HF_API_TOKEN ? new InferenceClient(process.env.HF_API_TOKEN) : null;
+
+const hfProvider = {
+    model: process.env.HF_EMBED_MODEL || 'BAAI/bge-base-en-v1.5',
+
+    async embed(texts) {
+        if (!hfClient) throw new Error('Missing HF_API_TOKEN in .env');
+
+        const output = await hfClient.featureExtraction({
+            model: this.model,
+            inputs: texts.length === 1 ? texts[0] : texts,
+            provider: 'hf-inference',
+        });
+
+        // One input returns a vector (or [vector]); several return [vector, ...]
+        if (texts.length === 1 && Array.isArray(output) && typeof output[0] === 'number') {
+            return [output];
+        }
+        if (
+            Array.isArray(output) &&
+            output.length === texts.length &&
+            output.every(v => Array.isArray(v) && typeof v[0] === 'number')
+        ) {
+            return output;
+        }
+        throw new Error(`Unexpected HF embedding response format (${typeof output})`);
+    },
+};
+
+const localProvider = {
+    model: process.env.EMBEDDING_LOCAL_MODEL || 'Xenova/bge-small-en-v1.5',
+    extractor: null,
+
+    // The first call loads (and, if needed, downloads) the model; later calls reuse it
+    getExtractor() {
+        if (!this.extractor) {
+            this.extractor = (async () => {
+                const { pipeline, env } = await import('@huggingface/transformers');
+                env.cacheDir = process.env.EMBEDDING_CACHE_DIR || path.join(__dirname, '../../.cache/models');
+                env.allowRemoteModels = process.env.EMBEDDING_ALLOW_DOWNLOAD !== 'false';
+
+                console.log(`🧠 Loading local embedding model ${this.model}...`);
+                const extractor = await pipeline('feature-extraction', this.model, {
+                    dtype: process.env.EMBEDDING_LOCAL_DTYPE || 'q8',
+                });
+                console.log(`✅ Local embedding model ${this.model} ready`);
+                return extractor;
+            })().catch((error) => {
+                // Let the next call try again (e.g. once the network is back)
+                this.extractor = null;
+                throw error;
+            });
+        }
+        return this.extractor;
+    },
+
+    async embed(texts) {
+        const extractor = await this.getExtractor();
+        // BGE models are trained on the [CLS] vector; most others (e5, MiniLM) on the mean
+        const pooling = process.env.EMBEDDING_POOLING || (/bge/i.test(this.model) ? 'cls' : 'mean');
+        const output = await extractor(texts, { pooling, normalize: true });
+        return output.tolist();
+    },
+};
+
+const providers = { hf: hfProvider, local: localProvider };
+
+if (!providers[PROVIDER_NAME]) {
+    console.warn(`⚠️ Unknown EMBEDDING_PROVIDER "${PROVIDER_NAME}", using local`);
+}
+const provider = providers[PROVIDER_NAME] || localProvider;
+const providerName = providers[PROVIDER_NAME] ? PROVIDER_NAME : 'local';
+
+// e5 models expect their inputs to say what they are
+const isE5 = /(^|\/)(multilingual-)?e5-/i.test(provider.model);
+const QUERY_PREFIX = process.env.EMBEDDING_QUERY_PREFIX ?? (isE5 ? 'query: ' : '');
+const PASSAGE_PREFIX = process.env.EMBEDDING_PASSAGE_PREFIX ?? (isE5 ? 'passage: ' : '');
+
+let dimensions = null;
+
+function remember(vectors) {
+    const first = vectors.find(v => Array.isArray(v) && v.length > 0);
+    if (first && dimensions !== first.length) {
+        if (dimensions !== null) {
+            console.warn(`⚠️ Embedding dimension changed from ${dimensions} to ${first.length}`);
+        }
+        dimensions = first.length;
+    }
+    return vectors;
+}
+
+/**
+ * The embedding model in use
+ * @returns {{ id: string, provider: string, model: string, dimensions: number|null }}
+ *   dimensions is null until the first vector has been produced (see getEmbeddingDimensions)
+ */
+function getEmbeddingModel() {
+    return {
+        id: `${providerName}:${provider.model}`,
+        provider: providerName,
+        model: provider.model,
+        dimensions,
+    };
+}
+
+/**
+ * Vector size of the model in use, embedding a probe text if none has been made yet
+ * @returns {Promise<number|null>} null if the model can't be reached
+ */
+async function getEmbeddingDimensions() {
+    if (dimensions === null) {
+        await embedQuery('dimension probe');
+    }
+    return dimensions;
+}
+
+/**
+ * Embed a search query
+ * @param {string} text
+ * @returns {Promise<Array<number>>} Vector, or [] if embedding failed
+ */
+async function embedQuery(text) {
+    try {
+        const [vector] = remember(await provider.embed([QUERY_PREFIX + text]));
+        return vector || [];
+    } catch (error) {
+        console.error(`❌ Error embedding query (${providerName}):`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Embed KB passages in one request
+ * Falls back to one request per text if the batch call fails, so one bad
+ * input doesn't fail the whole batch.
+ * @param {Array<string>} texts
+ * @returns {Promise<Array<Array<number>>>} One vector per text; [] where embedding failed
+ */
+async function embedPassages(texts) {
+    if (texts.length === 0) return [];
+
+    try {
+        return remember(await provider.embed(texts.map(t => PASSAGE_PREFIX + t)));
+    } catch (error) {
+        if (texts.length === 1) {
+            console.error(`❌ Error embedding passage (${providerName}):`, error.message);
+            return [[]];
+        }
+        console.error(`❌ Embedding batch of ${texts.length} failed (${providerName}), embedding one by one:`, error.message);
+    }
+
+    const vectors = [];
+    for (const text of texts) {
+        vectors.push((await embedPassages([text]))[0]);
+    }
+    return vectors;
+}
+
+module.exports = {
+    getEmbeddingModel,
+    getEmbeddingDimensions,
+    embedQuery,
+    embedPassages,
+};
@@ -0,0 +1,370 @@
+const { supabaseAdmin } = require('../auth/supabase');
+const { embedQuery, getEmbeddingModel } = require('./embeddingService');
+const { getOrgRetrievalConfig } = require('../rag');
+
+/**
+ * FAQ Service
+ * Curated FAQs: an approved answer and the wordings customers use to ask for it
+ * (opening hours, bank details, return policy).
+ *
+ * Every wording is embedded (faq_questions). Incoming messages are matched
+ * against them before KB search; when the closest wording's similarity reaches
+ * the org's faq_min_score, the answer is sent verbatim instead of an AI reply,
+ * counted on the FAQ (hit_count) and flagged on the message (messages.faq_id).
+ *
+ * Wordings embedded with another model than the one in use (see embeddingService)
+ * can't be matched; listing the FAQs re-embeds them in the background.
+ */
+
+const FAQ_FIELDS = 'id, org_id, question, variants, answer, enabled, hit_count, last_hit_at, created_by, created_at, updated_at';
+
+const MAX_QUESTION_LENGTH = 500;
+const MAX_ANSWER_LENGTH = 4000;
+const MAX_VARIANTS = 20;
+const ACTIVE_CACHE_TTL_MS = 60 * 1000;
+
+// Orgs without enabled FAQs skip matching, so their messages aren't embedded twice
+const activeCache = new Map();
+// Orgs whose stale FAQs are being re-embedded
+const reembedding = new Set();
+
+function requireDb() {
+    if (!supabaseAdmin) {
+        throw new Error('Supabase admin client not configured');
+    }
+}
+
+/**
+ * Validate FAQ fields from the dashboard
+ * @param {object} input - { question, variants, answer, enabled }
+ * @param {boolean} partial - Only validate the fields present (updates)
+ * @returns {object} Columns to write
+ */
+function normalizeFaqInput(input, partial = false) {
+    const fields = {};
+
+    if (!partial || input.question !== undefined) {
+        const question = String(input.question || '').trim();
+        if (!question) throw new Error('question is required');
+        if (question.length > MAX_QUESTION_LENGTH) {
+            throw new Error(`question must be at most ${MAX_QUESTION_LENGTH} characters`);
+        }
+        fields.question = question;
+    }
+
+    if (!partial || input.variants !== undefined) {
+        if (input.variants !== undefined && input.variants !== null && !Array.isArray(input.variants)) {
+            throw new Error('variants must be a list of questions');
+        }
+        const variants = [...new Set((input.variants || []).map(v => String(v || '').trim()).filter(Boolean))];
+        if (variants.length > MAX_VARIANTS) {
+            throw new Error(`variants must be at most ${MAX_VARIANTS} questions`);
+        }
+        if (variants.some(v => v.length > MAX_QUESTION_LENGTH)) {
+            throw new Error(`variants must be at most ${MAX_QUESTION_LENGTH} characters each`);
+        }
+        fields.variants = variants;
+    }
+
+    if (!partial || input.answer !== undefined) {
+        const answer = String(input.answer || '').trim();
+        if (!answer) throw new Error('answer is required');
+        if (answer.length > MAX_ANSWER_LENGTH) {
+            throw new Error(`answer must be at most ${MAX_ANSWER_LENGTH} characters`);
+        }
+        fields.answer = answer;
+    }
+
+    if (input.enabled !== undefined) {
+        fields.enabled = Boolean(input.enabled);
+    }
+
+    return fields;
+}
+
+/**
+ * Replace the embedded wordings of an FAQ (its question and variants)
+ * Wordings that fail to embed are stored without a vector and retried on the next listFaqs.
+ * @param {object} faq - faqs row
+ * @returns {Promise<number>} Wordings embedded
+ */
+async function embedFaqQuestions(faq) {
+    const wordings = [faq.question, ...(faq.variants || [])];
+
+    const rows = [];
+    for (const text of wordings) {
+        const embedding = await embedQuery(text);
+        const embedded = embedding.length > 0;
+        rows.push({
+            faq_id: faq.id,
+            org_id: faq.org_id,
+            text,
+            embedding: embedded ? embedding : null,
+            embedding_model: embedded ? getEmbeddingModel().id : null,
+        });
+    }
+
+    const { error: deleteError } = await supabaseAdmin
+        .from('faq_questions')
+        .delete()
+        .eq('faq_id', faq.id);
+    if (deleteError) throw deleteError;
+
+    const { error } = await supabaseAdmin.from('faq_questions').insert(rows);
+    if (error) throw error;
+
+    const embedded = rows.filter(r => r.embedding).length;
+    if (embedded < rows.length) {
+        console.warn(`⚠️ FAQ "${faq.question}": ${rows.length - embedded} of ${rows.length} wordings could not be embedded`);
+    }
+    return embedded;
+}
+
+/**
+ * Re-embed FAQs whose wordings are missing a vector of the current model
+ * @param {string} orgId - Organization UUID
+ * @param {Array<object>} faqs - The org's FAQs with their matchable flag
+ */
+async function reembedStaleFaqs(orgId, faqs) {
+    if (reembedding.has(orgId)) return;
+    reembedding.add(orgId);
+    try {
+        for (const faq of faqs.filter(f => !f.matchable)) {
+            try {
+                await embedFaqQuestions(faq);
+            } catch (error) {
+                console.error(`❌ Error re-embedding FAQ ${faq.id}:`, error.message);
+            }
+        }
+    } finally {
+        reembedding.delete(orgId);
+    }
+}
+
+/**
+ * FAQs of an organization, newest first
+ * matchable is false while a wording lacks a vector of the current embedding
+ * model; those FAQs are re-embedded in the background.
+ * @param {string} orgId - Organization UUID
+ * @returns {Promise<Array<object>>}
+ */
+async function listFaqs(orgId) {
+    requireDb();
+
+    const [{ data: faqs, error }, { data: questions, error: questionsError }] = await Promise.all([
+        supabaseAdmin.from('faqs').select(FAQ_FIELDS).eq('org_id', orgId).order('created_at', { ascending: false }),
+        supabaseAdmin.from('faq_questions').select('faq_id, embedding_model').eq('org_id', orgId),
+    ]);
+
+    if (error) throw error;
+    if (questionsError) throw questionsError;
+
+    const model = getEmbeddingModel().id;
+    const wordingsByFaq = new Map();
+    for (const q of questions || []) {
+        const counts = wordingsByFaq.get(q.faq_id) || { total: 0, current: 0 };
+        counts.total += 1;
+        if (q.embedding_model === model) counts.current += 1;
+        wordingsByFaq.set(q.faq_id, counts);
+    }
+
+    const result = (faqs || []).map(faq => {
+        const counts = wordingsByFaq.get(faq.id);
+        const expected = 1 + (faq.variants || []).length;
+        return { ...faq, matchable: Boolean(counts) && counts.total === expected && counts.current === expected };
+    });
+
+    if (result.some(f => !f.matchable)) {
+        reembedStaleFaqs(orgId, result);
+    }
+    return result;
+}
+
+/**
+ * One FAQ
+ * @param {string} orgId - Organization UUID
+ * @param {string} faqId - faqs UUID
+ * @returns {Promise<object>}
+ */
+async function getFaq(orgId, faqId) {
+    requireDb();
+
+    const { data, error } = await supabaseAdmin
+        .from('faqs')
+        .select(FAQ_FIELDS)
+        .eq('id', faqId)
+        .eq('org_id', orgId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new Error('FAQ not found');
+    return data;
+}
+
+/**
+ * Create an FAQ and embed its wordings
+ * @param {string} orgId - Organization UUID
+ * @param {string|null} userId - Staff member creating it
+ * @param {object} input - { question, variants, answer, enabled }
+ * @returns {Promise<object>} The FAQ, with matchable
+ */
+async function createFaq(orgId, userId, input) {
+    requireDb();
+    const fields = normalizeFaqInput(input);
+
+    const { data: faq, error } = await supabaseAdmin
+        .from('faqs')
+        .insert({ org_id: orgId, created_by: userId, ...fields })
+        .select(FAQ_FIELDS)
+        .single();
+
+    if (error) throw error;
+
+    const embedded = await embedFaqQuestions(faq);
+    activeCache.delete(orgId);
+
+    console.log(`📌 Created FAQ "${faq.question}" (${embedded} wordings embedded)`);
+    return { ...faq, matchable: embedded === 1 + faq.variants.length };
+}
+
+/**
+ * Update an FAQ; its wordings are re-embedded when the question or variants change
+ * @param {string} orgId - Organization UUID
+ * @param {string} faqId - faqs UUID
+ * @param {object} input - Any of { question, variants, answer, enabled }
+ * @returns {Promise<object>} The FAQ
+ */
+async function updateFaq(orgId, faqId, input) {
+    requireDb();
+    const fields = normalizeFaqInput(input, true);
+
+    await getFaq(orgId, faqId);
+
+    const { data: faq, error } = await supabaseAdmin
+        .from('faqs')
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('id', faqId)
+        .eq('org_id', orgId)
+        .select(FAQ_FIELDS)
+        .single();
+
+    if (error) throw error;
+
+    if (fields.question !== undefined || fields.variants !== undefined) {
+        await embedFaqQuestions(faq);
+    }
+    activeCache.delete(orgId);
+    return faq;
+}
+
+/**
+ * Delete an FAQ; its wordings go with it (ON DELETE CASCADE)
+ * @param {string} orgId - Organization UUID
+ * @param {string} faqId - faqs UUID
+ * @returns {Promise<void>}
+ */
+async function deleteFaq(orgId, faqId) {
+    requireDb();
+
+    const { data, error } = await supabaseAdmin
+        .from('faqs')
+        .delete()
+        .eq('id', faqId)
+        .eq('org_id', orgId)
+        .select('id, question')
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new Error('FAQ not found');
+
+    activeCache.delete(orgId);
+    console.log(`🗑️ Deleted FAQ "${data.question}"`);
+}
+
+/**
+ * Whether the org has any enabled FAQ (cached for ACTIVE_CACHE_TTL_MS)
+ * @param {string} orgId - Organization UUID
+ * @returns {Promise<boolean>}
+ */
+async function hasActiveFaqs(orgId) {
+    const cached = activeCache.get(orgId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.active;
+    }
+
+    const { count, error } = await supabaseAdmin
+        .from('faqs')
+        .select('id', { count: 'exact', head: true })
+        .eq('org_id', orgId)
+        .eq('enabled', true);
+
+    // Table may not exist yet — no FAQs to match
+    const active = !error && (count || 0) > 0;
+    activeCache.set(orgId, { active, expiresAt: Date.now() + ACTIVE_CACHE_TTL_MS });
+    return active;
+}
+
+/**
+ * The curated FAQ that answers a customer message, if one is close enough
+ * @param {string} orgId - Organization UUID
+ * @param {string} text - Customer message
+ * @param {object} options
+ * @param {number} options.minScore - Overrides the org's faq_min_score
+ * @returns {Promise<{ faq: object, question: string, similarity: number }|null>}
+ *   question is the wording that matched; null when no FAQ reaches the threshold
+ */
+async function matchFaq(orgId, text, { minScore } = {}) {
+    if (!supabaseAdmin || !orgId || !text || !text.trim()) return null;
+    if (!await hasActiveFaqs(orgId)) return null;
+
+    const queryEmbedding = await embedQuery(text.trim());
+    if (queryEmbedding.length === 0) return null;
+
+    const { data, error } = await supabaseAdmin.rpc('match_faq_questions', {
+        query_embedding: queryEmbedding,
+        filter_org_id: orgId,
+        filter_embedding_model: getEmbeddingModel().id,
+        match_count: 1,
+    });
+
+    if (error) {
+        console.error('❌ Error matching FAQs:', error.message);
+        return null;
+    }
+
+    const best = data?.[0];
+    if (!best) return null;
+
+    const threshold = minScore ?? (await getOrgRetrievalConfig(orgId)).faqMinScore;
+    if (best.similarity < threshold) {
+        console.log(`📌 Closest FAQ "${best.question}" at ${best.similarity.toFixed(3)}, below ${threshold}`);
+        return null;
+    }
+
+    const faq = await getFaq(orgId, best.faq_id).catch(() => null);
+    if (!faq || !faq.enabled) return null;
+
+    return { faq, question: best.question, similarity: best.similarity };
+}
+
+/**
+ * Count a customer message answered by an FAQ
+ * @param {string} faqId - faqs UUID
+ * @returns {Promise<void>}
+ */
+async function recordFaqHit(faqId) {
+    const { error } = await supabaseAdmin.rpc('record_faq_hit', { p_faq_id: faqId });
+    if (error) {
+        console.error('❌ Error recording FAQ hit:', error.message);
+    }
+}
+
+module.exports = {
+    listFaqs,
+    getFaq,
+    createFaq,
+    updateFaq,
+    deleteFaq,
+    matchFaq,
+    recordFaqHit,
+};
@@ -0,0 +1,316 @@
+const { supabaseAdmin } = require('../auth/supabase');
+const { addTextToKB } = require('../kb');
+const { getChunksByIds } = require('./kbSourceService');
+
+/**
+ * Feedback Service
+ * Staff rate AI replies in the Messages view (thumbs up/down with a reason) and
+ * can save a corrected answer as a question/answer KB source ('faq'), so the
+ * next customer asking the same thing gets the right answer.
+ *
+ * Every staff member has one rating per message (message_feedback). The
+ * downvote report lists the most-downvoted replies with the question they
+ * answered and the KB chunks the bot was shown (messages.retrieved_chunks).
+ */
+
+const FEEDBACK_RATINGS = ['up', 'down'];
+const FEEDBACK_REASONS = ['wrong_answer', 'outdated', 'incomplete', 'not_relevant', 'tone', 'other'];
+
+const MAX_COMMENT_LENGTH = 1000;
+const MAX_FAQ_QUESTION_LENGTH = 500;
+const MAX_FAQ_ANSWER_LENGTH = 4000;
+const REPORT_SCAN_LIMIT = 2000;
+
+function requireDb() {
+    if (!supabaseAdmin) {
+        throw new Error('Supabase admin client not configured');
+    }
+}
+
+/**
+ * An AI reply of the org
+ * @param {string} orgId - Organization UUID
+ * @param {string} messageId - messages UUID
+ * @returns {Promise<object>}
+ */
+async function getAIMessage(orgId, messageId) {
+    const { data, error } = await supabaseAdmin
+        .from('messages')
+        .select('id, conversation_id, direction, ai_used, body, created_at')
+        .eq('id', messageId)
+        .eq('org_id', orgId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new Error('Message not found');
+    if (data.direction !== 'outbound' || !data.ai_used) {
+        throw new Error('Only AI replies can be rated');
+    }
+    return data;
+}
+
+/**
+ * The customer message an AI reply answered: the last inbound text before it
+ * @param {{ conversation_id: string, created_at: string }} message
+ * @returns {Promise<string|null>}
+ */
+async function getAnsweredQuestion(message) {
+    const { data, error } = await supabaseAdmin
+        .from('messages')
+        .select('body, transcript')
+        .eq('conversation_id', message.conversation_id)
+        .eq('direction', 'inbound')
+        .lt('created_at', message.created_at)
+        .order('created_at', { ascending: false })
+        .limit(5);
+
+    if (error) {
+        console.error('⚠️ Could not load the question for an AI reply:', error.message);
+        return null;
+    }
+    // Voice notes are answered from their transcript
+    const question = (data || []).map(m => m.transcript || m.body).find(text => text && text.trim());
+    return question ? question.trim() : null;
+}
+
+/**
+ * Ratings of messages, for the Messages view
+ * @param {string} orgId - Organization UUID
+ * @param {Array<string>} messageIds - messages UUIDs
+ * @param {string} userId - Current staff member, whose own rating is returned as mine
+ * @returns {Promise<Map<string, { up: number, down: number, mine: object|null, corrected: boolean }>>}
+ */
+async function getFeedbackSummaries(orgId, messageIds, userId) {
+    requireDb();
+    const summaries = new Map();
+    if (messageIds.length === 0) return summaries;
+
+    const { data, error } = await supabaseAdmin
+        .from('message_feedback')
+        .select('message_id, user_id, rating, reason, comment, correction_source_id')
+        .eq('org_id', orgId)
+        .in('message_id', messageIds);
+
+    if (error) throw error;
+
+    for (const row of data || []) {
+        const summary = summaries.get(row.message_id) || { up: 0, down: 0, mine: null, corrected: false };
+        summary[row.rating] += 1;
+        if (row.user_id === userId) {
+            summary.mine = { rating: row.rating, reason: row.reason, comment: row.comment };
+        }
+        if (row.correction_source_id) summary.corrected = true;
+        summaries.set(row.message_id, summary);
+    }
+    return summaries;
+}
+
+/**
+ * Rate an AI reply, or clear the rating
+ * @param {string} orgId - Organization UUID
+ * @param {string} messageId - messages UUID of the AI reply
+ * @param {string} userId - Staff member rating it
+ * @param {object} feedback
+ * @param {'up'|'down'|null} feedback.rating - null removes the staff member's rating
+ *   (kept when it recorded a saved correction)
+ * @param {string} feedback.reason - One of FEEDBACK_REASONS (downvotes only, optional)
+ * @param {string} feedback.comment - Free text (optional)
+ * @returns {Promise<{ up: number, down: number, mine: object|null, corrected: boolean }>} Updated summary
+ */
+async function setFeedback(orgId, messageId, userId, { rating, reason = null, comment = null }) {
+    requireDb();
+
+    if (rating !== null && !FEEDBACK_RATINGS.includes(rating)) {
+        throw new Error(`rating must be one of: ${FEEDBACK_RATINGS.join(', ')}`);
+    }
+    if (reason && !FEEDBACK_REASONS.includes(reason)) {
+        throw new Error(`reason must be one of: ${FEEDBACK_REASONS.join(', ')}`);
+    }
+
+    await getAIMessage(orgId, messageId);
+
+    if (rating === null) {
+        const { error } = await supabaseAdmin
+            .from('message_feedback')
+            .delete()
+            .eq('message_id', messageId)
+            .eq('user_id', userId)
+            .is('correction_source_id', null);
+        if (error) throw error;
+    } else {
+        const { error } = await supabaseAdmin
+            .from('message_feedback')
+            .upsert({
+                org_id: orgId,
+                message_id: messageId,
+                user_id: userId,
+                rating,
+                // A reason only explains a downvote
+                reason: rating === 'down' ? reason : null,
+                comment: String(comment || '').trim().slice(0, MAX_COMMENT_LENGTH) || null,
+                updated_at: new Date().toISOString(),
+            }, { onConflict: 'message_id,user_id' });
+        if (error) throw error;
+    }
+
+    const summaries = await getFeedbackSummaries(orgId, [messageId], userId);
+    return summaries.get(messageId) || { up: 0, down: 0, mine: null, corrected: false };
+}
+
+/**
+ * Save the corrected answer to an AI reply as a question/answer KB source
+ * Also records the correction as the staff member's downvote of the reply
+ * (their existing rating and reason are kept).
+ * @param {string} orgId - Organization UUID
+ * @param {string} messageId - messages UUID of the AI reply
+ * @param {string} userId - Staff member saving the correction
+ * @param {object} correction
+ * @param {string} correction.answer - The approved answer
+ * @param {string} correction.question - Defaults to the customer message the reply answered
+ * @returns {Promise<{ sourceId: string, jobId: string, question: string }>}
+ */
+async function saveCorrectionAsFAQ(orgId, messageId, userId, { question, answer }) {
+    requireDb();
+
+    const message = await getAIMessage(orgId, messageId);
+
+    const finalAnswer = String(answer || '').trim();
+    if (!finalAnswer) throw new Error('answer is required');
+    if (finalAnswer.length > MAX_FAQ_ANSWER_LENGTH) {
+        throw new Error(`answer must be at most ${MAX_FAQ_ANSWER_LENGTH} characters`);
+    }
+
+    const finalQuestion = String(question || '').trim() || await getAnsweredQuestion(message);
+    if (!finalQuestion) throw new Error('question is required');
+    if (finalQuestion.length > MAX_FAQ_QUESTION_LENGTH) {
+        throw new Error(`question must be at most ${MAX_FAQ_QUESTION_LENGTH} characters`);
+    }
+
+    // One chunk, so the question and its answer are always retrieved together
+    const text = `Q: ${finalQuestion}\nA: ${finalAnswer}`;
+    const title = `FAQ: ${finalQuestion.length > 80 ? `${finalQuestion.slice(0, 77)}...` : finalQuestion}`;
+    const { sourceId, jobId } = await addTextToKB(title, text, orgId, userId, 'faq', null, {
+        chunks: [{ text, metadata: { question: finalQuestion, corrected_message_id: messageId } }],
+    });
+
+    const { data: existing } = await supabaseAdmin
+        .from('message_feedback')
+        .select('rating, reason, comment')
+        .eq('message_id', messageId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    const { error } = await supabaseAdmin
+        .from('message_feedback')
+        .upsert({
+            org_id: orgId,
+            message_id: messageId,
+            user_id: userId,
+            rating: existing?.rating || 'down',
+            reason: existing ? existing.reason : 'wrong_answer',
+            comment: existing?.comment || null,
+            correction_source_id: sourceId,
+            updated_at: new Date().toISOString(),
+        }, { onConflict: 'message_id,user_id' });
+
+    if (error) {
+        // The FAQ is saved either way; only the link back to the reply is missing
+        console.error('⚠️ Could not record the correction on the reply\'s feedback:', error.message);
+    }
+
+    console.log(`📝 Saved corrected answer as FAQ source ${sourceId}`);
+    return { sourceId, jobId, question: finalQuestion };
+}
+
+/**
+ * Most-downvoted AI replies with what the bot was asked and shown
+ * @param {string} orgId - Organization UUID
+ * @param {object} options
+ * @param {string} options.since - ISO timestamp; downvotes before it are ignored
+ * @param {number} options.limit - Replies to return
+ * @returns {Promise<{ totalDownvotes: number, answers: Array<object> }>}
+ */
+async function getDownvoteReport(orgId, { since, limit = 20 }) {
+    requireDb();
+
+    const { data, error } = await supabaseAdmin
+        .from('message_feedback')
+        .select(`
+            message_id, reason, comment, correction_source_id, created_at,
+            messages!inner ( id, conversation_id, body, created_at, retrieved_chunks, cited_chunk_ids )
+        `)
+        .eq('org_id', orgId)
+        .eq('rating', 'down')
+        .gte('created_at', since)
+        .order('created_at', { ascending: false })
+        .limit(REPORT_SCAN_LIMIT);
+
+    if (error) throw error;
+
+    const byMessage = new Map();
+    for (const row of data || []) {
+        const entry = byMessage.get(row.message_id) || {
+            message: row.messages,
+            downvotes: 0,
+            reasons: {},
+            comments: [],
+            correctionSourceId: null,
+            lastDownvotedAt: row.created_at,
+        };
+        entry.downvotes += 1;
+        if (row.reason) entry.reasons[row.reason] = (entry.reasons[row.reason] || 0) + 1;
+        if (row.comment) entry.comments.push(row.comment);
+        entry.correctionSourceId = entry.correctionSourceId || row.correction_source_id;
+        byMessage.set(row.message_id, entry);
+    }
+
+    const top = [...byMessage.values()]
+        .sort((a, b) => b.downvotes - a.downvotes || b.lastDownvotedAt.localeCompare(a.lastDownvotedAt))
+        .slice(0, limit);
+
+    // Chunk text for everything the bot was shown; chunks deleted since are marked missing
+    const chunkIds = [...new Set(top.flatMap(e => (e.message.retrieved_chunks || []).map(c => c.id)))];
+    const chunks = new Map((await getChunksByIds(orgId, chunkIds)).map(c => [c.id, c]));
+
+    const answers = await Promise.all(top.map(async (entry) => {
+        const { message } = entry;
+        const cited = new Set(message.cited_chunk_ids || []);
+        return {
+            message_id: message.id,
+            conversation_id: message.conversation_id,
+            answered_at: message.created_at,
+            question: await getAnsweredQuestion(message),
+            answer: message.body,
+            downvotes: entry.downvotes,
+            reasons: entry.reasons,
+            comments: entry.comments,
+            last_downvoted_at: entry.lastDownvotedAt,
+            correction_source_id: entry.correctionSourceId,
+            // null: the reply predates retrieval tracking (MIGRATION_021)
+            retrieved_chunks: message.retrieved_chunks
+                ? message.retrieved_chunks.map(c => {
+                    const chunk = chunks.get(c.id);
+                    return {
+                        id: c.id,
+                        title: chunk?.source_title || c.title || null,
+                        score: c.score ?? null,
+                        cited: cited.has(c.id),
+                        text: chunk?.text ?? null,
+                        metadata: chunk?.metadata || null,
+                        missing: !chunk,
+                    };
+                })
+                : null,
+        };
+    }));
+
+    return { totalDownvotes: (data || []).length, answers };
+}
+
+module.exports = {
+    FEEDBACK_REASONS,
+    getFeedbackSummaries,
+    setFeedback,
+    saveCorrectionAsFAQ,
+    getDownvoteReport,
+};
@@ -0,0 +1,180 @@
+const { generateAIReply } = require('../ai');
+const { getOrgRetrievalConfig } = require('../rag');
+const { getOrgLLMConfig } = require('./llmService');
+
+/**
+ * Grounding Service
+ * Strict grounding (organizations.kb_strict_grounding): the bot answers only
+ * from knowledge base chunks and cites the ones it used, or declines when the
+ * knowledge base has no good answer, instead of falling back to general knowledge.
+ *
+ * Snippets are numbered in the prompt and the model cites them inline ("[1]",
+ * "[1][3]"). The markers are mapped back to kb_chunks ids, stored on the outgoing
+ * message (messages.cited_chunk_ids) and stripped from the text the customer sees.
+ *
+ * The bot declines when:
+ * - the best searchKB score is below kb_grounding_min_score (no LLM call is made)
+ * - the model answers NO_ANSWER, or cites none of the snippets
+ * and then sends kb_grounding_message, handing off to a human when
+ * kb_grounding_action is 'handoff'.
+ */
+
+const NO_ANSWER = 'NO_ANSWER';
+
+const DEFAULT_DECLINE_MESSAGE = "Sorry, I don't have information about that. Please contact us directly and we'll be happy to help.";
+const DEFAULT_HANDOFF_MESSAGE = "Sorry, I don't have information about that. I've asked a team member to help you, they'll reply shortly.";
+
+const STRICT_GROUNDING_RULES = `Strict grounding rules (these override any other instruction):
+- Answer only with facts stated in the knowledge base snippets. Never answer from general knowledge and never guess policies, prices, dates or contact details.
+- After each fact, cite the snippet it came from by its number in square brackets, e.g. [1] or [1][3].
+- If the snippets don't answer the question, reply with exactly ${NO_ANSWER} and nothing else.`;
+
+/**
+ * Reply sent when the bot declines to answer
+ * @param {{ action: 'decline'|'handoff', message: string|null }} grounding - from getOrgRetrievalConfig
+ * @returns {string}
+ */
+function getDeclineMessage(grounding) {
+    if (grounding.message) return grounding.message;
+    return grounding.action === 'handoff' ? DEFAULT_HANDOFF_MESSAGE : DEFAULT_DECLINE_MESSAGE;
+}
+
+/**
+ * Highest relevance score among KB matches (0 when there are none)
+ * @param {Array<{ score: number|null }>} matches - searchKB results
+ * @returns {number}
+ */
+function getBestScore(matches) {
+    return matches.reduce((best, m) => Math.max(best, Number(m.score) || 0), 0);
+}
+
+/**
+ * Map citation markers in a reply to chunk ids and remove them from the text
+ * Markers that don't match a snippet are left alone.
+ * @param {string} reply - Model output
+ * @param {Array<string>} chunkIds - Chunk id of snippet n at index n - 1
+ * @returns {{ text: string, citedChunkIds: Array<string> }} cited ids in order of first citation
+ */
+function extractCitations(reply, chunkIds) {
+    const cited = new Set();
+
+    const text = reply
+        .replace(/\s*\[(\d+(?:\s*,\s*\d+)*)\]/g, (marker, numbers) => {
+            const ids = numbers.split(',').map(n => chunkIds[parseInt(n, 10) - 1]);
+            if (ids.some(id => !id)) return marker;
+            ids.forEach(id => cited.add(id));
+            return '';
+        })
+        // "policy [1]." → "policy." once the marker is gone
+        .replace(/[ \t]+([.,!?;:])/g, '$1')
+        .trim();
+
+    return { text, citedChunkIds: [...cited] };
+}
+
+/**
+ * Whether the model said the snippets don't answer the question
+ * @param {string} reply
+ * @returns {boolean}
+ */
+function isNoAnswer(reply) {
+    return reply.toUpperCase().includes(NO_ANSWER);
+}
+
+/**
+ * Reply to a customer question from KB matches, honouring the org's grounding mode
+ *
+ * Without strict grounding this is generateAIReply. With it, the reply cites the
+ * chunks it used, or the bot declines.
+ *
+ * @param {object} params - Same as generateAIReply: orgId, userMessage, kbMatches, history, summary,
+ *   systemPrompt (a rendered draft prompt to test instead of the published one)
+ * @returns {Promise<{
+ *   reply: string,
+ *   citedChunkIds: Array<string>|null,
+ *   declined: { action: 'decline'|'handoff', reason: string }|null
+ * }>} citedChunkIds is null when strict grounding is off and empty when the bot declined
+ * @throws LLM_UNAVAILABLE from generateAIReply when every model fails
+ */
+async function generateGroundedReply({
+    orgId = null,
+    userMessage,
+    kbMatches = [],
+    history = [],
+    summary = null,
+    systemPrompt = null,
+}) {
+    const { grounding } = orgId
+        ? await getOrgRetrievalConfig(orgId)
+        : { grounding: { strict: false } };
+
+    if (!grounding.strict) {
+        const reply = await generateAIReply({ orgId, userMessage, kbMatches, history, summary, systemPrompt });
+        return { reply, citedChunkIds: null, declined: null };
+    }
+
+    const decline = (reason) => {
+        console.log(`🚫 Declined to answer (strict grounding): ${reason}`);
+        return {
+            reply: getDeclineMessage(grounding),
+            citedChunkIds: [],
+            declined: { action: grounding.action, reason },
+        };
+    };
+
+    const bestScore = getBestScore(kbMatches);
+    if (kbMatches.length === 0 || bestScore < grounding.minScore) {
+        return decline(kbMatches.length === 0
+            ? 'no knowledge base matches'
+            : `best knowledge base score ${bestScore.toFixed(3)} is below ${grounding.minScore}`);
+    }
+
+    // Only snippets that clear the threshold can back an answer
+    const groundedMatches = kbMatches.filter(m => (Number(m.score) || 0) >= grounding.minScore);
+
+    const prompt = systemPrompt || (await getOrgLLMConfig(orgId)).systemPrompt;
+    const output = await generateAIReply({
+        orgId,
+        userMessage,
+        kbMatches: groundedMatches,
+        history,
+        summary,
+        systemInstruction: `${prompt}\n\n${STRICT_GROUNDING_RULES}`,
+    });
+
+    if (isNoAnswer(output)) {
+        return decline('the knowledge base snippets do not answer the question');
+    }
+
+    const { text, citedChunkIds } = extractCitations(output, groundedMatches.map(m => m.id));
+    if (citedChunkIds.length === 0 || !text) {
+        return decline('the reply cited no knowledge base snippet');
+    }
+
+    return { reply: text, citedChunkIds, declined: null };
+}
+
+/**
+ * System prompt addition for the ordering agent in strict grounding mode
+ * Catalog, cart and order answers come from their own tools; only the
+ * knowledge base answers (search_kb) need citations.
+ * @param {{ action: 'decline'|'handoff' }} grounding - from getOrgRetrievalConfig
+ * @returns {string}
+ */
+function getAgentGroundingRules(grounding) {
+    const fallback = grounding.action === 'handoff'
+        ? 'call request_human_handoff and tell the customer a team member will reply shortly'
+        : `tell the customer: "${getDeclineMessage(grounding)}"`;
+
+    return `Strict grounding rules for general questions (these override any other instruction):
+- Answer store policies, hours, contact details and other general questions only with facts from search_kb snippets. Never answer them from general knowledge or guess.
+- Each search_kb snippet has a "ref" number. After each fact taken from a snippet, cite it in square brackets, e.g. [1] or [1][3].
+- If search_kb finds nothing relevant, or the snippets don't answer the question, ${fallback}.`;
+}
+
+module.exports = {
+    generateGroundedReply,
+    getAgentGroundingRules,
+    getDeclineMessage,
+    extractCitations,
+};
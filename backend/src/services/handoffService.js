@@ -0,0 +1,142 @@
+const { supabaseAdmin } = require('../auth/supabase');
+const { emitToOrg } = require('./socketService');
+
+/**
+ * Handoff Service
+ * Per-conversation human takeover.
+ *
+ * Lifecycle:
+ * 1. Agent (LLM) calls request_human_handoff → bot_paused: true, handoff_requested_at set
+ * 2. Staff member claims it → assigned_to: user, bot stays paused
+ * 3. Staff member releases it → assigned_to: null, still paused (back in the handoff queue)
+ * 4. Staff member resumes the bot → bot_paused: false, handoff cleared
+ *
+ * Socket.io events (org room):
+ * - handoff:requested  { conversationId, reason, contact }
+ * - handoff:updated    { conversationId, bot_paused, assigned_to }
+ */
+
+const HANDOFF_FIELDS = 'id, org_id, bot_paused, assigned_to, handoff_reason, handoff_requested_at';
+
+async function updateHandoffState(orgId, conversationId, updates) {
+    if (!supabaseAdmin) {
+        throw new Error('Supabase admin client not configured');
+    }
+
+    const { data, error } = await supabaseAdmin
+        .from('conversations')
+        .update(updates)
+        .eq('id', conversationId)
+        .eq('org_id', orgId)
+        .select(HANDOFF_FIELDS)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new Error('Conversation not found');
+
+    emitToOrg(orgId, 'handoff:updated', {
+        conversationId,
+        bot_paused: data.bot_paused,
+        assigned_to: data.assigned_to,
+    });
+
+    return data;
+}
+
+/**
+ * Pause the bot for a conversation and alert online agents
+ * @param {object} params
+ * @param {string} params.orgId - Organization UUID
+ * @param {string} params.conversationId - Conversation UUID
+ * @param {string} params.reason - Why the bot is handing off (shown to agents)
+ * @returns {Promise<object>} Updated handoff state
+ */
+async function requestHandoff({ orgId, conversationId, reason = null }) {
+    const conversation = await updateHandoffState(orgId, conversationId, {
+        bot_paused: true,
+        handoff_reason: reason,
+        handoff_requested_at: new Date().toISOString(),
+    });
+
+    const { data: contact } = await supabaseAdmin
+        .from('conversations')
+        .select('contacts:contact_id ( wa_number, name )')
+        .eq('id', conversationId)
+        .maybeSingle();
+
+    console.log(`🙋 Human handoff requested for conversation ${conversationId}: ${reason || 'no reason given'}`);
+    emitToOrg(orgId, 'handoff:requested', {
+        conversationId,
+        reason,
+        contact: contact?.contacts || null,
+        requestedAt: conversation.handoff_requested_at,
+    });
+
+    return conversation;
+}
+
+/**
+ * Assign a conversation to a staff member and keep the bot paused
+ */
+async function claimConversation(orgId, conversationId, userId) {
+    return updateHandoffState(orgId, conversationId, {
+        bot_paused: true,
+        assigned_to: userId,
+    });
+}
+
+/**
+ * Unassign a conversation; the bot stays paused until someone resumes it
+ */
+async function releaseConversation(orgId, conversationId) {
+    return updateHandoffState(orgId, conversationId, {
+        assigned_to: null,
+    });
+}
+
+/**
+ * Hand the conversation back to the bot
+ */
+async function resumeBot(orgId, conversationId) {
+    return updateHandoffState(orgId, conversationId, {
+        bot_paused: false,
+        assigned_to: null,
+        handoff_reason: null,
+        handoff_requested_at: null,
+    });
+}
+
+/**
+ * Whether AI replies are paused for a contact's conversation
+ * @param {string} orgId - Organization UUID
+ * @param {string} contactPhone - Contact's WhatsApp number
+ * @returns {Promise<boolean>}
+ */
+async function isBotPausedForContact(orgId, contactPhone) {
+    if (!supabaseAdmin) return false;
+
+    const { data, error } = await supabaseAdmin
+        .from('conversations')
+        .select('bot_paused, contacts!inner ( wa_number )')
+        .eq('org_id', orgId)
+        .eq('contacts.wa_number', contactPhone)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (error) {
+        // Column may not exist yet — never block replies on this check
+        console.warn('⚠️ Could not read bot_paused:', error.message);
+        return false;
+    }
+
+    return !!data?.bot_paused;
+}
+
+module.exports = {
+    requestHandoff,
+    claimConversation,
+    releaseConversation,
+    resumeBot,
+    isBotPausedForContact,
+};
@@ -0,0 +1,447 @@
+const { supabaseAdmin } = require('../auth/supabase');
+
+/**
+ * Inbound Queue
+ * Durable job queue between WhatsApp message events and AI processing.
+ *
+ * - Every inbound message becomes an inbound_jobs row before it is processed,
+ *   so nothing is lost on a crash or restart (jobs left 'processing' are requeued)
+ * - Jobs for the same contact run one at a time, in arrival order; different
+ *   contacts are processed concurrently
+ * - Debounce: a contact's queued jobs wait until they have been quiet for the org's
+ *   quiet window, then run together as one batch (one AI turn for the whole burst)
+ * - Transient failures (LLM/Supabase/network) are retried with exponential backoff;
+ *   permanent failures and exhausted retries land in the dead-letter list ('dead')
+ *
+ * One InboundQueue per WhatsApp session (organization), see WhatsAppService.
+ */
+
+const POLL_INTERVAL_MS = parseInt(process.env.INBOUND_QUEUE_POLL_MS, 10) || 5000;
+const MAX_ATTEMPTS = parseInt(process.env.INBOUND_JOB_MAX_ATTEMPTS, 10) || 4;
+const BACKOFF_BASE_MS = 5000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+// A job 'processing' for longer than this is assumed to have hung and is requeued
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+const DONE_RETENTION_DAYS = 7;
+// Most messages merged into one AI turn
+const MAX_BATCH_SIZE = 10;
+
+const JOB_FIELDS = 'id, org_id, wa_message_id, contact_key, message_preview, status, attempts, max_attempts, next_run_at, locked_at, last_error, completed_at, created_at, updated_at';
+
+/**
+ * Whether a processing error is worth retrying
+ * Client errors (4xx other than timeouts/rate limits) and errors flagged
+ * permanent are not; network, rate-limit and server errors are.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+    if (error?.permanent) return false;
+    const status = error?.status || error?.statusCode;
+    if (status && status >= 400 && status < 500 && status !== 408 && status !== 429) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Mark an error as not retryable
+ * @param {string} message
+ * @returns {Error}
+ */
+function permanentError(message) {
+    const error = new Error(message);
+    error.permanent = true;
+    return error;
+}
+
+function backoffDelay(attempts) {
+    return Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+}
+
+class InboundQueue {
+    /**
+     * @param {string} orgId - Organization UUID
+     * @param {object} options
+     * @param {Function} options.handler - async (jobs) => void, jobs oldest first; throw to retry
+     *   (job.msg holds the live Message when the job could not be persisted)
+     * @param {Function} options.onDeadLetter - async (job, error) => void; called once a batch is given up on
+     * @param {Function} options.getQuietWindowMs - () => number; debounce window, 0 to disable
+     * @param {Function} options.onWaiting - (contactKey) => void; called when a burst starts waiting out the window
+     */
+    constructor(orgId, { handler, onDeadLetter = null, getQuietWindowMs = () => 0, onWaiting = null }) {
+        this.orgId = orgId;
+        this.handler = handler;
+        this.onDeadLetter = onDeadLetter;
+        this.getQuietWindowMs = getQuietWindowMs;
+        this.onWaiting = onWaiting;
+        this.timer = null;
+        this.wakeTimer = null;
+        this.wakeAt = 0;
+        // contact_key -> id of the newest job we already signalled onWaiting for
+        this.waitingFor = new Map();
+        this.started = false;
+        this.draining = false;
+        this.drainAgain = false;
+        // contact_key of jobs currently running in this process
+        this.activeContacts = new Set();
+    }
+
+    /**
+     * Start polling: requeue jobs interrupted by a restart, purge old done jobs,
+     * then process whatever is due
+     */
+    async start() {
+        if (this.started || !supabaseAdmin) return;
+        this.started = true;
+
+        const { error } = await supabaseAdmin
+            .from('inbound_jobs')
+            .update({ status: 'queued', locked_at: null, updated_at: new Date().toISOString() })
+            .eq('org_id', this.orgId)
+            .eq('status', 'processing');
+        if (error) {
+            console.error('❌ Error recovering inbound jobs:', error);
+        }
+
+        const cutoff = new Date(Date.now() - DONE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        await supabaseAdmin
+            .from('inbound_jobs')
+            .delete()
+            .eq('org_id', this.orgId)
+            .eq('status', 'done')
+            .lt('completed_at', cutoff);
+
+        this.timer = setInterval(() => this.drain(), POLL_INTERVAL_MS);
+        this.drain();
+    }
+
+    /**
+     * Stop polling (running jobs finish on their own)
+     */
+    stop() {
+        this.started = false;
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.wakeTimer) {
+            clearTimeout(this.wakeTimer);
+            this.wakeTimer = null;
+        }
+    }
+
+    /**
+     * Drain again in `delayMs` (sooner than the next poll when a quiet window ends)
+     */
+    wakeIn(delayMs) {
+        if (this.wakeTimer && this.wakeAt <= Date.now() + delayMs) return;
+        if (this.wakeTimer) clearTimeout(this.wakeTimer);
+
+        this.wakeAt = Date.now() + delayMs;
+        this.wakeTimer = setTimeout(() => {
+            this.wakeTimer = null;
+            this.drain();
+        }, delayMs);
+    }
+
+    /**
+     * Persist an inbound message as a job and kick the worker
+     * Falls back to processing directly if the job cannot be stored,
+     * so a database outage doesn't silence the bot.
+     * @param {object} msg - whatsapp-web.js Message
+     */
+    async enqueue(msg) {
+        const job = {
+            org_id: this.orgId,
+            wa_message_id: msg.id._serialized,
+            contact_key: msg.from,
+            message_preview: (msg.body || `[${msg.type}]`).substring(0, 100),
+            status: 'queued',
+            max_attempts: MAX_ATTEMPTS,
+            // Local clock, compared against Date.now() for the quiet window
+            created_at: new Date().toISOString(),
+        };
+
+        const { error } = supabaseAdmin
+            ? await supabaseAdmin.from('inbound_jobs').insert(job)
+            : { error: new Error('Supabase admin client not configured') };
+
+        if (error) {
+            if (error.code === '23505') {
+                // Duplicate message_create event for a message we already queued
+                return;
+            }
+            console.error('❌ Failed to enqueue inbound message, processing directly:', error.message || error);
+            await this.handler([{ ...job, id: null, attempts: 1, msg }]).catch(err => {
+                console.error('❌ Error handling unqueued message:', err);
+            });
+            return;
+        }
+
+        this.drain();
+    }
+
+    /**
+     * Start every batch that is due and whose contact has nothing else in flight
+     */
+    async drain() {
+        if (!this.timer) return;
+        if (this.draining) {
+            this.drainAgain = true;
+            return;
+        }
+        this.draining = true;
+
+        try {
+            do {
+                this.drainAgain = false;
+
+                const { data: jobs, error } = await supabaseAdmin
+                    .from('inbound_jobs')
+                    .select(JOB_FIELDS)
+                    .eq('org_id', this.orgId)
+                    .in('status', ['queued', 'processing'])
+                    .order('created_at', { ascending: true })
+                    .limit(200);
+
+                if (error) {
+                    console.error('❌ Error reading inbound jobs:', error);
+                    return;
+                }
+
+                // Pending jobs per contact, oldest first
+                const byContact = new Map();
+                for (const job of jobs || []) {
+                    if (!byContact.has(job.contact_key)) byContact.set(job.contact_key, []);
+                    byContact.get(job.contact_key).push(job);
+                }
+
+                const now = Date.now();
+                const quietWindowMs = this.getQuietWindowMs();
+
+                for (const [contactKey, pending] of byContact) {
+                    if (this.activeContacts.has(contactKey)) continue;
+
+                    const head = pending[0];
+                    if (head.status === 'processing') {
+                        // Only reclaim it if it has hung
+                        if (now - new Date(head.locked_at).getTime() > LOCK_TIMEOUT_MS) {
+                            this.run(contactKey, [head]);
+                        }
+                        continue;
+                    }
+
+                    // Only the oldest jobs may run; a job waiting on a retry holds back the rest
+                    const batch = [];
+                    for (const job of pending) {
+                        if (job.status !== 'queued' || new Date(job.next_run_at).getTime() > now) break;
+                        if (batch.length === MAX_BATCH_SIZE) break;
+                        batch.push(job);
+                    }
+                    if (batch.length === 0) continue;
+
+                    // Fresh bursts wait until the contact has been quiet for the window; retries don't
+                    const newest = batch[batch.length - 1];
+                    const quietFor = now - new Date(newest.created_at).getTime();
+                    if (head.attempts === 0 && quietFor < quietWindowMs) {
+                        if (this.onWaiting && this.waitingFor.get(contactKey) !== newest.id) {
+                            this.waitingFor.set(contactKey, newest.id);
+                            this.onWaiting(contactKey);
+                        }
+                        this.wakeIn(quietWindowMs - quietFor);
+                        continue;
+                    }
+
+                    this.waitingFor.delete(contactKey);
+                    this.run(contactKey, batch);
+                }
+            } while (this.drainAgain);
+        } catch (error) {
+            console.error('❌ Error draining inbound queue:', error);
+        } finally {
+            this.draining = false;
+        }
+    }
+
+    /**
+     * Claim and process a contact's batch of jobs, then record the outcome
+     * @param {string} contactKey - Chat id the jobs belong to
+     * @param {Array<object>} jobs - inbound_jobs rows, oldest first
+     */
+    async run(contactKey, jobs) {
+        this.activeContacts.add(contactKey);
+
+        try {
+            const claimed = [];
+            for (const job of jobs) {
+                // Conditional update = claim; loses the race if the row changed since it was read
+                const { data, error } = await supabaseAdmin
+                    .from('inbound_jobs')
+                    .update({
+                        status: 'processing',
+                        attempts: job.attempts + 1,
+                        locked_at: new Date().toISOString(),
+                        updated_at: new Date().toISOString(),
+                    })
+                    .eq('id', job.id)
+                    .eq('status', job.status)
+                    .eq('attempts', job.attempts)
+                    .select(JOB_FIELDS)
+                    .maybeSingle();
+
+                if (error) console.error('❌ Error claiming inbound job:', error);
+                if (!data) break; // keep the batch contiguous
+                claimed.push(data);
+            }
+            if (claimed.length === 0) return;
+
+            const ids = claimed.map(job => job.id);
+            try {
+                await this.handler(claimed);
+                await this.finish(ids, { status: 'done', completed_at: new Date().toISOString(), last_error: null });
+            } catch (error) {
+                await this.fail(claimed, error);
+            }
+        } finally {
+            this.activeContacts.delete(contactKey);
+            // The contact's next message may be waiting on this batch
+            this.drain();
+        }
+    }
+
+    /**
+     * Schedule a retry for the batch, or dead-letter it
+     */
+    async fail(jobs, error) {
+        const lastError = String(error?.message || error).substring(0, 1000);
+        const ids = jobs.map(job => job.id);
+        const attempts = Math.max(...jobs.map(job => job.attempts));
+        const exhausted = jobs.some(job => job.attempts >= job.max_attempts);
+
+        if (isTransientError(error) && !exhausted) {
+            const delay = backoffDelay(attempts);
+            console.warn(`⚠️ Inbound jobs ${ids.join(', ')} failed (attempt ${attempts}), retrying in ${delay / 1000}s: ${lastError}`);
+            await this.finish(ids, {
+                status: 'queued',
+                locked_at: null,
+                next_run_at: new Date(Date.now() + delay).toISOString(),
+                last_error: lastError,
+            });
+            return;
+        }
+
+        console.error(`❌ Inbound jobs ${ids.join(', ')} moved to dead-letter after ${attempts} attempt(s): ${lastError}`);
+        await this.finish(ids, { status: 'dead', locked_at: null, last_error: lastError });
+
+        if (this.onDeadLetter) {
+            // One apology per burst: reply to its latest message
+            await this.onDeadLetter(jobs[jobs.length - 1], error).catch(err => {
+                console.error('❌ Error in dead-letter handler:', err);
+            });
+        }
+    }
+
+    async finish(jobIds, updates) {
+        const { error } = await supabaseAdmin
+            .from('inbound_jobs')
+            .update({ ...updates, updated_at: new Date().toISOString() })
+            .in('id', jobIds);
+
+        if (error) {
+            console.error('❌ Error updating inbound job:', error);
+        }
+    }
+}
+
+/**
+ * List inbound jobs for the dashboard
+ * @param {string} orgId - Organization UUID
+ * @param {object} options
+ * @param {string} options.status - 'pending' (queued + processing), 'queued', 'processing', 'dead' or 'done'
+ * @param {number} options.limit - Max rows
+ * @returns {Promise<{ jobs: Array<object>, counts: object }>}
+ */
+async function listInboundJobs(orgId, { status = 'pending', limit = 100 } = {}) {
+    if (!supabaseAdmin) {
+        throw new Error('Supabase admin client not configured');
+    }
+
+    const statuses = status === 'pending' ? ['queued', 'processing'] : [status];
+
+    const { data: jobs, error } = await supabaseAdmin
+        .from('inbound_jobs')
+        .select(JOB_FIELDS)
+        .eq('org_id', orgId)
+        .in('status', statuses)
+        .order('created_at', { ascending: status === 'pending' })
+        .limit(limit);
+
+    if (error) throw error;
+
+    const counts = {};
+    for (const s of ['queued', 'processing', 'dead']) {
+        const { count } = await supabaseAdmin
+            .from('inbound_jobs')
+            .select('id', { count: 'exact', head: true })
+            .eq('org_id', orgId)
+            .eq('status', s);
+        counts[s] = count || 0;
+    }
+
+    return { jobs: jobs || [], counts };
+}
+
+/**
+ * Put a dead (or waiting) job back in the queue with a fresh retry budget
+ * @param {string} orgId - Organization UUID
+ * @param {string} jobId - Job UUID
+ * @returns {Promise<object>} Updated job
+ */
+async function retryInboundJob(orgId, jobId) {
+    const { data, error } = await supabaseAdmin
+        .from('inbound_jobs')
+        .update({
+            status: 'queued',
+            attempts: 0,
+            next_run_at: new Date().toISOString(),
+            locked_at: null,
+            updated_at: new Date().toISOString(),
+        })
+        .eq('id', jobId)
+        .eq('org_id', orgId)
+        .in('status', ['queued', 'dead'])
+        .select(JOB_FIELDS)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new Error('Job not found or currently processing');
+    return data;
+}
+
+/**
+ * Drop a dead (or waiting) job without processing it
+ * @param {string} orgId - Organization UUID
+ * @param {string} jobId - Job UUID
+ */
+async function discardInboundJob(orgId, jobId) {
+    const { data, error } = await supabaseAdmin
+        .from('inbound_jobs')
+        .delete()
+        .eq('id', jobId)
+        .eq('org_id', orgId)
+        .in('status', ['queued', 'dead'])
+        .select('id')
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new Error('Job not found or currently processing');
+}
+
+module.exports = {
+    InboundQueue,
+    permanentError,
+    listInboundJobs,
+    retryInboundJob,
+    discardInboundJob,
+};
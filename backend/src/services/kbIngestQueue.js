@@ -0,0 +1,554 @@
+const { supabaseAdmin } = require('../auth/supabase');
+const { embedTexts } = require('../ai');
+const { getEmbeddingModel } = require('./embeddingService');
+const { chunkDocument } = require('../chunker');
+const { emitToOrg } = require('./socketService');
+const { getSource, updateSource } = require('./kbSourceService');
+
+/**
+ * KB Ingest Queue
+ * Background worker that chunks and embeds knowledge base content, so uploads
+ * return a job id right away instead of embedding inside the HTTP request.
+ *
+ * Job kinds (kb_ingest_jobs.kind):
+ * - ingest:  new source; job.input holds the extracted text, pages and the
+ *            source's chunking options (or pre-split chunks). The worker chunks
+ *            it, stores every chunk as 'pending' and clears input.
+ * - reindex: rebuild the embeddings of all existing chunks (e.g. after switching
+ *            the embedding model, see embeddingService)
+ * - retry:   embed chunks that failed (or were never reached) in an earlier job
+ *
+ * Chunks carry their own embedding_status (pending → done | failed), so a job
+ * interrupted by a restart resumes where it stopped, and failed chunks can be
+ * retried without uploading the file again. Chunks keep their previous vector
+ * while they are re-embedded, so a source stays searchable during a re-index.
+ *
+ * Embeddings are requested in batches of EMBED_BATCH_SIZE texts, with at most
+ * EMBED_CONCURRENCY batches in flight per job and MAX_CONCURRENT_JOBS jobs at once.
+ *
+ * Socket.io events (org room):
+ * - kb:job-progress { jobId, sourceId, kind, status, total, processed, failed, chunks: [{ chunkIndex, status }] }
+ * - kb:source-updated (see kbSourceService)
+ */
+
+const POLL_INTERVAL_MS = parseInt(process.env.KB_INGEST_POLL_MS, 10) || 5000;
+const MAX_CONCURRENT_JOBS = parseInt(process.env.KB_INGEST_CONCURRENT_JOBS, 10) || 1;
+const EMBED_BATCH_SIZE = parseInt(process.env.KB_EMBED_BATCH_SIZE, 10) || 16;
+const EMBED_CONCURRENCY = parseInt(process.env.KB_EMBED_CONCURRENCY, 10) || 2;
+const INSERT_BATCH_SIZE = 500;
+const DONE_RETENTION_DAYS = 30;
+
+const JOB_FIELDS = 'id, org_id, source_id, kind, status, total_chunks, processed_chunks, failed_chunks, error, created_by, created_at, started_at, completed_at, updated_at';
+
+let timer = null;
+let draining = false;
+let drainAgain = false;
+const activeJobs = new Set();
+
+function requireDb() {
+    if (!supabaseAdmin) {
+        throw new Error('Supabase admin client not configured');
+    }
+}
+
+async function updateJob(jobId, updates) {
+    const { data, error } = await supabaseAdmin
+        .from('kb_ingest_jobs')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', jobId)
+        .select(JOB_FIELDS)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+function emitProgress(job, status, counts, chunks = []) {
+    emitToOrg(job.org_id, 'kb:job-progress', {
+        jobId: job.id,
+        sourceId: job.source_id,
+        kind: job.kind,
+        status,
+        total: counts.total,
+        processed: counts.processed,
+        failed: counts.failed,
+        chunks,
+    });
+}
+
+/**
+ * Count a source's chunks by embedding_status
+ * @param {string} sourceId
+ * @returns {Promise<{ total: number, done: number, failed: number, pending: number }>}
+ */
+async function countChunks(sourceId) {
+    const count = (status) => {
+        let query = supabaseAdmin
+            .from('kb_chunks')
+            .select('id', { count: 'exact', head: true })
+            .eq('source_id', sourceId);
+        if (status) query = query.eq('embedding_status', status);
+        return query;
+    };
+
+    const [total, done, failed] = await Promise.all([count(null), count('done'), count('failed')]);
+    for (const result of [total, done, failed]) {
+        if (result.error) throw result.error;
+    }
+
+    return {
+        total: total.count || 0,
+        done: done.count || 0,
+        failed: failed.count || 0,
+        pending: (total.count || 0) - (done.count || 0) - (failed.count || 0),
+    };
+}
+
+/**
+ * Split job.input into chunks and store them as 'pending'
+ * @param {object} job - kb_ingest_jobs row with input
+ * @returns {Promise<number>} Number of chunks stored
+ */
+async function storeChunks(job) {
+    const { text, pages, layout, chunking, chunks: preSplit } = job.input || {};
+    const chunks = (preSplit || chunkDocument({ text: text || '', pages, layout }, chunking || {}))
+        .filter(chunk => chunk.text && chunk.text.trim());
+
+    // A previous attempt may have stored some chunks before it was interrupted
+    const { error: deleteError } = await supabaseAdmin
+        .from('kb_chunks')
+        .delete()
+        .eq('source_id', job.source_id);
+    if (deleteError) throw deleteError;
+
+    for (let i = 0; i < chunks.length; i += INSERT_BATCH_SIZE) {
+        const rows = chunks.slice(i, i + INSERT_BATCH_SIZE).map((chunk, j) => ({
+            org_id: job.org_id,
+            source_id: job.source_id,
+            chunk_index: i + j,
+            text: chunk.text,
+            metadata: chunk.metadata || {},
+            embedding: null,
+            embedding_status: 'pending',
+        }));
+
+        const { error } = await supabaseAdmin.from('kb_chunks').insert(rows);
+        if (error) throw error;
+    }
+
+    await updateJob(job.id, { input: null, total_chunks: chunks.length });
+    await updateSource(job.source_id, { chunk_count: chunks.length, processed_chunks: 0 });
+
+    console.log(`✂️ Stored ${chunks.length} chunks for KB source ${job.source_id}`);
+    return chunks.length;
+}
+
+/**
+ * Embed one batch of chunks and save the results
+ * @param {Array<object>} chunks - kb_chunks rows (id, org_id, source_id, chunk_index, text, metadata)
+ * @returns {Promise<Array<{ chunkIndex: number, status: string }>>}
+ */
+async function embedBatch(chunks) {
+    let vectors;
+    let batchError = 'Embedding failed';
+    try {
+        // The section title gives short chunks (a table row, a list item) their context
+        vectors = await embedTexts(chunks.map(c => (c.metadata?.section ? `${c.metadata.section}\n${c.text}` : c.text)));
+    } catch (error) {
+        batchError = error.message || batchError;
+        vectors = [];
+    }
+
+    const embedded = [];
+    const failedIds = [];
+    chunks.forEach((chunk, i) => {
+        if (Array.isArray(vectors[i]) && vectors[i].length > 0) {
+            embedded.push({
+                ...chunk,
+                embedding: vectors[i],
+                embedding_model: getEmbeddingModel().id,
+                embedding_status: 'done',
+                embedding_error: null,
+            });
+        } else {
+            failedIds.push(chunk.id);
+        }
+    });
+
+    // One round trip for the embedded chunks of the batch
+    if (embedded.length > 0) {
+        const { error } = await supabaseAdmin.from('kb_chunks').upsert(embedded, { onConflict: 'id' });
+        if (error) throw error;
+    }
+    // Failed chunks keep their previous vector, if any
+    if (failedIds.length > 0) {
+        const { error } = await supabaseAdmin
+            .from('kb_chunks')
+            .update({ embedding_status: 'failed', embedding_error: batchError })
+            .in('id', failedIds);
+        if (error) throw error;
+    }
+
+    const failedSet = new Set(failedIds);
+    return chunks.map(c => ({ chunkIndex: c.chunk_index, status: failedSet.has(c.id) ? 'failed' : 'done' }));
+}
+
+/**
+ * Embed every pending chunk of the job's source
+ * @param {object} job - kb_ingest_jobs row
+ */
+async function runJob(job) {
+    const sourceId = job.source_id;
+    console.log(`⚙️ KB ${job.kind} job ${job.id} started for source ${sourceId}`);
+
+    if (job.kind === 'ingest' && job.input) {
+        await storeChunks(job);
+    }
+
+    const before = await countChunks(sourceId);
+    const total = before.pending;
+    let processed = 0;
+    let failed = 0;
+    const progress = () => ({ total, processed, failed });
+    await updateJob(job.id, { total_chunks: total, processed_chunks: 0, failed_chunks: 0 });
+
+    const pageSize = EMBED_BATCH_SIZE * EMBED_CONCURRENCY;
+    for (;;) {
+        const { data: chunks, error } = await supabaseAdmin
+            .from('kb_chunks')
+            .select('id, org_id, source_id, chunk_index, text, metadata')
+            .eq('source_id', sourceId)
+            .eq('embedding_status', 'pending')
+            .order('chunk_index', { ascending: true })
+            .limit(pageSize);
+
+        if (error) throw error;
+        if (!chunks || chunks.length === 0) break;
+
+        const batches = [];
+        for (let i = 0; i < chunks.length; i += EMBED_BATCH_SIZE) {
+            batches.push(chunks.slice(i, i + EMBED_BATCH_SIZE));
+        }
+
+        const results = (await Promise.all(batches.map(embedBatch))).flat();
+        processed += results.length;
+        failed += results.filter(r => r.status === 'failed').length;
+
+        const updated = await updateJob(job.id, { processed_chunks: processed, failed_chunks: failed });
+        if (!updated) {
+            console.warn(`⚠️ KB job ${job.id} was removed (source deleted), stopping`);
+            return;
+        }
+        emitProgress(job, 'processing', progress(), results);
+        await updateSource(sourceId, { processed_chunks: before.done + before.failed + processed });
+    }
+
+    const final = await countChunks(sourceId);
+    const allFailed = final.total > 0 && final.done === 0;
+    const now = new Date().toISOString();
+    const model = getEmbeddingModel();
+
+    await updateSource(sourceId, {
+        status: allFailed || final.total === 0 ? 'error' : 'ready',
+        chunk_count: final.total,
+        processed_chunks: final.done + final.failed,
+        error: final.total === 0
+            ? 'No text to index'
+            : final.failed > 0 ? `${final.failed} of ${final.total} chunks could not be embedded` : null,
+        ...(job.kind === 'reindex' && !allFailed ? { reindexed_at: now } : {}),
+        ...(processed > failed ? { embedding_model: model.id, embedding_dim: model.dimensions } : {}),
+    });
+    await updateJob(job.id, {
+        status: allFailed ? 'failed' : 'done',
+        error: allFailed ? 'No chunks could be embedded' : null,
+        completed_at: now,
+    });
+    emitProgress(job, allFailed ? 'failed' : 'done', progress());
+
+    console.log(`✅ KB ${job.kind} job ${job.id} finished: ${processed - failed}/${processed} chunks embedded`);
+}
+
+/**
+ * Claim a queued job (conditional on status so only one worker gets it)
+ * @returns {Promise<object|null>}
+ */
+async function claimNextJob() {
+    const { data: next, error } = await supabaseAdmin
+        .from('kb_ingest_jobs')
+        .select('id')
+        .eq('status', 'queued')
+        .order('created_at', { ascending: true })
+        .limit(1)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!next) return null;
+
+    const now = new Date().toISOString();
+    const { data: job, error: claimError } = await supabaseAdmin
+        .from('kb_ingest_jobs')
+        .update({ status: 'processing', started_at: now, updated_at: now, error: null })
+        .eq('id', next.id)
+        .eq('status', 'queued')
+        .select(`${JOB_FIELDS}, input`)
+        .maybeSingle();
+
+    if (claimError) throw claimError;
+    return job;
+}
+
+async function processJob(job) {
+    activeJobs.add(job.id);
+    try {
+        await updateSource(job.source_id, { status: 'processing', error: null });
+        await runJob(job);
+    } catch (error) {
+        console.error(`❌ KB ${job.kind} job ${job.id} failed:`, error);
+        const message = error.message || 'Ingestion failed';
+        try {
+            await updateJob(job.id, { status: 'failed', error: message, completed_at: new Date().toISOString() });
+            await updateSource(job.source_id, { status: 'error', error: message });
+        } catch (updateError) {
+            console.error('❌ Error recording KB job failure:', updateError);
+        }
+        emitProgress(job, 'failed', { total: job.total_chunks || 0, processed: 0, failed: 0 });
+    } finally {
+        activeJobs.delete(job.id);
+        drain();
+    }
+}
+
+/**
+ * Start as many queued jobs as MAX_CONCURRENT_JOBS allows
+ */
+async function drain() {
+    if (!supabaseAdmin) return;
+    if (draining) {
+        drainAgain = true;
+        return;
+    }
+    draining = true;
+
+    try {
+        do {
+            drainAgain = false;
+            while (activeJobs.size < MAX_CONCURRENT_JOBS) {
+                const job = await claimNextJob();
+                if (!job) break;
+                processJob(job);
+            }
+        } while (drainAgain);
+    } catch (error) {
+        console.error('❌ Error polling KB ingest jobs:', error);
+    } finally {
+        draining = false;
+    }
+}
+
+/**
+ * Queue a job for a source
+ * @param {object} params
+ * @param {string} params.orgId - Organization UUID
+ * @param {string} params.sourceId - kb_sources UUID
+ * @param {string} params.kind - 'ingest', 'reindex' or 'retry'
+ * @param {object} params.input - { text, chunks } for ingest jobs
+ * @param {string} params.createdBy - User who started it (optional)
+ * @returns {Promise<object>} kb_ingest_jobs row
+ */
+async function enqueueIngestJob({ orgId, sourceId, kind, input = null, createdBy = null }) {
+    requireDb();
+
+    const { data, error } = await supabaseAdmin
+        .from('kb_ingest_jobs')
+        .insert({
+            org_id: orgId,
+            source_id: sourceId,
+            kind,
+            status: 'queued',
+            input,
+            created_by: createdBy || null,
+        })
+        .select(JOB_FIELDS)
+        .single();
+
+    if (error) throw error;
+
+    drain();
+    return data;
+}
+
+async function ensureIdle(orgId, sourceId) {
+    const { data, error } = await supabaseAdmin
+        .from('kb_ingest_jobs')
+        .select('id')
+        .eq('org_id', orgId)
+        .eq('source_id', sourceId)
+        .in('status', ['queued', 'processing'])
+        .limit(1);
+
+    if (error) throw error;
+    if (data && data.length > 0) {
+        throw new Error('KB source is already being processed');
+    }
+}
+
+/**
+ * Rebuild the embeddings of every chunk of a source in the background
+ * @param {string} orgId - Organization UUID
+ * @param {string} sourceId - kb_sources UUID
+ * @param {string} userId - Staff member (optional)
+ * @returns {Promise<{ source: object, job: object }>}
+ */
+async function reindexSource(orgId, sourceId, userId = null) {
+    requireDb();
+
+    const source = await getSource(orgId, sourceId);
+    await ensureIdle(orgId, sourceId);
+
+    // Existing vectors stay in place (and searchable) until replaced
+    const { error } = await supabaseAdmin
+        .from('kb_chunks')
+        .update({ embedding_status: 'pending', embedding_error: null })
+        .eq('source_id', sourceId);
+    if (error) throw error;
+
+    const updated = await updateSource(sourceId, { status: 'processing', processed_chunks: 0, error: null });
+    const job = await enqueueIngestJob({ orgId, sourceId, kind: 'reindex', createdBy: userId });
+
+    console.log(`🔁 Re-indexing KB source "${source.title}" (${source.chunk_count} chunks)`);
+    return { source: updated, job };
+}
+
+/**
+ * Embed the chunks of a source that failed, or resume a failed ingestion
+ * @param {string} orgId - Organization UUID
+ * @param {string} sourceId - kb_sources UUID
+ * @param {string} userId - Staff member (optional)
+ * @returns {Promise<{ source: object, job: object }>}
+ */
+async function retryFailedChunks(orgId, sourceId, userId = null) {
+    requireDb();
+
+    await getSource(orgId, sourceId);
+    await ensureIdle(orgId, sourceId);
+
+    // An ingest job that failed before its chunks were stored still has its input
+    const { data: unfinished, error: findError } = await supabaseAdmin
+        .from('kb_ingest_jobs')
+        .select('id')
+        .eq('source_id', sourceId)
+        .eq('kind', 'ingest')
+        .eq('status', 'failed')
+        .not('input', 'is', null)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+    if (findError) throw findError;
+
+    let job;
+    if (unfinished) {
+        job = await updateJob(unfinished.id, { status: 'queued', error: null, completed_at: null });
+        drain();
+    } else {
+        const { data: reset, error } = await supabaseAdmin
+            .from('kb_chunks')
+            .update({ embedding_status: 'pending', embedding_error: null })
+            .eq('source_id', sourceId)
+            .eq('embedding_status', 'failed')
+            .select('id');
+        if (error) throw error;
+
+        const counts = await countChunks(sourceId);
+        if ((reset || []).length === 0 && counts.pending === 0) {
+            throw new Error('No failed chunks to retry');
+        }
+        job = await enqueueIngestJob({ orgId, sourceId, kind: 'retry', createdBy: userId });
+    }
+
+    const source = await updateSource(sourceId, { status: 'processing', error: null });
+    return { source, job };
+}
+
+/**
+ * Get one ingestion job
+ * @param {string} orgId - Organization UUID
+ * @param {string} jobId - kb_ingest_jobs UUID
+ * @returns {Promise<object>}
+ */
+async function getIngestJob(orgId, jobId) {
+    requireDb();
+
+    const { data, error } = await supabaseAdmin
+        .from('kb_ingest_jobs')
+        .select(JOB_FIELDS)
+        .eq('id', jobId)
+        .eq('org_id', orgId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new Error('KB job not found');
+    return data;
+}
+
+/**
+ * Recent ingestion jobs, newest first
+ * @param {string} orgId - Organization UUID
+ * @param {object} options
+ * @param {string} options.sourceId - Only jobs for this source (optional)
+ * @param {number} options.limit
+ * @returns {Promise<Array<object>>}
+ */
+async function listIngestJobs(orgId, { sourceId = null, limit = 20 } = {}) {
+    requireDb();
+
+    let query = supabaseAdmin
+        .from('kb_ingest_jobs')
+        .select(JOB_FIELDS)
+        .eq('org_id', orgId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if (sourceId) {
+        query = query.eq('source_id', sourceId);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Start the worker: requeue jobs interrupted by a restart, purge old finished
+ * jobs, then poll for queued ones
+ */
+async function startKbIngestWorker() {
+    if (timer || !supabaseAdmin) return;
+
+    const { error } = await supabaseAdmin
+        .from('kb_ingest_jobs')
+        .update({ status: 'queued', updated_at: new Date().toISOString() })
+        .eq('status', 'processing');
+    if (error) {
+        console.error('❌ Error recovering KB ingest jobs:', error);
+    }
+
+    const cutoff = new Date(Date.now() - DONE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    await supabaseAdmin
+        .from('kb_ingest_jobs')
+        .delete()
+        .eq('status', 'done')
+        .lt('completed_at', cutoff);
+
+    timer = setInterval(drain, POLL_INTERVAL_MS);
+    timer.unref?.();
+    drain();
+}
+
+module.exports = {
+    enqueueIngestJob,
+    reindexSource,
+    retryFailedChunks,
+    getIngestJob,
+    listIngestJobs,
+    startKbIngestWorker,
+};
@@ -0,0 +1,233 @@
+const { supabaseAdmin } = require('../auth/supabase');
+const { emitToOrg } = require('./socketService');
+const { getEmbeddingModel } = require('./embeddingService');
+
+/**
+ * KB Source Service
+ * Lists, inspects, renames and deletes knowledge base sources.
+ *
+ * Chunking and embedding (uploads, re-index, retries) run in the background,
+ * see kbIngestQueue. While a job runs the source is 'processing' and
+ * processed_chunks counts up to chunk_count; it ends 'ready', or 'error' with error set.
+ *
+ * Sources remember the embedding model they were embedded with; after the
+ * server switches models, getEmbeddingCompatibility lists the ones that need a re-index.
+ *
+ * Socket.io event (org room):
+ * - kb:source-updated { sourceId, status, processed_chunks, chunk_count, error }
+ */
+
+const SOURCE_FIELDS = 'id, org_id, title, source_type, original_filename, mime_type, file_size, chunking, embedding_model, embedding_dim, status, chunk_count, processed_chunks, error, created_by, created_at, updated_at, reindexed_at';
+
+const CHUNK_PAGE_SIZE = 200;
+
+function requireDb() {
+    if (!supabaseAdmin) {
+        throw new Error('Supabase admin client not configured');
+    }
+}
+
+/**
+ * Update a source and broadcast its progress to the dashboard
+ * @param {string} sourceId - kb_sources UUID
+ * @param {object} updates - Columns to update
+ * @returns {Promise<object|null>} Updated source
+ */
+async function updateSource(sourceId, updates) {
+    const { data, error } = await supabaseAdmin
+        .from('kb_sources')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', sourceId)
+        .select(SOURCE_FIELDS)
+        .maybeSingle();
+
+    if (error) {
+        console.error(`❌ Error updating KB source ${sourceId}:`, error);
+        return null;
+    }
+    if (data) {
+        emitToOrg(data.org_id, 'kb:source-updated', {
+            sourceId: data.id,
+            status: data.status,
+            processed_chunks: data.processed_chunks,
+            chunk_count: data.chunk_count,
+            error: data.error,
+        });
+    }
+    return data;
+}
+
+/**
+ * List an organization's KB sources, newest first
+ * @param {string} orgId - Organization UUID
+ * @param {object} options
+ * @param {string} options.status - Only sources with this status (optional)
+ * @returns {Promise<Array<object>>}
+ */
+async function listSources(orgId, { status = null } = {}) {
+    requireDb();
+
+    let query = supabaseAdmin
+        .from('kb_sources')
+        .select(SOURCE_FIELDS)
+        .eq('org_id', orgId)
+        .order('created_at', { ascending: false });
+
+    if (status) {
+        query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Get one KB source
+ * @param {string} orgId - Organization UUID
+ * @param {string} sourceId - kb_sources UUID
+ * @returns {Promise<object>}
+ */
+async function getSource(orgId, sourceId) {
+    requireDb();
+
+    const { data, error } = await supabaseAdmin
+        .from('kb_sources')
+        .select(SOURCE_FIELDS)
+        .eq('id', sourceId)
+        .eq('org_id', orgId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new Error('KB source not found');
+    return data;
+}
+
+/**
+ * Chunks of a source in order (text and metadata, without embeddings)
+ * @param {string} orgId - Organization UUID
+ * @param {string} sourceId - kb_sources UUID
+ * @param {object} options
+ * @param {number} options.limit - Page size (max 200)
+ * @param {number} options.offset - Chunks to skip
+ * @returns {Promise<{ chunks: Array<object>, total: number }>}
+ */
+async function listSourceChunks(orgId, sourceId, { limit = 50, offset = 0 } = {}) {
+    requireDb();
+
+    const { data, error, count } = await supabaseAdmin
+        .from('kb_chunks')
+        .select('id, chunk_index, text, metadata, embedding_status, embedding_error, created_at', { count: 'exact' })
+        .eq('org_id', orgId)
+        .eq('source_id', sourceId)
+        .order('chunk_index', { ascending: true })
+        .range(offset, offset + Math.min(limit, CHUNK_PAGE_SIZE) - 1);
+
+    if (error) throw error;
+    return { chunks: data || [], total: count || 0 };
+}
+
+/**
+ * Chunks by id with their source title, e.g. the chunks an AI reply cited
+ * Ids of chunks deleted since (source deleted or re-indexed) are left out.
+ * @param {string} orgId - Organization UUID
+ * @param {Array<string>} chunkIds - kb_chunks UUIDs
+ * @returns {Promise<Array<{ id: string, source_id: string, source_title: string|null, chunk_index: number, text: string, metadata: object }>>}
+ */
+async function getChunksByIds(orgId, chunkIds) {
+    requireDb();
+    if (!chunkIds || chunkIds.length === 0) return [];
+
+    const { data, error } = await supabaseAdmin
+        .from('kb_chunks')
+        .select('id, source_id, chunk_index, text, metadata, kb_sources ( title )')
+        .eq('org_id', orgId)
+        .in('id', chunkIds);
+
+    if (error) throw error;
+    return (data || []).map(({ kb_sources: source, ...chunk }) => ({
+        ...chunk,
+        source_title: source?.title || null,
+    }));
+}
+
+/**
+ * Rename a source
+ * @param {string} orgId - Organization UUID
+ * @param {string} sourceId - kb_sources UUID
+ * @param {object} fields
+ * @param {string} fields.title
+ * @returns {Promise<object>} Updated source
+ */
+async function updateSourceDetails(orgId, sourceId, { title }) {
+    requireDb();
+
+    const trimmed = String(title || '').trim();
+    if (!trimmed) {
+        throw new Error('title is required');
+    }
+
+    await getSource(orgId, sourceId);
+    return updateSource(sourceId, { title: trimmed.slice(0, 200) });
+}
+
+/**
+ * Delete a source; its kb_chunks go with it (ON DELETE CASCADE)
+ * @param {string} orgId - Organization UUID
+ * @param {string} sourceId - kb_sources UUID
+ * @returns {Promise<void>}
+ */
+async function deleteSource(orgId, sourceId) {
+    requireDb();
+
+    const { data, error } = await supabaseAdmin
+        .from('kb_sources')
+        .delete()
+        .eq('id', sourceId)
+        .eq('org_id', orgId)
+        .select('id, title, chunk_count')
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new Error('KB source not found');
+
+    console.log(`🗑️ Deleted KB source "${data.title}" (${data.chunk_count} chunks)`);
+}
+
+/**
+ * Which of an org's sources can be searched with the embedding model in use
+ * Vectors of another model (or dimension) are never compared with the query,
+ * so those sources only match by keyword until they are re-indexed.
+ * @param {string} orgId - Organization UUID
+ * @returns {Promise<{ model: object, compatible: number, staleSources: Array<object> }>}
+ */
+async function getEmbeddingCompatibility(orgId) {
+    requireDb();
+
+    const model = getEmbeddingModel();
+    const { data, error } = await supabaseAdmin
+        .from('kb_sources')
+        .select('id, title, embedding_model, embedding_dim')
+        .eq('org_id', orgId)
+        .in('status', ['ready', 'processing'])
+        .not('embedding_model', 'is', null);
+
+    if (error) throw error;
+
+    const staleSources = (data || []).filter(s =>
+        s.embedding_model !== model.id ||
+        (model.dimensions !== null && s.embedding_dim !== null && s.embedding_dim !== model.dimensions)
+    );
+    return { model, compatible: (data || []).length - staleSources.length, staleSources };
+}
+
+module.exports = {
+    listSources,
+    getSource,
+    listSourceChunks,
+    getChunksByIds,
+    updateSourceDetails,
+    deleteSource,
+    updateSource,
+    getEmbeddingCompatibility,
+};
@@ -0,0 +1,563 @@
+const crypto = require('crypto');
+const Groq = require('groq-sdk');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { supabaseAdmin } = require('../auth/supabase');
+const { decryptSecret } = require('./secretService');
+const { CircuitBreaker } = require('./circuitBreaker');
+const { DEFAULT_PROMPT, renderPrompt, resolvePromptVariables } = require('./promptService');
+
+/**
+ * LLM Service
+ * Provider-agnostic chat completions with per-org model settings.
+ *
+ * Providers (organizations.llm_provider, default LLM_PROVIDER or groq):
+ * - groq    Groq cloud (GROQ_API_KEY)
+ * - openai  Any OpenAI-compatible API: OpenAI, OpenRouter, Together… (OPENAI_API_KEY, OPENAI_BASE_URL)
+ * - gemini  Google Gemini (GEMINI_API_KEY)
+ * - local   Ollama or llama.cpp server through their OpenAI-compatible /v1 endpoint (LOCAL_LLM_BASE_URL)
+ *
+ * Per-org settings: llm_model, llm_api_key_encrypted, llm_base_url, llm_temperature,
+ * llm_max_tokens, llm_system_prompt. Unset values fall back to the env defaults above.
+ * llm_system_prompt is the org's published prompt (see promptService), returned
+ * with its {{variables}} filled in.
+ *
+ * Every provider implements chat(params) and returns an OpenAI-style message:
+ *   { role: 'assistant', content, tool_calls? }
+ * Tools are passed in OpenAI function-calling format and translated where needed.
+ *
+ * Failover: the primary model is followed by organizations.llm_fallbacks (or
+ * LLM_FALLBACK_CHAIN, e.g. "groq:llama-3.1-8b-instant,gemini:gemini-2.0-flash").
+ * Rate limits, auth errors, 5xx and network failures move on to the next model;
+ * other 4xx errors are the request's fault and are thrown as-is. A circuit breaker
+ * per provider/model/key skips a model for LLM_CIRCUIT_COOLDOWN_MS after
+ * LLM_CIRCUIT_FAILURE_THRESHOLD consecutive failures (immediately on HTTP 429).
+ * Every attempt is logged to llm_provider_events; when all models fail an error
+ * with code 'LLM_UNAVAILABLE' is thrown (see isLLMUnavailable).
+ */
+
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS, 10) || 60000;
+const CONFIG_CACHE_TTL_MS = 30 * 1000;
+
+const DEFAULT_TEMPERATURE = 0.7;
+const DEFAULT_MAX_TOKENS = 1024;
+const DEFAULT_FALLBACK_MESSAGE = "Sorry, I can't answer right now. A member of our team will get back to you shortly.";
+
+const configCache = new Map();
+
+const breaker = new CircuitBreaker({
+    failureThreshold: parseInt(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD, 10) || 3,
+    cooldownMs: parseInt(process.env.LLM_CIRCUIT_COOLDOWN_MS, 10) || 60 * 1000,
+});
+
+const groqProvider = {
+    label: 'Groq',
+    defaultModel: process.env.GROQ_MODEL || 'llama-3.3-70b-versatile',
+    // Small, fast model for housekeeping calls (history summaries, query rewriting)
+    smallModel: process.env.GROQ_MEMORY_MODEL || 'llama-3.1-8b-instant',
+    envApiKey: () => process.env.GROQ_API_KEY,
+    clients: new Map(),
+
+    async chat({ apiKey, model, messages, tools, temperature, maxTokens }) {
+        if (!apiKey) throw new Error('No Groq API key configured');
+        if (!this.clients.has(apiKey)) {
+            this.clients.set(apiKey, new Groq({ apiKey, timeout: LLM_TIMEOUT_MS }));
+        }
+
+        const completion = await this.clients.get(apiKey).chat.completions.create({
+            model,
+            messages,
+            ...(tools?.length ? { tools, tool_choice: 'auto' } : {}),
+            temperature,
+            max_tokens: maxTokens,
+        });
+
+        return completion.choices?.[0]?.message || null;
+    },
+};
+
+/**
+ * OpenAI-compatible /chat/completions over fetch
+ * Errors keep the HTTP status and body (err.status, err.error) like the Groq SDK does
+ */
+async function openAICompatibleChat({ baseUrl, apiKey, model, messages, tools, temperature, maxTokens }) {
+    const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+            model,
+            messages,
+            ...(tools?.length ? { tools, tool_choice: 'auto' } : {}),
+            temperature,
+            max_tokens: maxTokens,
+        }),
+        signal: AbortSignal.timeout(LLM_TIMEOUT_MS),
+    });
+
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+        const message = body?.error?.message || `HTTP ${response.status}`;
+        throw Object.assign(new Error(`LLM request failed: ${message}`), { status: response.status, error: body });
+    }
+
+    return body?.choices?.[0]?.message || null;
+}
+
+const openaiProvider = {
+    label: 'OpenAI-compatible',
+    defaultModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    defaultBaseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    envApiKey: () => process.env.OPENAI_API_KEY,
+
+    async chat(params) {
+        if (!params.apiKey) throw new Error('No API key configured for the OpenAI-compatible provider');
+        return openAICompatibleChat(params);
+    },
+};
+
+const localProvider = {
+    label: 'Local (Ollama / llama.cpp)',
+    defaultModel: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    defaultBaseUrl: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+    envApiKey: () => null,
+
+    async chat(params) {
+        return openAICompatibleChat(params);
+    },
+};
+
+/**
+ * Translate OpenAI-style messages to Gemini contents
+ * System messages become the systemInstruction; tool results become functionResponse parts.
+ */
+function toGeminiRequest(messages) {
+    const system = [];
+    const contents = [];
+    const toolNames = new Map(); // tool_call_id → function name
+
+    const push = (role, part) => {
+        const last = contents[contents.length - 1];
+        if (last && last.role === role) last.parts.push(part);
+        else contents.push({ role, parts: [part] });
+    };
+
+    for (const m of messages) {
+        if (m.role === 'system') {
+            system.push(m.content);
+        } else if (m.role === 'user') {
+            push('user', { text: m.content || '' });
+        } else if (m.role === 'assistant') {
+            if (m.content) push('model', { text: m.content });
+            for (const call of m.tool_calls || []) {
+                toolNames.set(call.id, call.function.name);
+                let args = {};
+                try { args = JSON.parse(call.function.arguments || '{}'); } catch { args = {}; }
+                push('model', { functionCall: { name: call.function.name, args } });
+            }
+        } else if (m.role === 'tool') {
+            let response;
+            try { response = JSON.parse(m.content); } catch { response = { result: m.content }; }
+            push('function', {
+                functionResponse: {
+                    name: toolNames.get(m.tool_call_id) || 'tool',
+                    response: response && typeof response === 'object' && !Array.isArray(response) ? response : { result: response },
+                },
+            });
+        }
+    }
+
+    return { systemInstruction: system.join('\n\n') || undefined, contents };
+}
+
+const geminiProvider = {
+    label: 'Google Gemini',
+    defaultModel: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+    envApiKey: () => process.env.GEMINI_API_KEY,
+
+    async chat({ apiKey, model, messages, tools, temperature, maxTokens }) {
+        if (!apiKey) throw new Error('No Gemini API key configured');
+
+        const { systemInstruction, contents } = toGeminiRequest(messages);
+        const generativeModel = new GoogleGenerativeAI(apiKey).getGenerativeModel({
+            model,
+            ...(systemInstruction ? { systemInstruction } : {}),
+            ...(tools?.length ? { tools: [{ functionDeclarations: tools.map(t => t.function) }] } : {}),
+            generationConfig: { temperature, maxOutputTokens: maxTokens },
+        }, { timeout: LLM_TIMEOUT_MS });
+
+        const result = await generativeModel.generateContent({ contents });
+        const parts = result.response.candidates?.[0]?.content?.parts || [];
+
+        const text = parts.filter(p => p.text).map(p => p.text).join('');
+        const toolCalls = parts
+            .filter(p => p.functionCall)
+            .map((p, i) => ({
+                id: `call_${Date.now()}_${i}`,
+                type: 'function',
+                function: { name: p.functionCall.name, arguments: JSON.stringify(p.functionCall.args || {}) },
+            }));
+
+        return {
+            role: 'assistant',
+            content: text || null,
+            ...(toolCalls.length ? { tool_calls: toolCalls } : {}),
+        };
+    },
+};
+
+const providers = {
+    groq: groqProvider,
+    openai: openaiProvider,
+    gemini: geminiProvider,
+    local: localProvider,
+};
+
+const DEFAULT_PROVIDER = providers[process.env.LLM_PROVIDER] ? process.env.LLM_PROVIDER : 'groq';
+
+// Server-wide fallback chain for orgs that haven't configured their own
+const ENV_FALLBACK_CHAIN = (process.env.LLM_FALLBACK_CHAIN ?? 'groq:llama-3.1-8b-instant')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+        const [provider, ...model] = entry.split(':');
+        return { provider, model: model.join(':') || null };
+    });
+
+/**
+ * Register (or replace) an LLM provider
+ * @param {string} name - Value stored in organizations.llm_provider
+ * @param {{ label: string, defaultModel: string, envApiKey: Function, chat: Function }} provider
+ */
+function registerProvider(name, provider) {
+    providers[name] = provider;
+}
+
+/**
+ * Providers the dashboard can offer
+ * @returns {Array<{ id: string, label: string, defaultModel: string, defaultBaseUrl: string|null }>}
+ */
+function listProviders() {
+    return Object.entries(providers).map(([id, p]) => ({
+        id,
+        label: p.label || id,
+        defaultModel: p.defaultModel,
+        defaultBaseUrl: p.defaultBaseUrl || null,
+    }));
+}
+
+/**
+ * Resolve the LLM settings for an organization (cached for CONFIG_CACHE_TTL_MS)
+ * Missing org settings fall back to env defaults; a DB error falls back entirely.
+ *
+ * @param {string|null} orgId - Organization UUID
+ * @returns {Promise<object>} { provider, model, smallModel, apiKey, baseUrl, temperature, maxTokens, systemPrompt }
+ */
+async function getOrgLLMConfig(orgId) {
+    const cached = orgId && configCache.get(orgId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.config;
+    }
+
+    let org = null;
+    if (orgId && supabaseAdmin) {
+        const { data, error } = await supabaseAdmin
+            .from('organizations')
+            .select(`
+                llm_provider, llm_model, llm_api_key_encrypted, llm_base_url,
+                llm_temperature, llm_max_tokens, llm_system_prompt,
+                llm_fallbacks, llm_fallback_action, llm_fallback_message,
+                name, prompt_variables
+            `)
+            .eq('id', orgId)
+            .maybeSingle();
+
+        if (error) {
+            // Columns may not exist yet — keep answering with the env defaults
+            console.warn('⚠️ Could not read org LLM settings:', error.message);
+        } else {
+            org = data;
+        }
+    }
+
+    const providerName = providers[org?.llm_provider] ? org.llm_provider : DEFAULT_PROVIDER;
+    const provider = providers[providerName];
+    const customModel = org?.llm_model || null;
+    const primaryApiKey = decryptSecret(org?.llm_api_key_encrypted);
+
+    const fallbackEntries = org?.llm_fallbacks?.length ? org.llm_fallbacks : ENV_FALLBACK_CHAIN;
+    const fallbacks = fallbackEntries
+        .filter(f => providers[f.provider])
+        .map(f => ({
+            provider: f.provider,
+            model: f.model || providers[f.provider].defaultModel,
+            apiKey: decryptSecret(f.api_key_encrypted)
+                || (f.provider === providerName ? primaryApiKey : null)
+                || providers[f.provider].envApiKey()
+                || null,
+            baseUrl: f.base_url || providers[f.provider].defaultBaseUrl || null,
+        }));
+
+    const config = {
+        provider: providerName,
+        model: customModel || provider.defaultModel,
+        // Only use the provider's small model when the org hasn't picked its own
+        smallModel: customModel ? customModel : (provider.smallModel || provider.defaultModel),
+        apiKey: primaryApiKey || provider.envApiKey() || null,
+        baseUrl: org?.llm_base_url || provider.defaultBaseUrl || null,
+        temperature: org?.llm_temperature ?? DEFAULT_TEMPERATURE,
+        maxTokens: org?.llm_max_tokens ?? DEFAULT_MAX_TOKENS,
+        systemPrompt: renderPrompt(org?.llm_system_prompt || DEFAULT_PROMPT, resolvePromptVariables(org)),
+        fallbacks,
+        fallbackAction: org?.llm_fallback_action || 'message',
+        fallbackMessage: org?.llm_fallback_message || DEFAULT_FALLBACK_MESSAGE,
+    };
+
+    if (orgId) {
+        configCache.set(orgId, { config, expiresAt: Date.now() + CONFIG_CACHE_TTL_MS });
+    }
+    return config;
+}
+
+/**
+ * Drop the cached settings after the org changes them
+ * @param {string} orgId - Organization UUID
+ */
+function invalidateOrgLLMConfig(orgId) {
+    configCache.delete(orgId);
+}
+
+/**
+ * Whether a failed call should move on to the next model in the chain
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isFailoverError(err) {
+    const status = err.status;
+    if (!status) return true; // network error, timeout, missing key
+    return status === 401 || status === 403 || status === 404 || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Seconds from a Retry-After header, if the provider sent one
+ */
+function retryAfterMs(err) {
+    const header = err.headers?.['retry-after'] ?? err.headers?.get?.('retry-after');
+    const seconds = Number(header);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+}
+
+function circuitKey(target) {
+    const keyHash = target.apiKey ? crypto.createHash('sha256').update(target.apiKey).digest('hex').slice(0, 12) : 'nokey';
+    return `${target.provider}|${target.model}|${target.baseUrl || ''}|${keyHash}`;
+}
+
+/**
+ * Log one model attempt (non-blocking)
+ */
+function recordAttempt(event) {
+    if (!supabaseAdmin) return;
+    supabaseAdmin
+        .from('llm_provider_events')
+        .insert(event)
+        .then(({ error }) => {
+            if (error) console.warn('⚠️ Failed to log LLM attempt:', error.message);
+        });
+}
+
+/**
+ * Error thrown when every model in the chain failed
+ * @param {Array<object>} attempts - { provider, model, outcome, error }
+ * @returns {Error}
+ */
+function llmUnavailableError(attempts) {
+    const error = new Error(`All LLM providers failed: ${attempts.map(a => `${a.provider}/${a.model} (${a.error || a.outcome})`).join(', ')}`);
+    error.code = 'LLM_UNAVAILABLE';
+    error.attempts = attempts;
+    return error;
+}
+
+/**
+ * @param {Error} err
+ * @returns {boolean} Whether err means no model could answer
+ */
+function isLLMUnavailable(err) {
+    return err?.code === 'LLM_UNAVAILABLE';
+}
+
+/**
+ * Run a chat completion with the org's provider and settings, failing over
+ * along the fallback chain
+ * @param {object} params
+ * @param {string|null} params.orgId - Organization UUID (env defaults when null)
+ * @param {Array<object>} params.messages - OpenAI-style messages
+ * @param {Array<object>} params.tools - OpenAI-style tool definitions (optional)
+ * @param {boolean} params.small - Use the provider's small model for the primary (housekeeping calls)
+ * @param {number} params.temperature - Override the org temperature
+ * @param {number} params.maxTokens - Override the org max tokens
+ * @param {object} params.config - Already resolved config (skips the lookup)
+ * @returns {Promise<{ message: object|null, provider: string, model: string, failover: boolean }>}
+ */
+async function chatCompletion({ orgId = null, messages, tools = null, small = false, temperature, maxTokens, config = null }) {
+    const resolved = config || await getOrgLLMConfig(orgId);
+    const requestId = crypto.randomUUID();
+
+    const primary = {
+        provider: resolved.provider,
+        model: small ? resolved.smallModel : resolved.model,
+        apiKey: resolved.apiKey,
+        baseUrl: resolved.baseUrl,
+    };
+    const seen = new Set();
+    const chain = [primary, ...(resolved.fallbacks || [])].filter(target => {
+        const key = `${target.provider}|${target.model}|${target.baseUrl || ''}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+
+    const attempts = [];
+    for (const target of chain) {
+        const label = `${target.provider}/${target.model}`;
+        const key = circuitKey(target);
+        const base = {
+            org_id: orgId || null,
+            request_id: requestId,
+            attempt: attempts.length + 1,
+            provider: target.provider,
+            model: target.model,
+        };
+
+        if (!target.apiKey && target.provider !== 'local') {
+            attempts.push({ provider: target.provider, model: target.model, outcome: 'skipped', error: 'no API key' });
+            continue;
+        }
+
+        if (breaker.isOpen(key)) {
+            attempts.push({ provider: target.provider, model: target.model, outcome: 'skipped', error: 'circuit open' });
+            recordAttempt({ ...base, outcome: 'skipped', error: 'circuit open' });
+            continue;
+        }
+
+        const startedAt = Date.now();
+        try {
+            const message = await providers[target.provider].chat({
+                apiKey: target.apiKey,
+                baseUrl: target.baseUrl,
+                model: target.model,
+                messages,
+                tools,
+                temperature: temperature ?? resolved.temperature,
+                maxTokens: maxTokens ?? resolved.maxTokens,
+            });
+
+            breaker.recordSuccess(key);
+            recordAttempt({ ...base, outcome: 'success', latency_ms: Date.now() - startedAt });
+
+            const failover = target !== primary;
+            if (failover) {
+                console.warn(`🔀 LLM failover: answered by ${label} after ${attempts.map(a => `${a.provider}/${a.model}`).join(', ')} failed`);
+            }
+            return { message, provider: target.provider, model: target.model, failover };
+        } catch (err) {
+            if (!isFailoverError(err)) throw err;
+
+            const errorMessage = String(err.message || err).slice(0, 500);
+            console.error(`❌ LLM call to ${label} failed${err.status ? ` (HTTP ${err.status})` : ''}:`, errorMessage);
+
+            breaker.recordFailure(key, {
+                label,
+                error: errorMessage,
+                trip: err.status === 429,
+                cooldownMs: retryAfterMs(err),
+            });
+            attempts.push({ provider: target.provider, model: target.model, outcome: 'error', error: errorMessage });
+            recordAttempt({
+                ...base,
+                outcome: 'error',
+                latency_ms: Date.now() - startedAt,
+                status_code: err.status || null,
+                error: errorMessage,
+            });
+        }
+    }
+
+    throw llmUnavailableError(attempts);
+}
+
+/**
+ * Provider reliability for analytics
+ * @param {string} orgId - Organization UUID
+ * @param {string} since - ISO timestamp
+ * @returns {Promise<object>} { providers: [...], requests, failoverRequests, exhaustedRequests, openCircuits }
+ */
+async function getProviderReliability(orgId, since) {
+    const { data, error } = await supabaseAdmin
+        .from('llm_provider_events')
+        .select('request_id, attempt, provider, model, outcome, latency_ms')
+        .eq('org_id', orgId)
+        .gte('created_at', since)
+        .order('created_at', { ascending: false })
+        .limit(10000);
+
+    if (error) throw error;
+
+    const byModel = new Map();
+    const requests = new Map(); // request_id → { failover, success }
+
+    for (const event of data || []) {
+        const key = `${event.provider}/${event.model}`;
+        const stats = byModel.get(key) || {
+            provider: event.provider,
+            model: event.model,
+            attempts: 0,
+            successes: 0,
+            errors: 0,
+            skipped: 0,
+            totalLatencyMs: 0,
+        };
+        stats.attempts++;
+        if (event.outcome === 'success') {
+            stats.successes++;
+            stats.totalLatencyMs += event.latency_ms || 0;
+        } else if (event.outcome === 'error') {
+            stats.errors++;
+        } else {
+            stats.skipped++;
+        }
+        byModel.set(key, stats);
+
+        const request = requests.get(event.request_id) || { failover: false, success: false };
+        if (event.attempt > 1) request.failover = true;
+        if (event.outcome === 'success') request.success = true;
+        requests.set(event.request_id, request);
+    }
+
+    const requestList = [...requests.values()];
+    return {
+        providers: [...byModel.values()].map(({ totalLatencyMs, ...stats }) => ({
+            ...stats,
+            successRate: stats.attempts - stats.skipped > 0
+                ? Math.round((stats.successes / (stats.attempts - stats.skipped)) * 1000) / 10
+                : null,
+            avgLatencyMs: stats.successes > 0 ? Math.round(totalLatencyMs / stats.successes) : null,
+        })),
+        requests: requestList.length,
+        failoverRequests: requestList.filter(r => r.failover && r.success).length,
+        exhaustedRequests: requestList.filter(r => !r.success).length,
+        // Circuits are shared by every org using the same key; only show models this org called
+        openCircuits: breaker.openCircuits().filter(c => byModel.has(c.label)),
+    };
+}
+
+module.exports = {
+    registerProvider,
+    listProviders,
+    getOrgLLMConfig,
+    invalidateOrgLLMConfig,
+    chatCompletion,
+    isLLMUnavailable,
+    getProviderReliability,
+};
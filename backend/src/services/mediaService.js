@@ -0,0 +1,223 @@
+const { supabaseAdmin } = require('../auth/supabase');
+
+/**
+ * Media Service
+ * Normalizes non-text WhatsApp messages (images, voice notes, video, documents,
+ * stickers, locations, contact cards) and stores media files in Supabase Storage.
+ *
+ * messages.media_storage_path holds the object path inside MEDIA_BUCKET;
+ * the dashboard gets short-lived signed URLs for it.
+ */
+
+const MEDIA_BUCKET = process.env.WA_MEDIA_BUCKET || 'whatsapp-media';
+const MEDIA_MAX_BYTES = parseInt(process.env.WA_MEDIA_MAX_BYTES, 10) || 25 * 1024 * 1024; // 25 MB
+const SIGNED_URL_TTL_SECONDS = 60 * 60; // 1 hour
+
+// WhatsApp message types that carry a downloadable file
+const FILE_MESSAGE_TYPES = new Set(['image', 'video', 'audio', 'ptt', 'document', 'sticker']);
+
+const MIME_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'video/mp4': 'mp4',
+    'audio/ogg': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'application/pdf': 'pdf',
+};
+
+function extensionFor(mimeType, filename) {
+    const fromName = filename && filename.includes('.') ? filename.split('.').pop() : null;
+    if (fromName) return fromName.toLowerCase();
+    const baseMime = (mimeType || '').split(';')[0].trim();
+    return MIME_EXTENSIONS[baseMime] || baseMime.split('/')[1] || 'bin';
+}
+
+/**
+ * Read the display name (FN) from a vCard string
+ */
+function vcardName(vcard) {
+    const match = /^FN[^:]*:(.+)$/m.exec(vcard || '');
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Upload a media buffer to Supabase Storage
+ * @param {object} params
+ * @param {string} params.orgId - Organization UUID (top-level folder)
+ * @param {string} params.key - Unique name for the object (e.g. WhatsApp message id)
+ * @param {Buffer} params.buffer - File bytes
+ * @param {string} params.mimeType - MIME type
+ * @param {string} params.filename - Original filename (optional)
+ * @returns {Promise<string|null>} Storage path or null on error
+ */
+async function uploadMedia({ orgId, key, buffer, mimeType, filename = null }) {
+    try {
+        if (!supabaseAdmin) {
+            throw new Error('Supabase admin client not configured');
+        }
+
+        if (buffer.length > MEDIA_MAX_BYTES) {
+            console.warn(`⚠️ Media too large to store (${buffer.length} bytes), keeping metadata only`);
+            return null;
+        }
+
+        const month = new Date().toISOString().slice(0, 7);
+        const safeKey = String(key).replace(/[^\w.-]/g, '_');
+        const storagePath = `${orgId}/${month}/${safeKey}.${extensionFor(mimeType, filename)}`;
+
+        const { error } = await supabaseAdmin.storage
+            .from(MEDIA_BUCKET)
+            .upload(storagePath, buffer, { contentType: mimeType, upsert: true });
+
+        if (error) {
+            throw error;
+        }
+
+        return storagePath;
+    } catch (error) {
+        console.error('❌ Error uploading media to storage:', error);
+        return null;
+    }
+}
+
+/**
+ * Download a stored media file
+ * @param {string} storagePath - Path inside MEDIA_BUCKET
+ * @returns {Promise<Buffer|null>} File bytes or null on error
+ */
+async function downloadMedia(storagePath) {
+    try {
+        if (!supabaseAdmin) {
+            throw new Error('Supabase admin client not configured');
+        }
+
+        const { data, error } = await supabaseAdmin.storage
+            .from(MEDIA_BUCKET)
+            .download(storagePath);
+
+        if (error) {
+            throw error;
+        }
+
+        return Buffer.from(await data.arrayBuffer());
+    } catch (error) {
+        console.error('❌ Error downloading media from storage:', error);
+        return null;
+    }
+}
+
+/**
+ * Extract and store media from an inbound WhatsApp message
+ * Non-blocking: download/storage failures are logged and metadata is still returned
+ *
+ * @param {object} msg - whatsapp-web.js Message
+ * @param {string} orgId - Organization UUID
+ * @returns {Promise<object|null>} Media descriptor, or null for plain text messages
+ *   { messageType, mimeType, filename, size, storagePath, metadata, summary, data }
+ *   - summary: text stand-in for the message body when there is no caption
+ *   - data: downloaded MessageMedia (base64), reused by receipt handling
+ */
+async function extractInboundMedia(msg, orgId) {
+    const messageType = msg.type;
+
+    if (messageType === 'location' && msg.location) {
+        const { latitude, longitude, name, address, url } = msg.location;
+        return {
+            messageType,
+            mimeType: null,
+            filename: null,
+            size: null,
+            storagePath: null,
+            metadata: { latitude, longitude, name: name || null, address: address || null, url: url || null },
+            summary: `📍 Location: ${[name, address].filter(Boolean).join(', ') || `${latitude}, ${longitude}`}`,
+            data: null,
+        };
+    }
+
+    if (messageType === 'vcard' || messageType === 'multi_vcard') {
+        const vcards = msg.vCards || [];
+        const names = vcards.map(vcardName).filter(Boolean);
+        return {
+            messageType,
+            mimeType: 'text/vcard',
+            filename: null,
+            size: null,
+            storagePath: null,
+            metadata: { vcards, names },
+            summary: `👤 Contact card: ${names.join(', ') || 'unknown'}`,
+            data: null,
+        };
+    }
+
+    if (!msg.hasMedia || !FILE_MESSAGE_TYPES.has(messageType)) {
+        return null;
+    }
+
+    let media = null;
+    try {
+        media = await msg.downloadMedia();
+    } catch (error) {
+        console.error(`❌ Failed to download ${messageType} media:`, error);
+    }
+
+    const mimeType = media?.mimetype || null;
+    const buffer = media?.data ? Buffer.from(media.data, 'base64') : null;
+    const storagePath = buffer
+        ? await uploadMedia({
+            orgId,
+            key: msg.id?.id || msg.id?._serialized || Date.now(),
+            buffer,
+            mimeType,
+            filename: media.filename,
+        })
+        : null;
+
+    return {
+        messageType,
+        mimeType,
+        filename: media?.filename || null,
+        size: buffer ? buffer.length : null,
+        storagePath,
+        metadata: msg.duration ? { duration: Number(msg.duration) } : {},
+        summary: `[${messageType === 'ptt' ? 'voice note' : messageType}]`,
+        data: media,
+    };
+}
+
+/**
+ * Attach short-lived signed URLs to messages that have stored media
+ * @param {Array<object>} messages - Rows from the messages table
+ * @returns {Promise<Array<object>>} Same rows with media_url (or null)
+ */
+async function withMediaUrls(messages) {
+    const paths = messages.map(m => m.media_storage_path).filter(Boolean);
+    if (!supabaseAdmin || paths.length === 0) {
+        return messages.map(m => ({ ...m, media_url: null }));
+    }
+
+    const { data, error } = await supabaseAdmin.storage
+        .from(MEDIA_BUCKET)
+        .createSignedUrls(paths, SIGNED_URL_TTL_SECONDS);
+
+    if (error) {
+        console.error('❌ Error creating media signed URLs:', error);
+        return messages.map(m => ({ ...m, media_url: null }));
+    }
+
+    const urlByPath = new Map((data || []).map(d => [d.path, d.signedUrl]));
+    return messages.map(m => ({
+        ...m,
+        media_url: m.media_storage_path ? urlByPath.get(m.media_storage_path) || null : null,
+    }));
+}
+
+module.exports = {
+    MEDIA_BUCKET,
+    uploadMedia,
+    downloadMedia,
+    extractInboundMedia,
+    withMediaUrls,
+};
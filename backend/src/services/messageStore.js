@@ -1,4 +1,6 @@
 const { supabaseAdmin } = require('../auth/supabase');
+const { deliveryColumns } = require('./deliveryService');
+const { reopenIfResolved } = require('./conversationService');
 
 /**
  * Message Store Service
@@ -87,9 +89,11 @@ async function findOrCreateContact(orgId, waAccountId, waNumber, name = null) {
  * @param {string} orgId - Organization UUID
  * @param {string} waAccountId - WhatsApp account UUID
  * @param {string} contactId - Contact UUID
+ * @param {object} options
+ * @param {boolean} options.reopen - Reopen the conversation if it is resolved (customer wrote again)
  * @returns {Promise<object|null>} Conversation object or null on error
  */
-async function findOrCreateConversation(orgId, waAccountId, contactId) {
+async function findOrCreateConversation(orgId, waAccountId, contactId, { reopen = false } = {}) {
     try {
         if (!supabaseAdmin) {
             throw new Error('Supabase admin client not configured');
@@ -108,7 +112,7 @@ async function findOrCreateConversation(orgId, waAccountId, contactId) {
         }
 
         if (existingConv) {
-            return existingConv;
+            return reopen ? reopenIfResolved(existingConv) : existingConv;
         }
 
         // Create new conversation
@@ -118,6 +122,7 @@ async function findOrCreateConversation(orgId, waAccountId, contactId) {
                 org_id: orgId,
                 contact_id: contactId,
                 status: 'open',
+                opened_at: new Date().toISOString(),
                 created_at: new Date().toISOString(),
             })
             .select()
@@ -166,6 +171,26 @@ async function updateConversationLastMessage(conversationId, messageBody) {
     }
 }
 
+/**
+ * Map a media descriptor (see mediaService.extractInboundMedia) to messages columns
+ * @param {object|null} media
+ * @returns {object} Columns to merge into the insert (empty for text messages)
+ */
+function mediaColumns(media) {
+    if (!media) {
+        return {};
+    }
+
+    return {
+        media_mime_type: media.mimeType || null,
+        media_filename: media.filename || null,
+        media_size: media.size || null,
+        media_storage_path: media.storagePath || null,
+        media_metadata: media.metadata || {},
+        transcript: media.transcript || null,
+    };
+}
+
 /**
  * Save an incoming WhatsApp message
  * @param {object} params
@@ -174,10 +199,11 @@ async function updateConversationLastMessage(conversationId, messageBody) {
  * @param {string} params.contactPhone - Contact's WhatsApp number (e.g., "1234567890@c.us")
  * @param {string} params.contactName - Contact's display name (optional)
  * @param {string} params.body - Message text
+ * @param {object} params.media - Media descriptor for non-text messages (optional)
  * @param {object} params.rawMessage - Raw WhatsApp message object (for debugging)
  * @returns {Promise<object|null>} Saved message object or null on error
  */
-async function saveIncomingMessage({ orgId, waAccountId, contactPhone, contactName, body, rawMessage }) {
+async function saveIncomingMessage({ orgId, waAccountId, contactPhone, contactName, body, media = null, rawMessage }) {
     try {
         console.log(`💾 Saving incoming message from ${contactPhone}...`);
 
@@ -187,8 +213,8 @@ async function saveIncomingMessage({ orgId, waAccountId, contactPhone, contactNa
             throw new Error('Failed to find or create contact');
         }
 
-        // 2. Find or create conversation
-        const conversation = await findOrCreateConversation(orgId, waAccountId, contact.id);
+        // 2. Find or create conversation (a resolved one is reopened)
+        const conversation = await findOrCreateConversation(orgId, waAccountId, contact.id, { reopen: true });
         if (!conversation) {
             throw new Error('Failed to find or create conversation');
         }
@@ -203,7 +229,8 @@ async function saveIncomingMessage({ orgId, waAccountId, contactPhone, contactNa
                 sender_type: 'user',
                 wa_message_id: rawMessage?.id?.id || rawMessage?.id || null,
                 body: body,
-                message_type: rawMessage?.type || 'text',
+                message_type: media?.messageType || rawMessage?.type || 'text',
+                ...mediaColumns(media),
                 ai_used: false,
                 created_at: new Date().toISOString(),
             })
@@ -236,7 +263,14 @@ async function saveIncomingMessage({ orgId, waAccountId, contactPhone, contactNa
  * @param {boolean} params.aiUsed - Whether AI was used to generate this message
  * @param {string} params.aiModel - AI model name (e.g., "gemini-2.0-flash-exp")
  * @param {number} params.aiLatencyMs - AI response latency in milliseconds
+ * @param {object} params.media - Media descriptor for media messages (optional)
  * @param {object} params.rawMessage - Raw WhatsApp message object (optional)
+ * @param {string|null} params.sendError - Why sending failed; saves the message as 'failed'
+ * @param {Array<string>|null} params.citedChunkIds - KB chunks a strict-grounding reply cited
+ *   ([] when it declined to answer); null for replies that weren't grounded
+ * @param {Array<{ id: string, title: string, score: number }>|null} params.retrievedChunks - KB chunks
+ *   the AI was shown for this reply
+ * @param {string|null} params.faqId - Curated FAQ whose approved answer this is (a bot reply without AI)
  * @returns {Promise<object|null>} Saved message object or null on error
  */
 async function saveOutgoingMessage({
@@ -248,7 +282,12 @@ async function saveOutgoingMessage({
     aiUsed = false,
     aiModel = null,
     aiLatencyMs = null,
-    rawMessage = null
+    media = null,
+    rawMessage = null,
+    sendError = null,
+    citedChunkIds = null,
+    retrievedChunks = null,
+    faqId = null
 }) {
     try {
         console.log(`💾 Saving outgoing message to ${contactPhone}...`);
@@ -272,13 +311,19 @@ async function saveOutgoingMessage({
                 org_id: orgId,
                 conversation_id: conversation.id,
                 direction: 'outbound',
-                sender_type: aiUsed ? 'bot' : 'agent',
+                sender_type: aiUsed || faqId ? 'bot' : 'agent',
                 wa_message_id: rawMessage?.id?.id || rawMessage?.id || null,
                 body: body,
                 message_type: messageType,
+                ...mediaColumns(media),
+                ...deliveryColumns(sendError ? 'failed' : rawMessage ? 'sent' : 'pending', sendError),
                 ai_used: aiUsed,
                 ai_model: aiModel,
                 ai_latency_ms: aiLatencyMs,
+                // Only written when set, so databases without MIGRATION_020-022 keep saving replies
+                ...(citedChunkIds ? { cited_chunk_ids: citedChunkIds } : {}),
+                ...(retrievedChunks ? { retrieved_chunks: retrievedChunks } : {}),
+                ...(faqId ? { faq_id: faqId } : {}),
                 created_at: new Date().toISOString(),
             })
             .select()
@@ -300,6 +345,28 @@ async function saveOutgoingMessage({
     }
 }
 
+/**
+ * Which incoming WhatsApp messages are already saved (e.g. by an earlier attempt of a retried job)
+ * @param {string} orgId - Organization UUID
+ * @param {Array<string>} waMessageIds - WhatsApp message ids (msg.id.id, as stored in messages.wa_message_id)
+ * @returns {Promise<Set<string>>} The ids that have an inbound messages row
+ */
+async function findSavedIncomingIds(orgId, waMessageIds) {
+    if (!supabaseAdmin || waMessageIds.length === 0) {
+        return new Set();
+    }
+
+    const { data, error } = await supabaseAdmin
+        .from('messages')
+        .select('wa_message_id')
+        .eq('org_id', orgId)
+        .eq('direction', 'inbound')
+        .in('wa_message_id', waMessageIds);
+
+    if (error) throw error;
+    return new Set((data || []).map(m => m.wa_message_id));
+}
+
 /**
  * Get contact phone number by conversation ID
  * @param {string} conversationId - Conversation UUID
@@ -336,6 +403,7 @@ async function getContactPhoneByConversation(conversationId, orgId) {
 module.exports = {
     saveIncomingMessage,
     saveOutgoingMessage,
+    findSavedIncomingIds,
     findOrCreateContact,
     findOrCreateConversation,
     getContactPhoneByConversation,
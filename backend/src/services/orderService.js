@@ -1,38 +1,53 @@
 const { supabaseAdmin } = require('../auth/supabase');
+const catalogService = require('./catalogService');
+const stockService = require('./stockService');
+
+// Order lines with the variant bought and its product
+const ORDER_ITEM_FIELDS = 'id, quantity, unit_price, variant_id, product_variants(options, sku, barcode, stock, products(name))';
+
+/**
+ * Order lifecycle. Every status change goes through transitionOrder, which only
+ * allows ORDER_TRANSITIONS, moves the order's stock (stockService) and records
+ * an order_events row with who made the change and why.
+ *
+ *   draft → pending_payment → receipt_submitted → confirmed → shipped → delivered
+ *   receipt_submitted → pending_payment   (receipt rejected)
+ *   pending_payment → confirmed           (paid without a receipt)
+ *   anything before shipped → cancelled; confirmed and later → refunded
+ *
+ * Stock: reserved on pending_payment (from draft), taken on confirmed, given back on
+ * cancelled and on refunded before shipping. Refunds of shipped orders leave stock
+ * alone; returned goods are restocked in the catalog.
+ */
+const ORDER_TRANSITIONS = {
+    draft: ['pending_payment', 'cancelled'],
+    pending_payment: ['receipt_submitted', 'confirmed', 'cancelled'],
+    receipt_submitted: ['confirmed', 'pending_payment', 'cancelled'],
+    confirmed: ['shipped', 'cancelled', 'refunded'],
+    shipped: ['delivered', 'refunded'],
+    delivered: ['refunded'],
+    cancelled: [],
+    refunded: [],
+};
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
 
-async function searchBooks(orgId, query, category) {
-    let qb = supabaseAdmin
-        .from('books')
-        .select('id, title, author, isbn, category, price, stock, description')
-        .eq('org_id', orgId)
-        .eq('is_active', true);
-
-    if (category) {
-        qb = qb.ilike('category', category);
-    }
-
-    if (query) {
-        qb = qb.or(`title.ilike.%${query}%,author.ilike.%${query}%`);
-    }
-
-    qb = qb.order('title').limit(10);
-
-    const { data, error } = await qb;
-    if (error) throw error;
-    return data || [];
-}
+// Who changed an order (order_events.actor_type / actor_id)
+const CUSTOMER_ACTOR = { type: 'customer' };
+const userActor = (userId) => ({ type: 'user', id: userId || null });
 
-async function getBookDetails(orgId, bookId) {
-    const { data, error } = await supabaseAdmin
-        .from('books')
-        .select('*')
-        .eq('id', bookId)
-        .eq('org_id', orgId)
-        .eq('is_active', true)
-        .single();
+const ORDER_EVENT_FIELDS = 'id, from_status, to_status, actor_type, actor_id, reason, created_at, profiles(full_name)';
 
-    if (error) throw error;
-    return data;
+function formatItem(i) {
+    const variant = i.product_variants;
+    return {
+        order_item_id: i.id,
+        variant_id: i.variant_id,
+        name: variant ? catalogService.describeVariant(variant.products?.name, variant.options) : null,
+        sku: variant?.sku || null,
+        quantity: i.quantity,
+        unit_price: Number(i.unit_price),
+        line_total: Number(i.unit_price) * i.quantity,
+    };
 }
 
 async function getOrCreateDraftOrder(orgId, contactId, conversationId) {
@@ -60,9 +75,136 @@ async function getOrCreateDraftOrder(orgId, contactId, conversationId) {
         .single();
 
     if (createErr) throw createErr;
+    await recordOrderEvent(created, null, 'draft', CUSTOMER_ACTOR, null);
     return created;
 }
 
+async function recordOrderEvent(order, fromStatus, toStatus, actor, reason) {
+    const { error } = await supabaseAdmin
+        .from('order_events')
+        .insert({
+            order_id: order.id,
+            org_id: order.org_id,
+            from_status: fromStatus,
+            to_status: toStatus,
+            actor_type: actor.type,
+            actor_id: actor.id || null,
+            reason: reason ? String(reason).trim().slice(0, 1000) || null : null,
+        });
+
+    // The status change already happened; a missing history row shouldn't undo it
+    if (error) console.error(`❌ Error recording order event for ${order.id}:`, error);
+}
+
+const ORDER_STATE_FIELDS = 'id, org_id, order_number, status, subtotal, stock_status, stock_reserved_until';
+
+// The stock move a status change makes; see ORDER_TRANSITIONS
+function stockMoveFor(fromStatus, toStatus) {
+    if (fromStatus === 'draft' && toStatus === 'pending_payment') return 'reserve';
+    if (toStatus === 'confirmed') return 'commit';
+    if (toStatus === 'cancelled' || (toStatus === 'refunded' && fromStatus === 'confirmed')) return 'release';
+    return null;
+}
+
+/**
+ * Move the stock and the status in one locked step (stockService transition)
+ * @returns {Promise<boolean>} false when the order's status changed since it was read
+ */
+async function moveStockWithStatus(order, toStatus, move) {
+    const transition = { from: order.status, to: toStatus };
+
+    if (move === 'reserve') {
+        const result = await stockService.reserveOrderStock(order.org_id, order.id, transition);
+        if (result.shortages) {
+            throw new Error(`Not enough stock: ${stockService.describeShortages(result.shortages)}`);
+        }
+        return result.ok;
+    }
+    if (move === 'commit') {
+        // The reservation may have expired; this fails if its units were sold meanwhile
+        const result = await stockService.commitOrderStock(order.id, transition);
+        if (result.shortages) {
+            throw new Error(`Not enough stock to confirm this order: ${stockService.describeShortages(result.shortages)}`);
+        }
+        return result.ok;
+    }
+    const result = await stockService.releaseOrderStock(order.id, transition);
+    return result.ok;
+}
+
+/**
+ * Move an order to another status
+ * @param {string} orgId - Organization UUID; orders of other orgs are 'Order not found'
+ * @param {string} orderId - orders UUID
+ * @param {string} toStatus - One of ORDER_STATUSES
+ * @param {object} options
+ * @param {object} options.actor - { type: 'customer'|'user'|'system', id? }
+ * @param {string} [options.reason] - Shown in the order's history
+ * @param {object} [options.updates] - Other order columns to set with the status
+ * @returns {Promise<object>} The updated order
+ * @throws {Error} 'Order not found', 'Cannot change an order from X to Y', or 'Not enough stock…'
+ */
+async function transitionOrder(orgId, orderId, toStatus, { actor, reason = null, updates = {} }) {
+    if (!ORDER_TRANSITIONS[toStatus]) {
+        throw new Error(`status must be one of: ${ORDER_STATUSES.join(', ')}`);
+    }
+
+    const { data: order, error: findErr } = await supabaseAdmin
+        .from('orders')
+        .select('id, org_id, status')
+        .eq('id', orderId)
+        .eq('org_id', orgId)
+        .maybeSingle();
+
+    if (findErr) throw findErr;
+    if (!order) throw new Error('Order not found');
+    if (!ORDER_TRANSITIONS[order.status].includes(toStatus)) {
+        throw new Error(`Cannot change an order from ${order.status} to ${toStatus}`);
+    }
+
+    const now = new Date().toISOString();
+    const move = stockMoveFor(order.status, toStatus);
+    let updated = null;
+
+    if (move) {
+        if (await moveStockWithStatus(order, toStatus, move)) {
+            const { data, error } = await supabaseAdmin
+                .from('orders')
+                .update({ ...updates, updated_at: now })
+                .eq('id', orderId)
+                .select(ORDER_STATE_FIELDS)
+                .single();
+
+            if (error) throw error;
+            updated = data;
+        }
+    } else {
+        const { data, error } = await supabaseAdmin
+            .from('orders')
+            .update({ ...updates, status: toStatus, status_changed_at: now, updated_at: now })
+            .eq('id', orderId)
+            // Lose to a change made since the read instead of overwriting it
+            .eq('status', order.status)
+            .select(ORDER_STATE_FIELDS)
+            .maybeSingle();
+
+        if (error) throw error;
+        updated = data;
+    }
+
+    if (!updated) {
+        throw new Error(`Cannot change an order from ${order.status} to ${toStatus}: it was changed meanwhile`);
+    }
+
+    await recordOrderEvent(order, order.status, toStatus, actor, reason);
+    return updated;
+}
+
+// Lifecycle errors the ordering agent can relay to the customer
+function isOrderStateError(err) {
+    return /^(Order not found|Cannot change an order|Not enough stock)/.test(err.message);
+}
+
 async function getCart(orgId, contactId) {
     const { data: order, error: orderErr } = await supabaseAdmin
         .from('orders')
@@ -77,7 +219,7 @@ async function getCart(orgId, contactId) {
 
     const { data: items, error: itemsErr } = await supabaseAdmin
         .from('order_items')
-        .select('id, quantity, unit_price, book_id, books(title, author)')
+        .select(ORDER_ITEM_FIELDS)
         .eq('order_id', order.id);
 
     if (itemsErr) throw itemsErr;
@@ -85,23 +227,25 @@ async function getCart(orgId, contactId) {
     return {
         order_id: order.id,
         order_number: order.order_number,
-        items: (items || []).map(i => ({
-            order_item_id: i.id,
-            book_id: i.book_id,
-            title: i.books?.title,
-            author: i.books?.author,
-            quantity: i.quantity,
-            unit_price: Number(i.unit_price),
-            line_total: Number(i.unit_price) * i.quantity,
-        })),
+        items: (items || []).map(formatItem),
         subtotal: Number(order.subtotal),
     };
 }
 
-async function addToCart(orgId, contactId, conversationId, bookId, quantity = 1) {
-    const book = await getBookDetails(orgId, bookId);
-    if (!book) return { error: 'Book not found' };
-    if (book.stock < quantity) return { error: `Only ${book.stock} copies available` };
+// Lines only change while the order is a draft: once confirmed, the order's stock
+// is held per line (order_items.stock_quantity) and must match what was reserved
+const CART_CLOSED_ERROR = 'This order is already confirmed; its items can no longer be changed';
+
+function invalidQuantity(quantity) {
+    return !Number.isInteger(quantity) || quantity < 1;
+}
+
+async function addToCart(orgId, contactId, conversationId, variantId, quantity = 1) {
+    if (invalidQuantity(quantity)) return { error: 'Quantity must be a whole number of at least 1' };
+
+    const variant = await catalogService.getSellableVariant(orgId, variantId);
+    if (!variant) return { error: 'Product variant not found' };
+    if (variant.stock < quantity) return { error: `Only ${variant.stock} units of ${variant.name} available` };
 
     const order = await getOrCreateDraftOrder(orgId, contactId, conversationId);
 
@@ -109,12 +253,12 @@ async function addToCart(orgId, contactId, conversationId, bookId, quantity = 1)
         .from('order_items')
         .select('*')
         .eq('order_id', order.id)
-        .eq('book_id', bookId)
+        .eq('variant_id', variantId)
         .maybeSingle();
 
     if (existingItem) {
         const newQty = existingItem.quantity + quantity;
-        if (book.stock < newQty) return { error: `Only ${book.stock} copies available (${existingItem.quantity} already in cart)` };
+        if (variant.stock < newQty) return { error: `Only ${variant.stock} units of ${variant.name} available (${existingItem.quantity} already in cart)` };
 
         await supabaseAdmin
             .from('order_items')
@@ -125,9 +269,9 @@ async function addToCart(orgId, contactId, conversationId, bookId, quantity = 1)
             .from('order_items')
             .insert({
                 order_id: order.id,
-                book_id: bookId,
+                variant_id: variantId,
                 quantity,
-                unit_price: book.price,
+                unit_price: variant.price,
             });
     }
 
@@ -135,15 +279,36 @@ async function addToCart(orgId, contactId, conversationId, bookId, quantity = 1)
     return await getCart(orgId, contactId);
 }
 
-async function updateCartItem(orderItemId, quantity) {
-    const { data: item, error: findErr } = await supabaseAdmin
+/**
+ * A line of the customer's own order (other customers' items are 'Item not found')
+ * @param {string} orgId - Organization UUID
+ * @param {string} contactId - Contact UUID
+ * @param {string} orderItemId - order_items UUID
+ * @param {string} fields - order_items columns and embeds to select
+ * @returns {Promise<object|null>} With orders(status)
+ */
+async function findCustomerOrderItem(orgId, contactId, orderItemId, fields) {
+    const { data, error } = await supabaseAdmin
         .from('order_items')
-        .select('*, books(stock)')
+        .select(`${fields}, orders!inner(status, org_id, contact_id)`)
         .eq('id', orderItemId)
-        .single();
+        .eq('orders.org_id', orgId)
+        .eq('orders.contact_id', contactId)
+        .maybeSingle();
 
-    if (findErr) return { error: 'Item not found' };
-    if (item.books?.stock < quantity) return { error: `Only ${item.books.stock} copies available` };
+    if (error) throw error;
+    return data;
+}
+
+async function updateCartItem(orgId, contactId, orderItemId, quantity) {
+    if (invalidQuantity(quantity)) return { error: 'Quantity must be a whole number of at least 1; use remove_from_cart to remove an item' };
+
+    const item = await findCustomerOrderItem(orgId, contactId, orderItemId, '*, product_variants(stock, reserved)');
+
+    if (!item) return { error: 'Item not found' };
+    if (item.orders?.status !== 'draft') return { error: CART_CLOSED_ERROR };
+    const available = catalogService.availableStock(item.product_variants);
+    if (available < quantity) return { error: `Only ${available} units available` };
 
     await supabaseAdmin
         .from('order_items')
@@ -154,14 +319,11 @@ async function updateCartItem(orderItemId, quantity) {
     return { success: true, order_id: item.order_id };
 }
 
-async function removeFromCart(orderItemId) {
-    const { data: item, error: findErr } = await supabaseAdmin
-        .from('order_items')
-        .select('order_id')
-        .eq('id', orderItemId)
-        .single();
+async function removeFromCart(orgId, contactId, orderItemId) {
+    const item = await findCustomerOrderItem(orgId, contactId, orderItemId, 'order_id');
 
-    if (findErr) return { error: 'Item not found' };
+    if (!item) return { error: 'Item not found' };
+    if (item.orders?.status !== 'draft') return { error: CART_CLOSED_ERROR };
 
     await supabaseAdmin
         .from('order_items')
@@ -191,16 +353,18 @@ async function confirmOrder(orgId, contactId) {
 
     if (!items || items.length === 0) return { error: 'Cart is empty' };
 
-    const { error: updateErr } = await supabaseAdmin
-        .from('orders')
-        .update({
-            status: 'pending_payment',
-            status_changed_at: new Date().toISOString(),
-            updated_at: new Date().toISOString(),
-        })
-        .eq('id', order.id);
-
-    if (updateErr) throw updateErr;
+    // Holds the units while the customer pays; the cart stays a draft if they're gone
+    let confirmed;
+    try {
+        confirmed = await transitionOrder(orgId, order.id, 'pending_payment', {
+            actor: CUSTOMER_ACTOR,
+            reason: 'Confirmed over WhatsApp',
+        });
+    } catch (err) {
+        if (/^Not enough stock/.test(err.message)) return { error: `${err.message}. Please update the cart.` };
+        if (isOrderStateError(err)) return { error: err.message };
+        throw err;
+    }
 
     const { data: org } = await supabaseAdmin
         .from('organizations')
@@ -213,33 +377,22 @@ async function confirmOrder(orgId, contactId) {
         order_number: order.order_number,
         subtotal: Number(order.subtotal),
         status: 'pending_payment',
+        items_held_until: confirmed.stock_reserved_until,
         bank_transfer_details: org?.bank_transfer_details || 'Please contact us for bank transfer details.',
         business_name: org?.display_name || 'Our Store',
     };
 }
 
-async function cancelOrder(orderId) {
-    const { data: order, error: findErr } = await supabaseAdmin
-        .from('orders')
-        .select('status')
-        .eq('id', orderId)
-        .single();
-
-    if (findErr) return { error: 'Order not found' };
-    if (order.status === 'delivered' || order.status === 'cancelled') {
-        return { error: `Cannot cancel an order that is already ${order.status}` };
+async function cancelOrder(orgId, orderId) {
+    try {
+        await transitionOrder(orgId, orderId, 'cancelled', {
+            actor: CUSTOMER_ACTOR,
+            reason: 'Cancelled by the customer over WhatsApp',
+        });
+    } catch (err) {
+        if (isOrderStateError(err)) return { error: err.message };
+        throw err;
     }
-
-    const { error: updateErr } = await supabaseAdmin
-        .from('orders')
-        .update({
-            status: 'cancelled',
-            status_changed_at: new Date().toISOString(),
-            updated_at: new Date().toISOString(),
-        })
-        .eq('id', orderId);
-
-    if (updateErr) throw updateErr;
     return { success: true, order_id: orderId };
 }
 
@@ -248,10 +401,12 @@ async function getOrderStatus(orgId, contactId, orderId) {
         .from('orders')
         .select('id, order_number, status, subtotal, notes, shipping_address, created_at, updated_at, status_changed_at');
 
+    // Customers only see their own orders
+    qb = qb.eq('org_id', orgId).eq('contact_id', contactId);
     if (orderId) {
         qb = qb.eq('id', orderId);
     } else {
-        qb = qb.eq('org_id', orgId).eq('contact_id', contactId).neq('status', 'draft').order('created_at', { ascending: false }).limit(1);
+        qb = qb.neq('status', 'draft').order('created_at', { ascending: false }).limit(1);
     }
 
     const { data, error } = await qb.maybeSingle();
@@ -260,7 +415,7 @@ async function getOrderStatus(orgId, contactId, orderId) {
 
     const { data: items } = await supabaseAdmin
         .from('order_items')
-        .select('quantity, unit_price, books(title, author)')
+        .select(ORDER_ITEM_FIELDS)
         .eq('order_id', data.id);
 
     return {
@@ -268,12 +423,7 @@ async function getOrderStatus(orgId, contactId, orderId) {
         order_number: data.order_number,
         status: data.status,
         subtotal: Number(data.subtotal),
-        items: (items || []).map(i => ({
-            title: i.books?.title,
-            author: i.books?.author,
-            quantity: i.quantity,
-            unit_price: Number(i.unit_price),
-        })),
+        items: (items || []).map(formatItem).map(({ name, quantity, unit_price }) => ({ name, quantity, unit_price })),
         created_at: data.created_at,
     };
 }
@@ -292,7 +442,7 @@ async function getOrderHistory(orgId, contactId) {
     return data || [];
 }
 
-async function submitReceipt({ orderId, messageId, waMessageId, mediaType, mediaMimeType, mediaData }) {
+async function submitReceipt({ orgId, orderId, messageId, waMessageId, mediaType, mediaMimeType, mediaData }) {
     const { error: receiptErr } = await supabaseAdmin
         .from('payment_receipts')
         .insert({
@@ -307,20 +457,19 @@ async function submitReceipt({ orderId, messageId, waMessageId, mediaType, media
 
     if (receiptErr) throw receiptErr;
 
-    const { error: orderErr } = await supabaseAdmin
-        .from('orders')
-        .update({
-            status: 'receipt_submitted',
-            status_changed_at: new Date().toISOString(),
-            updated_at: new Date().toISOString(),
-        })
-        .eq('id', orderId);
-
-    if (orderErr) throw orderErr;
+    await transitionOrder(orgId, orderId, 'receipt_submitted', {
+        actor: CUSTOMER_ACTOR,
+        reason: 'Payment receipt sent over WhatsApp',
+    });
     return { success: true };
 }
 
-async function approveReceipt(orderId, reviewedBy) {
+async function approveReceipt(orgId, orderId, reviewedBy) {
+    await transitionOrder(orgId, orderId, 'confirmed', {
+        actor: userActor(reviewedBy),
+        reason: 'Payment receipt approved',
+    });
+
     const { error: receiptErr } = await supabaseAdmin
         .from('payment_receipts')
         .update({
@@ -332,21 +481,15 @@ async function approveReceipt(orderId, reviewedBy) {
         .eq('status', 'pending');
 
     if (receiptErr) throw receiptErr;
-
-    const { error: orderErr } = await supabaseAdmin
-        .from('orders')
-        .update({
-            status: 'confirmed',
-            status_changed_at: new Date().toISOString(),
-            updated_at: new Date().toISOString(),
-        })
-        .eq('id', orderId);
-
-    if (orderErr) throw orderErr;
     return { success: true };
 }
 
-async function rejectReceipt(orderId, reviewedBy, notes) {
+async function rejectReceipt(orgId, orderId, reviewedBy, notes) {
+    await transitionOrder(orgId, orderId, 'pending_payment', {
+        actor: userActor(reviewedBy),
+        reason: notes ? `Payment receipt rejected: ${notes}` : 'Payment receipt rejected',
+    });
+
     const { error: receiptErr } = await supabaseAdmin
         .from('payment_receipts')
         .update({
@@ -359,34 +502,23 @@ async function rejectReceipt(orderId, reviewedBy, notes) {
         .eq('status', 'pending');
 
     if (receiptErr) throw receiptErr;
-
-    const { error: orderErr } = await supabaseAdmin
-        .from('orders')
-        .update({
-            status: 'pending_payment',
-            status_changed_at: new Date().toISOString(),
-            updated_at: new Date().toISOString(),
-        })
-        .eq('id', orderId);
-
-    if (orderErr) throw orderErr;
     return { success: true };
 }
 
-async function updateOrderStatus(orderId, newStatus, adminNotes) {
-    const updates = {
-        status: newStatus,
-        status_changed_at: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
-    };
-    if (adminNotes) updates.admin_notes = adminNotes;
-
-    const { error } = await supabaseAdmin
-        .from('orders')
-        .update(updates)
-        .eq('id', orderId);
-
-    if (error) throw error;
+/**
+ * A status change from the dashboard
+ * @param {string} orgId - Organization UUID
+ * @param {string} orderId - orders UUID
+ * @param {string} newStatus - Must be reachable from the current status (ORDER_TRANSITIONS)
+ * @param {object} options - { userId, reason, adminNotes }
+ * @returns {Promise<object>} { success }
+ */
+async function updateOrderStatus(orgId, orderId, newStatus, { userId, reason, adminNotes } = {}) {
+    await transitionOrder(orgId, orderId, newStatus, {
+        actor: userActor(userId),
+        reason,
+        updates: adminNotes ? { admin_notes: adminNotes } : {},
+    });
     return { success: true };
 }
 
@@ -465,18 +597,20 @@ async function listOrders(orgId, { status, page = 1, limit = 20 } = {}) {
     return { orders: data || [], total: count || 0 };
 }
 
-async function getOrderById(orderId) {
+async function getOrderById(orgId, orderId) {
     const { data: order, error: orderErr } = await supabaseAdmin
         .from('orders')
         .select('*, contacts(wa_number, name)')
         .eq('id', orderId)
-        .single();
+        .eq('org_id', orgId)
+        .maybeSingle();
 
     if (orderErr) throw orderErr;
+    if (!order) throw new Error('Order not found');
 
     const { data: items } = await supabaseAdmin
         .from('order_items')
-        .select('*, books(title, author, isbn)')
+        .select('*, product_variants(options, sku, barcode, products(name))')
         .eq('order_id', orderId);
 
     const { data: receipts } = await supabaseAdmin
@@ -485,7 +619,13 @@ async function getOrderById(orderId) {
         .eq('order_id', orderId)
         .order('created_at', { ascending: false });
 
-    return { ...order, items: items || [], receipts: receipts || [] };
+    const { data: events } = await supabaseAdmin
+        .from('order_events')
+        .select(ORDER_EVENT_FIELDS)
+        .eq('order_id', orderId)
+        .order('created_at', { ascending: true });
+
+    return { ...order, items: items || [], receipts: receipts || [], events: events || [] };
 }
 
 async function getReceiptData(receiptId) {
@@ -500,8 +640,9 @@ async function getReceiptData(receiptId) {
 }
 
 module.exports = {
-    searchBooks,
-    getBookDetails,
+    ORDER_STATUSES,
+    ORDER_TRANSITIONS,
+    transitionOrder,
     getOrCreateDraftOrder,
     getCart,
     addToCart,
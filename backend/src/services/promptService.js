@@ -0,0 +1,390 @@
+const { supabaseAdmin } = require('../auth/supabase');
+
+/**
+ * Prompt Service
+ * Each org writes its own system prompt (the bot's persona and voice) in the
+ * dashboard. Every save is a new version in prompt_versions; publishing a
+ * version copies it to organizations.llm_system_prompt, which getOrgLLMConfig
+ * reads. Orgs without a published prompt get DEFAULT_PROMPT.
+ *
+ * Prompts may use {{variables}}, filled in when the prompt is loaded:
+ * - business_name   organizations.name unless set in prompt_variables
+ * - business_hours  prompt_variables.business_hours
+ * - language        prompt_variables.language (default: the customer's language)
+ * - any other name set in organizations.prompt_variables
+ * Unknown variables render as empty text.
+ */
+
+const DEFAULT_PROMPT = `You are the friendly customer support assistant of {{business_name}} on WhatsApp.
+Keep replies short, warm and easy to read on a phone.
+Reply in {{language}}.`;
+
+const BUILTIN_VARIABLES = [
+    { name: 'business_name', description: 'Business name (defaults to the organization name)' },
+    { name: 'business_hours', description: 'Opening hours' },
+    { name: 'language', description: 'Language the bot replies in', defaultValue: "the customer's language" },
+];
+
+const MAX_PROMPT_LENGTH = 8000;
+const MAX_NOTE_LENGTH = 200;
+const MAX_VARIABLES = 30;
+const MAX_VARIABLE_LENGTH = 1000;
+const VARIABLE_NAME = /^[a-z][a-z0-9_]{0,39}$/;
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+
+const VERSION_FIELDS = 'id, version, content, note, created_by, created_at, published_at';
+
+function requireDb() {
+    if (!supabaseAdmin) {
+        throw new Error('Supabase admin client not configured');
+    }
+}
+
+/**
+ * Values of every prompt variable for an org
+ * @param {{ name?: string, prompt_variables?: object|null }} org - organizations row
+ * @returns {Object<string, string>}
+ */
+function resolvePromptVariables(org) {
+    const values = {};
+    for (const variable of BUILTIN_VARIABLES) {
+        values[variable.name] = variable.defaultValue || '';
+    }
+    values.business_name = org?.name || '';
+
+    for (const [name, value] of Object.entries(org?.prompt_variables || {})) {
+        // An empty value keeps the default
+        if (value) values[name] = String(value);
+    }
+    return values;
+}
+
+/**
+ * Fill in {{variables}}; unknown ones become empty text
+ * @param {string} template
+ * @param {Object<string, string>} values - from resolvePromptVariables
+ * @returns {string}
+ */
+function renderPrompt(template, values) {
+    return String(template || '').replace(VARIABLE_PATTERN, (_, name) => values[name] ?? '').trim();
+}
+
+/**
+ * Names of the {{variables}} a prompt uses, in order of first use
+ * @param {string} template
+ * @returns {Array<string>}
+ */
+function extractVariables(template) {
+    return [...new Set([...String(template || '').matchAll(VARIABLE_PATTERN)].map(m => m[1]))];
+}
+
+/**
+ * Line diff of two prompts (longest common subsequence)
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{ type: 'same'|'added'|'removed', text: string }>}
+ */
+function diffLines(before, after) {
+    const a = String(before || '').split('\n');
+    const b = String(after || '').split('\n');
+
+    // lcs[i][j]: common lines of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            lines.push({ type: 'same', text: a[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            lines.push({ type: 'removed', text: a[i++] });
+        } else {
+            lines.push({ type: 'added', text: b[j++] });
+        }
+    }
+    while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+    return lines;
+}
+
+/**
+ * The org's name, prompt variables and published version
+ * @param {string} orgId - Organization UUID
+ * @returns {Promise<object>}
+ */
+async function getOrgPromptSettings(orgId) {
+    const { data, error } = await supabaseAdmin
+        .from('organizations')
+        .select('name, prompt_variables, prompt_version_id, llm_system_prompt')
+        .eq('id', orgId)
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Prompt variables of an org for the editor
+ * @param {string} orgId - Organization UUID
+ * @returns {Promise<{ values: Object<string, string>, variables: Array<object> }>}
+ *   values: what each variable renders as; variables: built-in and custom ones with
+ *   the value the org set (value is '' when it uses the default)
+ */
+async function getPromptVariables(orgId) {
+    requireDb();
+    const org = await getOrgPromptSettings(orgId);
+    const custom = org.prompt_variables || {};
+
+    const builtinNames = BUILTIN_VARIABLES.map(v => v.name);
+    const variables = [
+        ...BUILTIN_VARIABLES.map(v => ({
+            name: v.name,
+            description: v.description,
+            builtin: true,
+            value: custom[v.name] || '',
+            defaultValue: v.name === 'business_name' ? org.name : (v.defaultValue || ''),
+        })),
+        ...Object.keys(custom)
+            .filter(name => !builtinNames.includes(name))
+            .map(name => ({ name, description: null, builtin: false, value: custom[name], defaultValue: '' })),
+    ];
+
+    return { values: resolvePromptVariables(org), variables };
+}
+
+/**
+ * Replace the org's prompt variables
+ * @param {string} orgId - Organization UUID
+ * @param {Object<string, string>} variables - name → value; empty values use the default
+ * @returns {Promise<{ values: Object<string, string>, variables: Array<object> }>}
+ */
+async function setPromptVariables(orgId, variables) {
+    requireDb();
+
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+        throw new Error('variables must be an object of name: value');
+    }
+    const entries = Object.entries(variables);
+    if (entries.length > MAX_VARIABLES) {
+        throw new Error(`variables must be at most ${MAX_VARIABLES}`);
+    }
+
+    const cleaned = {};
+    for (const [name, value] of entries) {
+        if (!VARIABLE_NAME.test(name)) {
+            throw new Error(`variables must have lowercase names of letters, digits and _ ("${name}")`);
+        }
+        const text = String(value ?? '').trim();
+        if (text.length > MAX_VARIABLE_LENGTH) {
+            throw new Error(`variables must be at most ${MAX_VARIABLE_LENGTH} characters ("${name}")`);
+        }
+        if (text) cleaned[name] = text;
+    }
+
+    const { error } = await supabaseAdmin
+        .from('organizations')
+        .update({ prompt_variables: cleaned })
+        .eq('id', orgId);
+
+    if (error) throw error;
+    return getPromptVariables(orgId);
+}
+
+/**
+ * Prompt versions of an org, newest first
+ * @param {string} orgId - Organization UUID
+ * @returns {Promise<{ versions: Array<object>, publishedVersionId: string|null, defaultPrompt: string }>}
+ */
+async function listPromptVersions(orgId) {
+    requireDb();
+
+    const [{ data, error }, org] = await Promise.all([
+        supabaseAdmin
+            .from('prompt_versions')
+            .select(VERSION_FIELDS)
+            .eq('org_id', orgId)
+            .order('version', { ascending: false }),
+        getOrgPromptSettings(orgId),
+    ]);
+
+    if (error) throw error;
+    return {
+        versions: data || [],
+        publishedVersionId: org.prompt_version_id || null,
+        defaultPrompt: DEFAULT_PROMPT,
+    };
+}
+
+/**
+ * One prompt version
+ * @param {string} orgId - Organization UUID
+ * @param {string} versionId - prompt_versions UUID
+ * @returns {Promise<object>}
+ */
+async function getPromptVersion(orgId, versionId) {
+    requireDb();
+
+    const { data, error } = await supabaseAdmin
+        .from('prompt_versions')
+        .select(VERSION_FIELDS)
+        .eq('id', versionId)
+        .eq('org_id', orgId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new Error('Prompt version not found');
+    return data;
+}
+
+/**
+ * Save a prompt as the org's next version (not published)
+ * @param {string} orgId - Organization UUID
+ * @param {string|null} userId - Staff member saving it
+ * @param {object} input
+ * @param {string} input.content - Prompt text, may use {{variables}}
+ * @param {string} input.note - What changed (optional)
+ * @returns {Promise<object>} The version
+ */
+async function createPromptVersion(orgId, userId, { content, note = null }) {
+    requireDb();
+
+    const text = String(content || '').trim();
+    if (!text) throw new Error('content is required');
+    if (text.length > MAX_PROMPT_LENGTH) {
+        throw new Error(`content must be at most ${MAX_PROMPT_LENGTH} characters`);
+    }
+    const noteText = String(note || '').trim().slice(0, MAX_NOTE_LENGTH) || null;
+
+    // Two editors saving at once collide on UNIQUE (org_id, version); the second retries
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const { data: latest, error: latestError } = await supabaseAdmin
+            .from('prompt_versions')
+            .select('version')
+            .eq('org_id', orgId)
+            .order('version', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (latestError) throw latestError;
+
+        const { data, error } = await supabaseAdmin
+            .from('prompt_versions')
+            .insert({
+                org_id: orgId,
+                version: (latest?.version || 0) + 1,
+                content: text,
+                note: noteText,
+                created_by: userId,
+            })
+            .select(VERSION_FIELDS)
+            .single();
+
+        if (!error) {
+            console.log(`📝 Saved prompt version ${data.version}`);
+            return data;
+        }
+        if (error.code !== '23505') throw error;
+    }
+    throw new Error('Could not save the prompt version, please try again');
+}
+
+/**
+ * Make a version the prompt the bot uses
+ * Callers must invalidateOrgLLMConfig(orgId) so it applies right away.
+ * @param {string} orgId - Organization UUID
+ * @param {string} versionId - prompt_versions UUID
+ * @returns {Promise<object>} The version
+ */
+async function publishPromptVersion(orgId, versionId) {
+    requireDb();
+    const version = await getPromptVersion(orgId, versionId);
+
+    const { error } = await supabaseAdmin
+        .from('organizations')
+        .update({ llm_system_prompt: version.content, prompt_version_id: version.id })
+        .eq('id', orgId);
+
+    if (error) throw error;
+
+    const publishedAt = new Date().toISOString();
+    const { error: versionError } = await supabaseAdmin
+        .from('prompt_versions')
+        .update({ published_at: publishedAt })
+        .eq('id', version.id);
+
+    if (versionError) {
+        // The prompt is live either way; only the timestamp is missing
+        console.error('⚠️ Could not record when the prompt was published:', versionError.message);
+    }
+
+    console.log(`🚀 Published prompt version ${version.version}`);
+    return { ...version, published_at: publishedAt };
+}
+
+/**
+ * Line diff between two versions
+ * @param {string} orgId - Organization UUID
+ * @param {string} versionId - prompt_versions UUID (the newer side)
+ * @param {string|null} againstId - Version to compare with; defaults to the one before versionId
+ * @returns {Promise<{ from: object|null, to: object, lines: Array<object> }>}
+ *   from is null when versionId is the first version (everything is added)
+ */
+async function diffPromptVersions(orgId, versionId, againstId = null) {
+    const to = await getPromptVersion(orgId, versionId);
+
+    let from = null;
+    if (againstId) {
+        from = await getPromptVersion(orgId, againstId);
+    } else {
+        const { data, error } = await supabaseAdmin
+            .from('prompt_versions')
+            .select(VERSION_FIELDS)
+            .eq('org_id', orgId)
+            .lt('version', to.version)
+            .order('version', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (error) throw error;
+        from = data;
+    }
+
+    return { from, to, lines: diffLines(from?.content || '', to.content) };
+}
+
+/**
+ * Render a prompt with the org's variables (draft testing and the editor preview)
+ * @param {string} orgId - Organization UUID
+ * @param {string} content - Prompt text
+ * @returns {Promise<{ rendered: string, unknownVariables: Array<string> }>}
+ *   unknownVariables: used in the prompt but without a value
+ */
+async function previewPrompt(orgId, content) {
+    const { values } = await getPromptVariables(orgId);
+    return {
+        rendered: renderPrompt(content, values),
+        unknownVariables: extractVariables(content).filter(name => !values[name]),
+    };
+}
+
+module.exports = {
+    DEFAULT_PROMPT,
+    resolvePromptVariables,
+    renderPrompt,
+    getPromptVariables,
+    setPromptVariables,
+    listPromptVersions,
+    getPromptVersion,
+    createPromptVersion,
+    publishPromptVersion,
+    diffPromptVersions,
+    previewPrompt,
+};
@@ -0,0 +1,80 @@
+/**
+ * Rerank Service
+ * Scores (query, passage) pairs with a cross-encoder, used to reorder the
+ * fused hybrid search results before they reach the prompt.
+ *
+ * Any HTTP rerank endpoint in one of two common formats:
+ * - cohere (default): Cohere, Jina, Voyage and compatible APIs
+ *     POST { model, query, documents, top_n } → { results: [{ index, relevance_score }] }
+ * - tei: Hugging Face text-embeddings-inference /rerank (e.g. BAAI/bge-reranker-base)
+ *     POST { query, texts, raw_scores: false } → [{ index, score }]
+ *
+ * Env: KB_RERANK_URL, KB_RERANK_FORMAT, KB_RERANK_MODEL, KB_RERANK_API_KEY, KB_RERANK_TIMEOUT_MS
+ */
+
+const RERANK_URL = process.env.KB_RERANK_URL || null;
+const RERANK_FORMAT = process.env.KB_RERANK_FORMAT === 'tei' ? 'tei' : 'cohere';
+const RERANK_MODEL = process.env.KB_RERANK_MODEL || null;
+const RERANK_API_KEY = process.env.KB_RERANK_API_KEY || null;
+const RERANK_TIMEOUT_MS = parseInt(process.env.KB_RERANK_TIMEOUT_MS, 10) || 5000;
+
+/**
+ * Whether a rerank endpoint is configured on this server
+ * @returns {boolean}
+ */
+function isRerankAvailable() {
+    return Boolean(RERANK_URL);
+}
+
+/**
+ * Relevance of each document to the query
+ * @param {string} query
+ * @param {Array<string>} documents
+ * @returns {Promise<Array<number>|null>} One score (0-1) per document, in input order;
+ *   null when reranking is not configured or the call fails (callers keep their order)
+ */
+async function rerank(query, documents) {
+    if (!RERANK_URL || documents.length === 0) return null;
+
+    const body = RERANK_FORMAT === 'tei'
+        ? { query, texts: documents, raw_scores: false }
+        : { model: RERANK_MODEL || undefined, query, documents, top_n: documents.length };
+
+    try {
+        const response = await fetch(RERANK_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(RERANK_API_KEY ? { Authorization: `Bearer ${RERANK_API_KEY}` } : {}),
+            },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(RERANK_TIMEOUT_MS),
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${(await response.text()).slice(0, 200)}`);
+        }
+
+        const data = await response.json();
+        const results = Array.isArray(data) ? data : data.results;
+        if (!Array.isArray(results)) {
+            throw new Error('Unexpected rerank response');
+        }
+
+        const scores = new Array(documents.length).fill(0);
+        for (const r of results) {
+            if (Number.isInteger(r.index) && r.index < documents.length) {
+                scores[r.index] = Number(r.relevance_score ?? r.score) || 0;
+            }
+        }
+        return scores;
+    } catch (error) {
+        console.error('❌ Rerank failed, keeping fused order:', error.message);
+        return null;
+    }
+}
+
+module.exports = {
+    isRerankAvailable,
+    rerank,
+};
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+/**
+ * Secret Service
+ * Encrypts per-org secrets (e.g. LLM API keys) before they are stored in the database.
+ *
+ * AES-256-GCM with a key derived from SECRETS_ENCRYPTION_KEY.
+ * Stored format: v1:<iv>:<auth tag>:<ciphertext> (base64 parts)
+ *
+ * Changing SECRETS_ENCRYPTION_KEY makes existing secrets unreadable; orgs then
+ * have to enter their keys again.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+function getKey() {
+    const secret = process.env.SECRETS_ENCRYPTION_KEY;
+    if (!secret) {
+        throw new Error('SECRETS_ENCRYPTION_KEY is required to store API keys');
+    }
+    return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} plaintext
+ * @returns {string} Encrypted value
+ */
+function encryptSecret(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return [VERSION, iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a value produced by encryptSecret
+ * @param {string} encrypted
+ * @returns {string|null} Plaintext, or null if it can't be decrypted
+ */
+function decryptSecret(encrypted) {
+    if (!encrypted) return null;
+
+    try {
+        const [version, iv, tag, ciphertext] = encrypted.split(':');
+        if (version !== VERSION) {
+            throw new Error(`Unsupported secret format "${version}"`);
+        }
+
+        const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        return Buffer.concat([
+            decipher.update(Buffer.from(ciphertext, 'base64')),
+            decipher.final(),
+        ]).toString('utf8');
+    } catch (error) {
+        console.error('❌ Error decrypting secret:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Last characters of a secret for display ("••••abcd")
+ * @param {string|null} plaintext
+ * @returns {string|null}
+ */
+function maskSecret(plaintext) {
+    if (!plaintext) return null;
+    return `••••${plaintext.slice(-4)}`;
+}
+
+module.exports = {
+    encryptSecret,
+    decryptSecret,
+    maskSecret,
+};
@@ -1,16 +1,61 @@
 // backend/src/socketService.js
 const { Server } = require("socket.io");
+const { supabaseAdmin, getUserFromToken } = require("../auth/supabase");
 
 let io = null;
 
-// shared state (single WA for now)
-let waState = {
-  connected: false,
-  qrDataUrl: null,
-  lastError: null,
-  updatedAt: Date.now(),
-  botEnabled: true,
-};
+// shared state, one entry per organization (each org runs its own WA client)
+const waStates = new Map();
+
+function defaultWaState() {
+  return {
+    connected: false,
+    qrDataUrl: null,
+    lastError: null,
+    updatedAt: Date.now(),
+    botEnabled: true,
+  };
+}
+
+function orgRoom(orgId) {
+  return `org:${orgId}`;
+}
+
+/**
+ * Socket auth: the dashboard sends { token, orgId } in the handshake.
+ * The socket joins its organization's room only if the user is a member.
+ */
+async function authenticateSocket(socket, next) {
+  try {
+    const { token, orgId } = socket.handshake.auth || {};
+    if (!token || !orgId) {
+      return next(new Error("Missing token or orgId"));
+    }
+
+    const { data, error } = await getUserFromToken(token);
+    if (error || !data?.user) {
+      return next(new Error("Invalid or expired token"));
+    }
+
+    const { data: membership } = await supabaseAdmin
+      .from("memberships")
+      .select("role")
+      .eq("org_id", orgId)
+      .eq("user_id", data.user.id)
+      .maybeSingle();
+
+    if (!membership) {
+      return next(new Error("Not a member of this organization"));
+    }
+
+    socket.data.orgId = orgId;
+    socket.data.userId = data.user.id;
+    next();
+  } catch (err) {
+    console.error("❌ Socket auth error:", err);
+    next(new Error("Socket authentication failed"));
+  }
+}
 
 function initSocket(server, corsOrigins = "*") {
   io = new Server(server, {
@@ -20,11 +65,16 @@ function initSocket(server, corsOrigins = "*") {
     },
   });
 
+  io.use(authenticateSocket);
+
   io.on("connection", (socket) => {
-    console.log("🟢 Dashboard socket connected:", socket.id);
+    const { orgId } = socket.data;
+    console.log("🟢 Dashboard socket connected:", socket.id, `(org=${orgId})`);
+
+    socket.join(orgRoom(orgId));
 
     // send latest state immediately
-    socket.emit("wa:status", waState);
+    socket.emit("wa:status", getWaState(orgId));
 
     socket.on("disconnect", () => {
       console.log("🔴 Dashboard socket disconnected:", socket.id);
@@ -34,22 +84,29 @@ function initSocket(server, corsOrigins = "*") {
   return io;
 }
 
-function setWaState(patch) {
-  waState = {
-    ...waState,
+function setWaState(orgId, patch) {
+  const waState = {
+    ...getWaState(orgId),
     ...patch,
     updatedAt: Date.now(),
   };
+  waStates.set(orgId, waState);
+
+  if (io) io.to(orgRoom(orgId)).emit("wa:status", waState);
+}
 
-  if (io) io.emit("wa:status", waState);
+function getWaState(orgId) {
+  return waStates.get(orgId) || defaultWaState();
 }
 
-function getWaState() {
-  return waState;
+// Broadcast an event to every dashboard socket of an organization
+function emitToOrg(orgId, event, payload) {
+  if (io) io.to(orgRoom(orgId)).emit(event, payload);
 }
 
 module.exports = {
   initSocket,
   setWaState,
   getWaState,
+  emitToOrg,
 };
@@ -0,0 +1,172 @@
+const { supabaseAdmin } = require('../auth/supabase');
+const { describeVariant } = require('./catalogService');
+
+/**
+ * Stock Service
+ * What an order holds from the catalog (orders.stock_status, MIGRATION_025):
+ *
+ * - none:      draft; the cart only checks availability
+ * - reserved:  the customer confirmed; the units count as product_variants.reserved
+ *              until payment is approved or orders.stock_reserved_until passes
+ * - committed: payment approved; the units left product_variants.stock
+ * - released:  cancelled or expired; the units are available again
+ *
+ * Every change runs in a Postgres function that locks the order and its variants,
+ * so concurrent conversations can't sell the same last unit twice.
+ *
+ * transition ({ from, to }, optional): move the stock and the order's status together,
+ * only if the order still has status `from` under the lock. Otherwise nothing changes
+ * and the result is { ok: false, status: <current status> }.
+ */
+
+const RESERVATION_SWEEP_MS = parseInt(process.env.RESERVATION_SWEEP_MS, 10) || 5 * 60 * 1000; // 5 minutes
+const SWEEP_BATCH_SIZE = 200;
+const LOW_STOCK_LIMIT = 50;
+
+let sweepTimer = null;
+
+/**
+ * "Classic Tee (M): 1 available, 2 requested; Dune: 0 available, 1 requested"
+ * @param {Array<object>} shortages - [{ name, options, requested, available }]
+ * @returns {string}
+ */
+function describeShortages(shortages) {
+    return (shortages || [])
+        .map(s => `${describeVariant(s.name, s.options)}: ${s.available} available, ${s.requested} requested`)
+        .join('; ');
+}
+
+async function callStockFunction(fn, args) {
+    const { data, error } = await supabaseAdmin.rpc(fn, args);
+    if (error) throw error;
+    if (data?.error) throw new Error(data.error);
+    return data;
+}
+
+function transitionArgs(transition) {
+    return { p_from_status: transition?.from ?? null, p_to_status: transition?.to ?? null };
+}
+
+/**
+ * Reserve an order's units for the org's stock_reservation_hours.
+ * Nothing is reserved unless every line is available.
+ * @param {string} orgId - Organization UUID
+ * @param {string} orderId - orders UUID
+ * @param {object} [transition] - { from, to } status change to make with it
+ * @returns {Promise<object>} { ok, reserved_until, shortages?, status? }
+ */
+async function reserveOrderStock(orgId, orderId, transition) {
+    const { data: org, error } = await supabaseAdmin
+        .from('organizations')
+        .select('stock_reservation_hours')
+        .eq('id', orgId)
+        .single();
+
+    if (error) throw error;
+
+    const hours = org?.stock_reservation_hours ?? 24;
+    const reservedUntil = new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+    const result = await callStockFunction('reserve_order_stock', {
+        p_order_id: orderId,
+        p_reserved_until: reservedUntil,
+        ...transitionArgs(transition),
+    });
+    return { ...result, reserved_until: reservedUntil };
+}
+
+/**
+ * Take an order's units out of stock; a no-op when already committed
+ * @param {string} orderId - orders UUID
+ * @param {object} [transition] - { from, to } status change to make with it
+ * @returns {Promise<object>} { ok, shortages?, status? } — shortages when a released
+ *   reservation can no longer be met
+ */
+async function commitOrderStock(orderId, transition) {
+    return await callStockFunction('commit_order_stock', { p_order_id: orderId, ...transitionArgs(transition) });
+}
+
+/**
+ * Give an order's units back (reserved or committed); a no-op otherwise
+ * @param {string} orderId - orders UUID
+ * @param {object} [transition] - { from, to } status change to make with it
+ * @returns {Promise<object>} { ok, released, status? }
+ */
+async function releaseOrderStock(orderId, transition) {
+    return await callStockFunction('release_order_stock', {
+        p_order_id: orderId,
+        p_expired_only: false,
+        ...transitionArgs(transition),
+    });
+}
+
+/**
+ * Release the reservations of orders still awaiting payment past stock_reserved_until.
+ * The orders stay pending_payment; approving a receipt later takes the units
+ * again if they are still available.
+ * @returns {Promise<number>} Orders released
+ */
+async function releaseExpiredReservations() {
+    if (!supabaseAdmin) return 0;
+
+    try {
+        const { data: orders, error } = await supabaseAdmin
+            .from('orders')
+            .select('id, order_number')
+            .eq('stock_status', 'reserved')
+            .eq('status', 'pending_payment')
+            .lt('stock_reserved_until', new Date().toISOString())
+            .limit(SWEEP_BATCH_SIZE);
+
+        if (error) throw error;
+
+        let released = 0;
+        for (const order of orders || []) {
+            try {
+                // The function re-checks expiry under lock, in case a receipt just came in
+                const result = await callStockFunction('release_order_stock', { p_order_id: order.id, p_expired_only: true });
+                if (result?.released) released++;
+            } catch (err) {
+                console.error(`❌ Error releasing stock for order ${order.order_number || order.id}:`, err);
+            }
+        }
+
+        if (released > 0) {
+            console.log(`📦 Released stock of ${released} unpaid order(s)`);
+        }
+        return released;
+    } catch (error) {
+        console.error('❌ Error in releaseExpiredReservations:', error);
+        return 0;
+    }
+}
+
+/**
+ * Run the reservation expiry sweep now and every RESERVATION_SWEEP_MS
+ */
+function startReservationSweeper() {
+    if (sweepTimer) return;
+    releaseExpiredReservations();
+    sweepTimer = setInterval(releaseExpiredReservations, RESERVATION_SWEEP_MS);
+    sweepTimer.unref?.();
+}
+
+/**
+ * Variants at or below the org's low_stock_threshold, scarcest first
+ * @param {string} orgId - Organization UUID
+ * @returns {Promise<Array<object>>} [{ variant_id, product_id, name, options, sku, stock, reserved, available, threshold }]
+ */
+async function getLowStock(orgId) {
+    const { data, error } = await supabaseAdmin.rpc('low_stock_variants', { p_org_id: orgId, p_limit: LOW_STOCK_LIMIT });
+    if (error) throw error;
+    return (data || []).map(v => ({ ...v, name: describeVariant(v.name, v.options) }));
+}
+
+module.exports = {
+    describeShortages,
+    reserveOrderStock,
+    commitOrderStock,
+    releaseOrderStock,
+    releaseExpiredReservations,
+    startReservationSweeper,
+    getLowStock,
+};
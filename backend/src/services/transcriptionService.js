@@ -0,0 +1,151 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const Groq = require('groq-sdk');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Transcription Service
+ * Speech-to-text for WhatsApp voice notes (ptt) and audio messages.
+ *
+ * Providers (STT_PROVIDER):
+ * - groq        Groq hosted Whisper (default when GROQ_API_KEY is set)
+ * - whisper_cpp Local whisper.cpp binary, fully offline
+ *               WHISPER_CPP_BIN   path to the whisper.cpp CLI (e.g. ./whisper-cli)
+ *               WHISPER_CPP_MODEL path to a ggml model (e.g. models/ggml-base.bin)
+ *               FFMPEG_BIN        ffmpeg used to convert WhatsApp ogg/opus to 16 kHz wav
+ * - none        Disable transcription
+ *
+ * Every provider implements transcribe(buffer, mimeType) → Promise<string>.
+ */
+
+const STT_PROVIDER = process.env.STT_PROVIDER || (process.env.GROQ_API_KEY ? 'groq' : 'none');
+const STT_LANGUAGE = process.env.STT_LANGUAGE || null; // e.g. "en"; auto-detect when unset
+const STT_TIMEOUT_MS = parseInt(process.env.STT_TIMEOUT_MS, 10) || 120000;
+
+// WhatsApp message types that carry speech
+const TRANSCRIBABLE_TYPES = new Set(['ptt', 'audio']);
+
+const groqProvider = {
+    model: process.env.GROQ_STT_MODEL || 'whisper-large-v3-turbo',
+    client: null,
+
+    async transcribe(buffer, mimeType) {
+        if (!process.env.GROQ_API_KEY) {
+            throw new Error('GROQ_API_KEY is required for the groq STT provider');
+        }
+        if (!this.client) {
+            this.client = new Groq({ apiKey: process.env.GROQ_API_KEY });
+        }
+
+        const ext = (mimeType || 'audio/ogg').split(';')[0].split('/')[1] || 'ogg';
+        const result = await this.client.audio.transcriptions.create({
+            file: await Groq.toFile(buffer, `voice-note.${ext}`),
+            model: this.model,
+            ...(STT_LANGUAGE ? { language: STT_LANGUAGE } : {}),
+        });
+
+        return result.text || '';
+    },
+};
+
+const whisperCppProvider = {
+    bin: process.env.WHISPER_CPP_BIN || 'whisper-cli',
+    model: process.env.WHISPER_CPP_MODEL || null,
+    ffmpeg: process.env.FFMPEG_BIN || 'ffmpeg',
+
+    async transcribe(buffer) {
+        if (!this.model) {
+            throw new Error('WHISPER_CPP_MODEL is required for the whisper_cpp STT provider');
+        }
+
+        const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'stt-'));
+        const inputPath = path.join(workDir, 'input');
+        const wavPath = path.join(workDir, 'audio.wav');
+        const outputBase = path.join(workDir, 'transcript');
+
+        try {
+            await fs.promises.writeFile(inputPath, buffer);
+
+            // whisper.cpp only reads 16 kHz mono wav
+            await execFileAsync(this.ffmpeg, ['-y', '-i', inputPath, '-ar', '16000', '-ac', '1', wavPath], {
+                timeout: STT_TIMEOUT_MS,
+            });
+
+            await execFileAsync(this.bin, [
+                '-m', this.model,
+                '-f', wavPath,
+                '-l', STT_LANGUAGE || 'auto',
+                '-nt', // no timestamps
+                '-otxt',
+                '-of', outputBase,
+            ], { timeout: STT_TIMEOUT_MS });
+
+            return await fs.promises.readFile(`${outputBase}.txt`, 'utf8');
+        } finally {
+            fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => { });
+        }
+    },
+};
+
+const providers = {
+    groq: groqProvider,
+    whisper_cpp: whisperCppProvider,
+};
+
+/**
+ * Register (or replace) a speech-to-text provider
+ * @param {string} name - Value used in STT_PROVIDER
+ * @param {{ transcribe: (buffer: Buffer, mimeType: string) => Promise<string> }} provider
+ */
+function registerProvider(name, provider) {
+    providers[name] = provider;
+}
+
+/**
+ * Whether a WhatsApp message type should be transcribed
+ * @param {string} messageType - whatsapp-web.js message type
+ * @returns {boolean}
+ */
+function isTranscribable(messageType) {
+    return STT_PROVIDER !== 'none' && TRANSCRIBABLE_TYPES.has(messageType);
+}
+
+/**
+ * Transcribe an audio buffer with the configured provider
+ * Non-blocking: failures are logged and null is returned
+ *
+ * @param {Buffer} buffer - Audio bytes (WhatsApp voice notes are ogg/opus)
+ * @param {string} mimeType - MIME type of the audio
+ * @returns {Promise<string|null>} Transcript text, or null if unavailable
+ */
+async function transcribeAudio(buffer, mimeType) {
+    if (STT_PROVIDER === 'none' || !buffer) {
+        return null;
+    }
+
+    const provider = providers[STT_PROVIDER];
+    if (!provider) {
+        console.error(`❌ Unknown STT_PROVIDER "${STT_PROVIDER}"`);
+        return null;
+    }
+
+    try {
+        const startedAt = Date.now();
+        const transcript = (await provider.transcribe(buffer, mimeType)).replace(/\s+/g, ' ').trim();
+        console.log(`🎙️ Transcribed voice note via ${STT_PROVIDER} in ${Date.now() - startedAt}ms: "${transcript.substring(0, 100)}"`);
+        return transcript || null;
+    } catch (error) {
+        console.error(`❌ Error transcribing audio (${STT_PROVIDER}):`, error.message || error);
+        return null;
+    }
+}
+
+module.exports = {
+    registerProvider,
+    isTranscribable,
+    transcribeAudio,
+};
@@ -4,47 +4,75 @@ const QRCode = require('qrcode');
 const fs = require('fs');
 const path = require('path');
 const { supabaseAdmin } = require('../auth/supabase');
-const { saveIncomingMessage, saveOutgoingMessage } = require('./messageStore');
+const { saveIncomingMessage, saveOutgoingMessage, findSavedIncomingIds, getContactPhoneByConversation } = require('./messageStore');
 const {
     updateWhatsAppStatus,
-    getFirstWhatsAppAccount
+    getWhatsAppAccountById
 } = require('./whatsappAccountService');
 const { runAgent } = require('../agent');
 const orderService = require('./orderService');
+const { isBotPausedForContact, requestHandoff } = require('./handoffService');
+const { extractInboundMedia, uploadMedia, downloadMedia } = require('./mediaService');
+const { isTranscribable, transcribeAudio } = require('./transcriptionService');
+const { InboundQueue, permanentError } = require('./inboundQueue');
+const { recordAck, markResent, markFailed } = require('./deliveryService');
+const { loadConversationMemory } = require('./conversationMemory');
+const { condenseQuery } = require('../ai');
+const { matchFaq, recordFaqHit } = require('./faqService');
+const { getOrgLLMConfig, isLLMUnavailable } = require('./llmService');
+
+const ERROR_REPLY = 'Sorry, something went wrong on my side.';
+// Wait this long after a contact's last message before replying (organizations.reply_quiet_window_seconds)
+const DEFAULT_QUIET_WINDOW_SECONDS = 3;
 
 /**
  * WhatsApp Service
- * Manages WhatsApp client initialization, event handling, and message processing
+ * One WhatsApp client session for a single organization.
+ * Manages client initialization, event handling, and message processing.
+ * Sessions are created and pooled by waSessionManager — do not instantiate directly.
  */
 class WhatsAppService {
-    constructor() {
+    /**
+     * @param {string} orgId - Organization UUID this session belongs to
+     * @param {object} deps
+     * @param {Function} deps.setWaState - Function to update an org's WhatsApp state via socket (orgId, patch)
+     * @param {Function} deps.searchKB - Function to search knowledge base
+     * @param {Function} deps.generateGroundedReply - Function to generate AI replies from KB matches
+     */
+    constructor(orgId, { setWaState, searchKB, generateGroundedReply }) {
         this.client = null;
-        this.setWaState = null;
-        this.searchKB = null;
-        this.generateAIReply = null;
-        // Multi-tenant context
-        this.orgId = null;
-        this.waAccountId = null;
+        this.setWaState = (patch) => setWaState(orgId, patch);
+        this.searchKB = searchKB;
+        this.generateGroundedReply = generateGroundedReply;
+        // Multi-tenant context (one WhatsApp account per organization)
+        this.orgId = orgId;
+        this.waAccountId = orgId;
         // Track recently sent bot messages to avoid duplicate DB entries
         this.recentlySentMsgIds = new Set();
         // Whether the bot should auto-reply (admin-toggleable, persisted in DB)
         this.botEnabled = true;
+        // Set once the session is being shut down, so logout handling doesn't reinitialize it
+        this.stopping = false;
+        // Bursts of messages from one contact within this window are answered as one turn
+        this.quietWindowMs = DEFAULT_QUIET_WINDOW_SECONDS * 1000;
+        // Inbound messages are processed through a durable per-contact queue
+        this.queue = new InboundQueue(orgId, {
+            handler: (jobs) => this.processJobs(jobs),
+            onDeadLetter: (job) => this.handleDeadLetter(job),
+            getQuietWindowMs: () => this.quietWindowMs,
+            onWaiting: (contactKey) => this.showTyping(contactKey),
+        });
     }
 
     /**
-     * Initialize the service with dependencies
-     * @param {Function} setWaState - Function to update WhatsApp state via socket
-     * @param {Function} searchKB - Function to search knowledge base
-     * @param {Function} generateAIReply - Function to generate AI replies
+     * Create the WhatsApp client for this organization
      */
-    init(setWaState, searchKB, generateAIReply) {
-        this.setWaState = setWaState;
-        this.searchKB = searchKB;
-        this.generateAIReply = generateAIReply;
-
+    init() {
         // Create WhatsApp client
         this.client = new Client({
-            authStrategy: new LocalAuth(), // keeps session, so you don't scan every time
+            // keeps session per org, so you don't scan every time
+            // (stored under .wwebjs_auth/session-<orgId>)
+            authStrategy: new LocalAuth({ clientId: this.orgId }),
             puppeteer: {
                 headless: true, // production should be headless
                 args: [
@@ -69,21 +97,8 @@ class WhatsAppService {
     }
 
     /**
-     * Set the organization and WhatsApp account context for this client
-     * This should be called after authentication or on startup
-     * @param {string} orgId - Organization UUID
-     * @param {string} waAccountId - WhatsApp account UUID
-     */
-    setContext(orgId, waAccountId) {
-        this.orgId = orgId;
-        this.waAccountId = waAccountId;
-        console.log(`📋 WhatsApp context set: org=${orgId}, account=${waAccountId}`);
-    }
-
-    /**
-     * Load WhatsApp account context from database
-     * Gets the first available WhatsApp account and sets up context
-     * In production, this should be more sophisticated (select by config, etc.)
+     * Load this organization's WhatsApp account settings from database
+     * (currently the persisted bot_enabled flag)
      */
     async loadContext() {
         try {
@@ -92,22 +107,19 @@ class WhatsAppService {
                 return false;
             }
 
-            // Use whatsappAccountService to get first account
-            const account = await getFirstWhatsAppAccount();
+            const account = await getWhatsAppAccountById(this.orgId);
 
             if (account) {
-                this.setContext(account.id, account.id);
                 // Read persisted bot_enabled (falls back to true if column doesn't exist yet)
                 this.botEnabled = account.bot_enabled !== undefined && account.bot_enabled !== null
                     ? account.bot_enabled
                     : true;
-                if (this.setWaState) {
-                    this.setWaState({ botEnabled: this.botEnabled });
-                }
+                this.setWaState({ botEnabled: this.botEnabled });
+                this.setQuietWindow(account.reply_quiet_window_seconds ?? DEFAULT_QUIET_WINDOW_SECONDS);
                 console.log(`📋 Loaded WhatsApp account: ${account.display_name} (${account.phone_number || 'not connected'}), bot=${this.botEnabled ? 'enabled' : 'disabled'}`);
                 return true;
             } else {
-                console.warn('⚠️ No organization found in database.');
+                console.warn(`⚠️ Organization ${this.orgId} not found in database.`);
                 return false;
             }
         } catch (error) {
@@ -195,9 +207,15 @@ class WhatsAppService {
             }
         }
 
-        if (this.setWaState) {
-            this.setWaState({ botEnabled: value });
-        }
+        this.setWaState({ botEnabled: value });
+    }
+
+    /**
+     * Set how long to wait for a contact to stop typing before replying
+     * @param {number} seconds - 0 answers every message on its own
+     */
+    setQuietWindow(seconds) {
+        this.quietWindowMs = Math.max(0, Number(seconds) || 0) * 1000;
     }
 
     /**
@@ -236,6 +254,9 @@ class WhatsAppService {
             // Get and update phone number + display name from WhatsApp
             // This populates the whatsapp_accounts.phone_number field
             await this.updateAccountPhoneNumber();
+
+            // Process inbound jobs (including any left over from before a restart)
+            await this.queue.start();
         });
 
         // Authenticated event
@@ -259,6 +280,7 @@ class WhatsAppService {
                     clearInterval(infoInterval);
                     this.setWaState({ connected: true, qrDataUrl: null, lastError: null });
                     await this.updateAccountPhoneNumber();
+                    await this.queue.start();
                 } else if (pollCount > 30) {
                     // Stop after 60 seconds
                     clearInterval(infoInterval);
@@ -306,6 +328,13 @@ class WhatsAppService {
             });
         });
 
+        // Message ack event
+        // Delivery receipts for messages we sent (sent → delivered → read)
+        this.client.on('message_ack', async (msg, ack) => {
+            if (!msg.fromMe) return;
+            await recordAck(this.orgId, msg.id.id, ack);
+        });
+
         // Message event
         // Using 'message_create' instead of just 'message' because 'message' 
         // doesn't fire when you send a message to yourself (testing) or from linked devices.
@@ -321,15 +350,25 @@ class WhatsAppService {
             
             if (msg.fromMe || isStatus) return; 
 
-            await this.handleMessage(msg);
+            // Persist first, process in order per contact (see inboundQueue)
+            await this.queue.enqueue(msg);
         });
     }
 
+    /**
+     * Local session directory created by LocalAuth for this organization
+     */
+    getSessionDir() {
+        return path.join(process.cwd(), '.wwebjs_auth', `session-${this.orgId}`);
+    }
+
     /**
      * Handle logout: destroy client, clean up session files, and reinitialize
      */
     async handleLogout() {
-        console.log('📤 Logout detected - destroying client and cleaning up session files...');
+        if (this.stopping) return; // stop() already handles teardown
+
+        console.log(`📤 Logout detected for org ${this.orgId} - destroying client and cleaning up session files...`);
         
         try {
             // Properly destroy the client to release all resources and file handles
@@ -342,50 +381,64 @@ class WhatsAppService {
         // Wait longer for all processes and file handles to be fully released (Windows needs more time)
         setTimeout(async () => {
             try {
-                const authDir = path.join(process.cwd(), '.wwebjs_auth');
-                const cacheDir = path.join(process.cwd(), '.wwebjs_cache');
-                
-                // Delete session directories with retry logic
-                await this.deleteDirSafely(authDir);
-                await this.deleteDirSafely(cacheDir);
+                // Delete only this org's session directory; other orgs share .wwebjs_auth
+                await this.deleteDirSafely(this.getSessionDir());
                 
                 console.log('✅ Session cleanup completed - reinitializing...');
-                
-                // Wait a bit more before reinitializing to ensure files are released
-                setTimeout(async () => {
-                    try {
-                        console.log('🔄 Reinitializing WhatsApp client after logout...');
-                        await this.client.initialize();
-                    } catch (error) {
-                        console.error('❌ Failed to reinitialize after logout:', error);
-                        this.setWaState({ 
-                            connected: false, 
-                            lastError: `Reinitialization failed: ${error.message || String(error)}`, 
-                            qrDataUrl: null 
-                        });
-                    }
-                }, 2000); // 2 second delay before reinitializing
-                
             } catch (error) {
                 console.error('❌ Error during logout cleanup:', error);
                 // Still try to reinitialize even if cleanup had errors
-                setTimeout(async () => {
-                    try {
-                        console.log('🔄 Reinitializing WhatsApp client (cleanup had errors)...');
-                        await this.client.initialize();
-                    } catch (initError) {
-                        console.error('❌ Failed to reinitialize after logout:', initError);
-                        this.setWaState({ 
-                            connected: false, 
-                            lastError: `Reinitialization failed: ${initError.message || String(initError)}`, 
-                            qrDataUrl: null 
-                        });
-                    }
-                }, 2000);
             }
+
+            // Wait a bit more before reinitializing to ensure files are released
+            setTimeout(async () => {
+                if (this.stopping) return;
+                try {
+                    console.log('🔄 Reinitializing WhatsApp client after logout...');
+                    await this.client.initialize();
+                } catch (error) {
+                    console.error('❌ Failed to reinitialize after logout:', error);
+                    this.setWaState({ 
+                        connected: false, 
+                        lastError: `Reinitialization failed: ${error.message || String(error)}`, 
+                        qrDataUrl: null 
+                    });
+                }
+            }, 2000); // 2 second delay before reinitializing
         }, 5000); // Increased to 5 seconds to allow browser process to fully close and release file handles
     }
 
+    /**
+     * Stop this session's client.
+     * @param {object} options
+     * @param {boolean} options.logout - Also log out of WhatsApp and delete the local session
+     */
+    async stop({ logout = false } = {}) {
+        this.stopping = true;
+        console.log(`🛑 Stopping WhatsApp session for org ${this.orgId}${logout ? ' (logout)' : ''}`);
+        this.queue.stop();
+
+        try {
+            if (logout) {
+                await this.client.logout();
+            } else {
+                await this.client.destroy();
+            }
+        } catch (error) {
+            // logout() fails if the client never authenticated — fall back to destroy
+            console.warn('⚠️ Error stopping client:', error.message);
+            try {
+                await this.client.destroy();
+            } catch (_) { }
+        }
+
+        if (logout) {
+            await this.deleteDirSafely(this.getSessionDir());
+        }
+
+        this.setWaState({ connected: false, qrDataUrl: null, lastError: null });
+    }
+
     /**
      * Delete a file with retries (for locked files on Windows)
      */
@@ -473,89 +526,222 @@ class WhatsAppService {
     }
 
     /**
-     * Handle incoming WhatsApp messages
+     * Show "typing…" in a customer's chat; WhatsApp clears it when we reply
+     * @param {string} chatId - Serialized chat id (e.g. 1234567890@c.us)
      */
-    async handleMessage(msg) {
-        console.log('🔍 lalala:', msg);
-        console.log(`handleMessage function is called 💬 From ${msg.from}: ${msg.body}`);
-        const aiStartTime = Date.now();
-        let savedIncoming = null;
-
+    async showTyping(chatId) {
         try {
-            console.log(`💬 From ${msg.from}: ${msg.body}`);
-            console.log("msg is", msg);
-
-            const text = msg.body?.trim();
-            if (!text) return;
-
-            // IF THIS MESSAGE WAS SENT BY US (fromMe = true)
-            if (msg.fromMe) {
-                // If we recently sent it via AI/Bot, we already saved it using saveOutgoingMessage
-                if (this.recentlySentMsgIds && this.recentlySentMsgIds.has(msg.id._serialized)) {
-                    this.recentlySentMsgIds.delete(msg.id._serialized);
-                    return; // Already saved, and we don't want to reply to ourselves
-                }
-                let contactPhoneTo = msg.to.split('@')[0];
-                try {
-                    const contactTo = await msg.getContact();
-                    if (contactTo && contactTo.number) {
-                        contactPhoneTo = contactTo.number;
-                    }
-                } catch (err) {
-                    console.error("Error fetching contact details for outgoing:", err);
-                }
+            const chat = await this.client.getChatById(chatId);
+            await chat.sendStateTyping();
+        } catch (error) {
+            console.warn('⚠️ Could not send typing state:', error.message);
+        }
+    }
 
-                // Otherwise, it was a manual reply typed from the phone or WhatsApp Web
-                // We should save it as an outgoing message to the database
-                if (this.orgId && this.waAccountId) {
-                    saveOutgoingMessage({
-                        orgId: this.orgId,
-                        waAccountId: this.waAccountId,
-                        contactPhone: contactPhoneTo,
-                        body: text,
-                        aiUsed: false,
-                        rawMessage: msg,
-                    }).catch(error => {
-                        console.error('❌ Failed to save manual outgoing message:', error);
-                    });
-                }
-                
-                // Do not generate an AI reply to our own manual messages
-                return;
+    /**
+     * Process a batch of inbound queue jobs (one contact's burst of messages):
+     * re-fetch the messages from WhatsApp and handle them as one turn
+     * @param {Array<object>} jobs - inbound_jobs rows, oldest first (see inboundQueue)
+     */
+    async processJobs(jobs) {
+        if (!this.client) {
+            throw new Error('WhatsApp client is not ready');
+        }
+
+        const msgs = [];
+        for (const job of jobs) {
+            const msg = job.msg || await this.client.getMessageById(job.wa_message_id);
+            if (msg) {
+                msgs.push(msg);
+            } else {
+                console.warn(`⚠️ Message ${job.wa_message_id} is no longer available, skipping`);
             }
+        }
+        if (msgs.length === 0) {
+            throw permanentError('Messages are no longer available');
+        }
 
-            // -- AT THIS POINT WE KNOW IT'S AN INCOMING MESSAGE FROM A CUSTOMER --
+        // Messages saved by an earlier attempt (or before a dead job was retried) aren't saved again
+        // (unqueued jobs, id null, are processed directly because the database is unavailable)
+        const savedIds = jobs.some(job => job.id)
+            ? await findSavedIncomingIds(this.orgId, msgs.map(m => m.id.id))
+            : new Set();
+        const savedMsgIds = new Set(msgs.filter(m => savedIds.has(m.id.id)).map(m => m.id._serialized));
+        await this.handleMessage(msgs, { savedMsgIds });
+    }
 
-            // Get contact info
-            let contactPhone = msg.from.split('@')[0];
-            let contactName = msg.notifyName || null;
-            
+    /**
+     * Tell the customer we couldn't process their message once its job is dead-lettered
+     * @param {object} job - inbound_jobs row
+     */
+    async handleDeadLetter(job) {
+        const msg = job.msg || await this.client?.getMessageById(job.wa_message_id).catch(() => null);
+        if (!msg) return;
+
+        const sentMsg = await msg.reply(ERROR_REPLY);
+        if (sentMsg) this.recentlySentMsgIds.add(sentMsg.id._serialized);
+
+        let contactPhone = msg.from.split('@')[0];
+        try {
+            const contact = await msg.getContact();
+            if (contact && contact.number) {
+                contactPhone = contact.number;
+            }
+        } catch (_) { }
+
+        saveOutgoingMessage({
+            orgId: this.orgId,
+            waAccountId: this.waAccountId,
+            contactPhone,
+            body: ERROR_REPLY,
+            aiUsed: false,
+            rawMessage: sentMsg,
+        }).catch(error => {
+            console.error('❌ Failed to save error response (non-blocking):', error);
+        });
+    }
+
+    /**
+     * Save one incoming WhatsApp message: contact lookup, media storage, voice note transcription
+     * @param {object} msg - whatsapp-web.js Message
+     * @param {object} options
+     * @param {boolean} options.isRetry - Message was already saved by an earlier attempt
+     * @returns {Promise<object|null>} { msg, text, media, savedIncoming, contactPhone, contactName },
+     *   or null if there is nothing to reply to
+     */
+    async ingestMessage(msg, { isRetry = false } = {}) {
+        console.log('🔍 lalala:', msg);
+        console.log(`handleMessage function is called 💬 From ${msg.from}: ${msg.body}`);
+        console.log(`💬 From ${msg.from}: ${msg.body}`);
+        console.log("msg is", msg);
+
+        // Captions for media messages; location/contact-card bodies hold a thumbnail/vCard, not text
+        const hasTextBody = !['location', 'vcard', 'multi_vcard'].includes(msg.type);
+        let text = hasTextBody ? (msg.body?.trim() || '') : '';
+
+        // IF THIS MESSAGE WAS SENT BY US (fromMe = true)
+        if (msg.fromMe) {
+            if (!text) return null;
+
+            // If we recently sent it via AI/Bot, we already saved it using saveOutgoingMessage
+            if (this.recentlySentMsgIds && this.recentlySentMsgIds.has(msg.id._serialized)) {
+                this.recentlySentMsgIds.delete(msg.id._serialized);
+                return null; // Already saved, and we don't want to reply to ourselves
+            }
+            let contactPhoneTo = msg.to.split('@')[0];
             try {
-                const contact = await msg.getContact();
-                if (contact && contact.number) {
-                    contactPhone = contact.number;
-                }
-                if (contact && (contact.name || contact.pushname)) {
-                    contactName = contact.name || contact.pushname || contactName;
+                const contactTo = await msg.getContact();
+                if (contactTo && contactTo.number) {
+                    contactPhoneTo = contactTo.number;
                 }
             } catch (err) {
-                console.error("Error fetching contact details:", err);
+                console.error("Error fetching contact details for outgoing:", err);
             }
 
-            // Save incoming message (non-blocking - don't wait for completion)
+            // Otherwise, it was a manual reply typed from the phone or WhatsApp Web
+            // We should save it as an outgoing message to the database
             if (this.orgId && this.waAccountId) {
-                saveIncomingMessage({
+                saveOutgoingMessage({
                     orgId: this.orgId,
                     waAccountId: this.waAccountId,
-                    contactPhone: contactPhone,
-                    contactName: contactName,
+                    contactPhone: contactPhoneTo,
                     body: text,
+                    aiUsed: false,
                     rawMessage: msg,
                 }).catch(error => {
-                    console.error('❌ Failed to save incoming message (non-blocking):', error);
+                    console.error('❌ Failed to save manual outgoing message:', error);
                 });
-            } else {
-                console.warn('⚠️ Cannot save message: org/account context not set');
+            }
+            
+            // Do not generate an AI reply to our own manual messages
+            return null;
+        }
+
+        // -- AT THIS POINT WE KNOW IT'S AN INCOMING MESSAGE FROM A CUSTOMER --
+
+        // Get contact info
+        let contactPhone = msg.from.split('@')[0];
+        let contactName = msg.notifyName || null;
+        
+        try {
+            const contact = await msg.getContact();
+            if (contact && contact.number) {
+                contactPhone = contact.number;
+            }
+            if (contact && (contact.name || contact.pushname)) {
+                contactName = contact.name || contact.pushname || contactName;
+            }
+        } catch (err) {
+            console.error("Error fetching contact details:", err);
+        }
+
+        // Download and store media (images, voice notes, documents, stickers, locations, contact cards)
+        const media = await extractInboundMedia(msg, this.orgId);
+        if (!text && !media) {
+            console.log(`⏭️ Skipping empty ${msg.type} message`);
+            return null;
+        }
+
+        // Voice notes: transcribe so the bot can answer them like typed text
+        if (media?.data && isTranscribable(media.messageType)) {
+            media.transcript = await transcribeAudio(Buffer.from(media.data.data, 'base64'), media.mimeType);
+        }
+
+        // Save incoming message (non-blocking - don't wait for completion)
+        // Skipped when an earlier attempt of the job already saved it
+        let savedIncoming = null;
+        if (this.orgId && this.waAccountId && !isRetry) {
+            savedIncoming = saveIncomingMessage({
+                orgId: this.orgId,
+                waAccountId: this.waAccountId,
+                contactPhone: contactPhone,
+                contactName: contactName,
+                body: text || media?.summary || '',
+                media,
+                rawMessage: msg,
+            }).catch(error => {
+                console.error('❌ Failed to save incoming message (non-blocking):', error);
+                return null;
+            });
+        } else if (!isRetry) {
+            console.warn('⚠️ Cannot save message: org/account context not set');
+        }
+
+        // From here on a transcribed voice note is handled as if the customer had typed it
+        if (!text && media?.transcript) {
+            text = media.transcript;
+        }
+
+        return { msg, text, media, savedIncoming, contactPhone, contactName };
+    }
+
+    /**
+     * Handle a burst of incoming WhatsApp messages from one contact as a single turn
+     * Each message is saved on its own; their texts are merged into one AI request.
+     * Throws on failure so the inbound queue can retry the jobs.
+     * @param {Array<object>} msgs - whatsapp-web.js Messages, oldest first
+     * @param {object} options
+     * @param {Set<string>} options.savedMsgIds - Serialized ids already saved by an earlier attempt
+     */
+    async handleMessage(msgs, { savedMsgIds = new Set() } = {}) {
+        const aiStartTime = Date.now();
+        let replyTarget = null;
+
+        try {
+            const turns = [];
+            for (const m of msgs) {
+                const ingested = await this.ingestMessage(m, { isRetry: savedMsgIds.has(m.id._serialized) });
+                if (ingested) turns.push(ingested);
+            }
+            if (turns.length === 0) return;
+
+            // Reply to the latest message; the AI sees every text of the burst as one message
+            const { msg, contactPhone, contactName } = turns[turns.length - 1];
+            replyTarget = { msg, contactPhone };
+            const text = turns.map(t => t.text).filter(Boolean).join('\n');
+            const mediaTurn = [...turns].reverse().find(t => t.media) || null;
+            if (turns.length > 1) {
+                console.log(`🧩 Merged ${turns.length} messages from ${contactPhone} into one turn: "${text}"`);
             }
 
             // If bot auto-reply is disabled, stop here — message is saved, no AI reply
@@ -564,6 +750,19 @@ class WhatsAppService {
                 return;
             }
 
+            // A human has taken over this conversation — leave the reply to them
+            if (await isBotPausedForContact(this.orgId, contactPhone)) {
+                console.log('🙋 Bot paused for this conversation (human handoff) — auto-reply skipped');
+                return;
+            }
+
+            this.showTyping(msg.from);
+
+            // Curated FAQs answer verbatim, before the agent or the KB bot (media turns go to them)
+            if (text && !mediaTurn && await this.replyWithFaq(msg, text, contactPhone)) {
+                return;
+            }
+
             // Check if this org uses the ordering agent
             if (this.orgId) {
                 const { data: orgConfig } = await supabaseAdmin
@@ -573,14 +772,24 @@ class WhatsAppService {
                     .single();
 
                 if (orgConfig?.agent_mode === 'ordering_agent') {
-                    await this.handleAgentMessage(msg, text, contactPhone, contactName);
+                    await this.handleAgentMessage(msg, text, contactPhone, contactName, {
+                        media: mediaTurn?.media || null,
+                        mediaMsg: mediaTurn?.msg || msg,
+                        savedIncoming: mediaTurn?.savedIncoming || null,
+                    });
                     return;
                 }
             }
 
+            // Media without a caption — saved for the dashboard, nothing for the KB bot to answer
+            if (!text) {
+                console.log(`📎 ${msg.type} message saved, no text to reply to`);
+                return;
+            }
+
             // Simple health-check command
             if (text.toLowerCase() === 'ping') {
-                const reply = 'pong 🏓 (Gemini AI is online)';
+                const reply = 'pong 🏓 (AI is online)';
                 const sentMsg = await msg.reply(reply);
                 
                 // Save ping response (non-blocking)
@@ -592,7 +801,7 @@ class WhatsAppService {
                         contactPhone: contactPhone,
                         body: reply,
                         aiUsed: false,
-                        rawMessage: null,
+                        rawMessage: sentMsg,
                     }).catch(error => {
                         console.error('❌ Failed to save ping response (non-blocking):', error);
                     });
@@ -600,11 +809,20 @@ class WhatsAppService {
                 return;
             }
 
-            // Generate AI reply using Groq
-            const kbSearchStart = Date.now();
-            const kbMatches = await this.searchKB(text, { topK: 3, orgId: this.orgId });
+            // Earlier turns of this session, so follow-up questions make sense
+            const conversationId = await this.getConversationId(turns, contactPhone);
+            const { history, summary } = await loadConversationMemory(conversationId);
+
+            // Search with a standalone query ("and shipping for that?" → "shipping cost for <product>")
+            const searchQuery = await condenseQuery({ orgId: this.orgId, userMessage: text, history, summary });
+            if (searchQuery !== text) {
+                console.log(`🧠 Condensed query: "${searchQuery}"`);
+            }
 
-            console.log(`🔍 KB matches for "${text}":`);
+            // Generate AI reply with the org's LLM provider
+            const kbMatches = await this.searchKB(searchQuery, { topK: 3, orgId: this.orgId });
+
+            console.log(`🔍 KB matches for "${searchQuery}":`);
             if (kbMatches.length === 0) {
                 console.log('   (no matches found)');
             } else {
@@ -613,14 +831,32 @@ class WhatsAppService {
                 });
             }
             
-            const aiGenerateStart = Date.now();
-            const aiReply = await this.generateAIReply({
+            // What the bot was shown, kept with the reply for answer feedback
+            const retrievedChunks = kbMatches.map(m => ({ id: m.id, title: m.title, score: m.score }));
+
+            // Cites the KB chunks it used, or declines, when the org has strict grounding on
+            const { reply: aiReply, citedChunkIds, declined } = await this.generateGroundedReply({
+                orgId: this.orgId,
                 userMessage: text,
                 kbMatches,
+                history,
+                summary,
             });
+
+            if (declined) {
+                await this.replyWithFallback(msg, contactPhone, {
+                    message: aiReply,
+                    action: declined.action === 'handoff' ? 'handoff' : 'message',
+                    reason: `No grounded answer: ${declined.reason}`,
+                    citedChunkIds,
+                    retrievedChunks,
+                });
+                return;
+            }
             
             const aiEndTime = Date.now();
             const totalAiLatency = aiEndTime - aiStartTime;
+            const { model: aiModel } = await getOrgLLMConfig(this.orgId);
 
             // Send reply
             const sentMsg = await msg.reply(aiReply);
@@ -634,44 +870,118 @@ class WhatsAppService {
                     contactPhone: contactPhone,
                     body: aiReply,
                     aiUsed: true,
-                    aiModel: process.env.GROQ_MODEL || 'llama-3.3-70b-versatile',
+                    aiModel,
                     aiLatencyMs: totalAiLatency,
-                    rawMessage: null,
+                    rawMessage: sentMsg,
+                    citedChunkIds,
+                    retrievedChunks,
                 }).catch(error => {
                     console.error('❌ Failed to save outgoing message (non-blocking):', error);
                 });
             }
 
         } catch (err) {
+            // Every model in the failover chain failed — don't leave the customer waiting
+            if (isLLMUnavailable(err) && replyTarget) {
+                console.error('❌ No LLM available, sending fallback reply:', err.message);
+                await this.replyWithFallback(replyTarget.msg, replyTarget.contactPhone);
+                return;
+            }
             console.error('❌ Error handling message:', err);
-            try {
-                const errorReply = "Sorry, something went wrong on my side.";
-                const sentMsg = await msg.reply(errorReply);
+            throw err;
+        }
+    }
 
-                // Save error response (non-blocking)
-                if (this.orgId && this.waAccountId) {
-                    if (sentMsg) this.recentlySentMsgIds.add(sentMsg.id._serialized);
-                    saveOutgoingMessage({
-                        orgId: this.orgId,
-                        waAccountId: this.waAccountId,
-                        contactPhone: contactPhone,
-                        body: errorReply,
-                        aiUsed: false,
-                        rawMessage: null,
-                    }).catch(error => {
-                        console.error('❌ Failed to save error response (non-blocking):', error);
-                    });
-                }
-            } catch (_) { }
+    /**
+     * Send the approved answer of the curated FAQ that matches the message, if any
+     * @param {object} msg - whatsapp-web.js Message to reply to
+     * @param {string} text - Customer message
+     * @param {string} contactPhone
+     * @returns {Promise<boolean>} Whether an FAQ answered
+     */
+    async replyWithFaq(msg, text, contactPhone) {
+        const match = await matchFaq(this.orgId, text).catch(error => {
+            console.error('❌ FAQ matching failed, answering with AI:', error.message);
+            return null;
+        });
+        if (!match) return false;
+
+        console.log(`📌 FAQ match [${match.similarity.toFixed(3)}] "${match.question}" — sending the approved answer`);
+        const sentMsg = await msg.reply(match.faq.answer);
+
+        recordFaqHit(match.faq.id);
+        if (this.orgId && this.waAccountId) {
+            if (sentMsg) this.recentlySentMsgIds.add(sentMsg.id._serialized);
+            saveOutgoingMessage({
+                orgId: this.orgId,
+                waAccountId: this.waAccountId,
+                contactPhone,
+                body: match.faq.answer,
+                aiUsed: false,
+                faqId: match.faq.id,
+                rawMessage: sentMsg,
+            }).catch(error => {
+                console.error('❌ Failed to save FAQ reply (non-blocking):', error);
+            });
+        }
+        return true;
+    }
+
+    /**
+     * Answer with the org's fallback message (organizations.llm_fallback_message)
+     * and hand the conversation to a human if llm_fallback_action is 'handoff'
+     * @param {object} msg - whatsapp-web.js Message to reply to
+     * @param {string} contactPhone
+     * @param {object} [overrides] - Used when the bot declines to answer (strict grounding)
+     * @param {string} [overrides.message] - Reply instead of the fallback message
+     * @param {'message'|'handoff'} [overrides.action] - Instead of llm_fallback_action
+     * @param {string} [overrides.reason] - Handoff reason shown to staff
+     * @param {Array<string>} [overrides.citedChunkIds] - Saved on the outgoing message
+     * @param {Array<object>} [overrides.retrievedChunks] - Saved on the outgoing message
+     */
+    async replyWithFallback(msg, contactPhone, overrides = {}) {
+        const config = await getOrgLLMConfig(this.orgId);
+        const fallbackAction = overrides.action || config.fallbackAction;
+        const fallbackMessage = overrides.message || config.fallbackMessage;
+
+        const sentMsg = await msg.reply(fallbackMessage);
+        if (sentMsg) this.recentlySentMsgIds.add(sentMsg.id._serialized);
+
+        if (this.orgId && this.waAccountId) {
+            saveOutgoingMessage({
+                orgId: this.orgId,
+                waAccountId: this.waAccountId,
+                contactPhone,
+                body: fallbackMessage,
+                aiUsed: false,
+                rawMessage: sentMsg,
+                citedChunkIds: overrides.citedChunkIds || null,
+                retrievedChunks: overrides.retrievedChunks || null,
+            }).catch(error => {
+                console.error('❌ Failed to save fallback reply (non-blocking):', error);
+            });
+        }
+
+        if (fallbackAction === 'handoff') {
+            const conversationId = await this.getConversationId([], contactPhone).catch(() => null);
+            if (conversationId) {
+                await requestHandoff({
+                    orgId: this.orgId,
+                    conversationId,
+                    reason: overrides.reason || 'AI unavailable: every model in the failover chain failed',
+                }).catch(error => console.error('❌ Failed to request handoff after fallback reply:', error));
+            }
         }
     }
 
     /**
      * Initialize the WhatsApp client
+     * @returns {Promise<boolean>} False if it failed; the client (and its browser) is destroyed
      */
     async initialize() {
         try {
             await this.client.initialize();
+            return true;
         } catch (error) {
             console.error('❌ Failed to initialize WhatsApp client:', error);
             this.setWaState({ 
@@ -680,17 +990,44 @@ class WhatsAppService {
                 qrDataUrl: null 
             });
             // Don't crash the server - allow it to continue running
+            this.queue.stop();
+            try {
+                await this.client.destroy();
+            } catch (_) { }
+            return false;
         }
     }
 
     /**
-     * Send a manual message from the dashboard
-     * @param {string} orgId - Organization UUID
-     * @param {string} conversationId - Conversation UUID
-     * @param {string} text - Message text
-     * @returns {Promise<object>} Saved message object
+     * Conversation id of the turn being answered
+     * @param {Array<object>} turns - Results of ingestMessage
+     * @param {string} contactPhone
+     * @returns {Promise<string|null>}
      */
-    async handleAgentMessage(msg, text, contactPhone, contactName) {
+    async getConversationId(turns, contactPhone) {
+        // Waiting for the save also guarantees the history query sees these messages
+        for (const turn of [...turns].reverse()) {
+            const saved = turn.savedIncoming ? await turn.savedIncoming : null;
+            if (saved?.conversation_id) return saved.conversation_id;
+        }
+
+        // Retried jobs skip saving; look the conversation up instead
+        const contactId = await orderService.getContactIdByPhone(this.orgId, contactPhone);
+        return contactId ? orderService.getConversationByContact(this.orgId, contactId) : null;
+    }
+
+    /**
+     * Handle an incoming message with the ordering agent
+     * @param {object} msg - whatsapp-web.js Message
+     * @param {string} text - Message text (caption for media, may be empty)
+     * @param {string} contactPhone
+     * @param {string|null} contactName
+     * @param {object} options
+     * @param {object|null} options.media - Media descriptor from extractInboundMedia
+     * @param {object} options.mediaMsg - Message the media belongs to (a burst may end with a text message)
+     * @param {Promise<object|null>|null} options.savedIncoming - Pending saveIncomingMessage result of mediaMsg
+     */
+    async handleAgentMessage(msg, text, contactPhone, contactName, { media = null, mediaMsg = msg, savedIncoming = null } = {}) {
         const aiStartTime = Date.now();
         try {
             const contactId = await orderService.getContactIdByPhone(this.orgId, contactPhone);
@@ -703,18 +1040,21 @@ class WhatsAppService {
             const conversationId = await orderService.getConversationByContact(this.orgId, contactId);
 
             // Handle media — check if it's a payment receipt
-            if (msg.hasMedia && (msg.type === 'image' || msg.type === 'document')) {
+            if (mediaMsg.hasMedia && (mediaMsg.type === 'image' || mediaMsg.type === 'document')) {
                 const pendingOrder = await orderService.getPendingPaymentOrder(this.orgId, contactId);
                 if (pendingOrder) {
                     try {
-                        const media = await msg.downloadMedia();
+                        // Reuse the media already downloaded for storage
+                        const receiptMedia = media?.data || await mediaMsg.downloadMedia();
+                        const savedMessage = savedIncoming ? await savedIncoming : null;
                         await orderService.submitReceipt({
+                            orgId: this.orgId,
                             orderId: pendingOrder.id,
-                            messageId: null,
-                            waMessageId: msg.id._serialized,
-                            mediaType: msg.type,
-                            mediaMimeType: media?.mimetype || 'application/octet-stream',
-                            mediaData: media?.data ? Buffer.from(media.data, 'base64') : null,
+                            messageId: savedMessage?.id || null,
+                            waMessageId: mediaMsg.id._serialized,
+                            mediaType: mediaMsg.type,
+                            mediaMimeType: receiptMedia?.mimetype || 'application/octet-stream',
+                            mediaData: receiptMedia?.data ? Buffer.from(receiptMedia.data, 'base64') : null,
                         });
 
                         const reply = `Thank you! We've received your payment receipt for order #${pendingOrder.order_number}. Our team will verify it shortly and confirm your order.`;
@@ -727,7 +1067,7 @@ class WhatsAppService {
                             contactPhone,
                             body: reply,
                             aiUsed: false,
-                            rawMessage: null,
+                            rawMessage: sentMsg,
                         }).catch(err => console.error('❌ Failed to save receipt response:', err));
 
                         return;
@@ -737,23 +1077,30 @@ class WhatsAppService {
                 }
             }
 
+            // Media without a caption — nothing for the agent to act on
+            if (!text) {
+                console.log(`📎 ${msg.type} message saved, no text for the agent`);
+                return;
+            }
+
             // Build conversation history from DB
             const { data: recentMessages } = await supabaseAdmin
                 .from('messages')
-                .select('direction, body, sender_type')
+                .select('direction, body, transcript, sender_type')
                 .eq('conversation_id', conversationId)
                 .order('created_at', { ascending: true })
                 .limit(20);
 
+            // Voice notes are remembered by their transcript
             const conversationHistory = (recentMessages || [])
-                .filter(m => m.body)
                 .map(m => ({
                     role: m.direction === 'inbound' ? 'user' : 'assistant',
-                    content: m.body,
-                }));
+                    content: m.transcript || m.body,
+                }))
+                .filter(m => m.content);
 
             // Run the agent
-            const agentReply = await runAgent({
+            const { reply: agentReply, citedChunkIds, retrievedChunks } = await runAgent({
                 conversationHistory,
                 userMessage: text,
                 toolContext: {
@@ -761,10 +1108,12 @@ class WhatsAppService {
                     contactId,
                     conversationId,
                 },
+                returnToolLogs: true,
             });
 
             const aiEndTime = Date.now();
             const totalAiLatency = aiEndTime - aiStartTime;
+            const { model: aiModel } = await getOrgLLMConfig(this.orgId);
 
             const sentMsg = await msg.reply(agentReply);
 
@@ -776,54 +1125,39 @@ class WhatsAppService {
                     contactPhone,
                     body: agentReply,
                     aiUsed: true,
-                    aiModel: process.env.GROQ_MODEL || 'llama-3.3-70b-versatile',
+                    aiModel,
                     aiLatencyMs: totalAiLatency,
-                    rawMessage: null,
+                    rawMessage: sentMsg,
+                    citedChunkIds,
+                    retrievedChunks,
                 }).catch(err => console.error('❌ Failed to save agent response:', err));
             }
 
         } catch (err) {
             console.error('❌ Error in handleAgentMessage:', err);
-            try {
-                const errorReply = "Sorry, something went wrong. Please try again.";
-                const sentMsg = await msg.reply(errorReply);
-                if (sentMsg) this.recentlySentMsgIds.add(sentMsg.id._serialized);
-
-                saveOutgoingMessage({
-                    orgId: this.orgId,
-                    waAccountId: this.waAccountId || this.orgId,
-                    contactPhone,
-                    body: errorReply,
-                    aiUsed: false,
-                    rawMessage: null,
-                }).catch(e => console.error('❌ Failed to save error response:', e));
-            } catch (_) { }
+            throw err;
         }
     }
 
-    async sendManualMessage(orgId, conversationId, text) {
-        if (!this.client) {
-            throw new Error('WhatsApp client is not ready');
-        }
-
-        const { getContactPhoneByConversation, saveOutgoingMessage } = require('./messageStore');
-
-        // 1. Get the phone number for this conversation
-        const phone = await getContactPhoneByConversation(conversationId, orgId);
-        if (!phone) {
-            throw new Error('Contact phone not found for this conversation');
-        }
-
+    /**
+     * Send text or media to a contact's phone number
+     * Tries the @c.us id first and falls back to @lid (contacts without a phone-number id)
+     * @param {string} phone - Contact's WhatsApp number (or full chat id)
+     * @param {string|MessageMedia} content
+     * @param {object} options - whatsapp-web.js sendMessage options (e.g. caption)
+     * @returns {Promise<object>} Sent whatsapp-web.js Message
+     */
+    async sendToPhone(phone, content, options = {}) {
         let sentMsg;
         try {
             const waNumberId = phone.includes('@') ? phone : `${phone}@c.us`;
-            sentMsg = await this.client.sendMessage(waNumberId, text);
+            sentMsg = await this.client.sendMessage(waNumberId, content, options);
         } catch (sendErr) {
             console.warn(`⚠️ Failed to send via @c.us, retrying with @lid. Error: ${sendErr.message}`);
             try {
                 // If it fails (e.g. No LID for user), retry with @lid
                 const waNumberLid = phone.includes('@') ? phone : `${phone}@lid`;
-                sentMsg = await this.client.sendMessage(waNumberLid, text);
+                sentMsg = await this.client.sendMessage(waNumberLid, content, options);
             } catch (retryErr) {
                 console.error("❌ Failed to send via @lid as well:", retryErr);
                 throw retryErr;
@@ -831,7 +1165,37 @@ class WhatsAppService {
         }
 
         if (sentMsg) {
-             this.recentlySentMsgIds.add(sentMsg.id._serialized);
+            this.recentlySentMsgIds.add(sentMsg.id._serialized);
+        }
+        return sentMsg;
+    }
+
+    /**
+     * Send a manual message from the dashboard
+     * A failed send is still saved (delivery_status 'failed') so it can be retried;
+     * the thrown error carries it as error.savedMessage.
+     * @param {string} orgId - Organization UUID
+     * @param {string} conversationId - Conversation UUID
+     * @param {string} text - Message text
+     * @returns {Promise<object>} Saved message object
+     */
+    async sendManualMessage(orgId, conversationId, text) {
+        if (!this.client) {
+            throw new Error('WhatsApp client is not ready');
+        }
+
+        // 1. Get the phone number for this conversation
+        const phone = await getContactPhoneByConversation(conversationId, orgId);
+        if (!phone) {
+            throw new Error('Contact phone not found for this conversation');
+        }
+
+        let sentMsg = null;
+        let sendError = null;
+        try {
+            sentMsg = await this.sendToPhone(phone, text);
+        } catch (err) {
+            sendError = err.message || String(err);
         }
 
         // 2. Save outgoing message to database
@@ -841,14 +1205,22 @@ class WhatsAppService {
             contactPhone: phone,
             body: text,
             aiUsed: false,
-            rawMessage: sentMsg
+            rawMessage: sentMsg,
+            sendError,
         });
 
+        if (sendError) {
+            const error = new Error(sendError);
+            error.savedMessage = dbMessage;
+            throw error;
+        }
+
         return dbMessage;
     }
 
     /**
      * Send a media file (image, PDF, document) from the dashboard
+     * Like sendManualMessage, a failed send is saved as 'failed' and attached to the error.
      * @param {string} orgId
      * @param {string} conversationId
      * @param {Buffer} fileBuffer - Raw file bytes
@@ -859,44 +1231,116 @@ class WhatsAppService {
     async sendManualMediaMessage(orgId, conversationId, fileBuffer, mimeType, filename, caption = '') {
         if (!this.client) throw new Error('WhatsApp client is not ready');
 
-        const { getContactPhoneByConversation, saveOutgoingMessage } = require('./messageStore');
-
         const phone = await getContactPhoneByConversation(conversationId, orgId);
         if (!phone) throw new Error('Contact phone not found for this conversation');
 
         const media = new MessageMedia(mimeType, fileBuffer.toString('base64'), filename);
-        const waId = phone.includes('@') ? phone : `${phone}@c.us`;
 
-        let sentMsg;
+        let sentMsg = null;
+        let sendError = null;
         try {
-            sentMsg = await this.client.sendMessage(waId, media, { caption });
-        } catch (sendErr) {
-            console.warn(`⚠️ Media send via @c.us failed, retrying with @lid: ${sendErr.message}`);
-            const waIdLid = phone.includes('@') ? phone : `${phone}@lid`;
-            sentMsg = await this.client.sendMessage(waIdLid, media, { caption });
+            sentMsg = await this.sendToPhone(phone, media, { caption });
+        } catch (err) {
+            sendError = err.message || String(err);
         }
 
-        if (sentMsg) this.recentlySentMsgIds.add(sentMsg.id._serialized);
-
         // Derive a human-readable message_type from the mime type
         const messageType = mimeType.startsWith('image/') ? 'image' : 'document';
 
         // body stores the caption; if empty, store the filename so the bubble has something to show
         const body = caption.trim() || filename;
 
+        // Keep a copy in storage so the dashboard can render/download it later (and failed sends can be retried)
+        const storagePath = await uploadMedia({
+            orgId,
+            key: sentMsg?.id?.id || `${Date.now()}`,
+            buffer: fileBuffer,
+            mimeType,
+            filename,
+        });
+
         const dbMessage = await saveOutgoingMessage({
             orgId,
             waAccountId: this.waAccountId || orgId,
             contactPhone: phone,
             body,
             messageType,
+            media: {
+                messageType,
+                mimeType,
+                filename,
+                size: fileBuffer.length,
+                storagePath,
+                metadata: {},
+            },
             aiUsed: false,
             rawMessage: sentMsg,
+            sendError,
         });
 
+        if (sendError) {
+            const error = new Error(sendError);
+            error.savedMessage = dbMessage;
+            throw error;
+        }
+
         return dbMessage;
     }
 
+    /**
+     * Send a failed outbound message again
+     * @param {string} orgId - Organization UUID
+     * @param {string} messageId - messages row UUID (must be outbound with delivery_status 'failed')
+     * @returns {Promise<object>} Updated delivery state
+     */
+    async retryFailedMessage(orgId, messageId) {
+        if (!this.client) throw new Error('WhatsApp client is not ready');
+
+        const { data: message, error } = await supabaseAdmin
+            .from('messages')
+            .select('id, conversation_id, direction, body, media_storage_path, media_mime_type, media_filename, delivery_status')
+            .eq('id', messageId)
+            .eq('org_id', orgId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!message || message.direction !== 'outbound') throw new Error('Message not found');
+        if (message.delivery_status !== 'failed') throw new Error('Only failed messages can be retried');
+
+        const phone = await getContactPhoneByConversation(message.conversation_id, orgId);
+        if (!phone) throw new Error('Contact phone not found for this conversation');
+
+        let content = message.body;
+        let options = {};
+        if (message.media_storage_path) {
+            const buffer = await downloadMedia(message.media_storage_path);
+            if (!buffer) throw new Error('Stored media for this message is no longer available');
+            content = new MessageMedia(message.media_mime_type, buffer.toString('base64'), message.media_filename);
+            options = { caption: message.body === message.media_filename ? '' : message.body };
+        }
+
+        // Claim the message so a double click or a second agent doesn't send it twice
+        const { data: claimed, error: claimError } = await supabaseAdmin
+            .from('messages')
+            .update({ delivery_status: 'pending' })
+            .eq('id', messageId)
+            .eq('org_id', orgId)
+            .eq('delivery_status', 'failed')
+            .select('id');
+
+        if (claimError) throw claimError;
+        if (!claimed || claimed.length === 0) throw new Error('Message is already being retried');
+
+        try {
+            const sentMsg = await this.sendToPhone(phone, content, options);
+            console.log(`🔁 Resent failed message ${messageId}`);
+            return await markResent(messageId, sentMsg?.id?.id || null);
+        } catch (err) {
+            await markFailed(messageId, err.message || String(err));
+            throw err;
+        }
+    }
+
     /**
      * Get the WhatsApp client instance
      */
@@ -905,7 +1349,5 @@ class WhatsAppService {
     }
 }
 
-// Export singleton instance
-const waService = new WhatsAppService();
-module.exports = waService;
+module.exports = { WhatsAppService };
 
@@ -0,0 +1,201 @@
+const { supabaseAdmin } = require('../auth/supabase');
+const { WhatsAppService } = require('./waService');
+const {
+    getWhatsAppAccountById,
+    getWhatsAppAccountsToStart
+} = require('./whatsappAccountService');
+
+/**
+ * WhatsApp Session Manager
+ * Keeps a pool of WhatsApp client sessions keyed by organization ID.
+ *
+ * Each organization gets its own whatsapp-web.js Client with its own
+ * LocalAuth clientId, so several businesses can run a live bot on one backend.
+ * Incoming messages are handled by the session that received them; outgoing
+ * dashboard messages are routed here by orgId.
+ */
+class WhatsAppSessionManager {
+    constructor() {
+        // orgId -> WhatsAppService
+        this.sessions = new Map();
+        this.deps = null;
+    }
+
+    /**
+     * Initialize the manager with dependencies shared by every session
+     * @param {Function} setWaState - Function to update an org's WhatsApp state via socket (orgId, patch)
+     * @param {Function} searchKB - Function to search knowledge base
+     * @param {Function} generateGroundedReply - Function to generate AI replies from KB matches
+     */
+    init(setWaState, searchKB, generateGroundedReply) {
+        this.deps = { setWaState, searchKB, generateGroundedReply };
+    }
+
+    /**
+     * Start (or return the already running) session for an organization
+     * @param {string} orgId - Organization UUID
+     * @returns {Promise<WhatsAppService>}
+     */
+    async startSession(orgId) {
+        if (!this.deps) {
+            throw new Error('WhatsApp session manager not initialized');
+        }
+
+        const existing = this.sessions.get(orgId);
+        if (existing) {
+            return existing;
+        }
+
+        console.log(`📱 Starting WhatsApp session for org: ${orgId}`);
+
+        const session = new WhatsAppService(orgId, this.deps);
+        this.sessions.set(orgId, session);
+
+        // A session that failed to start is dropped, so the next start creates a new one
+        const discard = () => {
+            if (this.sessions.get(orgId) === session) this.sessions.delete(orgId);
+        };
+
+        try {
+            session.init();
+            await session.loadContext();
+        } catch (error) {
+            discard();
+            await session.client?.destroy().catch(() => { });
+            throw error;
+        }
+
+        // Don't await: initialize() resolves only once the client is authenticated,
+        // and one org waiting on a QR scan must not block the others
+        session.initialize().then((started) => {
+            if (!started) {
+                console.warn(`⚠️ WhatsApp session for org ${orgId} failed to start and was removed`);
+                discard();
+            }
+        });
+
+        return session;
+    }
+
+    /**
+     * Stop an organization's session and remove it from the pool
+     * @param {string} orgId - Organization UUID
+     * @param {object} options
+     * @param {boolean} options.logout - Also log out of WhatsApp and delete the local session
+     * @returns {Promise<boolean>} True if a session was running
+     */
+    async stopSession(orgId, { logout = false } = {}) {
+        const session = this.sessions.get(orgId);
+        if (!session) {
+            return false;
+        }
+
+        this.sessions.delete(orgId);
+        await session.stop({ logout });
+        return true;
+    }
+
+    /**
+     * Start sessions for every organization that has WhatsApp enabled
+     * Called once on server startup
+     */
+    async startAll() {
+        const accounts = await getWhatsAppAccountsToStart();
+        console.log(`📋 Restoring ${accounts.length} WhatsApp session(s)`);
+
+        for (const account of accounts) {
+            try {
+                await this.startSession(account.id);
+            } catch (error) {
+                console.error(`❌ Failed to start WhatsApp session for org ${account.id}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Get the running session for an organization
+     * @param {string} orgId - Organization UUID
+     * @returns {WhatsAppService|null}
+     */
+    getSession(orgId) {
+        return this.sessions.get(orgId) || null;
+    }
+
+    /**
+     * Get the running session for an organization or throw
+     * @param {string} orgId - Organization UUID
+     * @returns {WhatsAppService}
+     */
+    requireSession(orgId) {
+        const session = this.getSession(orgId);
+        if (!session) {
+            throw new Error('WhatsApp is not connected for this organization');
+        }
+        return session;
+    }
+
+    /**
+     * Send a manual text message from the dashboard through the org's session
+     */
+    async sendManualMessage(orgId, conversationId, text) {
+        return this.requireSession(orgId).sendManualMessage(orgId, conversationId, text);
+    }
+
+    /**
+     * Send a media file from the dashboard through the org's session
+     */
+    async sendManualMediaMessage(orgId, conversationId, fileBuffer, mimeType, filename, caption = '') {
+        return this.requireSession(orgId).sendManualMediaMessage(orgId, conversationId, fileBuffer, mimeType, filename, caption);
+    }
+
+    /**
+     * Resend a failed outbound message through the org's session
+     */
+    async retryFailedMessage(orgId, messageId) {
+        return this.requireSession(orgId).retryFailedMessage(orgId, messageId);
+    }
+
+    /**
+     * Whether auto-reply is enabled for an organization.
+     * Reads the running session, or the persisted flag if no session is running.
+     * @param {string} orgId - Organization UUID
+     * @returns {Promise<boolean>}
+     */
+    async isBotEnabled(orgId) {
+        const session = this.getSession(orgId);
+        if (session) {
+            return session.botEnabled;
+        }
+
+        const account = await getWhatsAppAccountById(orgId);
+        return account?.bot_enabled ?? true;
+    }
+
+    /**
+     * Enable or disable auto-reply for an organization
+     * @param {string} orgId - Organization UUID
+     * @param {boolean} value
+     */
+    async setBotEnabled(orgId, value) {
+        const session = this.getSession(orgId);
+        if (session) {
+            await session.setBotEnabled(value);
+            return;
+        }
+
+        if (supabaseAdmin) {
+            const { error } = await supabaseAdmin
+                .from('organizations')
+                .update({ bot_enabled: value })
+                .eq('id', orgId);
+            if (error) {
+                console.warn('⚠️ Could not persist bot_enabled to DB:', error.message);
+            }
+        }
+        this.deps?.setWaState(orgId, { botEnabled: value });
+    }
+}
+
+// Export singleton instance
+const waSessionManager = new WhatsAppSessionManager();
+module.exports = waSessionManager;
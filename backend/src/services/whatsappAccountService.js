@@ -36,6 +36,7 @@ async function createWhatsAppAccount({ orgId, displayName = 'WhatsApp Bot', note
                 display_name: displayName,
                 status: 'pending_qr',
                 notes: notes,
+                wa_session_enabled: true,
             })
             .eq('id', orgId)
             .select()
@@ -248,6 +249,36 @@ async function getFirstWhatsAppAccount() {
     }
 }
 
+/**
+ * Get all WhatsApp accounts whose client session should be running
+ * Used on startup by the session manager to restore every org's session
+ * 
+ * @returns {Promise<Array>} WhatsApp accounts with wa_session_enabled = true
+ */
+async function getWhatsAppAccountsToStart() {
+    try {
+        if (!supabaseAdmin) {
+            throw new Error('Supabase admin client not configured');
+        }
+
+        const { data: accounts, error } = await supabaseAdmin
+            .from('organizations')
+            .select('*')
+            .eq('wa_session_enabled', true)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            throw error;
+        }
+
+        return accounts || [];
+
+    } catch (error) {
+        console.error('❌ Error fetching WhatsApp accounts to start:', error);
+        return [];
+    }
+}
+
 /**
  * Delete a WhatsApp account (soft delete by setting status to 'disconnected')
  * Hard deletion is handled by database cascade on org deletion
@@ -267,7 +298,8 @@ async function disconnectWhatsAppAccount(accountId) {
             .from('organizations')
             .update({ 
                 status: 'disconnected',
-                notes: 'Manually disconnected'
+                notes: 'Manually disconnected',
+                wa_session_enabled: false,
             })
             .eq('id', accountId);
 
@@ -345,6 +377,7 @@ module.exports = {
     getWhatsAppAccountsByOrg,
     getWhatsAppAccountById,
     getFirstWhatsAppAccount,
+    getWhatsAppAccountsToStart,
     disconnectWhatsAppAccount,
     getWhatsAppAccountStats,
 };
@@ -6,12 +6,15 @@
 CREATE EXTENSION IF NOT EXISTS vector;
 
 -- Function to search KB chunks using vector similarity
+-- Vectors may have any dimension (see MIGRATION_019_KB_EMBEDDING_MODELS.sql);
+-- only chunks embedded with filter_embedding_model are compared
 CREATE OR REPLACE FUNCTION search_kb_chunks(
-  query_embedding vector(768),
+  query_embedding vector,
   match_threshold float DEFAULT 0.0,
   match_count int DEFAULT 10,
   filter_org_id uuid DEFAULT NULL,
-  filter_wa_account_id uuid DEFAULT NULL
+  filter_wa_account_id uuid DEFAULT NULL,
+  filter_embedding_model text DEFAULT NULL
 )
 RETURNS TABLE (
   id uuid,
@@ -23,28 +26,45 @@ RETURNS TABLE (
 )
 LANGUAGE plpgsql
 AS $$
+DECLARE
+  dims integer := vector_dims(query_embedding);
 BEGIN
-  RETURN QUERY
-  SELECT
-    c.id,
-    c.text,
-    c.chunk_index,
-    s.title,
-    1 - (c.embedding <=> query_embedding) AS similarity,
-    c.metadata
-  FROM kb_chunks c
-  INNER JOIN kb_sources s ON c.source_id = s.id
-  WHERE
-    s.status = 'ready'
-    AND (filter_org_id IS NULL OR s.org_id = filter_org_id)
-    AND (1 - (c.embedding <=> query_embedding)) >= match_threshold
-  ORDER BY c.embedding <=> query_embedding
-  LIMIT match_count;
+  -- Cast to the query's dimension so the matching partial HNSW index is used
+  RETURN QUERY EXECUTE format($sql$
+    SELECT
+      c.id,
+      c.text,
+      c.chunk_index,
+      s.title,
+      1 - (c.embedding::vector(%1$s) <=> $1::vector(%1$s)) AS similarity,
+      c.metadata
+    FROM kb_chunks c
+    INNER JOIN kb_sources s ON c.source_id = s.id
+    WHERE
+      s.status IN ('ready', 'processing')
+      AND c.embedding IS NOT NULL
+      AND vector_dims(c.embedding) = %1$s
+      AND ($3::uuid IS NULL OR s.org_id = $3)
+      AND ($5::text IS NULL OR c.embedding_model = $5)
+      AND (1 - (c.embedding::vector(%1$s) <=> $1::vector(%1$s))) >= $2
+    ORDER BY c.embedding::vector(%1$s) <=> $1::vector(%1$s)
+    LIMIT $4
+  $sql$, dims)
+  USING query_embedding, match_threshold, filter_org_id, match_count, filter_embedding_model;
 END;
 $$;
 
--- Create an index on the embedding column for faster vector searches
+-- Keyword half of hybrid search (search_kb_chunks_keyword) and the
+-- kb_chunks.search_tsv column it uses: see MIGRATION_018_KB_HYBRID_SEARCH.sql
+-- and MIGRATION_019_KB_EMBEDDING_MODELS.sql
+
+-- Create indexes on the embedding column for faster vector searches
 -- This is important for performance with large knowledge bases
--- HNSW index supports up to 4096 dimensions (IVFFlat max is 2000)
-CREATE INDEX IF NOT EXISTS kb_chunks_embedding_idx ON kb_chunks
-USING hnsw (embedding vector_cosine_ops);
+-- HNSW needs a fixed dimension: one partial index per embedding size in use
+CREATE INDEX IF NOT EXISTS kb_chunks_embedding_768_idx ON kb_chunks
+USING hnsw ((embedding::vector(768)) vector_cosine_ops)
+WHERE vector_dims(embedding) = 768;
+
+CREATE INDEX IF NOT EXISTS kb_chunks_embedding_384_idx ON kb_chunks
+USING hnsw ((embedding::vector(384)) vector_cosine_ops)
+WHERE vector_dims(embedding) = 384;
@@ -2,6 +2,7 @@
 
 import { useState, useMemo, useEffect } from "react";
 import { backendGet, getSelectedWaAccountId } from "@/lib/backendClient";
+import type { AnswerFeedbackReport, LLMReliabilityReport } from "@/lib/types";
 import {
   LineChart,
   Line,
@@ -94,6 +95,13 @@ export default function AnalyticsPage() {
     totalConversations: 0,
     aiMessages: 0,
     humanMessages: 0,
+    faqMessages: 0,
+    openConversations: 0,
+    pendingConversations: 0,
+    resolvedConversations: 0,
+    autoResolvedConversations: 0,
+    avgResolutionMinutes: null as number | null,
+    medianResolutionMinutes: null as number | null,
     loading: true,
   });
 
@@ -116,6 +124,13 @@ export default function AnalyticsPage() {
             totalConversations: res.summary.totalConversations || 0,
             aiMessages: res.summary.aiMessages || 0,
             humanMessages: res.summary.humanMessages || 0,
+            faqMessages: res.summary.faqMessages || 0,
+            openConversations: res.summary.openConversations || 0,
+            pendingConversations: res.summary.pendingConversations || 0,
+            resolvedConversations: res.summary.resolvedConversations || 0,
+            autoResolvedConversations: res.summary.autoResolvedConversations || 0,
+            avgResolutionMinutes: res.summary.avgResolutionMinutes ?? null,
+            medianResolutionMinutes: res.summary.medianResolutionMinutes ?? null,
             loading: false,
           });
         }
@@ -153,6 +168,50 @@ export default function AnalyticsPage() {
     fetchDailyMessages();
   }, [dateRange]);
 
+  const [llmReliability, setLlmReliability] = useState<LLMReliabilityReport | null>(null);
+
+  useEffect(() => {
+    async function fetchLlmReliability() {
+      const waAccountId = getSelectedWaAccountId();
+      if (!waAccountId) return;
+      const days = dateRange === "today" ? 1 : dateRange === "30days" ? 30 : 7;
+      try {
+        const res = await backendGet<{ ok: boolean } & LLMReliabilityReport>(
+          `/api/analytics/llm-providers?days=${days}`,
+          waAccountId
+        );
+        if (res.ok) {
+          setLlmReliability(res);
+        }
+      } catch (err) {
+        console.error("Failed to fetch model reliability:", err);
+      }
+    }
+    fetchLlmReliability();
+  }, [dateRange]);
+
+  const [answerFeedback, setAnswerFeedback] = useState<AnswerFeedbackReport | null>(null);
+
+  useEffect(() => {
+    async function fetchAnswerFeedback() {
+      const waAccountId = getSelectedWaAccountId();
+      if (!waAccountId) return;
+      const days = dateRange === "today" ? 1 : dateRange === "30days" ? 30 : 7;
+      try {
+        const res = await backendGet<{ ok: boolean } & AnswerFeedbackReport>(
+          `/api/analytics/answer-feedback?days=${days}&limit=10`,
+          waAccountId
+        );
+        if (res.ok) {
+          setAnswerFeedback(res);
+        }
+      } catch (err) {
+        console.error("Failed to fetch answer feedback:", err);
+      }
+    }
+    fetchAnswerFeedback();
+  }, [dateRange]);
+
   const kbUsage = useMemo(() => generateKBUsage(), [dateRange]);
   const topConversations = useMemo(() => generateTopConversations(), [dateRange]);
   const topKBDocuments = useMemo(() => generateTopKBDocuments(), [dateRange]);
@@ -164,11 +223,13 @@ export default function AnalyticsPage() {
   const totalConversations = realSummary.totalConversations;
   const aiMessages = realSummary.aiMessages;
   const humanMessages = realSummary.humanMessages;
-  const totalOutgoing = aiMessages + humanMessages;
+  const faqMessages = realSummary.faqMessages;
+  const totalOutgoing = aiMessages + humanMessages + faqMessages;
 
   const aiRatioData = [
     { name: "AI (Gemini)", value: aiMessages, color: "#10b981" },
     { name: "Human Agent", value: humanMessages, color: "#6366f1" },
+    { name: "Curated FAQ", value: faqMessages, color: "#f59e0b" },
   ];
 
   const avgResponseTime = useMemo(() => {
@@ -197,6 +258,14 @@ export default function AnalyticsPage() {
     nonKb: "#64748b",
   };
 
+  const formatMinutes = (minutes: number | null) => {
+    if (minutes === null) return "—";
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ${minutes % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+  };
+
   const formatTime = (seconds: number) => {
     if (seconds < 60) return `${seconds}s`;
     const mins = Math.floor(seconds / 60);
@@ -286,13 +355,30 @@ export default function AnalyticsPage() {
         </section>
 
         {/* Additional Stats Cards */}
-        <section className="mb-8 grid grid-cols-1 gap-4 md:grid-cols-2">
+        <section className="mb-8 grid grid-cols-1 gap-4 md:grid-cols-3">
           <div className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm dark:border-slate-800 dark:bg-slate-900">
             <div className="text-sm text-slate-600 dark:text-slate-400">Total Conversations</div>
             <div className="mt-2 text-2xl font-bold">{totalConversations}</div>
             <div className="mt-2 space-y-1 text-xs text-slate-500">
               <div>New today: {newConversationsToday}</div>
               <div>New last 7 days: {newConversationsLast7Days}</div>
+              <div>
+                Open: {realSummary.openConversations} · Pending: {realSummary.pendingConversations} · Resolved:{" "}
+                {realSummary.resolvedConversations}
+              </div>
+            </div>
+          </div>
+
+          <div className="rounded-xl border border-slate-200 bg-white p-6 shadow-sm dark:border-slate-800 dark:bg-slate-900">
+            <div className="text-sm text-slate-600 dark:text-slate-400">Avg Resolution Time</div>
+            <div className="mt-2 text-2xl font-bold text-sky-600 dark:text-sky-400">
+              {formatMinutes(realSummary.avgResolutionMinutes)}
+            </div>
+            <div className="mt-2 space-y-1 text-xs text-slate-500">
+              <div>Median: {formatMinutes(realSummary.medianResolutionMinutes)}</div>
+              <div>
+                Resolved by agents, last 30 days · {realSummary.autoResolvedConversations} auto-resolved after inactivity
+              </div>
             </div>
           </div>
 
@@ -307,6 +393,133 @@ export default function AnalyticsPage() {
           </div>
         </section>
 
+        {/* Model Reliability */}
+        {llmReliability && llmReliability.providers.length > 0 && (
+          <section className="mb-8 rounded-xl border border-slate-200 bg-white shadow-sm dark:border-slate-800 dark:bg-slate-900">
+            <div className="border-b border-slate-200 p-6 dark:border-slate-800">
+              <h3 className="text-lg font-semibold">Model Reliability</h3>
+              <p className="text-sm text-slate-500">
+                {llmReliability.requests} AI requests · {llmReliability.failoverRequests} answered by a fallback model ·{" "}
+                {llmReliability.exhaustedRequests} got the fallback message
+              </p>
+              {llmReliability.openCircuits.length > 0 && (
+                <p className="mt-2 text-sm text-amber-600 dark:text-amber-400">
+                  ⚠️ Temporarily skipped:{" "}
+                  {llmReliability.openCircuits
+                    .map((c) => `${c.label} (until ${new Date(c.openUntil).toLocaleTimeString()})`)
+                    .join(", ")}
+                </p>
+              )}
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-slate-50 dark:bg-slate-800/50">
+                  <tr>
+                    {["Model", "Attempts", "Success Rate", "Errors", "Skipped", "Avg Latency"].map((h) => (
+                      <th
+                        key={h}
+                        className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider text-slate-500"
+                      >
+                        {h}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-200 dark:divide-slate-800">
+                  {llmReliability.providers.map((p) => (
+                    <tr key={`${p.provider}/${p.model}`} className="hover:bg-slate-50 dark:hover:bg-slate-800/50">
+                      <td className="whitespace-nowrap px-6 py-4 text-sm font-medium">
+                        {p.model}
+                        <span className="ml-2 text-xs text-slate-400">{p.provider}</span>
+                      </td>
+                      <td className="whitespace-nowrap px-6 py-4 text-sm text-slate-500">{p.attempts}</td>
+                      <td className="whitespace-nowrap px-6 py-4 text-sm text-slate-500">
+                        {p.successRate === null ? "—" : `${p.successRate}%`}
+                      </td>
+                      <td className="whitespace-nowrap px-6 py-4 text-sm text-slate-500">{p.errors}</td>
+                      <td className="whitespace-nowrap px-6 py-4 text-sm text-slate-500">{p.skipped}</td>
+                      <td className="whitespace-nowrap px-6 py-4 text-sm text-slate-500">
+                        {p.avgLatencyMs === null ? "—" : `${(p.avgLatencyMs / 1000).toFixed(1)}s`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        )}
+
+        {/* Most-downvoted AI answers */}
+        {answerFeedback && answerFeedback.answers.length > 0 && (
+          <section className="mb-8 rounded-xl border border-slate-200 bg-white shadow-sm dark:border-slate-800 dark:bg-slate-900">
+            <div className="border-b border-slate-200 p-6 dark:border-slate-800">
+              <h3 className="text-lg font-semibold">Most Downvoted Answers</h3>
+              <p className="text-sm text-slate-500">
+                {answerFeedback.totalDownvotes} downvote{answerFeedback.totalDownvotes === 1 ? "" : "s"} in the last{" "}
+                {answerFeedback.days} day{answerFeedback.days === 1 ? "" : "s"}, with the knowledge base chunks the bot was shown
+              </p>
+            </div>
+            <ul className="divide-y divide-slate-200 dark:divide-slate-800">
+              {answerFeedback.answers.map((a) => (
+                <li key={a.message_id} className="space-y-2 p-6 text-sm">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className="rounded-full bg-red-100 px-2 py-0.5 text-xs font-semibold text-red-700 dark:bg-red-500/10 dark:text-red-300">
+                      👎 {a.downvotes}
+                    </span>
+                    {Object.entries(a.reasons).map(([reason, count]) => (
+                      <span
+                        key={reason}
+                        className="rounded-full bg-slate-100 px-2 py-0.5 text-xs text-slate-600 dark:bg-slate-800 dark:text-slate-300"
+                      >
+                        {reason.replace("_", " ")} × {count}
+                      </span>
+                    ))}
+                    {a.correction_source_id && (
+                      <span className="text-xs text-emerald-600 dark:text-emerald-400">✓ Corrected answer saved as FAQ</span>
+                    )}
+                    <span className="ml-auto text-xs text-slate-400">{new Date(a.answered_at).toLocaleString()}</span>
+                  </div>
+                  <p>
+                    <span className="font-medium text-slate-500">Q: </span>
+                    {a.question || <span className="italic text-slate-400">unknown</span>}
+                  </p>
+                  <p className="whitespace-pre-wrap">
+                    <span className="font-medium text-slate-500">A: </span>
+                    {a.answer}
+                  </p>
+                  {a.comments.length > 0 && (
+                    <p className="text-xs italic text-slate-500">&ldquo;{a.comments.join("” · “")}&rdquo;</p>
+                  )}
+                  <details className="text-xs">
+                    <summary className="cursor-pointer text-slate-500">
+                      {a.retrieved_chunks === null
+                        ? "Retrieved chunks not recorded"
+                        : `${a.retrieved_chunks.length} retrieved chunk${a.retrieved_chunks.length === 1 ? "" : "s"}`}
+                    </summary>
+                    <ul className="mt-2 space-y-1">
+                      {(a.retrieved_chunks || []).map((c) => (
+                        <li key={c.id} className="rounded-lg border border-slate-200 p-2 dark:border-slate-700">
+                          <div className="flex items-center justify-between gap-2">
+                            <span className="font-medium">
+                              {c.title || "Untitled source"}
+                              {c.metadata?.section ? ` · ${c.metadata.section}` : ""}
+                              {c.cited && <span className="ml-1.5 text-emerald-600 dark:text-emerald-400">cited</span>}
+                            </span>
+                            <span className="text-slate-400">score {c.score === null ? "—" : c.score.toFixed(3)}</span>
+                          </div>
+                          <p className="mt-1 line-clamp-3 text-slate-500">
+                            {c.missing ? <span className="italic">No longer in the knowledge base</span> : c.text}
+                          </p>
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
         {/* Charts Section */}
         <section className="mb-8 grid grid-cols-1 gap-6 lg:grid-cols-2">
           {/* Daily Messages Line Chart */}
@@ -0,0 +1,1104 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import {
+  backendGet,
+  backendPostJson,
+  backendPatch,
+  backendDelete,
+  backendGetBlob,
+  backendPostForm,
+} from "@/lib/backendClient";
+import type {
+  AgentSettings,
+  CatalogAttributeType,
+  CatalogImportAction,
+  CatalogImportReport,
+  CatalogSchema,
+  Product,
+  ProductVariant,
+} from "@/lib/types";
+
+type VariantFormData = {
+  id?: string;
+  options: Record<string, string>;
+  sku: string;
+  barcode: string;
+  price: string;
+  stock: string;
+};
+
+type ProductFormData = {
+  name: string;
+  category: string;
+  description: string;
+  price: string;
+  image_url: string;
+  attributes: Record<string, string | boolean>;
+  variants: VariantFormData[];
+};
+
+// Lists are edited as comma-separated text
+type SchemaFormData = {
+  item_label: string;
+  item_label_plural: string;
+  attributes: {
+    key: string;
+    label: string;
+    type: CatalogAttributeType;
+    options: string;
+    required: boolean;
+    searchable: boolean;
+    filterable: boolean;
+  }[];
+  variant_options: { key: string; label: string; values: string }[];
+};
+
+const defaultSchema: CatalogSchema = {
+  item_label: "product",
+  item_label_plural: "products",
+  attributes: [],
+  variant_options: [],
+};
+
+const emptyVariant: VariantFormData = { options: {}, sku: "", barcode: "", price: "", stock: "0" };
+
+const emptyForm: ProductFormData = {
+  name: "",
+  category: "",
+  description: "",
+  price: "",
+  image_url: "",
+  attributes: {},
+  variants: [emptyVariant],
+};
+
+const inputCls =
+  "w-full rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-emerald-500 dark:border-slate-700 dark:bg-slate-800 dark:text-white";
+const labelCls = "mb-1 block text-xs font-medium text-slate-600 dark:text-slate-400";
+
+const importActionLabels: Record<CatalogImportAction, string> = {
+  create: "New",
+  update: "Update",
+  add_variant: "New variant",
+  error: "Error",
+};
+
+const capitalize = (text: string) => text.charAt(0).toUpperCase() + text.slice(1);
+const splitList = (text: string) => text.split(",").map((v) => v.trim()).filter(Boolean);
+
+export default function CatalogPage() {
+  const [schema, setSchema] = useState<CatalogSchema>(defaultSchema);
+  const [products, setProducts] = useState<Product[]>([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [search, setSearch] = useState("");
+  const [categoryFilter, setCategoryFilter] = useState("");
+  const [categories, setCategories] = useState<string[]>([]);
+  const [lowStockThreshold, setLowStockThreshold] = useState(5);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingProduct, setEditingProduct] = useState<Product | null>(null);
+  const [form, setForm] = useState<ProductFormData>(emptyForm);
+  const [schemaForm, setSchemaForm] = useState<SchemaFormData | null>(null);
+  const [showImport, setShowImport] = useState(false);
+  const [importFile, setImportFile] = useState<File | null>(null);
+  const [importReport, setImportReport] = useState<CatalogImportReport | null>(null);
+  const [importErrorsOnly, setImportErrorsOnly] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [toast, setToast] = useState<{ message: string; type: "success" | "error" } | null>(null);
+
+  const limit = 15;
+  const item = schema.item_label;
+  const items = schema.item_label_plural;
+
+  const fetchProducts = useCallback(() => {
+    const params = new URLSearchParams({ page: String(page), limit: String(limit) });
+    if (search) params.set("search", search);
+    if (categoryFilter) params.set("category", categoryFilter);
+    return backendGet<{ ok: boolean; products: Product[]; total: number }>(`/api/products?${params}`)
+      .then((res) => {
+        if (res.ok) {
+          setProducts(res.products);
+          setTotal(res.total);
+        }
+      })
+      .catch(() => setToast({ message: "Failed to load the catalog", type: "error" }))
+      .finally(() => setLoading(false));
+  }, [page, search, categoryFilter]);
+
+  const fetchCategories = useCallback(
+    () =>
+      backendGet<{ ok: boolean; categories: string[] }>("/api/products/categories")
+        .then((res) => {
+          if (res.ok) setCategories(res.categories);
+        })
+        .catch(() => { /* ignore */ }),
+    []
+  );
+
+  const fetchSchema = useCallback(
+    () =>
+      backendGet<{ ok: boolean; schema: CatalogSchema }>("/api/catalog/schema")
+        .then((res) => {
+          if (res.ok) setSchema(res.schema);
+        })
+        .catch(() => setToast({ message: "Failed to load the catalog schema", type: "error" })),
+    []
+  );
+
+  const fetchLowStockThreshold = useCallback(
+    () =>
+      backendGet<{ ok: boolean } & AgentSettings>("/api/settings/agent")
+        .then((res) => {
+          if (res.ok) setLowStockThreshold(res.low_stock_threshold ?? 5);
+        })
+        .catch(() => { /* ignore */ }),
+    []
+  );
+
+  useEffect(() => {
+    fetchProducts();
+  }, [fetchProducts]);
+
+  useEffect(() => {
+    fetchCategories();
+    fetchSchema();
+    fetchLowStockThreshold();
+  }, [fetchCategories, fetchSchema, fetchLowStockThreshold]);
+
+  useEffect(() => {
+    if (toast) {
+      const t = setTimeout(() => setToast(null), 3000);
+      return () => clearTimeout(t);
+    }
+  }, [toast]);
+
+  // ─── Products ──────────────────────────────────────────────────────────────
+
+  const openCreate = () => {
+    setEditingProduct(null);
+    setForm(emptyForm);
+    setError("");
+    setShowModal(true);
+  };
+
+  const openEdit = (product: Product) => {
+    setEditingProduct(product);
+    const attributes: Record<string, string | boolean> = {};
+    for (const attr of schema.attributes) {
+      const value = product.attributes?.[attr.key];
+      if (value !== undefined && value !== null) {
+        attributes[attr.key] = typeof value === "boolean" ? value : String(value);
+      }
+    }
+    setForm({
+      name: product.name,
+      category: product.category || "",
+      description: product.description || "",
+      price: String(product.price),
+      image_url: product.image_url || "",
+      attributes,
+      variants: product.variants.length > 0
+        ? product.variants.map((v) => ({
+            id: v.id,
+            options: { ...v.options },
+            sku: v.sku || "",
+            barcode: v.barcode || "",
+            price: v.price === null ? "" : String(v.price),
+            stock: String(v.stock),
+          }))
+        : [emptyVariant],
+    });
+    setError("");
+    setShowModal(true);
+  };
+
+  const setAttribute = (key: string, value: string | boolean) =>
+    setForm({ ...form, attributes: { ...form.attributes, [key]: value } });
+
+  const updateVariant = (index: number, changes: Partial<VariantFormData>) =>
+    setForm({
+      ...form,
+      variants: form.variants.map((v, i) => (i === index ? { ...v, ...changes } : v)),
+    });
+
+  // Units of a saved variant held by unpaid orders; stock can't usefully go below it
+  const reservedOf = (variant: VariantFormData) =>
+    editingProduct?.variants.find((v) => v.id === variant.id)?.reserved ?? 0;
+
+  const handleSubmit = async () => {
+    if (!form.name.trim() || !form.price.trim()) {
+      setError("Name and price are required.");
+      return;
+    }
+
+    const price = parseFloat(form.price);
+    if (isNaN(price) || price < 0) {
+      setError("Price must be a valid positive number.");
+      return;
+    }
+
+    const missing = schema.attributes.filter(
+      (a) => a.required && a.type !== "boolean" && !String(form.attributes[a.key] ?? "").trim()
+    );
+    if (missing.length > 0) {
+      setError(`${missing.map((a) => a.label).join(", ")} ${missing.length === 1 ? "is" : "are"} required.`);
+      return;
+    }
+
+    if (form.variants.some((v) => isNaN(parseInt(v.stock)) || parseInt(v.stock) < 0)) {
+      setError("Stock must be a valid non-negative number.");
+      return;
+    }
+
+    setSaving(true);
+    setError("");
+    try {
+      const payload = {
+        name: form.name.trim(),
+        category: form.category.trim() || null,
+        description: form.description.trim() || null,
+        image_url: form.image_url.trim() || null,
+        price,
+        attributes: form.attributes,
+        variants: form.variants.map((v) => ({
+          ...(v.id ? { id: v.id } : {}),
+          options: v.options,
+          sku: v.sku.trim() || null,
+          barcode: v.barcode.trim() || null,
+          price: v.price.trim() ? parseFloat(v.price) : null,
+          stock: parseInt(v.stock),
+        })),
+      };
+
+      if (editingProduct) {
+        await backendPatch(`/api/products/${editingProduct.id}`, payload);
+        setToast({ message: `${capitalize(item)} updated successfully`, type: "success" });
+      } else {
+        await backendPostJson("/api/products", payload);
+        setToast({ message: `${capitalize(item)} created successfully`, type: "success" });
+      }
+
+      setShowModal(false);
+      fetchProducts();
+      fetchCategories();
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : `Failed to save ${item}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (product: Product) => {
+    if (!confirm(`Delete "${product.name}"? This will hide it from the catalog.`)) return;
+    try {
+      await backendDelete(`/api/products/${product.id}`);
+      setToast({ message: `${capitalize(item)} removed from catalog`, type: "success" });
+      fetchProducts();
+    } catch {
+      setToast({ message: `Failed to delete ${item}`, type: "error" });
+    }
+  };
+
+  // ─── Schema ────────────────────────────────────────────────────────────────
+
+  const openSchema = () => {
+    setSchemaForm({
+      item_label: schema.item_label,
+      item_label_plural: schema.item_label_plural,
+      attributes: schema.attributes.map((a) => ({ ...a, options: (a.options || []).join(", ") })),
+      variant_options: schema.variant_options.map((o) => ({ ...o, values: o.values.join(", ") })),
+    });
+    setError("");
+  };
+
+  const updateSchemaAttribute = (index: number, changes: Partial<SchemaFormData["attributes"][number]>) =>
+    schemaForm && setSchemaForm({
+      ...schemaForm,
+      attributes: schemaForm.attributes.map((a, i) => (i === index ? { ...a, ...changes } : a)),
+    });
+
+  const updateSchemaOption = (index: number, changes: Partial<SchemaFormData["variant_options"][number]>) =>
+    schemaForm && setSchemaForm({
+      ...schemaForm,
+      variant_options: schemaForm.variant_options.map((o, i) => (i === index ? { ...o, ...changes } : o)),
+    });
+
+  const handleSaveSchema = async () => {
+    if (!schemaForm) return;
+    setSaving(true);
+    setError("");
+    try {
+      const res = await backendPatch<{ ok: boolean; schema: CatalogSchema }>("/api/catalog/schema", {
+        schema: {
+          item_label: schemaForm.item_label.trim(),
+          item_label_plural: schemaForm.item_label_plural.trim(),
+          attributes: schemaForm.attributes.map((a) => ({
+            ...a,
+            key: a.key.trim(),
+            label: a.label.trim(),
+            options: a.type === "select" ? splitList(a.options) : undefined,
+          })),
+          variant_options: schemaForm.variant_options.map((o) => ({
+            key: o.key.trim(),
+            label: o.label.trim(),
+            values: splitList(o.values),
+          })),
+        },
+      });
+      setSchema(res.schema);
+      setSchemaForm(null);
+      setToast({ message: "Catalog schema saved", type: "success" });
+      fetchProducts();
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : "Failed to save the catalog schema");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ─── Import / export ───────────────────────────────────────────────────────
+
+  const handleExport = async (format: "csv" | "xlsx") => {
+    try {
+      const blob = await backendGetBlob(`/api/products/export?format=${format}`);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${items.replace(/[^a-z0-9_-]+/gi, "-")}-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err: unknown) {
+      setToast({ message: err instanceof Error ? err.message : "Export failed", type: "error" });
+    }
+  };
+
+  const openImport = () => {
+    setImportFile(null);
+    setImportReport(null);
+    setImportErrorsOnly(false);
+    setError("");
+    setShowImport(true);
+  };
+
+  // Preview first (dry run); importing re-validates the same file
+  const runImport = async (dryRun: boolean) => {
+    if (!importFile) return;
+    setSaving(true);
+    setError("");
+    try {
+      const fd = new FormData();
+      fd.append("file", importFile);
+      fd.append("dryRun", String(dryRun));
+      const report = await backendPostForm<CatalogImportReport & { ok: boolean }>("/api/products/import", fd);
+      setImportReport(report);
+      if (!dryRun) {
+        setToast({
+          message: `Imported ${report.summary.imported} of ${report.summary.rows} rows`,
+          type: report.summary.failed > 0 ? "error" : "success",
+        });
+        fetchProducts();
+        fetchCategories();
+      }
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : "Import failed");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ─── Display ───────────────────────────────────────────────────────────────
+
+  const totalPages = Math.ceil(total / limit);
+
+  const variantPrice = (product: Product, variant: ProductVariant) => Number(variant.price ?? product.price);
+
+  const priceLabel = (product: Product) => {
+    const prices = product.variants.length > 0
+      ? product.variants.map((v) => variantPrice(product, v))
+      : [Number(product.price)];
+    const min = Math.min(...prices);
+    const max = Math.max(...prices);
+    return min === max ? `$${min.toFixed(2)}` : `$${min.toFixed(2)} – $${max.toFixed(2)}`;
+  };
+
+  const variantLabel = (variant: ProductVariant) =>
+    schema.variant_options.map((o) => variant.options[o.key]).filter(Boolean).join(" / ") || "Default";
+
+  const attributeSummary = (product: Product) =>
+    schema.attributes
+      .filter((a) => a.type !== "boolean" && product.attributes?.[a.key] !== undefined && product.attributes[a.key] !== "")
+      .slice(0, 3)
+      .map((a) => String(product.attributes[a.key]))
+      .join(" · ");
+
+  // Available = on hand minus units held by unpaid orders
+  const stockBadge = (product: Product) => {
+    const available = product.variants.reduce((sum, v) => sum + Math.max(v.stock - v.reserved, 0), 0);
+    const reserved = product.variants.reduce((sum, v) => sum + v.reserved, 0);
+    const badge =
+      available === 0 ? (
+        <span className="inline-block rounded-full bg-red-100 px-2 py-0.5 text-xs font-medium text-red-700 dark:bg-red-500/10 dark:text-red-400">Out of stock</span>
+      ) : available <= lowStockThreshold ? (
+        <span className="inline-block rounded-full bg-amber-100 px-2 py-0.5 text-xs font-medium text-amber-700 dark:bg-amber-500/10 dark:text-amber-400">Low ({available})</span>
+      ) : (
+        <span className="inline-block rounded-full bg-emerald-100 px-2 py-0.5 text-xs font-medium text-emerald-700 dark:bg-emerald-500/10 dark:text-emerald-400">{available} in stock</span>
+      );
+    return (
+      <>
+        {badge}
+        {reserved > 0 && <div className="mt-0.5 text-[11px] text-slate-400">{reserved} reserved</div>}
+      </>
+    );
+  };
+
+  return (
+    <div className="p-6 lg:p-8">
+      {/* Toast */}
+      {toast && (
+        <div className={`fixed right-6 top-6 z-50 rounded-lg px-4 py-3 text-sm font-medium shadow-lg ${
+          toast.type === "success"
+            ? "bg-emerald-500 text-white"
+            : "bg-red-500 text-white"
+        }`}>
+          {toast.message}
+        </div>
+      )}
+
+      {/* Header */}
+      <div className="mb-6 flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-900 dark:text-white">Catalog</h1>
+          <p className="text-sm text-slate-500 dark:text-slate-400">
+            What the ordering agent sells ({total} {items})
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={openImport}
+            className="rounded-lg border border-slate-200 px-4 py-2 text-sm font-medium text-slate-600 transition hover:bg-slate-50 dark:border-slate-700 dark:text-slate-300 dark:hover:bg-slate-800"
+          >
+            Import
+          </button>
+          <select
+            value=""
+            onChange={(e) => { if (e.target.value) handleExport(e.target.value as "csv" | "xlsx"); }}
+            className="rounded-lg border border-slate-200 px-3 py-2 text-sm font-medium text-slate-600 outline-none dark:border-slate-700 dark:bg-slate-900 dark:text-slate-300"
+          >
+            <option value="">Export…</option>
+            <option value="csv">Export CSV</option>
+            <option value="xlsx">Export Excel (.xlsx)</option>
+          </select>
+          <button
+            onClick={openSchema}
+            className="rounded-lg border border-slate-200 px-4 py-2 text-sm font-medium text-slate-600 transition hover:bg-slate-50 dark:border-slate-700 dark:text-slate-300 dark:hover:bg-slate-800"
+          >
+            Fields &amp; Variants
+          </button>
+          <button
+            onClick={openCreate}
+            className="rounded-lg bg-emerald-500 px-4 py-2 text-sm font-medium text-white transition hover:bg-emerald-600"
+          >
+            + Add {capitalize(item)}
+          </button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="mb-4 flex flex-wrap gap-3">
+        <input
+          type="text"
+          placeholder="Search by name, SKU, barcode, or any searchable field..."
+          value={search}
+          onChange={(e) => { setSearch(e.target.value); setPage(1); }}
+          className="flex-1 rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm outline-none focus:border-emerald-500 dark:border-slate-700 dark:bg-slate-800 dark:text-white"
+        />
+        <select
+          value={categoryFilter}
+          onChange={(e) => { setCategoryFilter(e.target.value); setPage(1); }}
+          className="rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm outline-none focus:border-emerald-500 dark:border-slate-700 dark:bg-slate-800 dark:text-white"
+        >
+          <option value="">All Categories</option>
+          {categories.map((c) => (
+            <option key={c} value={c}>{c}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Table */}
+      <div className="overflow-x-auto rounded-xl border border-slate-200 bg-white dark:border-slate-700 dark:bg-slate-900">
+        <table className="w-full text-left text-sm">
+          <thead className="border-b border-slate-200 bg-slate-50 dark:border-slate-700 dark:bg-slate-800">
+            <tr>
+              <th className="px-4 py-3 font-medium text-slate-600 dark:text-slate-300">Name</th>
+              <th className="px-4 py-3 font-medium text-slate-600 dark:text-slate-300">Category</th>
+              <th className="px-4 py-3 font-medium text-slate-600 dark:text-slate-300">Variants</th>
+              <th className="px-4 py-3 font-medium text-slate-600 dark:text-slate-300 text-right">Price</th>
+              <th className="px-4 py-3 font-medium text-slate-600 dark:text-slate-300">Stock</th>
+              <th className="px-4 py-3 font-medium text-slate-600 dark:text-slate-300">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr><td colSpan={6} className="px-4 py-8 text-center text-slate-400">Loading...</td></tr>
+            ) : products.length === 0 ? (
+              <tr><td colSpan={6} className="px-4 py-8 text-center text-slate-400">No {items} found. Add your first {item} to get started.</td></tr>
+            ) : (
+              products.map((product) => (
+                <tr key={product.id} className="border-b border-slate-100 transition hover:bg-slate-50 dark:border-slate-800 dark:hover:bg-slate-800/50">
+                  <td className="px-4 py-3">
+                    <div className="font-medium text-slate-900 dark:text-white">{product.name}</div>
+                    {attributeSummary(product) && <div className="text-xs text-slate-400">{attributeSummary(product)}</div>}
+                  </td>
+                  <td className="px-4 py-3 text-slate-600 dark:text-slate-300">{product.category || "—"}</td>
+                  <td className="px-4 py-3 text-xs text-slate-600 dark:text-slate-300">
+                    {schema.variant_options.length === 0
+                      ? product.variants[0]?.sku || product.variants[0]?.barcode || "—"
+                      : product.variants.map(variantLabel).join(", ")}
+                  </td>
+                  <td className="px-4 py-3 text-right font-medium text-slate-900 dark:text-white">{priceLabel(product)}</td>
+                  <td className="px-4 py-3">{stockBadge(product)}</td>
+                  <td className="px-4 py-3">
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => openEdit(product)}
+                        className="rounded border border-slate-200 px-2 py-1 text-xs text-slate-600 transition hover:bg-slate-100 dark:border-slate-600 dark:text-slate-300 dark:hover:bg-slate-700"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => handleDelete(product)}
+                        className="rounded border border-red-200 px-2 py-1 text-xs text-red-600 transition hover:bg-red-50 dark:border-red-800 dark:text-red-400 dark:hover:bg-red-900/30"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="mt-4 flex items-center justify-between">
+          <p className="text-sm text-slate-500">
+            Page {page} of {totalPages}
+          </p>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setPage(Math.max(1, page - 1))}
+              disabled={page === 1}
+              className="rounded border border-slate-200 px-3 py-1 text-sm disabled:opacity-50 dark:border-slate-700 dark:text-slate-300"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setPage(Math.min(totalPages, page + 1))}
+              disabled={page === totalPages}
+              className="rounded border border-slate-200 px-3 py-1 text-sm disabled:opacity-50 dark:border-slate-700 dark:text-slate-300"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Product modal */}
+      {showModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+          <div className="max-h-[90vh] w-full max-w-2xl overflow-y-auto rounded-xl bg-white p-6 shadow-xl dark:bg-slate-900">
+            <h2 className="mb-4 text-lg font-bold text-slate-900 dark:text-white">
+              {editingProduct ? `Edit ${capitalize(item)}` : `Add New ${capitalize(item)}`}
+            </h2>
+
+            {error && (
+              <div className="mb-4 rounded-lg bg-red-50 px-4 py-2 text-sm text-red-600 dark:bg-red-900/30 dark:text-red-400">
+                {error}
+              </div>
+            )}
+
+            <div className="space-y-3">
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className={labelCls}>Name *</label>
+                  <input
+                    type="text"
+                    value={form.name}
+                    onChange={(e) => setForm({ ...form, name: e.target.value })}
+                    className={inputCls}
+                  />
+                </div>
+                <div>
+                  <label className={labelCls}>Category</label>
+                  <input
+                    type="text"
+                    value={form.category}
+                    onChange={(e) => setForm({ ...form, category: e.target.value })}
+                    list="category-list"
+                    className={inputCls}
+                  />
+                  <datalist id="category-list">
+                    {categories.map((c) => <option key={c} value={c} />)}
+                  </datalist>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className={labelCls}>Price *</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={form.price}
+                    onChange={(e) => setForm({ ...form, price: e.target.value })}
+                    className={inputCls}
+                  />
+                </div>
+                <div>
+                  <label className={labelCls}>Image URL</label>
+                  <input
+                    type="url"
+                    value={form.image_url}
+                    onChange={(e) => setForm({ ...form, image_url: e.target.value })}
+                    className={inputCls}
+                  />
+                </div>
+              </div>
+
+              {/* Custom fields from the catalog schema */}
+              {schema.attributes.length > 0 && (
+                <div className="grid grid-cols-2 gap-3">
+                  {schema.attributes.map((attr) => (
+                    <div key={attr.key}>
+                      {attr.type === "boolean" ? (
+                        <label className="mt-6 flex items-center gap-2 text-sm text-slate-700 dark:text-slate-300">
+                          <input
+                            type="checkbox"
+                            checked={form.attributes[attr.key] === true}
+                            onChange={(e) => setAttribute(attr.key, e.target.checked)}
+                          />
+                          {attr.label}
+                        </label>
+                      ) : (
+                        <>
+                          <label className={labelCls}>{attr.label}{attr.required ? " *" : ""}</label>
+                          {attr.type === "select" ? (
+                            <select
+                              value={String(form.attributes[attr.key] ?? "")}
+                              onChange={(e) => setAttribute(attr.key, e.target.value)}
+                              className={inputCls}
+                            >
+                              <option value="">—</option>
+                              {(attr.options || []).map((o) => <option key={o} value={o}>{o}</option>)}
+                            </select>
+                          ) : (
+                            <input
+                              type={attr.type === "number" ? "number" : "text"}
+                              value={String(form.attributes[attr.key] ?? "")}
+                              onChange={(e) => setAttribute(attr.key, e.target.value)}
+                              className={inputCls}
+                            />
+                          )}
+                        </>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div>
+                <label className={labelCls}>Description</label>
+                <textarea
+                  value={form.description}
+                  onChange={(e) => setForm({ ...form, description: e.target.value })}
+                  rows={3}
+                  className={inputCls}
+                />
+              </div>
+
+              {/* Variants */}
+              <div>
+                <label className={labelCls}>
+                  {schema.variant_options.length > 0
+                    ? `Variants (by ${schema.variant_options.map((o) => o.label.toLowerCase()).join(", ")})`
+                    : "Stock & codes"}
+                </label>
+                <div className="space-y-2">
+                  {form.variants.map((variant, index) => (
+                    <div key={variant.id || index} className="flex flex-wrap items-end gap-2 rounded-lg border border-slate-100 p-2 dark:border-slate-700">
+                      {schema.variant_options.map((option) => (
+                        <div key={option.key} className="w-28">
+                          <span className="text-[10px] uppercase text-slate-400">{option.label}</span>
+                          {option.values.length > 0 ? (
+                            <select
+                              value={variant.options[option.key] || ""}
+                              onChange={(e) => updateVariant(index, { options: { ...variant.options, [option.key]: e.target.value } })}
+                              className={inputCls}
+                            >
+                              <option value="">—</option>
+                              {option.values.map((v) => <option key={v} value={v}>{v}</option>)}
+                            </select>
+                          ) : (
+                            <input
+                              type="text"
+                              value={variant.options[option.key] || ""}
+                              onChange={(e) => updateVariant(index, { options: { ...variant.options, [option.key]: e.target.value } })}
+                              className={inputCls}
+                            />
+                          )}
+                        </div>
+                      ))}
+                      <div className="w-28">
+                        <span className="text-[10px] uppercase text-slate-400">SKU</span>
+                        <input type="text" value={variant.sku} onChange={(e) => updateVariant(index, { sku: e.target.value })} className={inputCls} />
+                      </div>
+                      <div className="w-32">
+                        <span className="text-[10px] uppercase text-slate-400">Barcode</span>
+                        <input type="text" value={variant.barcode} onChange={(e) => updateVariant(index, { barcode: e.target.value })} className={inputCls} />
+                      </div>
+                      <div className="w-24">
+                        <span className="text-[10px] uppercase text-slate-400">Price</span>
+                        <input
+                          type="number"
+                          step="0.01"
+                          min="0"
+                          placeholder={form.price || "—"}
+                          value={variant.price}
+                          onChange={(e) => updateVariant(index, { price: e.target.value })}
+                          className={inputCls}
+                        />
+                      </div>
+                      <div className="w-20">
+                        <span className="text-[10px] uppercase text-slate-400">
+                          Stock
+                          {reservedOf(variant) > 0 && <span className="normal-case"> · {reservedOf(variant)} held</span>}
+                        </span>
+                        <input type="number" min="0" value={variant.stock} onChange={(e) => updateVariant(index, { stock: e.target.value })} className={inputCls} />
+                      </div>
+                      {form.variants.length > 1 && (
+                        <button
+                          onClick={() => setForm({ ...form, variants: form.variants.filter((_, i) => i !== index) })}
+                          className="mb-2 text-xs text-red-500 hover:underline"
+                        >
+                          Remove
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+                {schema.variant_options.length > 0 && (
+                  <button
+                    onClick={() => setForm({ ...form, variants: [...form.variants, emptyVariant] })}
+                    className="mt-2 text-xs font-medium text-emerald-600 hover:underline dark:text-emerald-400"
+                  >
+                    + Add variant
+                  </button>
+                )}
+                <p className="mt-1 text-xs text-slate-400">Leave a variant&apos;s price empty to use the {item} price.</p>
+              </div>
+            </div>
+
+            <div className="mt-5 flex justify-end gap-3">
+              <button
+                onClick={() => setShowModal(false)}
+                className="rounded-lg border border-slate-200 px-4 py-2 text-sm font-medium text-slate-600 transition hover:bg-slate-50 dark:border-slate-700 dark:text-slate-300 dark:hover:bg-slate-800"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSubmit}
+                disabled={saving}
+                className="rounded-lg bg-emerald-500 px-4 py-2 text-sm font-medium text-white transition hover:bg-emerald-600 disabled:opacity-50"
+              >
+                {saving ? "Saving..." : editingProduct ? `Update ${capitalize(item)}` : `Add ${capitalize(item)}`}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Import modal */}
+      {showImport && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+          <div className="max-h-[90vh] w-full max-w-3xl overflow-y-auto rounded-xl bg-white p-6 shadow-xl dark:bg-slate-900">
+            <h2 className="mb-1 text-lg font-bold text-slate-900 dark:text-white">Import {items}</h2>
+            <p className="mb-4 text-sm text-slate-500 dark:text-slate-400">
+              A CSV or Excel file with one row per variant, laid out like an export. Rows update the variant with
+              the same SKU or barcode and add everything else; empty cells keep existing values.
+            </p>
+
+            {error && (
+              <div className="mb-4 rounded-lg bg-red-50 px-4 py-2 text-sm text-red-600 dark:bg-red-900/30 dark:text-red-400">
+                {error}
+              </div>
+            )}
+
+            <input
+              type="file"
+              accept=".csv,.tsv,.xlsx"
+              onChange={(e) => { setImportFile(e.target.files?.[0] || null); setImportReport(null); }}
+              className="mb-4 block w-full text-sm text-slate-600 dark:text-slate-300"
+            />
+
+            {importReport && (
+              <div className="space-y-3">
+                <div className={`rounded-lg px-4 py-3 text-sm ${
+                  importReport.summary.failed > 0
+                    ? "bg-amber-50 text-amber-800 dark:bg-amber-500/10 dark:text-amber-300"
+                    : "bg-emerald-50 text-emerald-800 dark:bg-emerald-500/10 dark:text-emerald-300"
+                }`}>
+                  <p className="font-medium">
+                    {importReport.dryRun ? "Preview: " : "Imported: "}
+                    {importReport.summary.imported} of {importReport.summary.rows} rows
+                    {importReport.summary.failed > 0 && `, ${importReport.summary.failed} with errors`}
+                  </p>
+                  <p className="text-xs">
+                    {importReport.summary.productsCreated} new {items}, {importReport.summary.productsUpdated} updated
+                    {importReport.summary.productsRestored > 0 && ` (${importReport.summary.productsRestored} restored)`}
+                    {" · "}{importReport.summary.variantsCreated} new variants, {importReport.summary.variantsUpdated} updated
+                  </p>
+                  {importReport.ignoredColumns.length > 0 && (
+                    <p className="text-xs">Ignored columns: {importReport.ignoredColumns.join(", ")}</p>
+                  )}
+                </div>
+
+                {importReport.summary.failed > 0 && (
+                  <label className="flex items-center gap-2 text-xs text-slate-600 dark:text-slate-300">
+                    <input type="checkbox" checked={importErrorsOnly} onChange={(e) => setImportErrorsOnly(e.target.checked)} />
+                    Only rows with errors
+                  </label>
+                )}
+
+                <div className="max-h-72 overflow-y-auto rounded-lg border border-slate-200 dark:border-slate-700">
+                  <table className="w-full text-left text-xs">
+                    <thead className="sticky top-0 bg-slate-50 dark:bg-slate-800">
+                      <tr>
+                        <th className="px-3 py-2 font-medium text-slate-600 dark:text-slate-300">Row</th>
+                        <th className="px-3 py-2 font-medium text-slate-600 dark:text-slate-300">Name</th>
+                        <th className="px-3 py-2 font-medium text-slate-600 dark:text-slate-300">SKU</th>
+                        <th className="px-3 py-2 font-medium text-slate-600 dark:text-slate-300">Result</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {importReport.rows
+                        .filter((r) => !importErrorsOnly || r.action === "error")
+                        .slice(0, 500)
+                        .map((r) => (
+                          <tr key={r.row} className="border-t border-slate-100 dark:border-slate-800">
+                            <td className="px-3 py-1.5 text-slate-400">{r.row}</td>
+                            <td className="px-3 py-1.5 text-slate-700 dark:text-slate-200">{r.name || "—"}</td>
+                            <td className="px-3 py-1.5 text-slate-500">{r.sku || "—"}</td>
+                            <td className={`px-3 py-1.5 ${r.action === "error" ? "text-red-600 dark:text-red-400" : "text-slate-600 dark:text-slate-300"}`}>
+                              {r.action === "error" ? r.error : importActionLabels[r.action]}
+                            </td>
+                          </tr>
+                        ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
+            <div className="mt-5 flex justify-end gap-3">
+              <button
+                onClick={() => setShowImport(false)}
+                className="rounded-lg border border-slate-200 px-4 py-2 text-sm font-medium text-slate-600 transition hover:bg-slate-50 dark:border-slate-700 dark:text-slate-300 dark:hover:bg-slate-800"
+              >
+                {importReport && !importReport.dryRun ? "Close" : "Cancel"}
+              </button>
+              <button
+                onClick={() => runImport(true)}
+                disabled={!importFile || saving}
+                className="rounded-lg border border-emerald-500 px-4 py-2 text-sm font-medium text-emerald-600 transition hover:bg-emerald-50 disabled:opacity-50 dark:text-emerald-400 dark:hover:bg-emerald-500/10"
+              >
+                {saving ? "Checking..." : "Preview"}
+              </button>
+              <button
+                onClick={() => runImport(false)}
+                disabled={!importReport?.dryRun || importReport.summary.imported === 0 || saving}
+                className="rounded-lg bg-emerald-500 px-4 py-2 text-sm font-medium text-white transition hover:bg-emerald-600 disabled:opacity-50"
+              >
+                {importReport?.dryRun && importReport.summary.imported > 0
+                  ? `Import ${importReport.summary.imported} rows`
+                  : "Import"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Schema modal */}
+      {schemaForm && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+          <div className="max-h-[90vh] w-full max-w-3xl overflow-y-auto rounded-xl bg-white p-6 shadow-xl dark:bg-slate-900">
+            <h2 className="mb-1 text-lg font-bold text-slate-900 dark:text-white">Fields &amp; Variants</h2>
+            <p className="mb-4 text-sm text-slate-500 dark:text-slate-400">
+              Describe what you sell. The ordering agent&apos;s search filters and wording follow these settings.
+            </p>
+
+            {error && (
+              <div className="mb-4 rounded-lg bg-red-50 px-4 py-2 text-sm text-red-600 dark:bg-red-900/30 dark:text-red-400">
+                {error}
+              </div>
+            )}
+
+            <div className="space-y-5">
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className={labelCls}>Item name (singular)</label>
+                  <input
+                    type="text"
+                    placeholder="product"
+                    value={schemaForm.item_label}
+                    onChange={(e) => setSchemaForm({ ...schemaForm, item_label: e.target.value })}
+                    className={inputCls}
+                  />
+                </div>
+                <div>
+                  <label className={labelCls}>Item name (plural)</label>
+                  <input
+                    type="text"
+                    placeholder="products"
+                    value={schemaForm.item_label_plural}
+                    onChange={(e) => setSchemaForm({ ...schemaForm, item_label_plural: e.target.value })}
+                    className={inputCls}
+                  />
+                </div>
+              </div>
+
+              <div>
+                <h3 className="mb-2 text-sm font-semibold text-slate-800 dark:text-slate-200">Custom fields</h3>
+                <div className="space-y-2">
+                  {schemaForm.attributes.map((attr, index) => (
+                    <div key={index} className="flex flex-wrap items-end gap-2 rounded-lg border border-slate-100 p-2 dark:border-slate-700">
+                      <div className="w-28">
+                        <span className="text-[10px] uppercase text-slate-400">Key</span>
+                        <input type="text" placeholder="brand" value={attr.key} onChange={(e) => updateSchemaAttribute(index, { key: e.target.value })} className={inputCls} />
+                      </div>
+                      <div className="w-32">
+                        <span className="text-[10px] uppercase text-slate-400">Label</span>
+                        <input type="text" placeholder="Brand" value={attr.label} onChange={(e) => updateSchemaAttribute(index, { label: e.target.value })} className={inputCls} />
+                      </div>
+                      <div className="w-28">
+                        <span className="text-[10px] uppercase text-slate-400">Type</span>
+                        <select
+                          value={attr.type}
+                          onChange={(e) => updateSchemaAttribute(index, { type: e.target.value as CatalogAttributeType })}
+                          className={inputCls}
+                        >
+                          <option value="text">Text</option>
+                          <option value="number">Number</option>
+                          <option value="boolean">Yes / No</option>
+                          <option value="select">Choice</option>
+                        </select>
+                      </div>
+                      {attr.type === "select" && (
+                        <div className="w-48">
+                          <span className="text-[10px] uppercase text-slate-400">Choices (comma-separated)</span>
+                          <input type="text" value={attr.options} onChange={(e) => updateSchemaAttribute(index, { options: e.target.value })} className={inputCls} />
+                        </div>
+                      )}
+                      <div className="mb-2 flex gap-3 text-xs text-slate-600 dark:text-slate-300">
+                        <label className="flex items-center gap-1">
+                          <input type="checkbox" checked={attr.required} onChange={(e) => updateSchemaAttribute(index, { required: e.target.checked })} />
+                          Required
+                        </label>
+                        {attr.type === "text" && (
+                          <label className="flex items-center gap-1">
+                            <input type="checkbox" checked={attr.searchable} onChange={(e) => updateSchemaAttribute(index, { searchable: e.target.checked })} />
+                            Searchable
+                          </label>
+                        )}
+                        <label className="flex items-center gap-1">
+                          <input type="checkbox" checked={attr.filterable} onChange={(e) => updateSchemaAttribute(index, { filterable: e.target.checked })} />
+                          Agent filter
+                        </label>
+                      </div>
+                      <button
+                        onClick={() => setSchemaForm({ ...schemaForm, attributes: schemaForm.attributes.filter((_, i) => i !== index) })}
+                        className="mb-2 text-xs text-red-500 hover:underline"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <button
+                  onClick={() => setSchemaForm({
+                    ...schemaForm,
+                    attributes: [...schemaForm.attributes, { key: "", label: "", type: "text", options: "", required: false, searchable: true, filterable: false }],
+                  })}
+                  className="mt-2 text-xs font-medium text-emerald-600 hover:underline dark:text-emerald-400"
+                >
+                  + Add field
+                </button>
+              </div>
+
+              <div>
+                <h3 className="mb-1 text-sm font-semibold text-slate-800 dark:text-slate-200">Variant options</h3>
+                <p className="mb-2 text-xs text-slate-400">What variants differ in, e.g. size or colour. Each variant has its own stock, SKU and optional price.</p>
+                <div className="space-y-2">
+                  {schemaForm.variant_options.map((option, index) => (
+                    <div key={index} className="flex flex-wrap items-end gap-2 rounded-lg border border-slate-100 p-2 dark:border-slate-700">
+                      <div className="w-28">
+                        <span className="text-[10px] uppercase text-slate-400">Key</span>
+                        <input type="text" placeholder="size" value={option.key} onChange={(e) => updateSchemaOption(index, { key: e.target.value })} className={inputCls} />
+                      </div>
+                      <div className="w-32">
+                        <span className="text-[10px] uppercase text-slate-400">Label</span>
+                        <input type="text" placeholder="Size" value={option.label} onChange={(e) => updateSchemaOption(index, { label: e.target.value })} className={inputCls} />
+                      </div>
+                      <div className="flex-1">
+                        <span className="text-[10px] uppercase text-slate-400">Values (comma-separated, empty for any)</span>
+                        <input type="text" placeholder="S, M, L" value={option.values} onChange={(e) => updateSchemaOption(index, { values: e.target.value })} className={inputCls} />
+                      </div>
+                      <button
+                        onClick={() => setSchemaForm({ ...schemaForm, variant_options: schemaForm.variant_options.filter((_, i) => i !== index) })}
+                        className="mb-2 text-xs text-red-500 hover:underline"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                {schemaForm.variant_options.length < 3 && (
+                  <button
+                    onClick={() => setSchemaForm({
+                      ...schemaForm,
+                      variant_options: [...schemaForm.variant_options, { key: "", label: "", values: "" }],
+                    })}
+                    className="mt-2 text-xs font-medium text-emerald-600 hover:underline dark:text-emerald-400"
+                  >
+                    + Add option
+                  </button>
+                )}
+              </div>
+            </div>
+
+            <div className="mt-5 flex justify-end gap-3">
+              <button
+                onClick={() => setSchemaForm(null)}
+                className="rounded-lg border border-slate-200 px-4 py-2 text-sm font-medium text-slate-600 transition hover:bg-slate-50 dark:border-slate-700 dark:text-slate-300 dark:hover:bg-slate-800"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSaveSchema}
+                disabled={saving}
+                className="rounded-lg bg-emerald-500 px-4 py-2 text-sm font-medium text-white transition hover:bg-emerald-600 disabled:opacity-50"
+              >
+                {saving ? "Saving..." : "Save"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -10,12 +10,33 @@ type ToolLog = {
   result: unknown;
 };
 
+type KbMatch = {
+  id?: string;
+  title: string;
+  section?: string | null;
+  page?: number | null;
+  score: number;
+  matched_by?: string[];
+  text: string;
+};
+
+// Set when the org has strict grounding on and the bot declined to answer
+type GroundingDecline = { action: "decline" | "handoff"; reason: string };
+
+// Set when a curated FAQ answered instead of the AI
+type FaqMatch = { id: string; question: string; matchedQuestion: string; similarity: number };
+
 type ChatMessage = {
   role: "user" | "assistant";
   content: string;
   toolLogs?: ToolLog[];
-  kbMatches?: { title: string; score: number; text: string }[];
+  kbMatches?: KbMatch[];
+  citedChunkIds?: string[] | null;
+  declined?: GroundingDecline | null;
+  faq?: FaqMatch;
+  searchQuery?: string;
   mode?: string;
+  error?: string;
 };
 
 export default function ChatTesterPage() {
@@ -56,8 +77,13 @@ export default function ChatTesterPage() {
         ok: boolean;
         reply: string;
         toolLogs: ToolLog[];
-        kbMatches?: { title: string; score: number; text: string }[];
+        kbMatches?: KbMatch[];
+        citedChunkIds?: string[] | null;
+        declined?: GroundingDecline | null;
+        faq?: FaqMatch;
+        searchQuery?: string;
         mode: string;
+        error?: string;
       }>("/api/chat-test", { message: text, history });
 
       const assistantMsg: ChatMessage = {
@@ -65,7 +91,12 @@ export default function ChatTesterPage() {
         content: res.reply,
         toolLogs: res.toolLogs,
         kbMatches: res.kbMatches,
+        citedChunkIds: res.citedChunkIds,
+        declined: res.declined,
+        faq: res.faq,
+        searchQuery: res.searchQuery,
         mode: res.mode,
+        error: res.error,
       };
       setMessages((prev) => [...prev, assistantMsg]);
     } catch {
@@ -171,6 +202,31 @@ export default function ChatTesterPage() {
                   </div>
                 )}
 
+                {/* Every model failed: this is what the customer would get */}
+                {msg.role === "assistant" && msg.mode === "fallback" && (
+                  <p className="ml-2 mt-2 text-xs text-amber-600 dark:text-amber-400">
+                    ⚠️ Fallback reply — no AI model answered{msg.error ? `: ${msg.error}` : ""}
+                  </p>
+                )}
+
+                {msg.role === "assistant" && msg.mode === "faq" && msg.faq && (
+                  <p className="ml-2 mt-2 text-xs text-emerald-600 dark:text-emerald-400" title={`Matched "${msg.faq.matchedQuestion}"`}>
+                    📌 FAQ answer — &ldquo;{msg.faq.question}&rdquo; ({msg.faq.similarity.toFixed(2)})
+                  </p>
+                )}
+
+                {/* Strict grounding: what the reply was based on */}
+                {msg.role === "assistant" && msg.declined && (
+                  <p className="ml-2 mt-2 text-xs text-amber-600 dark:text-amber-400">
+                    🚫 Declined{msg.declined.action === "handoff" ? " and handed off to a human" : ""} — {msg.declined.reason}
+                  </p>
+                )}
+                {msg.role === "assistant" && !msg.declined && msg.citedChunkIds && msg.citedChunkIds.length > 0 && (
+                  <p className="ml-2 mt-2 text-xs text-emerald-600 dark:text-emerald-400">
+                    📎 Cites {msg.citedChunkIds.length} KB chunk{msg.citedChunkIds.length > 1 ? "s" : ""}
+                  </p>
+                )}
+
                 {/* KB Matches (for kb_only mode) */}
                 {msg.role === "assistant" && msg.kbMatches && msg.kbMatches.length > 0 && (
                   <div className="ml-2 mt-2">
@@ -183,6 +239,11 @@ export default function ChatTesterPage() {
                     </button>
                     {expandedTools[i] && (
                       <div className="mt-1 space-y-1">
+                        {msg.searchQuery && (
+                          <p className="text-xs text-slate-500 dark:text-slate-400">
+                            Searched for: <span className="italic">“{msg.searchQuery}”</span>
+                          </p>
+                        )}
                         {msg.kbMatches.map((match, j) => (
                           <div
                             key={j}
@@ -191,11 +252,22 @@ export default function ChatTesterPage() {
                             <div className="flex items-center justify-between">
                               <span className="font-medium text-sky-700 dark:text-sky-300">
                                 {match.title}
+                                {match.id && msg.citedChunkIds?.includes(match.id) && (
+                                  <span className="ml-1.5 rounded bg-emerald-100 px-1 text-[10px] font-semibold text-emerald-700 dark:bg-emerald-900/40 dark:text-emerald-300">
+                                    cited
+                                  </span>
+                                )}
                               </span>
                               <span className="text-sky-500">
+                                {match.matched_by && `${match.matched_by.join(" + ")} · `}
                                 score: {match.score?.toFixed(3)}
                               </span>
                             </div>
+                            {(match.section || match.page) && (
+                              <p className="mt-0.5 text-slate-500 dark:text-slate-400">
+                                {[match.section, match.page ? `page ${match.page}` : null].filter(Boolean).join(" · ")}
+                              </p>
+                            )}
                             <p className="mt-1 text-slate-600 dark:text-slate-400">
                               {match.text}...
                             </p>
@@ -227,7 +299,7 @@ export default function ChatTesterPage() {
           value={input}
           onChange={(e) => setInput(e.target.value)}
           onKeyDown={(e) => { if (e.key === "Enter") handleSend(); }}
-          placeholder={agentMode === "ordering_agent" ? "Try: 'Show me programming books'" : "Ask a question..."}
+          placeholder={agentMode === "ordering_agent" ? "Try: 'What do you have in stock?'" : "Ask a question..."}
           disabled={loading}
           className="flex-1 rounded-xl border border-slate-200 bg-white px-4 py-3 text-sm outline-none focus:border-emerald-500 disabled:opacity-50 dark:border-slate-700 dark:bg-slate-800 dark:text-white"
         />
@@ -0,0 +1,339 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import {
+  backendGet,
+  backendPostJson,
+  backendPatch,
+  backendDelete,
+} from "@/lib/backendClient";
+import type { Faq } from "@/lib/types";
+
+type FaqFormData = {
+  question: string;
+  variants: string;
+  answer: string;
+  enabled: boolean;
+};
+
+const emptyForm: FaqFormData = {
+  question: "",
+  variants: "",
+  answer: "",
+  enabled: true,
+};
+
+export default function FaqsPage() {
+  const [faqs, setFaqs] = useState<Faq[]>([]);
+  const [search, setSearch] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingFaq, setEditingFaq] = useState<Faq | null>(null);
+  const [form, setForm] = useState<FaqFormData>(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [toast, setToast] = useState<{ message: string; type: "success" | "error" } | null>(null);
+
+  const fetchFaqs = useCallback(
+    () =>
+      backendGet<{ ok: boolean; faqs: Faq[] }>("/api/faqs")
+        .then((res) => {
+          if (res.ok) setFaqs(res.faqs);
+        })
+        .catch(() => setToast({ message: "Failed to load FAQs", type: "error" }))
+        .finally(() => setLoading(false)),
+    []
+  );
+
+  useEffect(() => {
+    fetchFaqs();
+  }, [fetchFaqs]);
+
+  useEffect(() => {
+    if (toast) {
+      const t = setTimeout(() => setToast(null), 3000);
+      return () => clearTimeout(t);
+    }
+  }, [toast]);
+
+  const openCreate = () => {
+    setEditingFaq(null);
+    setForm(emptyForm);
+    setError("");
+    setShowModal(true);
+  };
+
+  const openEdit = (faq: Faq) => {
+    setEditingFaq(faq);
+    setForm({
+      question: faq.question,
+      variants: faq.variants.join("\n"),
+      answer: faq.answer,
+      enabled: faq.enabled,
+    });
+    setError("");
+    setShowModal(true);
+  };
+
+  const handleSubmit = async () => {
+    if (!form.question.trim() || !form.answer.trim()) {
+      setError("Question and answer are required.");
+      return;
+    }
+
+    setSaving(true);
+    setError("");
+    try {
+      const payload = {
+        question: form.question.trim(),
+        variants: form.variants.split("\n").map((v) => v.trim()).filter(Boolean),
+        answer: form.answer.trim(),
+        enabled: form.enabled,
+      };
+
+      if (editingFaq) {
+        await backendPatch(`/api/faqs/${editingFaq.id}`, payload);
+        setToast({ message: "FAQ updated successfully", type: "success" });
+      } else {
+        await backendPostJson("/api/faqs", payload);
+        setToast({ message: "FAQ created successfully", type: "success" });
+      }
+
+      setShowModal(false);
+      fetchFaqs();
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : "Failed to save FAQ");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (faq: Faq) => {
+    try {
+      await backendPatch(`/api/faqs/${faq.id}`, { enabled: !faq.enabled });
+      setFaqs((prev) => prev.map((f) => (f.id === faq.id ? { ...f, enabled: !faq.enabled } : f)));
+    } catch {
+      setToast({ message: "Failed to update FAQ", type: "error" });
+    }
+  };
+
+  const handleDelete = async (faq: Faq) => {
+    if (!confirm(`Delete the FAQ "${faq.question}"?`)) return;
+    try {
+      await backendDelete(`/api/faqs/${faq.id}`);
+      setToast({ message: "FAQ deleted", type: "success" });
+      fetchFaqs();
+    } catch {
+      setToast({ message: "Failed to delete FAQ", type: "error" });
+    }
+  };
+
+  const query = search.trim().toLowerCase();
+  const visibleFaqs = query
+    ? faqs.filter((f) =>
+        [f.question, f.answer, ...f.variants].some((text) => text.toLowerCase().includes(query))
+      )
+    : faqs;
+
+  const statusBadge = (faq: Faq) => {
+    if (!faq.enabled)
+      return <span className="inline-block rounded-full bg-slate-100 px-2 py-0.5 text-xs font-medium text-slate-600 dark:bg-slate-700 dark:text-slate-300">Disabled</span>;
+    if (faq.matchable === false)
+      return (
+        <span
+          className="inline-block rounded-full bg-amber-100 px-2 py-0.5 text-xs font-medium text-amber-700 dark:bg-amber-500/10 dark:text-amber-400"
+          title="Some questions aren't embedded with the current embedding model yet. They are being re-embedded; refresh in a moment."
+        >
+          Not matchable yet
+        </span>
+      );
+    return <span className="inline-block rounded-full bg-emerald-100 px-2 py-0.5 text-xs font-medium text-emerald-700 dark:bg-emerald-500/10 dark:text-emerald-400">Active</span>;
+  };
+
+  return (
+    <div className="p-6 lg:p-8">
+      {/* Toast */}
+      {toast && (
+        <div className={`fixed right-6 top-6 z-50 rounded-lg px-4 py-3 text-sm font-medium shadow-lg ${
+          toast.type === "success"
+            ? "bg-emerald-500 text-white"
+            : "bg-red-500 text-white"
+        }`}>
+          {toast.message}
+        </div>
+      )}
+
+      {/* Header */}
+      <div className="mb-6 flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-900 dark:text-white">Curated FAQs</h1>
+          <p className="text-sm text-slate-500 dark:text-slate-400">
+            Approved answers sent word for word when a customer asks one of these questions ({faqs.length} FAQs)
+          </p>
+        </div>
+        <button
+          onClick={openCreate}
+          className="rounded-lg bg-emerald-500 px-4 py-2 text-sm font-medium text-white transition hover:bg-emerald-600"
+        >
+          + Add FAQ
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="mb-4 flex flex-wrap gap-3">
+        <input
+          type="text"
+          placeholder="Search questions and answers..."
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="flex-1 rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm outline-none focus:border-emerald-500 dark:border-slate-700 dark:bg-slate-800 dark:text-white"
+        />
+      </div>
+
+      {/* Table */}
+      <div className="overflow-x-auto rounded-xl border border-slate-200 bg-white dark:border-slate-700 dark:bg-slate-900">
+        <table className="w-full text-left text-sm">
+          <thead className="border-b border-slate-200 bg-slate-50 dark:border-slate-700 dark:bg-slate-800">
+            <tr>
+              <th className="px-4 py-3 font-medium text-slate-600 dark:text-slate-300">Question</th>
+              <th className="px-4 py-3 font-medium text-slate-600 dark:text-slate-300">Answer</th>
+              <th className="px-4 py-3 font-medium text-slate-600 dark:text-slate-300 text-right">Hits</th>
+              <th className="px-4 py-3 font-medium text-slate-600 dark:text-slate-300">Last Used</th>
+              <th className="px-4 py-3 font-medium text-slate-600 dark:text-slate-300">Status</th>
+              <th className="px-4 py-3 font-medium text-slate-600 dark:text-slate-300">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr><td colSpan={6} className="px-4 py-8 text-center text-slate-400">Loading...</td></tr>
+            ) : visibleFaqs.length === 0 ? (
+              <tr><td colSpan={6} className="px-4 py-8 text-center text-slate-400">No FAQs found. Add your first FAQ to get started.</td></tr>
+            ) : (
+              visibleFaqs.map((faq) => (
+                <tr key={faq.id} className="border-b border-slate-100 align-top transition hover:bg-slate-50 dark:border-slate-800 dark:hover:bg-slate-800/50">
+                  <td className="max-w-xs px-4 py-3">
+                    <div className="font-medium text-slate-900 dark:text-white">{faq.question}</div>
+                    {faq.variants.length > 0 && (
+                      <div className="text-xs text-slate-400" title={faq.variants.join("\n")}>
+                        +{faq.variants.length} variant{faq.variants.length > 1 ? "s" : ""}
+                      </div>
+                    )}
+                  </td>
+                  <td className="max-w-md px-4 py-3 text-slate-600 dark:text-slate-300">
+                    <p className="line-clamp-3 whitespace-pre-wrap">{faq.answer}</p>
+                  </td>
+                  <td className="px-4 py-3 text-right font-medium text-slate-900 dark:text-white">{faq.hit_count.toLocaleString()}</td>
+                  <td className="px-4 py-3 text-slate-600 dark:text-slate-300">
+                    {faq.last_hit_at ? new Date(faq.last_hit_at).toLocaleString() : "—"}
+                  </td>
+                  <td className="px-4 py-3">{statusBadge(faq)}</td>
+                  <td className="px-4 py-3">
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => openEdit(faq)}
+                        className="rounded border border-slate-200 px-2 py-1 text-xs text-slate-600 transition hover:bg-slate-100 dark:border-slate-600 dark:text-slate-300 dark:hover:bg-slate-700"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => handleToggle(faq)}
+                        className="rounded border border-slate-200 px-2 py-1 text-xs text-slate-600 transition hover:bg-slate-100 dark:border-slate-600 dark:text-slate-300 dark:hover:bg-slate-700"
+                      >
+                        {faq.enabled ? "Disable" : "Enable"}
+                      </button>
+                      <button
+                        onClick={() => handleDelete(faq)}
+                        className="rounded border border-red-200 px-2 py-1 text-xs text-red-600 transition hover:bg-red-50 dark:border-red-800 dark:text-red-400 dark:hover:bg-red-900/30"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Modal */}
+      {showModal && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+          <div className="w-full max-w-lg rounded-xl bg-white p-6 shadow-xl dark:bg-slate-900">
+            <h2 className="mb-4 text-lg font-bold text-slate-900 dark:text-white">
+              {editingFaq ? "Edit FAQ" : "Add New FAQ"}
+            </h2>
+
+            {error && (
+              <div className="mb-4 rounded-lg bg-red-50 px-4 py-2 text-sm text-red-600 dark:bg-red-900/30 dark:text-red-400">
+                {error}
+              </div>
+            )}
+
+            <div className="space-y-3">
+              <div>
+                <label className="mb-1 block text-xs font-medium text-slate-600 dark:text-slate-400">Question *</label>
+                <input
+                  type="text"
+                  value={form.question}
+                  onChange={(e) => setForm({ ...form, question: e.target.value })}
+                  placeholder="What are your opening hours?"
+                  className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-emerald-500 dark:border-slate-700 dark:bg-slate-800 dark:text-white"
+                />
+              </div>
+
+              <div>
+                <label className="mb-1 block text-xs font-medium text-slate-600 dark:text-slate-400">
+                  Other Ways to Ask (one per line)
+                </label>
+                <textarea
+                  value={form.variants}
+                  onChange={(e) => setForm({ ...form, variants: e.target.value })}
+                  rows={3}
+                  placeholder={"When are you open?\nWhat time do you close?"}
+                  className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-emerald-500 dark:border-slate-700 dark:bg-slate-800 dark:text-white"
+                />
+              </div>
+
+              <div>
+                <label className="mb-1 block text-xs font-medium text-slate-600 dark:text-slate-400">Answer *</label>
+                <textarea
+                  value={form.answer}
+                  onChange={(e) => setForm({ ...form, answer: e.target.value })}
+                  rows={4}
+                  className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-emerald-500 dark:border-slate-700 dark:bg-slate-800 dark:text-white"
+                />
+                <p className="mt-1 text-xs text-slate-400">Sent to the customer exactly as written.</p>
+              </div>
+
+              <label className="flex items-center gap-2 text-sm text-slate-600 dark:text-slate-300">
+                <input
+                  type="checkbox"
+                  checked={form.enabled}
+                  onChange={(e) => setForm({ ...form, enabled: e.target.checked })}
+                />
+                Enabled
+              </label>
+            </div>
+
+            <div className="mt-5 flex justify-end gap-3">
+              <button
+                onClick={() => setShowModal(false)}
+                className="rounded-lg border border-slate-200 px-4 py-2 text-sm font-medium text-slate-600 transition hover:bg-slate-50 dark:border-slate-700 dark:text-slate-300 dark:hover:bg-slate-800"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSubmit}
+                disabled={saving}
+                className="rounded-lg bg-emerald-500 px-4 py-2 text-sm font-medium text-white transition hover:bg-emerald-600 disabled:opacity-50"
+              >
+                {saving ? "Saving..." : editingFaq ? "Update FAQ" : "Add FAQ"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
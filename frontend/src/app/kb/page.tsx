@@ -1,23 +1,428 @@
 "use client";
 
-import { FormEvent, useEffect, useMemo, useState } from "react";
+import { FormEvent, useCallback, useEffect, useMemo, useState } from "react";
 import { API_BASE } from "@/lib/api";
-import { backendPostForm, backendPostJson, getSelectedWaAccountId } from "@/lib/backendClient";
-import type { KbAddTextRequest, KbAddTextResponse, KbUploadPdfResponse } from "@/lib/types";
+import {
+  backendDelete,
+  backendGet,
+  backendPatch,
+  backendPostForm,
+  backendPostJson,
+  getSelectedWaAccountId,
+} from "@/lib/backendClient";
+import { createOrgSocket } from "@/lib/socket";
+import type {
+  KbAddTextRequest,
+  KbAddTextResponse,
+  KbChunk,
+  KbChunkingOptions,
+  KbChunkStrategy,
+  KbEmbeddingStatus,
+  KbSource,
+  KbSourceStatus,
+  KbSourceUpdatedEvent,
+  KbUploadResponse,
+} from "@/lib/types";
 
 type Status =
   | { state: "idle"; message?: string }
   | { state: "loading"; message: string }
-  | { state: "success"; message: string; addedChunks: number }
+  | { state: "success"; message: string; jobId: string }
   | { state: "error"; message: string };
 
 const initialForm: KbAddTextRequest = { title: "", text: "" };
+
+// Formats handled by the backend extractors (POST /kb/upload)
+const KB_FILE_ACCEPT = ".pdf,.docx,.txt,.csv,.tsv,.md,.markdown,.html,.htm";
 type UploadStatus =
   | { state: "idle"; message?: string }
   | { state: "loading"; message: string }
-  | { state: "success"; message: string; addedChunks: number; pages: number | null }
+  | { state: "success"; message: string; jobId: string; pages: number | null; rows: number | null }
   | { state: "error"; message: string };
 
+// Defaults match backend chunker.js (KB_CHUNK_MAX_TOKENS / KB_CHUNK_OVERLAP_TOKENS)
+const DEFAULT_CHUNKING: KbChunkingOptions = { strategy: "structured", maxTokens: 256, overlapTokens: 40 };
+
+const CHUNK_STRATEGY_LABELS: Record<KbChunkStrategy, string> = {
+  structured: "Structured (headings, lists, tables, pages)",
+  sentence: "Sentences only",
+  fixed: "Fixed word windows",
+};
+
+function ChunkingFields({
+  value,
+  onChange,
+}: {
+  value: KbChunkingOptions;
+  onChange: (value: KbChunkingOptions) => void;
+}) {
+  return (
+    <details className="rounded-xl border border-slate-800 bg-slate-900/80 px-4 py-3 text-sm text-slate-300">
+      <summary className="cursor-pointer text-xs uppercase tracking-wide text-slate-500">
+        Chunking: {value.strategy}, {value.maxTokens} tokens, {value.overlapTokens} overlap
+      </summary>
+      <div className="mt-3 grid gap-3 sm:grid-cols-3">
+        <label className="block space-y-1 sm:col-span-3">
+          <span className="text-xs text-slate-400">Strategy</span>
+          <select
+            value={value.strategy}
+            onChange={(e) => onChange({ ...value, strategy: e.target.value as KbChunkStrategy })}
+            className="w-full rounded-lg border border-slate-800 bg-slate-900 px-3 py-2 text-white outline-none focus:border-emerald-500"
+          >
+            {(Object.keys(CHUNK_STRATEGY_LABELS) as KbChunkStrategy[]).map((strategy) => (
+              <option key={strategy} value={strategy}>
+                {CHUNK_STRATEGY_LABELS[strategy]}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="block space-y-1">
+          <span className="text-xs text-slate-400">Chunk size (tokens)</span>
+          <input
+            type="number"
+            min={32}
+            max={1024}
+            value={value.maxTokens}
+            onChange={(e) => onChange({ ...value, maxTokens: Number(e.target.value) })}
+            className="w-full rounded-lg border border-slate-800 bg-slate-900 px-3 py-2 text-white outline-none focus:border-emerald-500"
+          />
+        </label>
+        <label className="block space-y-1">
+          <span className="text-xs text-slate-400">Overlap (tokens)</span>
+          <input
+            type="number"
+            min={0}
+            max={Math.floor(value.maxTokens / 2)}
+            value={value.overlapTokens}
+            onChange={(e) => onChange({ ...value, overlapTokens: Number(e.target.value) })}
+            className="w-full rounded-lg border border-slate-800 bg-slate-900 px-3 py-2 text-white outline-none focus:border-emerald-500"
+          />
+        </label>
+      </div>
+      <p className="mt-2 text-xs text-slate-500">
+        Structured chunks never cross a heading and remember their section and page, which the bot sees with
+        each snippet.
+      </p>
+    </details>
+  );
+}
+
+const describeChunk = (chunk: KbChunk) => {
+  const { section, page, pages, rows } = chunk.metadata || {};
+  return [
+    section,
+    pages ? `pages ${pages[0]}–${pages[1]}` : page ? `page ${page}` : null,
+    rows ? `rows ${rows[0]}–${rows[1]}` : null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+};
+
+const SOURCE_STATUS_COLORS: Record<KbSourceStatus, string> = {
+  processing: "bg-amber-500/15 text-amber-300",
+  ready: "bg-emerald-500/15 text-emerald-300",
+  error: "bg-rose-500/15 text-rose-300",
+};
+
+const CHUNK_PAGE_SIZE = 50;
+
+const formatDate = (iso?: string | null) => {
+  if (!iso) return "—";
+  return new Date(iso).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+};
+
+function SourceChunks({ sourceId, accountId }: { sourceId: string; accountId: string | null }) {
+  const [chunks, setChunks] = useState<KbChunk[]>([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+
+  const loadChunks = useCallback(
+    (offset: number) =>
+      backendGet<{ ok: boolean; chunks: KbChunk[]; total: number }>(
+        `/api/kb/sources/${sourceId}/chunks?limit=${CHUNK_PAGE_SIZE}&offset=${offset}`,
+        accountId
+      )
+        .then((res) => {
+          if (res.ok) {
+            setChunks((prev) => (offset === 0 ? res.chunks : [...prev, ...res.chunks]));
+            setTotal(res.total);
+          }
+        })
+        .catch(console.error)
+        .finally(() => setLoading(false)),
+    [sourceId, accountId]
+  );
+
+  useEffect(() => {
+    loadChunks(0);
+  }, [loadChunks]);
+
+  if (loading && chunks.length === 0) {
+    return <p className="px-4 py-3 text-xs text-slate-500">Loading chunks...</p>;
+  }
+
+  return (
+    <div className="space-y-2 px-4 py-3">
+      {chunks.length === 0 && <p className="text-xs text-slate-500">No chunks stored for this source.</p>}
+      {chunks.map((chunk) => (
+        <div key={chunk.id} className="rounded-xl border border-slate-800 bg-slate-950/60 p-3">
+          <div className="mb-1 flex items-center gap-2 text-[11px] uppercase tracking-wide text-slate-500">
+            Chunk {chunk.chunk_index + 1}
+            {describeChunk(chunk) && (
+              <span className="normal-case tracking-normal text-slate-400">{describeChunk(chunk)}</span>
+            )}
+            {chunk.embedding_status !== "done" && (
+              <span
+                className={chunk.embedding_status === "failed" ? "text-rose-300" : "text-amber-300"}
+                title={chunk.embedding_error || ""}
+              >
+                {chunk.embedding_status === "failed" ? "not embedded" : "waiting"}
+              </span>
+            )}
+          </div>
+          <p className="line-clamp-4 whitespace-pre-wrap text-xs text-slate-300" title={chunk.text}>
+            {chunk.text}
+          </p>
+        </div>
+      ))}
+      {chunks.length < total && (
+        <button
+          type="button"
+          onClick={() => {
+            setLoading(true);
+            loadChunks(chunks.length);
+          }}
+          disabled={loading}
+          className="text-xs font-medium text-emerald-300 hover:text-emerald-200 disabled:opacity-50"
+        >
+          {loading ? "Loading..." : `Show more (${total - chunks.length} left)`}
+        </button>
+      )}
+    </div>
+  );
+}
+
+function KbSourcesSection({ accountId, reloadKey }: { accountId: string | null; reloadKey: number }) {
+  const [sources, setSources] = useState<KbSource[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [embedding, setEmbedding] = useState<KbEmbeddingStatus | null>(null);
+
+  const fetchSources = useCallback(
+    () =>
+      backendGet<{ ok: boolean; sources: KbSource[] }>("/api/kb/sources", accountId)
+        .then((res) => {
+          if (res.ok) setSources(res.sources);
+        })
+        .catch((err: Error) => setError(err.message || "Failed to load sources"))
+        .finally(() => setLoading(false)),
+    [accountId]
+  );
+
+  useEffect(() => {
+    if (accountId) fetchSources();
+  }, [accountId, reloadKey, fetchSources]);
+
+  useEffect(() => {
+    if (!accountId) return;
+    backendGet<{ ok: boolean } & KbEmbeddingStatus>("/api/kb/embedding", accountId)
+      .then((res) => {
+        if (res.ok) setEmbedding(res);
+      })
+      .catch(console.error);
+  }, [accountId, reloadKey]);
+
+  const staleIds = new Set(embedding?.staleSources.map((s) => s.id) ?? []);
+
+  // Upload and re-index progress
+  useEffect(() => {
+    const socket = createOrgSocket();
+    socket.on("kb:source-updated", (event: KbSourceUpdatedEvent) => {
+      setSources((prev) =>
+        prev.map((s) =>
+          s.id === event.sourceId
+            ? {
+                ...s,
+                status: event.status,
+                processed_chunks: event.processed_chunks,
+                chunk_count: event.chunk_count,
+                error: event.error,
+              }
+            : s
+        )
+      );
+    });
+    return () => {
+      socket.close();
+    };
+  }, []);
+
+  const runAction = async (sourceId: string, action: () => Promise<unknown>) => {
+    setBusyId(sourceId);
+    setError(null);
+    try {
+      await action();
+      await fetchSources();
+    } catch (err) {
+      setError((err as Error).message || "Action failed");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRename = (source: KbSource) => {
+    const title = prompt("Rename source", source.title)?.trim();
+    if (!title || title === source.title) return;
+    void runAction(source.id, () => backendPatch(`/api/kb/sources/${source.id}`, { title }, accountId));
+  };
+
+  const handleReindex = (source: KbSource) => {
+    void runAction(source.id, () => backendPostJson(`/api/kb/sources/${source.id}/reindex`, {}, accountId));
+  };
+
+  const handleRetry = (source: KbSource) => {
+    void runAction(source.id, () => backendPostJson(`/api/kb/sources/${source.id}/retry`, {}, accountId));
+  };
+
+  const handleDelete = (source: KbSource) => {
+    if (!confirm(`Delete "${source.title}" and its ${source.chunk_count} chunk(s)? The bot will stop using it.`)) return;
+    void runAction(source.id, () => backendDelete(`/api/kb/sources/${source.id}`, accountId));
+  };
+
+  return (
+    <section className="mt-10 rounded-2xl border border-slate-800 bg-slate-900/60 shadow-sm">
+      <div className="flex items-center justify-between border-b border-slate-800 p-6">
+        <div>
+          <p className="text-sm uppercase tracking-wide text-slate-500">Sources</p>
+          <h2 className="text-xl font-semibold text-white">What the bot knows</h2>
+        </div>
+        <span className="text-sm text-slate-400">
+          {sources.length} source{sources.length === 1 ? "" : "s"} ·{" "}
+          {sources.reduce((sum, s) => sum + (s.chunk_count || 0), 0)} chunks
+        </span>
+      </div>
+
+      {error && <p className="px-6 pt-4 text-sm text-rose-300">{error}</p>}
+      {embedding && embedding.staleSources.length > 0 && (
+        <p className="mx-6 mt-4 rounded-xl border border-amber-500/30 bg-amber-500/10 px-4 py-3 text-sm text-amber-200">
+          {embedding.staleSources.length} source{embedding.staleSources.length === 1 ? " was" : "s were"} embedded
+          with a different model than the one in use ({embedding.model.id}). The bot only finds them by exact
+          words until you re-index them.
+        </p>
+      )}
+
+      {!accountId ? (
+        <p className="p-6 text-sm text-slate-500">Select a WhatsApp account first.</p>
+      ) : loading ? (
+        <p className="p-6 text-sm text-slate-500">Loading sources...</p>
+      ) : sources.length === 0 ? (
+        <p className="p-6 text-sm text-slate-500">Nothing added yet. Add text or upload a file above.</p>
+      ) : (
+        <ul className="divide-y divide-slate-800">
+          {sources.map((source) => {
+            const processing = source.status === "processing";
+            const progress = source.chunk_count > 0
+              ? Math.min(100, Math.round((source.processed_chunks / source.chunk_count) * 100))
+              : 0;
+            return (
+              <li key={source.id}>
+                <div className="flex flex-wrap items-center gap-3 px-6 py-4">
+                  <button
+                    type="button"
+                    onClick={() => setExpandedId(expandedId === source.id ? null : source.id)}
+                    className="min-w-0 flex-1 text-left"
+                  >
+                    <div className="flex items-center gap-2">
+                      <span className="text-xs text-slate-500">{expandedId === source.id ? "▼" : "▶"}</span>
+                      <span className="truncate font-medium text-white">{source.title}</span>
+                      <span className="rounded-full bg-slate-800 px-2 py-0.5 text-[11px] uppercase text-slate-400">
+                        {source.source_type}
+                      </span>
+                      <span className={`rounded-full px-2 py-0.5 text-[11px] font-medium ${SOURCE_STATUS_COLORS[source.status]}`}>
+                        {processing ? `processing ${source.processed_chunks}/${source.chunk_count}` : source.status}
+                      </span>
+                      {staleIds.has(source.id) && (
+                        <span
+                          className="rounded-full bg-amber-500/15 px-2 py-0.5 text-[11px] font-medium text-amber-300"
+                          title={`Embedded with ${source.embedding_model}`}
+                        >
+                          re-index needed
+                        </span>
+                      )}
+                    </div>
+                    <div className="mt-1 pl-5 text-xs text-slate-500">
+                      {source.chunk_count} chunk{source.chunk_count === 1 ? "" : "s"}
+                      {source.original_filename && ` · ${source.original_filename}`}
+                      {source.chunking && ` · ${source.chunking.strategy}, ${source.chunking.maxTokens} tokens`}
+                      {source.embedding_model && ` · ${source.embedding_model}`}
+                      {` · added ${formatDate(source.created_at)}`}
+                      {source.reindexed_at && ` · re-indexed ${formatDate(source.reindexed_at)}`}
+                    </div>
+                    {source.error && <div className="mt-1 pl-5 text-xs text-rose-300">{source.error}</div>}
+                    {processing && (
+                      <div className="ml-5 mt-2 h-1.5 max-w-xs overflow-hidden rounded-full bg-slate-800">
+                        <div className="h-full bg-amber-400 transition-all" style={{ width: `${progress}%` }} />
+                      </div>
+                    )}
+                  </button>
+
+                  <div className="flex gap-2">
+                    {source.error && !processing && (
+                      <button
+                        type="button"
+                        onClick={() => handleRetry(source)}
+                        disabled={busyId === source.id}
+                        title="Embed the chunks that failed, without uploading the file again"
+                        className="rounded-full border border-amber-700 px-3 py-1 text-xs text-amber-300 transition hover:bg-amber-950 disabled:opacity-50"
+                      >
+                        Retry failed
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => handleRename(source)}
+                      disabled={busyId === source.id}
+                      className="rounded-full border border-slate-700 px-3 py-1 text-xs text-slate-300 transition hover:bg-slate-800 disabled:opacity-50"
+                    >
+                      Rename
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleReindex(source)}
+                      disabled={busyId === source.id || processing}
+                      title="Rebuild embeddings, e.g. after changing the embedding model"
+                      className="rounded-full border border-slate-700 px-3 py-1 text-xs text-slate-300 transition hover:bg-slate-800 disabled:opacity-50"
+                    >
+                      Re-index
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(source)}
+                      disabled={busyId === source.id}
+                      className="rounded-full border border-rose-900 px-3 py-1 text-xs text-rose-300 transition hover:bg-rose-950 disabled:opacity-50"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+
+                {expandedId === source.id && <SourceChunks sourceId={source.id} accountId={accountId} />}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+}
+
 export default function KnowledgeBasePage() {
   const [form, setForm] = useState<KbAddTextRequest>(initialForm);
   const [status, setStatus] = useState<Status>({
@@ -25,12 +430,15 @@ export default function KnowledgeBasePage() {
     message: "",
   });
   const [selectedAccount, setSelectedAccount] = useState<string | null>(null);
-  const [pdfTitle, setPdfTitle] = useState("");
-  const [pdfFile, setPdfFile] = useState<File | null>(null);
+  const [uploadTitle, setUploadTitle] = useState("");
+  const [uploadFile, setUploadFile] = useState<File | null>(null);
   const [uploadStatus, setUploadStatus] = useState<UploadStatus>({
     state: "idle",
     message: "",
   });
+  const [textChunking, setTextChunking] = useState<KbChunkingOptions>(DEFAULT_CHUNKING);
+  const [uploadChunking, setUploadChunking] = useState<KbChunkingOptions>(DEFAULT_CHUNKING);
+  const [sourcesReloadKey, setSourcesReloadKey] = useState(0);
 
   useEffect(() => {
     setSelectedAccount(getSelectedWaAccountId());
@@ -47,17 +455,24 @@ export default function KnowledgeBasePage() {
       setStatus({ state: "error", message: "Select a WhatsApp account first." });
       return;
     }
-    setStatus({ state: "loading", message: "Uploading and embedding..." });
+    setStatus({ state: "loading", message: "Uploading..." });
 
     try {
-      const body = { ...form, wa_account_id: selectedAccount };
+      const body = {
+        ...form,
+        chunk_strategy: textChunking.strategy,
+        chunk_max_tokens: textChunking.maxTokens,
+        chunk_overlap_tokens: textChunking.overlapTokens,
+        wa_account_id: selectedAccount,
+      };
       const result = await backendPostJson<KbAddTextResponse>("/kb/add-text", body, selectedAccount);
       setStatus({
         state: "success",
-        message: "Added to knowledge base",
-        addedChunks: result.addedChunks,
+        message: "Queued. Chunks are embedded in the background — progress shows under Sources",
+        jobId: result.jobId,
       });
       setForm(initialForm);
+      setSourcesReloadKey((k) => k + 1);
     } catch (err) {
       setStatus({
         state: "error",
@@ -68,22 +483,25 @@ export default function KnowledgeBasePage() {
     }
   };
 
-  const handlePdfSubmit = async (e: FormEvent<HTMLFormElement>) => {
+  const handleUploadSubmit = async (e: FormEvent<HTMLFormElement>) => {
     e.preventDefault();
-    if (!pdfFile) return;
+    if (!uploadFile) return;
     if (!selectedAccount) {
       setUploadStatus({ state: "error", message: "Select a WhatsApp account first." });
       return;
     }
-    setUploadStatus({ state: "loading", message: "Uploading and parsing PDF..." });
+    setUploadStatus({ state: "loading", message: "Uploading and parsing file..." });
 
     try {
       const fd = new FormData();
-      fd.append("file", pdfFile);
-      if (pdfTitle.trim()) fd.append("title", pdfTitle.trim());
+      fd.append("file", uploadFile);
+      if (uploadTitle.trim()) fd.append("title", uploadTitle.trim());
+      fd.append("chunk_strategy", uploadChunking.strategy);
+      fd.append("chunk_max_tokens", String(uploadChunking.maxTokens));
+      fd.append("chunk_overlap_tokens", String(uploadChunking.overlapTokens));
       fd.append("wa_account_id", selectedAccount);
 
-      const result = await backendPostForm<KbUploadPdfResponse>("/kb/upload-pdf", fd, selectedAccount);
+      const result = await backendPostForm<KbUploadResponse>("/kb/upload", fd, selectedAccount);
 
       if (!result.ok) {
         throw new Error(result.error || "Upload failed");
@@ -91,17 +509,19 @@ export default function KnowledgeBasePage() {
 
       setUploadStatus({
         state: "success",
-        message: `Added ${result.addedChunks} chunk(s)`,
-        addedChunks: result.addedChunks,
+        message: "Queued. Chunks are embedded in the background — progress shows under Sources",
+        jobId: result.jobId,
         pages: result.pages,
+        rows: result.rows,
       });
-      setPdfFile(null);
-      setPdfTitle("");
+      setUploadFile(null);
+      setUploadTitle("");
+      setSourcesReloadKey((k) => k + 1);
     } catch (err) {
       setUploadStatus({
         state: "error",
         message:
-          (err as Error).message || "Failed to upload PDF. Check backend logs.",
+          (err as Error).message || "Failed to upload file. Check backend logs.",
       });
     }
   };
@@ -156,9 +576,7 @@ export default function KnowledgeBasePage() {
                   {status.state === "loading"
                     ? "Working..."
                     : status.state === "success"
-                      ? `Added ${status.addedChunks} chunk${
-                          status.addedChunks === 1 ? "" : "s"
-                        }`
+                      ? "Queued"
                       : "Error"}
                 </span>
               )}
@@ -196,6 +614,8 @@ export default function KnowledgeBasePage() {
                 </p>
               </label>
 
+              <ChunkingFields value={textChunking} onChange={setTextChunking} />
+
               <div className="flex items-center justify-between">
                 <div className="text-xs text-slate-500">
                   POST {process.env.NEXT_PUBLIC_API_BASE_URL ?? "http://localhost:4000"}/kb/add-text
@@ -218,8 +638,7 @@ export default function KnowledgeBasePage() {
               )}
               {status.state === "success" && (
                 <p className="text-sm text-emerald-300">
-                  {status.message} ({status.addedChunks} chunk
-                  {status.addedChunks === 1 ? "" : "s"}).
+                  {status.message}.
                 </p>
               )}
             </div>
@@ -258,13 +677,13 @@ export default function KnowledgeBasePage() {
             </div>
 
             <form
-              onSubmit={handlePdfSubmit}
+              onSubmit={handleUploadSubmit}
               className="rounded-2xl border border-slate-800 bg-slate-900/60 p-6 shadow-sm"
             >
               <div className="flex items-center justify-between">
                 <div>
                   <p className="text-sm uppercase tracking-wide text-slate-500">
-                    Upload PDF
+                    Upload document
                   </p>
                   <h2 className="text-xl font-semibold text-white">
                     Auto-chunk & embed file
@@ -283,9 +702,7 @@ export default function KnowledgeBasePage() {
                     {uploadStatus.state === "loading"
                       ? "Processing..."
                       : uploadStatus.state === "success"
-                        ? `Added ${uploadStatus.addedChunks} chunk${
-                            uploadStatus.addedChunks === 1 ? "" : "s"
-                          }`
+                        ? "Queued"
                         : "Error"}
                   </span>
                 )}
@@ -296,41 +713,44 @@ export default function KnowledgeBasePage() {
                   <span className="text-sm text-slate-300">Optional title</span>
                   <input
                     type="text"
-                    value={pdfTitle}
-                    onChange={(e) => setPdfTitle(e.target.value)}
+                    value={uploadTitle}
+                    onChange={(e) => setUploadTitle(e.target.value)}
                     className="w-full rounded-xl border border-slate-800 bg-slate-900 px-4 py-3 text-white outline-none transition focus:border-emerald-500"
                     placeholder="Defaults to filename if blank"
                   />
                 </label>
 
                 <label className="block space-y-2">
-                  <span className="text-sm text-slate-300">PDF file</span>
+                  <span className="text-sm text-slate-300">File</span>
                   <input
                     type="file"
-                    accept="application/pdf"
-                    onChange={(e) => setPdfFile(e.target.files?.[0] ?? null)}
+                    accept={KB_FILE_ACCEPT}
+                    onChange={(e) => setUploadFile(e.target.files?.[0] ?? null)}
                     className="w-full rounded-xl border border-dashed border-slate-700 bg-slate-900 px-4 py-3 text-sm text-slate-200"
                     required
                   />
                   <p className="text-xs text-slate-500">
-                    Max size ~10MB. Parsed server-side, chunked, and embedded into kb.json.
+                    PDF, Word (.docx), TXT, CSV, Markdown or HTML. Max size ~10MB. CSV rows keep
+                    their column headers in every chunk.
                   </p>
                 </label>
 
+                <ChunkingFields value={uploadChunking} onChange={setUploadChunking} />
+
                 <div className="flex items-center justify-between">
                   <div className="text-xs text-slate-500">
-                    POST {API_BASE}/kb/upload-pdf
+                    POST {API_BASE}/kb/upload
                   </div>
                   <button
                     type="submit"
-                    disabled={!pdfFile || uploadStatus.state === "loading"}
+                    disabled={!uploadFile || uploadStatus.state === "loading"}
                     className={`rounded-full px-4 py-2 text-sm font-semibold transition ${
-                      !pdfFile || uploadStatus.state === "loading"
+                      !uploadFile || uploadStatus.state === "loading"
                         ? "cursor-not-allowed bg-slate-800 text-slate-500"
                         : "bg-emerald-500 text-slate-950 hover:bg-emerald-400"
                     }`}
                   >
-                    {uploadStatus.state === "loading" ? "Uploading..." : "Upload PDF"}
+                    {uploadStatus.state === "loading" ? "Uploading..." : "Upload file"}
                   </button>
                 </div>
 
@@ -341,12 +761,15 @@ export default function KnowledgeBasePage() {
                   <p className="text-sm text-emerald-300">
                     {uploadStatus.message}
                     {uploadStatus.pages ? ` (pages: ${uploadStatus.pages})` : ""}
+                    {uploadStatus.rows ? ` (rows: ${uploadStatus.rows})` : ""}
                   </p>
                 )}
               </div>
             </form>
           </aside>
         </div>
+
+        <KbSourcesSection accountId={selectedAccount} reloadKey={sourcesReloadKey} />
       </div>
     </div>
   );
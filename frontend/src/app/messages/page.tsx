@@ -1,7 +1,11 @@
 "use client";
 
+import Image from "next/image";
 import { useEffect, useRef, useState } from "react";
-import { backendGet, backendPostJson, backendPostForm, getSelectedWaAccountId } from "@/lib/backendClient";
+import { backendGet, backendPostJson, backendPostForm, backendPatch, getSelectedWaAccountId } from "@/lib/backendClient";
+import { createOrgSocket } from "@/lib/socket";
+import { supabaseClient } from "@/lib/supabaseClient";
+import type { AnswerFeedbackReason, AnswerFeedbackSummary, AnswerRating } from "@/lib/types";
 
 // ─── Types ────────────────────────────────────────────────────────────────────
 
@@ -11,15 +15,59 @@ interface Contact {
   name: string | null;
 }
 
+type ConversationStatus = "open" | "pending" | "resolved";
+
 interface Conversation {
   id: string;
-  status: string;
+  status: ConversationStatus;
+  opened_at?: string | null;
+  resolved_at?: string | null;
+  auto_resolved?: boolean;
+  reopen_count?: number;
   last_message_at: string | null;
   last_message_preview: string | null;
   created_at: string;
+  bot_paused?: boolean;
+  assigned_to?: string | null;
+  handoff_reason?: string | null;
+  handoff_requested_at?: string | null;
   contacts: Contact | null;
 }
 
+type HandoffPatch = Pick<Conversation, "bot_paused" | "assigned_to" | "handoff_reason" | "handoff_requested_at">;
+
+type ConversationPatch = HandoffPatch & Pick<Conversation, "status" | "resolved_at">;
+
+interface ConversationUpdatedEvent {
+  conversationId: string;
+  status: ConversationStatus;
+  resolved_at: string | null;
+  bot_paused: boolean;
+  assigned_to: string | null;
+}
+
+type StatusFilter = "all" | ConversationStatus;
+
+const STATUS_FILTERS: { label: string; value: StatusFilter }[] = [
+  { label: "All", value: "all" },
+  { label: "Open", value: "open" },
+  { label: "Pending", value: "pending" },
+  { label: "Resolved", value: "resolved" },
+];
+
+const STATUS_BADGES: Record<ConversationStatus, string> = {
+  open: "bg-green-100 text-green-700 dark:bg-green-500/20 dark:text-green-300",
+  pending: "bg-sky-100 text-sky-700 dark:bg-sky-500/20 dark:text-sky-300",
+  resolved: "bg-gray-200 text-gray-600 dark:bg-gray-600/40 dark:text-gray-300",
+};
+
+interface HandoffRequestedEvent {
+  conversationId: string;
+  reason: string | null;
+  contact: { wa_number: string; name: string | null } | null;
+  requestedAt: string;
+}
+
 interface Message {
   id: string;
   conversation_id: string;
@@ -27,10 +75,55 @@ interface Message {
   sender_type: "user" | "bot" | "agent";
   body: string | null;
   message_type: string;
+  media_mime_type?: string | null;
+  media_filename?: string | null;
+  media_size?: number | null;
+  media_url?: string | null;
+  media_metadata?: MediaMetadata | null;
+  transcript?: string | null;
+  delivery_status?: DeliveryStatus | null;
+  delivery_status_at?: string | null;
+  delivery_timeline?: { status: DeliveryStatus; at: string; error?: string }[];
+  delivery_error?: string | null;
   ai_used: boolean;
+  // Strict grounding: KB chunks the AI reply cited (empty when it declined to answer)
+  cited_chunk_ids?: string[] | null;
+  cited_chunks?: CitedChunk[];
+  // Curated FAQ whose approved answer this reply is
+  faq_id?: string | null;
+  // Staff ratings (AI replies only)
+  feedback?: AnswerFeedbackSummary;
   created_at: string;
 }
 
+interface CitedChunk {
+  id: string;
+  source_title?: string | null;
+  text?: string;
+  metadata?: { section?: string; page?: number } | null;
+  // Deleted since the reply was sent (source removed or re-indexed)
+  missing?: boolean;
+}
+
+type DeliveryStatus = "pending" | "sent" | "delivered" | "read" | "played" | "failed";
+
+interface MessageStatusEvent {
+  messageId: string;
+  conversationId: string;
+  delivery_status: DeliveryStatus;
+  delivery_status_at: string;
+  delivery_error: string | null;
+}
+
+interface MediaMetadata {
+  latitude?: number;
+  longitude?: number;
+  name?: string | null;
+  address?: string | null;
+  names?: string[];
+  duration?: number;
+}
+
 // ─── Constants ────────────────────────────────────────────────────────────────
 
 const ACCEPTED_MEDIA =
@@ -40,6 +133,15 @@ const ACCEPTED_MEDIA =
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
+/** The customer message an AI reply answered: the last inbound text before it */
+function answeredQuestion(messages: Message[], index: number): string | null {
+  for (let i = index - 1; i >= 0; i--) {
+    const m = messages[i];
+    if (m.direction === "inbound" && (m.transcript || m.body)) return m.transcript || m.body;
+  }
+  return null;
+}
+
 function formatTime(dateString: string | null): string {
   if (!dateString) return "";
   const date = new Date(dateString);
@@ -83,7 +185,25 @@ function ConversationItem({
       </div>
       <div className="flex min-w-0 flex-1 flex-col">
         <div className="flex items-center justify-between">
-          <h3 className="truncate text-sm font-medium text-gray-900 dark:text-white">{displayName}</h3>
+          <div className="flex min-w-0 items-center gap-2">
+            <h3 className="truncate text-sm font-medium text-gray-900 dark:text-white">{displayName}</h3>
+            {conversation.bot_paused && (
+              <span
+                className="shrink-0 rounded-full bg-amber-100 px-2 py-0.5 text-[10px] font-semibold text-amber-700 dark:bg-amber-500/20 dark:text-amber-300"
+                title={conversation.handoff_reason || "Bot paused"}
+              >
+                {conversation.assigned_to ? "Human" : "Needs human"}
+              </span>
+            )}
+            {conversation.status !== "open" && (
+              <span
+                className={`shrink-0 rounded-full px-2 py-0.5 text-[10px] font-semibold capitalize ${STATUS_BADGES[conversation.status]}`}
+                title={conversation.auto_resolved ? "Resolved automatically after inactivity" : undefined}
+              >
+                {conversation.status}
+              </span>
+            )}
+          </div>
           {time && <span className="shrink-0 text-xs text-gray-500 dark:text-gray-400">{time}</span>}
         </div>
         <div className="flex items-center justify-between">
@@ -99,64 +219,383 @@ function ConversationItem({
   );
 }
 
-function MessageBubble({ message, isOwn }: { message: Message; isOwn: boolean }) {
+const MEDIA_LABELS: Record<string, string> = {
+  image: "Image",
+  video: "Video",
+  audio: "Audio",
+  ptt: "Voice note",
+  document: "Document",
+  sticker: "Sticker",
+  location: "Location",
+  vcard: "Contact",
+  multi_vcard: "Contacts",
+};
+
+function MediaContent({ message, isOwn }: { message: Message; isOwn: boolean }) {
+  const type = message.message_type;
+  const url = message.media_url;
+  const meta = message.media_metadata || {};
+  const label = MEDIA_LABELS[type] || "Attachment";
+
+  if ((type === "image" || type === "sticker") && url) {
+    return (
+      <a href={url} target="_blank" rel="noreferrer">
+        {/* Signed storage URLs: served as-is, not through the image optimizer */}
+        <Image
+          src={url}
+          alt={message.media_filename || label}
+          width={type === "sticker" ? 128 : 640}
+          height={type === "sticker" ? 128 : 480}
+          unoptimized
+          className={`rounded-md object-cover ${type === "sticker" ? "h-32 w-32" : "h-auto max-h-72 w-full"}`}
+        />
+      </a>
+    );
+  }
+
+  if (type === "video" && url) {
+    return <video src={url} controls className="max-h-72 w-full rounded-md" />;
+  }
+
+  if ((type === "audio" || type === "ptt") && url) {
+    return <audio src={url} controls className="w-64 max-w-full" />;
+  }
+
+  if (type === "location" && meta.latitude !== undefined && meta.longitude !== undefined) {
+    return (
+      <a
+        href={`https://www.google.com/maps?q=${meta.latitude},${meta.longitude}`}
+        target="_blank"
+        rel="noreferrer"
+        className="block underline"
+      >
+        📍 {[meta.name, meta.address].filter(Boolean).join(", ") || `${meta.latitude}, ${meta.longitude}`}
+      </a>
+    );
+  }
+
+  if (type === "vcard" || type === "multi_vcard") {
+    return <p className="text-sm">👤 {meta.names?.join(", ") || label}</p>;
+  }
+
+  // Documents, or any media whose file could not be stored
+  return (
+    <div className="flex items-center gap-2">
+      <div
+        className={`flex h-10 w-10 shrink-0 items-center justify-center rounded-lg ${
+          isOwn ? "bg-green-600" : "bg-gray-300 dark:bg-gray-600"
+        }`}
+      >
+        <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" className="opacity-80">
+          <path d="M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.89 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zm4 18H6V4h7v5h5v11zm-3-7H9v-2h6v2zm2 3H9v-2h8v2z" />
+        </svg>
+      </div>
+      <div className="min-w-0">
+        <p className="text-xs font-semibold opacity-90">{label}</p>
+        <p className="truncate text-sm">{message.media_filename || message.media_mime_type || "Unavailable"}</p>
+        {url && (
+          <a href={url} target="_blank" rel="noreferrer" download={message.media_filename || undefined} className="text-xs underline">
+            Download
+          </a>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const DOUBLE_TICK_PATH =
+  "M15.01 3.316l-.478-.372a.365.365 0 0 0-.51.063L8.666 9.879a.32.32 0 0 1-.484.033l-.358-.325a.319.319 0 0 0-.484.032l-.378.483a.418.418 0 0 0 .036.541l1.32 1.266c.143.14.361.125.484-.033l6.272-8.048a.366.366 0 0 0-.063-.512zm-4.1 0l-.478-.372a.365.365 0 0 0-.51.063L4.566 9.879a.32.32 0 0 1-.484.033L1.891 7.769a.366.366 0 0 0-.515.006l-.423.433a.364.364 0 0 0 .006.514l3.258 3.185c.143.14.361.125.484-.033l6.272-8.048a.365.365 0 0 0-.063-.51z";
+
+const DELIVERY_LABELS: Record<DeliveryStatus, string> = {
+  pending: "Sending",
+  sent: "Sent",
+  delivered: "Delivered",
+  read: "Read",
+  played: "Played",
+  failed: "Failed",
+};
+
+// WhatsApp-style ticks: clock (sending) → ✓ (sent) → ✓✓ (delivered) → blue ✓✓ (read)
+function DeliveryTicks({ message }: { message: Message }) {
+  const status: DeliveryStatus = message.id.startsWith("temp-") ? "pending" : message.delivery_status || "sent";
+  const title = (message.delivery_timeline || [])
+    .map((entry) => `${DELIVERY_LABELS[entry.status]} · ${formatTime(entry.at)}`)
+    .join("\n") || DELIVERY_LABELS[status];
+
+  if (status === "pending") {
+    return (
+      <svg width="14" height="14" viewBox="0 0 16 16" fill="none" className="ml-1" aria-label={title}>
+        <title>{title}</title>
+        <circle cx="8" cy="8" r="6" stroke="currentColor" strokeWidth="1.5" />
+        <path d="M8 4.5V8l2.5 1.5" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" />
+      </svg>
+    );
+  }
+
+  if (status === "sent") {
+    return (
+      <svg width="16" height="16" viewBox="0 0 16 15" fill="none" className="ml-1" aria-label={title}>
+        <title>{title}</title>
+        <path d="M2 8l3.5 3.5L13 3.5" stroke="currentColor" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round" />
+      </svg>
+    );
+  }
+
+  const isRead = status === "read" || status === "played";
+  return (
+    <svg width="16" height="16" viewBox="0 0 16 15" fill="none" className={`ml-1 ${isRead ? "text-sky-300" : ""}`} aria-label={title}>
+      <title>{title}</title>
+      <path d={DOUBLE_TICK_PATH} fill="currentColor" />
+    </svg>
+  );
+}
+
+/** Knowledge base chunks a grounded AI reply was based on */
+function CitedChunks({ chunks }: { chunks: CitedChunk[] }) {
+  if (chunks.length === 0) {
+    return <p className="mt-1 text-xs text-green-100">🚫 No knowledge base answer — declined</p>;
+  }
+
+  return (
+    <details className="mt-1 text-xs text-green-50">
+      <summary className="cursor-pointer select-none text-green-100">
+        📎 Based on {chunks.length} KB chunk{chunks.length > 1 ? "s" : ""}
+      </summary>
+      <ul className="mt-1 space-y-1">
+        {chunks.map((chunk, i) => (
+          <li key={chunk.id} className="rounded bg-white/15 px-2 py-1">
+            {chunk.missing ? (
+              <span className="italic">[{i + 1}] No longer in the knowledge base</span>
+            ) : (
+              <>
+                <span className="font-semibold">
+                  [{i + 1}] {chunk.source_title || "Untitled source"}
+                  {chunk.metadata?.section ? ` · ${chunk.metadata.section}` : ""}
+                  {chunk.metadata?.page ? ` · page ${chunk.metadata.page}` : ""}
+                </span>
+                <p className="mt-0.5 line-clamp-3 whitespace-pre-wrap opacity-90">{chunk.text}</p>
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
+
+const FEEDBACK_REASONS: { value: AnswerFeedbackReason; label: string }[] = [
+  { value: "wrong_answer", label: "Wrong answer" },
+  { value: "outdated", label: "Outdated information" },
+  { value: "incomplete", label: "Incomplete" },
+  { value: "not_relevant", label: "Didn't answer the question" },
+  { value: "tone", label: "Tone" },
+  { value: "other", label: "Other" },
+];
+
+/** Thumbs up/down on an AI reply, and saving a corrected answer to the knowledge base */
+function AnswerFeedbackBar({
+  message,
+  question,
+  onRate,
+  onSaveCorrection,
+}: {
+  message: Message;
+  question: string | null;
+  onRate: (messageId: string, rating: AnswerRating | null, reason?: AnswerFeedbackReason | null) => void;
+  onSaveCorrection: (messageId: string, question: string, answer: string) => Promise<void>;
+}) {
+  const feedback = message.feedback;
+  const mine = feedback?.mine ?? null;
+  const [correcting, setCorrecting] = useState(false);
+  const [draftQuestion, setDraftQuestion] = useState(question ?? "");
+  const [draftAnswer, setDraftAnswer] = useState(message.body ?? "");
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState<string | null>(null);
+
+  const thumbCls = (active: boolean) =>
+    `rounded px-1.5 py-0.5 transition ${
+      active ? "bg-gray-300 dark:bg-gray-600" : "opacity-60 hover:bg-gray-200 hover:opacity-100 dark:hover:bg-gray-700"
+    }`;
+
+  const saveCorrection = () => {
+    setSaving(true);
+    setSaveError(null);
+    onSaveCorrection(message.id, draftQuestion.trim(), draftAnswer.trim())
+      .then(() => setCorrecting(false))
+      .catch((err: unknown) => setSaveError(err instanceof Error ? err.message : "Failed to save the answer"))
+      .finally(() => setSaving(false));
+  };
+
+  return (
+    <div className="-mt-1 mb-2 flex justify-end px-4">
+      <div className="w-full max-w-[65%] text-xs text-gray-500 dark:text-gray-400">
+        <div className="flex flex-wrap items-center justify-end gap-1">
+          <button
+            type="button"
+            title="Good answer"
+            className={thumbCls(mine?.rating === "up")}
+            onClick={() => onRate(message.id, mine?.rating === "up" ? null : "up")}
+          >
+            👍{feedback?.up ? ` ${feedback.up}` : ""}
+          </button>
+          <button
+            type="button"
+            title="Bad answer"
+            className={thumbCls(mine?.rating === "down")}
+            onClick={() => onRate(message.id, mine?.rating === "down" ? null : "down", mine?.reason ?? null)}
+          >
+            👎{feedback?.down ? ` ${feedback.down}` : ""}
+          </button>
+          {mine?.rating === "down" && (
+            <select
+              className="rounded border border-gray-300 bg-white px-1 py-0.5 dark:border-gray-600 dark:bg-gray-800"
+              value={mine.reason ?? ""}
+              onChange={(e) => onRate(message.id, "down", (e.target.value || null) as AnswerFeedbackReason | null)}
+            >
+              <option value="">Reason…</option>
+              {FEEDBACK_REASONS.map((r) => (
+                <option key={r.value} value={r.value}>{r.label}</option>
+              ))}
+            </select>
+          )}
+          {feedback?.corrected ? (
+            <span className="text-emerald-600 dark:text-emerald-400">✓ Correction saved as FAQ</span>
+          ) : (
+            !correcting && (
+              <button
+                type="button"
+                className="rounded px-1.5 py-0.5 hover:bg-gray-200 dark:hover:bg-gray-700"
+                onClick={() => setCorrecting(true)}
+              >
+                Save corrected answer as FAQ
+              </button>
+            )
+          )}
+        </div>
+
+        {correcting && (
+          <div className="mt-1 space-y-1.5 rounded-lg border border-gray-300 bg-white p-2 dark:border-gray-600 dark:bg-gray-800">
+            <label className="block">
+              <span className="font-medium">Question</span>
+              <input
+                className="mt-0.5 w-full rounded border border-gray-300 bg-transparent px-2 py-1 text-sm text-gray-900 dark:border-gray-600 dark:text-white"
+                value={draftQuestion}
+                onChange={(e) => setDraftQuestion(e.target.value)}
+                placeholder="What the customer asked"
+              />
+            </label>
+            <label className="block">
+              <span className="font-medium">Correct answer</span>
+              <textarea
+                className="mt-0.5 w-full resize-y rounded border border-gray-300 bg-transparent px-2 py-1 text-sm text-gray-900 dark:border-gray-600 dark:text-white"
+                rows={3}
+                value={draftAnswer}
+                onChange={(e) => setDraftAnswer(e.target.value)}
+              />
+            </label>
+            {saveError && <p className="text-red-500">{saveError}</p>}
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                className="rounded px-2 py-1 hover:bg-gray-200 dark:hover:bg-gray-700"
+                onClick={() => setCorrecting(false)}
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                disabled={saving || !draftQuestion.trim() || !draftAnswer.trim()}
+                className="rounded bg-green-500 px-2 py-1 font-semibold text-white hover:bg-green-600 disabled:opacity-60"
+                onClick={saveCorrection}
+              >
+                {saving ? "Saving…" : "Add to knowledge base"}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function MessageBubble({
+  message,
+  isOwn,
+  onRetry,
+  retrying = false,
+}: {
+  message: Message;
+  isOwn: boolean;
+  onRetry?: (messageId: string) => void;
+  retrying?: boolean;
+}) {
+  const failed = isOwn && message.delivery_status === "failed";
   const time = formatTime(message.created_at);
   const isMedia = message.message_type !== "text" && message.message_type !== "chat";
-  const isImage = message.message_type === "image";
+  // Caption, unless the body is just the filename/summary stored for media without one
+  const caption =
+    message.body && message.body !== message.media_filename && !/^(\[.+\]|📍 |👤 )/.test(message.body)
+      ? message.body
+      : null;
 
   return (
     <div className={`flex ${isOwn ? "justify-end" : "justify-start"} mb-2 px-4`}>
       <div
         className={`max-w-[65%] rounded-lg px-3 py-2 ${
-          isOwn ? "bg-green-500 text-white" : "bg-gray-200 text-gray-900 dark:bg-gray-700 dark:text-white"
+          failed
+            ? "bg-green-500/70 text-white ring-2 ring-red-400"
+            : isOwn
+              ? "bg-green-500 text-white"
+              : "bg-gray-200 text-gray-900 dark:bg-gray-700 dark:text-white"
         }`}
       >
         {isMedia ? (
-          <div className="flex items-center gap-2">
-            {/* Media icon */}
-            <div
-              className={`flex h-10 w-10 shrink-0 items-center justify-center rounded-lg ${
-                isOwn ? "bg-green-600" : "bg-gray-300 dark:bg-gray-600"
-              }`}
-            >
-              {isImage ? (
-                <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" className="opacity-80">
-                  <path d="M21 19V5c0-1.1-.9-2-2-2H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2zM8.5 13.5l2.5 3.01L14.5 12l4.5 6H5l3.5-4.5z" />
-                </svg>
-              ) : (
-                <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" className="opacity-80">
-                  <path d="M14 2H6c-1.1 0-2 .9-2 2v16c0 1.1.89 2 2 2h12c1.1 0 2-.9 2-2V8l-6-6zm4 18H6V4h7v5h5v11zm-3-7H9v-2h6v2zm2 3H9v-2h8v2z" />
-                </svg>
-              )}
-            </div>
-            {/* Caption / filename */}
-            <div className="min-w-0">
-              <p className="text-xs font-semibold opacity-90">{isImage ? "Image" : "Document"}</p>
-              {message.body && (
-                <p className="truncate text-sm">{message.body}</p>
-              )}
-            </div>
+          <div className="space-y-1">
+            <MediaContent message={message} isOwn={isOwn} />
+            {message.transcript && (
+              <p className="whitespace-pre-wrap wrap-break-word text-sm italic opacity-90">
+                🎙️ &ldquo;{message.transcript}&rdquo;
+              </p>
+            )}
+            {caption && <p className="whitespace-pre-wrap wrap-break-word text-sm">{caption}</p>}
           </div>
         ) : (
           <p className="whitespace-pre-wrap wrap-break-word text-sm">{message.body || ""}</p>
         )}
 
+        {message.cited_chunks && <CitedChunks chunks={message.cited_chunks} />}
+
         {/* Timestamp + tick */}
         <div
           className={`mt-1 flex items-center justify-end gap-1 text-xs ${
             isOwn ? "text-green-100" : "text-gray-500 dark:text-gray-400"
           }`}
         >
-          <span>{time}</span>
-          {isOwn && (
-            <svg width="16" height="16" viewBox="0 0 16 15" fill="none" className="ml-1">
-              <path
-                d="M15.01 3.316l-.478-.372a.365.365 0 0 0-.51.063L8.666 9.879a.32.32 0 0 1-.484.033l-.358-.325a.319.319 0 0 0-.484.032l-.378.483a.418.418 0 0 0 .036.541l1.32 1.266c.143.14.361.125.484-.033l6.272-8.048a.366.366 0 0 0-.063-.512zm-4.1 0l-.478-.372a.365.365 0 0 0-.51.063L4.566 9.879a.32.32 0 0 1-.484.033L1.891 7.769a.366.366 0 0 0-.515.006l-.423.433a.364.364 0 0 0 .006.514l3.258 3.185c.143.14.361.125.484-.033l6.272-8.048a.365.365 0 0 0-.063-.51z"
-                fill="currentColor"
-              />
-            </svg>
+          {message.faq_id && (
+            <span className="font-semibold" title="Approved answer of a curated FAQ">📌 FAQ</span>
           )}
+          <span>{time}</span>
+          {isOwn && !failed && <DeliveryTicks message={message} />}
         </div>
+
+        {/* Failed send */}
+        {failed && (
+          <div className="mt-1 flex items-center justify-end gap-2 text-xs">
+            <span className="font-semibold text-red-100" title={message.delivery_error || undefined}>
+              ⚠️ Not delivered
+            </span>
+            {onRetry && (
+              <button
+                type="button"
+                onClick={() => onRetry(message.id)}
+                disabled={retrying}
+                className="rounded-full bg-white/90 px-2 py-0.5 font-semibold text-red-600 transition hover:bg-white disabled:opacity-60"
+              >
+                {retrying ? "Retrying…" : "Retry"}
+              </button>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -226,6 +665,13 @@ export default function MessagesPage() {
   const [error, setError] = useState<string | null>(null);
   const [newMessage, setNewMessage] = useState("");
   const [isSending, setIsSending] = useState(false);
+  const [currentUserId, setCurrentUserId] = useState<string | null>(null);
+  const [handoffAlert, setHandoffAlert] = useState<HandoffRequestedEvent | null>(null);
+  const [handoffBusy, setHandoffBusy] = useState(false);
+
+  const [retryingId, setRetryingId] = useState<string | null>(null);
+  const [statusFilter, setStatusFilter] = useState<StatusFilter>("all");
+  const [statusBusy, setStatusBusy] = useState(false);
 
   // Attachment state
   const [attachedFile, setAttachedFile] = useState<File | null>(null);
@@ -234,10 +680,72 @@ export default function MessagesPage() {
   const messagesEndRef = useRef<HTMLDivElement>(null);
   const fileInputRef = useRef<HTMLInputElement>(null);
 
+  // Keep the list and the open chat in sync when handoff or lifecycle state changes
+  const applyHandoffPatch = (conversationId: string, patch: Partial<ConversationPatch>) => {
+    setConversations((prev) => prev.map((c) => (c.id === conversationId ? { ...c, ...patch } : c)));
+    setSelectedConversation((prev) => (prev?.id === conversationId ? { ...prev, ...patch } : prev));
+  };
+
   useEffect(() => { fetchConversations(); }, []);
   useEffect(() => { if (selectedConversation) fetchMessages(selectedConversation.id); }, [selectedConversation]);
   useEffect(() => { messagesEndRef.current?.scrollIntoView({ behavior: "smooth" }); }, [messages]);
 
+  useEffect(() => {
+    void supabaseClient.auth.getSession().then(({ data }) => setCurrentUserId(data.session?.user.id ?? null));
+  }, []);
+
+  // Live handoff alerts and delivery receipts for this org
+  useEffect(() => {
+    const socket = createOrgSocket();
+
+    socket.on("handoff:requested", (event: HandoffRequestedEvent) => {
+      setHandoffAlert(event);
+      applyHandoffPatch(event.conversationId, {
+        bot_paused: true,
+        handoff_reason: event.reason,
+        handoff_requested_at: event.requestedAt,
+      });
+    });
+
+    socket.on("handoff:updated", (event: { conversationId: string; bot_paused: boolean; assigned_to: string | null }) => {
+      applyHandoffPatch(event.conversationId, { bot_paused: event.bot_paused, assigned_to: event.assigned_to });
+    });
+
+    // Status changes: resolve/reopen by agents, auto-resolve, reopen on a new customer message
+    socket.on("conversation:updated", (event: ConversationUpdatedEvent) => {
+      applyHandoffPatch(event.conversationId, {
+        status: event.status,
+        resolved_at: event.resolved_at,
+        bot_paused: event.bot_paused,
+        assigned_to: event.assigned_to,
+      });
+    });
+
+    // Delivery/read receipts for outbound messages
+    socket.on("message:status", (event: MessageStatusEvent) => {
+      setMessages((prev) =>
+        prev.map((m) =>
+          m.id === event.messageId
+            ? {
+                ...m,
+                delivery_status: event.delivery_status,
+                delivery_status_at: event.delivery_status_at,
+                delivery_error: event.delivery_error,
+                delivery_timeline: [
+                  ...(m.delivery_timeline || []),
+                  { status: event.delivery_status, at: event.delivery_status_at },
+                ],
+              }
+            : m
+        )
+      );
+    });
+
+    return () => {
+      socket.close();
+    };
+  }, []);
+
   // Revoke object URL when attachment changes to avoid memory leaks
   useEffect(() => {
     return () => { if (previewUrl) URL.revokeObjectURL(previewUrl); };
@@ -245,14 +753,15 @@ export default function MessagesPage() {
 
   // ── Data fetching ──
 
-  const fetchConversations = async () => {
+  const fetchConversations = async (filter: StatusFilter = statusFilter) => {
     try {
       setLoading(true);
       setError(null);
       const waAccountId = getSelectedWaAccountId();
       if (!waAccountId) { setError("Please select a WhatsApp account first"); setLoading(false); return; }
 
-      const response = await backendGet<{ ok: boolean; conversations: Conversation[] }>("/api/conversations", waAccountId);
+      const query = filter === "all" ? "" : `?status=${filter}`;
+      const response = await backendGet<{ ok: boolean; conversations: Conversation[] }>(`/api/conversations${query}`, waAccountId);
       if (response.ok) {
         setConversations(response.conversations);
         if (response.conversations.length > 0 && !selectedConversation) {
@@ -284,6 +793,49 @@ export default function MessagesPage() {
     }
   };
 
+  // ── Human handoff ──
+
+  const handleHandoffAction = async (action: "claim" | "release" | "resume") => {
+    if (!selectedConversation) return;
+    try {
+      setHandoffBusy(true);
+      const response = await backendPostJson<{ ok: boolean; conversation: HandoffPatch }>(
+        `/api/conversations/${selectedConversation.id}/${action}`,
+        {},
+        getSelectedWaAccountId()
+      );
+      if (response.ok) applyHandoffPatch(selectedConversation.id, response.conversation);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : `Failed to ${action} conversation`);
+    } finally {
+      setHandoffBusy(false);
+    }
+  };
+
+  // ── Conversation lifecycle ──
+
+  const handleStatusChange = async (status: ConversationStatus) => {
+    if (!selectedConversation) return;
+    try {
+      setStatusBusy(true);
+      const response = await backendPatch<{ ok: boolean; conversation: ConversationPatch }>(
+        `/api/conversations/${selectedConversation.id}`,
+        { status },
+        getSelectedWaAccountId()
+      );
+      if (response.ok) applyHandoffPatch(selectedConversation.id, response.conversation);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to update conversation status");
+    } finally {
+      setStatusBusy(false);
+    }
+  };
+
+  const handleFilterChange = (filter: StatusFilter) => {
+    setStatusFilter(filter);
+    void fetchConversations(filter);
+  };
+
   // ── Attachment handling ──
 
   const handleFileSelect = (e: React.ChangeEvent<HTMLInputElement>) => {
@@ -343,7 +895,8 @@ export default function MessagesPage() {
         form.append("conversationId", selectedConversation.id);
         if (caption) form.append("caption", caption);
 
-        await backendPostForm<{ ok: boolean; message: Message }>("/api/messages/send-media", form, waAccountId);
+        const res = await backendPostForm<{ ok: boolean; message: Message }>("/api/messages/send-media", form, waAccountId);
+        if (res.message) setMessages((prev) => prev.map((m) => (m.id === tempMsg.id ? res.message : m)));
 
       } else {
         // ── Text send ──
@@ -361,11 +914,12 @@ export default function MessagesPage() {
         setMessages((prev) => [...prev, tempMsg]);
         setNewMessage("");
 
-        await backendPostJson<{ ok: boolean; message: Message }>(
+        const res = await backendPostJson<{ ok: boolean; message: Message }>(
           "/api/messages/send",
           { conversationId: selectedConversation.id, text },
           waAccountId
         );
+        if (res.message) setMessages((prev) => prev.map((m) => (m.id === tempMsg.id ? res.message : m)));
       }
     } catch (err) {
       console.error("Send error:", err);
@@ -376,9 +930,67 @@ export default function MessagesPage() {
     }
   };
 
+  // ── Answer feedback ──
+
+  const handleRateAnswer = async (
+    messageId: string,
+    rating: AnswerRating | null,
+    reason: AnswerFeedbackReason | null = null
+  ) => {
+    try {
+      const res = await backendPostJson<{ ok: boolean; feedback: AnswerFeedbackSummary }>(
+        `/api/messages/${messageId}/feedback`,
+        { rating, reason },
+        getSelectedWaAccountId()
+      );
+      setMessages((prev) => prev.map((m) => (m.id === messageId ? { ...m, feedback: res.feedback } : m)));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to save feedback");
+    }
+  };
+
+  // Errors are shown in the correction form
+  const handleSaveCorrection = async (messageId: string, question: string, answer: string) => {
+    await backendPostJson(`/api/messages/${messageId}/correction`, { question, answer }, getSelectedWaAccountId());
+    // A correction counts as a downvote unless the staff member already rated the reply
+    setMessages((prev) =>
+      prev.map((m) => {
+        if (m.id !== messageId) return m;
+        const feedback = m.feedback ?? { up: 0, down: 0, mine: null, corrected: false };
+        return {
+          ...m,
+          feedback: feedback.mine
+            ? { ...feedback, corrected: true }
+            : {
+                ...feedback,
+                down: feedback.down + 1,
+                mine: { rating: "down", reason: "wrong_answer", comment: null },
+                corrected: true,
+              },
+        };
+      })
+    );
+  };
+
+  const handleRetry = async (messageId: string) => {
+    setRetryingId(messageId);
+    setError(null);
+    try {
+      await backendPostJson(`/api/messages/${messageId}/retry`, {}, getSelectedWaAccountId());
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Retry failed");
+    } finally {
+      setRetryingId(null);
+    }
+  };
+
   // ── Derived ──
 
+  // Conversations whose status changed live drop out of a filtered list
+  const visibleConversations =
+    statusFilter === "all" ? conversations : conversations.filter((c) => c.status === statusFilter);
   const selectedContact = selectedConversation?.contacts;
+  const assignedToMe = !!selectedConversation?.assigned_to && selectedConversation.assigned_to === currentUserId;
   const displayName =
     selectedContact?.name ||
     selectedContact?.wa_number?.split("@")[0] ||
@@ -405,7 +1017,7 @@ export default function MessagesPage() {
         <div className="flex items-center justify-between border-b border-gray-200 bg-gray-100 px-4 py-3 dark:border-gray-700 dark:bg-gray-900">
           <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Chats</h2>
           <button
-            onClick={fetchConversations}
+            onClick={() => void fetchConversations()}
             className="rounded-full p-2 hover:bg-gray-200 dark:hover:bg-gray-700"
             title="Refresh"
           >
@@ -418,14 +1030,53 @@ export default function MessagesPage() {
           </button>
         </div>
 
+        <div className="flex gap-1 border-b border-gray-200 px-3 py-2 dark:border-gray-700">
+          {STATUS_FILTERS.map((f) => (
+            <button
+              key={f.value}
+              onClick={() => handleFilterChange(f.value)}
+              className={`rounded-full px-3 py-1 text-xs font-medium transition ${
+                statusFilter === f.value
+                  ? "bg-green-500 text-white"
+                  : "bg-gray-100 text-gray-600 hover:bg-gray-200 dark:bg-gray-700 dark:text-gray-300 dark:hover:bg-gray-600"
+              }`}
+            >
+              {f.label}
+            </button>
+          ))}
+        </div>
+
+        {handoffAlert && (
+          <div className="flex items-start gap-2 border-b border-amber-200 bg-amber-50 px-4 py-2 text-sm text-amber-800 dark:border-amber-500/30 dark:bg-amber-500/10 dark:text-amber-200">
+            <button
+              className="flex-1 text-left"
+              onClick={() => {
+                const conv = conversations.find((c) => c.id === handoffAlert.conversationId);
+                if (conv) setSelectedConversation(conv);
+                setHandoffAlert(null);
+              }}
+            >
+              <span className="font-semibold">
+                {handoffAlert.contact?.name || handoffAlert.contact?.wa_number?.split("@")[0] || "A customer"}
+              </span>{" "}
+              needs a human{handoffAlert.reason ? `: ${handoffAlert.reason}` : ""}
+            </button>
+            <button onClick={() => setHandoffAlert(null)} className="text-amber-600 hover:text-amber-800 dark:text-amber-300" title="Dismiss">
+              ✕
+            </button>
+          </div>
+        )}
+
         <div className="flex-1 overflow-y-auto">
           {error && <div className="px-4 py-3 text-sm text-red-600 dark:text-red-400">{error}</div>}
-          {conversations.length === 0 ? (
+          {visibleConversations.length === 0 ? (
             <div className="flex h-full items-center justify-center">
-              <p className="text-gray-500 dark:text-gray-400">No conversations yet</p>
+              <p className="text-gray-500 dark:text-gray-400">
+                {statusFilter === "all" ? "No conversations yet" : `No ${statusFilter} conversations`}
+              </p>
             </div>
           ) : (
-            conversations.map((conv) => (
+            visibleConversations.map((conv) => (
               <ConversationItem
                 key={conv.id}
                 conversation={conv}
@@ -450,8 +1101,73 @@ export default function MessagesPage() {
                 <h3 className="text-base font-semibold text-gray-900 dark:text-white">{displayName}</h3>
                 <p className="text-xs text-gray-500 dark:text-gray-400">
                   {selectedContact?.wa_number?.split("@")[0]}
+                  <span
+                    className={`ml-2 rounded-full px-2 py-0.5 text-[10px] font-semibold capitalize ${STATUS_BADGES[selectedConversation.status]}`}
+                  >
+                    {selectedConversation.status}
+                  </span>
+                  {selectedConversation.bot_paused && (
+                    <span className="ml-2 text-amber-600 dark:text-amber-400">
+                      · Bot paused{selectedConversation.assigned_to ? (assignedToMe ? " · assigned to you" : " · assigned") : ""}
+                    </span>
+                  )}
                 </p>
               </div>
+              <div className="flex items-center gap-2">
+                {selectedConversation.status === "open" && (
+                  <button
+                    onClick={() => void handleStatusChange("pending")}
+                    disabled={statusBusy}
+                    className="rounded-lg border border-gray-300 px-3 py-1.5 text-xs font-medium text-gray-700 hover:bg-gray-100 disabled:opacity-50 dark:border-gray-600 dark:text-gray-200 dark:hover:bg-gray-700"
+                  >
+                    Mark pending
+                  </button>
+                )}
+                {selectedConversation.status === "resolved" ? (
+                  <button
+                    onClick={() => void handleStatusChange("open")}
+                    disabled={statusBusy}
+                    className="rounded-lg border border-gray-300 px-3 py-1.5 text-xs font-medium text-gray-700 hover:bg-gray-100 disabled:opacity-50 dark:border-gray-600 dark:text-gray-200 dark:hover:bg-gray-700"
+                  >
+                    Reopen
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => void handleStatusChange("resolved")}
+                    disabled={statusBusy}
+                    className="rounded-lg border border-gray-300 px-3 py-1.5 text-xs font-medium text-gray-700 hover:bg-gray-100 disabled:opacity-50 dark:border-gray-600 dark:text-gray-200 dark:hover:bg-gray-700"
+                  >
+                    Resolve
+                  </button>
+                )}
+                {!assignedToMe && (
+                  <button
+                    onClick={() => void handleHandoffAction("claim")}
+                    disabled={handoffBusy}
+                    className="rounded-lg bg-green-500 px-3 py-1.5 text-xs font-medium text-white hover:bg-green-600 disabled:opacity-50"
+                  >
+                    Take over
+                  </button>
+                )}
+                {assignedToMe && (
+                  <button
+                    onClick={() => void handleHandoffAction("release")}
+                    disabled={handoffBusy}
+                    className="rounded-lg border border-gray-300 px-3 py-1.5 text-xs font-medium text-gray-700 hover:bg-gray-100 disabled:opacity-50 dark:border-gray-600 dark:text-gray-200 dark:hover:bg-gray-700"
+                  >
+                    Release
+                  </button>
+                )}
+                {selectedConversation.bot_paused && (
+                  <button
+                    onClick={() => void handleHandoffAction("resume")}
+                    disabled={handoffBusy}
+                    className="rounded-lg border border-green-500 px-3 py-1.5 text-xs font-medium text-green-600 hover:bg-green-50 disabled:opacity-50 dark:text-green-400 dark:hover:bg-green-500/10"
+                  >
+                    Resume bot
+                  </button>
+                )}
+              </div>
             </div>
 
             {/* Messages area */}
@@ -469,8 +1185,23 @@ export default function MessagesPage() {
                 </div>
               ) : (
                 <div className="py-4">
-                  {messages.map((msg) => (
-                    <MessageBubble key={msg.id} message={msg} isOwn={msg.direction === "outbound"} />
+                  {messages.map((msg, i) => (
+                    <div key={msg.id}>
+                      <MessageBubble
+                        message={msg}
+                        isOwn={msg.direction === "outbound"}
+                        onRetry={(id) => void handleRetry(id)}
+                        retrying={retryingId === msg.id}
+                      />
+                      {msg.direction === "outbound" && msg.ai_used && (
+                        <AnswerFeedbackBar
+                          message={msg}
+                          question={answeredQuestion(messages, i)}
+                          onRate={(id, rating, reason) => void handleRateAnswer(id, rating, reason)}
+                          onSaveCorrection={handleSaveCorrection}
+                        />
+                      )}
+                    </div>
                   ))}
                   <div ref={messagesEndRef} />
                 </div>
@@ -2,7 +2,7 @@
 
 import { useState, useEffect, useCallback } from "react";
 import { backendGet, backendPostJson, backendPatch } from "@/lib/backendClient";
-import type { Order, OrderStatus } from "@/lib/types";
+import type { Order, OrderEvent, OrderStatus } from "@/lib/types";
 import { API_BASE } from "@/lib/api";
 import { getSelectedWaAccountId } from "@/lib/backendClient";
 import { supabaseClient } from "@/lib/supabaseClient";
@@ -12,9 +12,10 @@ const STATUS_TABS: { label: string; value: OrderStatus | "" }[] = [
   { label: "Pending Payment", value: "pending_payment" },
   { label: "Receipt Submitted", value: "receipt_submitted" },
   { label: "Confirmed", value: "confirmed" },
-  { label: "Delivering", value: "delivering" },
+  { label: "Shipped", value: "shipped" },
   { label: "Delivered", value: "delivered" },
   { label: "Cancelled", value: "cancelled" },
+  { label: "Refunded", value: "refunded" },
 ];
 
 const STATUS_COLORS: Record<OrderStatus, string> = {
@@ -22,9 +23,22 @@ const STATUS_COLORS: Record<OrderStatus, string> = {
   pending_payment: "bg-amber-100 text-amber-700 dark:bg-amber-500/10 dark:text-amber-400",
   receipt_submitted: "bg-blue-100 text-blue-700 dark:bg-blue-500/10 dark:text-blue-400",
   confirmed: "bg-emerald-100 text-emerald-700 dark:bg-emerald-500/10 dark:text-emerald-400",
-  delivering: "bg-violet-100 text-violet-700 dark:bg-violet-500/10 dark:text-violet-400",
+  shipped: "bg-violet-100 text-violet-700 dark:bg-violet-500/10 dark:text-violet-400",
   delivered: "bg-green-100 text-green-700 dark:bg-green-500/10 dark:text-green-400",
   cancelled: "bg-red-100 text-red-700 dark:bg-red-500/10 dark:text-red-400",
+  refunded: "bg-orange-100 text-orange-700 dark:bg-orange-500/10 dark:text-orange-400",
+};
+
+// Timeline dots
+const STATUS_DOTS: Record<OrderStatus, string> = {
+  draft: "bg-slate-400",
+  pending_payment: "bg-amber-500",
+  receipt_submitted: "bg-blue-500",
+  confirmed: "bg-emerald-500",
+  shipped: "bg-violet-500",
+  delivered: "bg-green-500",
+  cancelled: "bg-red-500",
+  refunded: "bg-orange-500",
 };
 
 const STATUS_LABELS: Record<OrderStatus, string> = {
@@ -32,16 +46,30 @@ const STATUS_LABELS: Record<OrderStatus, string> = {
   pending_payment: "Pending Payment",
   receipt_submitted: "Receipt Submitted",
   confirmed: "Confirmed",
-  delivering: "Delivering",
+  shipped: "Shipped",
   delivered: "Delivered",
   cancelled: "Cancelled",
+  refunded: "Refunded",
 };
 
+// The forward steps staff take by hand; the backend (orderService ORDER_TRANSITIONS)
+// enforces the full graph. Receipts move orders through approve/reject instead.
 const NEXT_STATUS_OPTIONS: Partial<Record<OrderStatus, OrderStatus[]>> = {
-  confirmed: ["delivering"],
-  delivering: ["delivered"],
+  pending_payment: ["confirmed"],
+  confirmed: ["shipped"],
+  shipped: ["delivered"],
 };
 
+const CANCELLABLE: OrderStatus[] = ["draft", "pending_payment", "receipt_submitted", "confirmed"];
+const REFUNDABLE: OrderStatus[] = ["confirmed", "shipped", "delivered"];
+
+const eventActor = (event: OrderEvent) =>
+  event.actor_type === "customer"
+    ? "Customer"
+    : event.actor_type === "system"
+      ? "System"
+      : event.profiles?.full_name || "Team member";
+
 export default function OrdersPage() {
   const [orders, setOrders] = useState<Order[]>([]);
   const [total, setTotal] = useState(0);
@@ -106,7 +134,7 @@ export default function OrdersPage() {
             const { data: session } = await supabaseClient.auth.getSession();
             const token = session?.session?.access_token;
             setReceiptUrl(
-              `${API_BASE}/api/orders/${orderId}/receipt?download=true&token=${token || ""}`
+              `${API_BASE}/api/orders/${orderId}/receipt?download=true&token=${token || ""}&org_id=${orgId || ""}`
             );
           }
         }
@@ -126,8 +154,9 @@ export default function OrdersPage() {
       setToast({ message: "Receipt approved — customer notified via WhatsApp", type: "success" });
       fetchOrders();
       loadOrderDetail(orderId);
-    } catch {
-      setToast({ message: "Failed to approve receipt", type: "error" });
+    } catch (err) {
+      // e.g. the reservation expired and the items sold out meanwhile
+      setToast({ message: err instanceof Error ? err.message : "Failed to approve receipt", type: "error" });
     } finally {
       setActionLoading(false);
     }
@@ -149,15 +178,20 @@ export default function OrdersPage() {
     }
   };
 
-  const handleStatusUpdate = async (orderId: string, newStatus: OrderStatus) => {
+  const handleStatusUpdate = async (orderId: string, newStatus: OrderStatus, askReason = false) => {
+    let reason: string | null = null;
+    if (askReason) {
+      reason = prompt(`Reason for marking this order ${STATUS_LABELS[newStatus].toLowerCase()} (optional):`);
+      if (reason === null) return;
+    }
     setActionLoading(true);
     try {
-      await backendPatch(`/api/orders/${orderId}/status`, { status: newStatus });
+      await backendPatch(`/api/orders/${orderId}/status`, { status: newStatus, reason: reason || undefined });
       setToast({ message: `Order status updated to ${STATUS_LABELS[newStatus]}`, type: "success" });
       fetchOrders();
       loadOrderDetail(orderId);
-    } catch {
-      setToast({ message: "Failed to update status", type: "error" });
+    } catch (err) {
+      setToast({ message: err instanceof Error ? err.message : "Failed to update status", type: "error" });
     } finally {
       setActionLoading(false);
     }
@@ -299,9 +333,14 @@ export default function OrdersPage() {
                   <div key={item.id} className="flex items-center justify-between rounded-lg border border-slate-100 p-3 dark:border-slate-700">
                     <div>
                       <p className="text-sm font-medium text-slate-900 dark:text-white">
-                        {item.books?.title || "Unknown Book"}
+                        {item.product_variants?.products?.name || "Unknown product"}
+                      </p>
+                      <p className="text-xs text-slate-500">
+                        {[
+                          ...Object.values(item.product_variants?.options || {}),
+                          item.product_variants?.sku,
+                        ].filter(Boolean).join(" · ")}
                       </p>
-                      <p className="text-xs text-slate-500">{item.books?.author}</p>
                     </div>
                     <div className="text-right">
                       <p className="text-sm font-medium text-slate-900 dark:text-white">
@@ -320,6 +359,15 @@ export default function OrdersPage() {
                   ${Number(selectedOrder.subtotal).toFixed(2)}
                 </span>
               </div>
+              {selectedOrder.stock_status && selectedOrder.stock_status !== "none" && (
+                <p className="mt-2 text-xs text-slate-500">
+                  {selectedOrder.stock_status === "reserved"
+                    ? `Stock reserved until ${new Date(selectedOrder.stock_reserved_until || "").toLocaleString()}`
+                    : selectedOrder.stock_status === "committed"
+                      ? "Stock deducted"
+                      : "Stock released"}
+                </p>
+              )}
             </div>
 
             {/* Receipt */}
@@ -377,16 +425,25 @@ export default function OrdersPage() {
               </div>
             )}
 
-            {/* Cancel */}
-            {selectedOrder.status !== "cancelled" && selectedOrder.status !== "delivered" && (
+            {/* Cancel / Refund */}
+            {CANCELLABLE.includes(selectedOrder.status) && (
               <button
-                onClick={() => handleStatusUpdate(selectedOrder.id, "cancelled")}
+                onClick={() => handleStatusUpdate(selectedOrder.id, "cancelled", true)}
                 disabled={actionLoading}
                 className="w-full rounded-lg border border-red-200 py-2 text-sm font-medium text-red-600 transition hover:bg-red-50 disabled:opacity-50 dark:border-red-800 dark:text-red-400 dark:hover:bg-red-900/30"
               >
                 Cancel Order
               </button>
             )}
+            {REFUNDABLE.includes(selectedOrder.status) && (
+              <button
+                onClick={() => handleStatusUpdate(selectedOrder.id, "refunded", true)}
+                disabled={actionLoading}
+                className="mt-2 w-full rounded-lg border border-orange-200 py-2 text-sm font-medium text-orange-600 transition hover:bg-orange-50 disabled:opacity-50 dark:border-orange-800 dark:text-orange-400 dark:hover:bg-orange-900/30"
+              >
+                Mark as Refunded
+              </button>
+            )}
 
             {/* Admin Notes */}
             {selectedOrder.admin_notes && (
@@ -395,6 +452,33 @@ export default function OrdersPage() {
                 <p className="text-sm text-amber-700 dark:text-amber-300">{selectedOrder.admin_notes}</p>
               </div>
             )}
+
+            {/* History */}
+            {selectedOrder.events && selectedOrder.events.length > 0 && (
+              <div className="mt-6">
+                <h3 className="mb-3 text-xs font-medium uppercase text-slate-400">History</h3>
+                <ol className="relative ml-1.5 border-l border-slate-200 dark:border-slate-700">
+                  {selectedOrder.events.map((event) => (
+                    <li key={event.id} className="mb-4 ml-4 last:mb-0">
+                      <span className={`absolute -left-1.5 mt-1 h-3 w-3 rounded-full border-2 border-white dark:border-slate-900 ${STATUS_DOTS[event.to_status]}`} />
+                      <div className="flex items-baseline justify-between gap-2">
+                        <p className="text-sm font-medium text-slate-900 dark:text-white">
+                          {event.from_status ? STATUS_LABELS[event.to_status] : `Created as ${STATUS_LABELS[event.to_status]}`}
+                        </p>
+                        <span className="shrink-0 text-xs text-slate-400">{formatDate(event.created_at)}</span>
+                      </div>
+                      <p className="text-xs text-slate-500 dark:text-slate-400">
+                        {eventActor(event)}
+                        {event.from_status && ` · from ${STATUS_LABELS[event.from_status]}`}
+                      </p>
+                      {event.reason && (
+                        <p className="mt-0.5 text-xs text-slate-600 dark:text-slate-300">{event.reason}</p>
+                      )}
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            )}
           </div>
         )}
       </div>
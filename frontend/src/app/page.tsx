@@ -1,11 +1,11 @@
 "use client";
 
-import { useEffect, useState, useMemo } from "react";
+import { useEffect, useState } from "react";
 import { useRouter } from "next/navigation";
-import { io, Socket } from "socket.io-client";
-import { API_BASE } from "@/lib/api";
+import { Socket } from "socket.io-client";
+import { createOrgSocket } from "@/lib/socket";
 import { getSelectedWaAccountId, backendGet, backendPatch } from "@/lib/backendClient";
-import { WhatsAppAccountStatsResponse } from "@/lib/types";
+import { LowStockVariant, WhatsAppAccountStatsResponse } from "@/lib/types";
 import { supabaseClient } from "@/lib/supabaseClient";
 
 type WaStatus = {
@@ -89,6 +89,7 @@ export default function DashboardPage() {
   const [latestConversations, setLatestConversations] = useState<LatestConversation[]>([]);
   const [chatsLoading, setChatsLoading] = useState(false);
   const [togglingBot, setTogglingBot] = useState(false);
+  const [lowStock, setLowStock] = useState<LowStockVariant[]>([]);
 
   const handleBotToggle = async () => {
     try {
@@ -102,23 +103,8 @@ export default function DashboardPage() {
     }
   };
 
-  const socketUrl = useMemo(() => {
-    // Extract base URL from API_BASE (e.g., http://localhost:4000)
-    try {
-      const url = new URL(API_BASE);
-      return url.origin;
-    } catch {
-      return "http://localhost:4000";
-    }
-  }, []);
-
   useEffect(() => {
-    const newSocket = io(socketUrl, {
-      transports: ["websocket", "polling"],
-      reconnection: true,
-      reconnectionDelay: 1000,
-      reconnectionAttempts: 5,
-    });
+    const newSocket = createOrgSocket();
 
     newSocket.on("connect", () => {
       console.log("🟢 Socket connected:", newSocket.id);
@@ -140,7 +126,7 @@ export default function DashboardPage() {
     return () => {
       newSocket.close();
     };
-  }, [socketUrl]);
+  }, []);
 
   const botStatusValue = waStatus.connected ? "Online" : waStatus.qrDataUrl ? "Connecting..." : "Offline";
   const botStatusAccent = waStatus.connected ? "emerald" : waStatus.qrDataUrl ? "amber" : "rose";
@@ -197,6 +183,15 @@ export default function DashboardPage() {
     void fetchLatestChats();
   }, []);
 
+  // Variants at or below the org's low-stock threshold
+  useEffect(() => {
+    backendGet<{ ok: boolean; variants: LowStockVariant[] }>("/api/catalog/low-stock")
+      .then((response) => {
+        if (response.ok) setLowStock(response.variants);
+      })
+      .catch((error) => console.error("Failed to fetch low stock:", error));
+  }, []);
+
   // Listen for account selection changes
   useEffect(() => {
     const handleStorageChange = (e: StorageEvent) => {
@@ -493,6 +488,58 @@ export default function DashboardPage() {
             </div>
           </div>
         </section>
+
+        {lowStock.length > 0 && (
+          <section className="mt-8 rounded-2xl border border-amber-300/60 bg-white/80 p-6 shadow-sm backdrop-blur dark:border-amber-500/30 dark:bg-slate-900/80">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm uppercase tracking-wide text-amber-600 dark:text-amber-400">
+                  Low Stock
+                </p>
+                <h2 className="text-xl font-semibold">
+                  {lowStock.length} variant{lowStock.length === 1 ? "" : "s"} running low
+                </h2>
+                <p className="text-sm text-slate-600 dark:text-slate-400">
+                  {lowStock[0].threshold} or fewer units available. Reserved units are held by orders awaiting payment.
+                </p>
+              </div>
+              {userRole === "admin" && (
+                <button
+                  onClick={() => router.push("/catalog")}
+                  className="rounded-full border border-slate-300 px-3 py-1 text-xs font-semibold text-slate-700 transition hover:bg-slate-100 dark:border-slate-700 dark:text-slate-200 dark:hover:bg-slate-800"
+                >
+                  Manage catalog
+                </button>
+              )}
+            </div>
+            <div className="mt-4 max-h-80 divide-y divide-slate-100 overflow-y-auto pr-1 dark:divide-slate-800">
+              {lowStock.map((variant) => (
+                <div key={variant.variant_id} className="flex items-center justify-between gap-3 py-2 text-sm">
+                  <div className="min-w-0">
+                    <p className="truncate font-medium text-slate-800 dark:text-slate-200">{variant.name}</p>
+                    {variant.sku && <p className="text-xs text-slate-500 dark:text-slate-400">{variant.sku}</p>}
+                  </div>
+                  <div className="shrink-0 text-right">
+                    <span
+                      className={`rounded-full px-2 py-0.5 text-xs font-semibold ${
+                        variant.available === 0
+                          ? "bg-rose-500/15 text-rose-500 dark:text-rose-300"
+                          : "bg-amber-500/15 text-amber-600 dark:text-amber-300"
+                      }`}
+                    >
+                      {variant.available === 0 ? "Sold out" : `${variant.available} available`}
+                    </span>
+                    {variant.reserved > 0 && (
+                      <p className="mt-0.5 text-xs text-slate-500 dark:text-slate-400">
+                        {variant.stock} on hand · {variant.reserved} reserved
+                      </p>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </section>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,437 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { backendGet, backendPostJson, backendPatch } from "@/lib/backendClient";
+import type { PromptDiffLine, PromptVariable, PromptVersion } from "@/lib/types";
+
+type PromptDiff = {
+  from: PromptVersion | null;
+  to: PromptVersion;
+  lines: PromptDiffLine[];
+};
+
+type CustomVariable = { name: string; value: string };
+
+const inputCls =
+  "w-full rounded-lg border border-slate-200 px-3 py-2 text-sm outline-none focus:border-emerald-500 dark:border-slate-700 dark:bg-slate-800 dark:text-white";
+
+const secondaryBtn =
+  "rounded-lg border border-slate-200 px-3 py-1.5 text-sm font-medium text-slate-600 transition hover:bg-slate-50 disabled:opacity-50 dark:border-slate-700 dark:text-slate-300 dark:hover:bg-slate-800";
+
+const primaryBtn =
+  "rounded-lg bg-emerald-500 px-3 py-1.5 text-sm font-medium text-white transition hover:bg-emerald-600 disabled:opacity-50";
+
+export default function PromptsPage() {
+  const [versions, setVersions] = useState<PromptVersion[]>([]);
+  const [publishedVersionId, setPublishedVersionId] = useState<string | null>(null);
+  const [defaultPrompt, setDefaultPrompt] = useState("");
+  const [builtinVariables, setBuiltinVariables] = useState<PromptVariable[]>([]);
+  const [customVariables, setCustomVariables] = useState<CustomVariable[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [draft, setDraft] = useState("");
+  const [note, setNote] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [savingVariables, setSavingVariables] = useState(false);
+  const [preview, setPreview] = useState<{ rendered: string; unknownVariables: string[] } | null>(null);
+  const [diff, setDiff] = useState<PromptDiff | null>(null);
+  const [testMessage, setTestMessage] = useState("");
+  const [testReply, setTestReply] = useState<{ reply: string; mode: string } | null>(null);
+  const [testing, setTesting] = useState(false);
+  const [toast, setToast] = useState<{ message: string; type: "success" | "error" } | null>(null);
+
+  const applyVariables = (variables: PromptVariable[]) => {
+    setBuiltinVariables(variables.filter((v) => v.builtin));
+    setCustomVariables(variables.filter((v) => !v.builtin).map((v) => ({ name: v.name, value: v.value })));
+  };
+
+  const fetchPrompts = useCallback(
+    (loadDraft = false) =>
+      backendGet<{
+        ok: boolean;
+        versions: PromptVersion[];
+        publishedVersionId: string | null;
+        defaultPrompt: string;
+        variables: PromptVariable[];
+      }>("/api/prompts")
+        .then((res) => {
+          if (!res.ok) return;
+          setVersions(res.versions);
+          setPublishedVersionId(res.publishedVersionId);
+          setDefaultPrompt(res.defaultPrompt);
+          applyVariables(res.variables);
+          if (loadDraft) {
+            const published = res.versions.find((v) => v.id === res.publishedVersionId);
+            setDraft(published ? published.content : res.defaultPrompt);
+          }
+        })
+        .catch(() => setToast({ message: "Failed to load prompts", type: "error" }))
+        .finally(() => setLoading(false)),
+    []
+  );
+
+  useEffect(() => {
+    fetchPrompts(true);
+  }, [fetchPrompts]);
+
+  useEffect(() => {
+    if (toast) {
+      const t = setTimeout(() => setToast(null), 3000);
+      return () => clearTimeout(t);
+    }
+  }, [toast]);
+
+  const handleSave = async (publish: boolean) => {
+    if (!draft.trim()) {
+      setToast({ message: "The prompt can't be empty", type: "error" });
+      return;
+    }
+    setSaving(true);
+    try {
+      const res = await backendPostJson<{ ok: boolean; version: PromptVersion }>("/api/prompts", {
+        content: draft,
+        note: note.trim() || null,
+        publish,
+      });
+      setToast({
+        message: publish ? `Version ${res.version.version} published` : `Saved as version ${res.version.version}`,
+        type: "success",
+      });
+      setNote("");
+      fetchPrompts();
+    } catch (err: unknown) {
+      setToast({ message: err instanceof Error ? err.message : "Failed to save prompt", type: "error" });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePublish = async (version: PromptVersion) => {
+    if (!confirm(`Publish version ${version.version}? The bot uses it from its next reply.`)) return;
+    try {
+      await backendPostJson(`/api/prompts/${version.id}/publish`, {});
+      setToast({ message: `Version ${version.version} published`, type: "success" });
+      fetchPrompts();
+    } catch {
+      setToast({ message: "Failed to publish version", type: "error" });
+    }
+  };
+
+  const handleDiff = async (version: PromptVersion, againstId?: string) => {
+    try {
+      const query = againstId ? `?against=${againstId}` : "";
+      const res = await backendGet<{ ok: boolean } & PromptDiff>(`/api/prompts/${version.id}/diff${query}`);
+      if (res.ok) setDiff({ from: res.from, to: res.to, lines: res.lines });
+    } catch {
+      setToast({ message: "Failed to compare versions", type: "error" });
+    }
+  };
+
+  const handlePreview = async () => {
+    try {
+      const res = await backendPostJson<{ ok: boolean; rendered: string; unknownVariables: string[] }>(
+        "/api/prompts/preview",
+        { content: draft }
+      );
+      if (res.ok) setPreview({ rendered: res.rendered, unknownVariables: res.unknownVariables });
+    } catch {
+      setToast({ message: "Failed to preview prompt", type: "error" });
+    }
+  };
+
+  // One-off message against the editor text, nothing is saved or published
+  const handleTest = async () => {
+    const message = testMessage.trim();
+    if (!message || testing) return;
+    setTesting(true);
+    try {
+      const res = await backendPostJson<{ ok: boolean; reply: string; mode: string }>("/api/chat-test", {
+        message,
+        history: [{ role: "user", content: message }],
+        promptDraft: draft,
+      });
+      setTestReply({ reply: res.reply, mode: res.mode });
+    } catch {
+      setToast({ message: "Failed to test the draft", type: "error" });
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const handleSaveVariables = async () => {
+    setSavingVariables(true);
+    try {
+      const variables: Record<string, string> = {};
+      for (const v of builtinVariables) variables[v.name] = v.value;
+      for (const v of customVariables) {
+        if (v.name.trim()) variables[v.name.trim()] = v.value;
+      }
+      const res = await backendPatch<{ ok: boolean; variables: PromptVariable[] }>("/api/prompts/variables", {
+        variables,
+      });
+      applyVariables(res.variables);
+      setToast({ message: "Variables saved", type: "success" });
+    } catch (err: unknown) {
+      setToast({ message: err instanceof Error ? err.message : "Failed to save variables", type: "error" });
+    } finally {
+      setSavingVariables(false);
+    }
+  };
+
+  const published = versions.find((v) => v.id === publishedVersionId) || null;
+  const unchanged = draft === (published ? published.content : defaultPrompt);
+
+  return (
+    <div className="p-6 lg:p-8">
+      {/* Toast */}
+      {toast && (
+        <div className={`fixed right-6 top-6 z-50 rounded-lg px-4 py-3 text-sm font-medium shadow-lg ${
+          toast.type === "success"
+            ? "bg-emerald-500 text-white"
+            : "bg-red-500 text-white"
+        }`}>
+          {toast.message}
+        </div>
+      )}
+
+      {/* Header */}
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-slate-900 dark:text-white">System Prompt</h1>
+        <p className="text-sm text-slate-500 dark:text-slate-400">
+          The bot&apos;s persona and voice. {published
+            ? `Version ${published.version} is live.`
+            : "No version published yet: the bot uses the default prompt."}
+        </p>
+      </div>
+
+      {loading ? (
+        <p className="text-sm text-slate-400">Loading...</p>
+      ) : (
+        <div className="grid gap-6 xl:grid-cols-3">
+          <div className="space-y-6 xl:col-span-2">
+            {/* Editor */}
+            <div className="rounded-xl border border-slate-200 bg-white p-5 dark:border-slate-700 dark:bg-slate-900">
+              <div className="mb-2 flex items-center justify-between">
+                <h2 className="font-semibold text-slate-900 dark:text-white">Editor</h2>
+                <button onClick={() => setDraft(defaultPrompt)} className="text-xs text-slate-500 hover:underline">
+                  Start from the default prompt
+                </button>
+              </div>
+              <textarea
+                value={draft}
+                onChange={(e) => { setDraft(e.target.value); setPreview(null); }}
+                rows={14}
+                className={`${inputCls} font-mono`}
+              />
+              <p className="mt-1 text-xs text-slate-400">
+                Use {"{{variable}}"} for values filled in when the bot replies, e.g. {"{{business_name}}"}.
+                Tool and knowledge base instructions are added after this prompt automatically.
+              </p>
+
+              <div className="mt-3 flex flex-wrap items-center gap-2">
+                <input
+                  type="text"
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  placeholder="What changed? (optional)"
+                  className={`${inputCls} flex-1`}
+                />
+                <button onClick={handlePreview} className={secondaryBtn}>Preview</button>
+                <button onClick={() => handleSave(false)} disabled={saving || unchanged} className={secondaryBtn}>
+                  Save Draft
+                </button>
+                <button onClick={() => handleSave(true)} disabled={saving || unchanged} className={primaryBtn}>
+                  {saving ? "Saving..." : "Save & Publish"}
+                </button>
+              </div>
+
+              {preview && (
+                <div className="mt-4 rounded-lg bg-slate-50 p-3 dark:bg-slate-800">
+                  <p className="mb-1 text-xs font-medium text-slate-500 dark:text-slate-400">With variables filled in</p>
+                  {preview.unknownVariables.length > 0 && (
+                    <p className="mb-2 text-xs text-amber-600 dark:text-amber-400">
+                      ⚠️ No value for {preview.unknownVariables.map((v) => `{{${v}}}`).join(", ")}: they will be left empty.
+                    </p>
+                  )}
+                  <pre className="whitespace-pre-wrap text-sm text-slate-700 dark:text-slate-200">{preview.rendered}</pre>
+                </div>
+              )}
+            </div>
+
+            {/* Test the draft */}
+            <div className="rounded-xl border border-slate-200 bg-white p-5 dark:border-slate-700 dark:bg-slate-900">
+              <h2 className="mb-1 font-semibold text-slate-900 dark:text-white">Test the Draft</h2>
+              <p className="mb-3 text-xs text-slate-500 dark:text-slate-400">
+                Ask what a customer would, answered with the editor text instead of the published prompt.
+              </p>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={testMessage}
+                  onChange={(e) => setTestMessage(e.target.value)}
+                  onKeyDown={(e) => { if (e.key === "Enter") void handleTest(); }}
+                  placeholder="What are your opening hours?"
+                  className={`${inputCls} flex-1`}
+                />
+                <button onClick={handleTest} disabled={testing || !testMessage.trim()} className={primaryBtn}>
+                  {testing ? "Testing..." : "Send"}
+                </button>
+              </div>
+              {testReply && (
+                <div className="mt-3 rounded-lg bg-slate-50 p-3 text-sm text-slate-700 dark:bg-slate-800 dark:text-slate-200">
+                  <p className="whitespace-pre-wrap">{testReply.reply}</p>
+                  {testReply.mode === "faq" && (
+                    <p className="mt-1 text-xs text-amber-600 dark:text-amber-400">
+                      📌 Answered by a curated FAQ, so the prompt wasn&apos;t used.
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {/* Diff */}
+            {diff && (
+              <div className="rounded-xl border border-slate-200 bg-white p-5 dark:border-slate-700 dark:bg-slate-900">
+                <div className="mb-3 flex items-center justify-between">
+                  <h2 className="font-semibold text-slate-900 dark:text-white">
+                    {diff.from ? `Version ${diff.from.version} → ${diff.to.version}` : `Version ${diff.to.version} (first version)`}
+                  </h2>
+                  <button onClick={() => setDiff(null)} className="text-xs text-slate-500 hover:underline">Close</button>
+                </div>
+                <pre className="overflow-x-auto rounded-lg bg-slate-50 p-3 text-sm dark:bg-slate-800">
+                  {diff.lines.map((line, i) => (
+                    <div
+                      key={i}
+                      className={
+                        line.type === "added"
+                          ? "bg-emerald-100 text-emerald-800 dark:bg-emerald-500/10 dark:text-emerald-300"
+                          : line.type === "removed"
+                            ? "bg-red-100 text-red-800 line-through dark:bg-red-500/10 dark:text-red-300"
+                            : "text-slate-600 dark:text-slate-300"
+                      }
+                    >
+                      {line.type === "added" ? "+ " : line.type === "removed" ? "- " : "  "}
+                      {line.text}
+                    </div>
+                  ))}
+                </pre>
+              </div>
+            )}
+          </div>
+
+          <div className="space-y-6">
+            {/* Variables */}
+            <div className="rounded-xl border border-slate-200 bg-white p-5 dark:border-slate-700 dark:bg-slate-900">
+              <h2 className="mb-3 font-semibold text-slate-900 dark:text-white">Variables</h2>
+              <div className="space-y-3">
+                {builtinVariables.map((v, i) => (
+                  <div key={v.name}>
+                    <label className="mb-1 block text-xs font-medium text-slate-600 dark:text-slate-400">
+                      <code>{`{{${v.name}}}`}</code> {v.description && `— ${v.description}`}
+                    </label>
+                    <input
+                      type="text"
+                      value={v.value}
+                      placeholder={v.defaultValue}
+                      onChange={(e) =>
+                        setBuiltinVariables((prev) => prev.map((b, j) => (j === i ? { ...b, value: e.target.value } : b)))
+                      }
+                      className={inputCls}
+                    />
+                  </div>
+                ))}
+
+                {customVariables.map((v, i) => (
+                  <div key={i} className="flex gap-2">
+                    <input
+                      type="text"
+                      value={v.name}
+                      placeholder="name"
+                      onChange={(e) =>
+                        setCustomVariables((prev) => prev.map((c, j) => (j === i ? { ...c, name: e.target.value } : c)))
+                      }
+                      className={`${inputCls} w-1/3 font-mono`}
+                    />
+                    <input
+                      type="text"
+                      value={v.value}
+                      placeholder="value"
+                      onChange={(e) =>
+                        setCustomVariables((prev) => prev.map((c, j) => (j === i ? { ...c, value: e.target.value } : c)))
+                      }
+                      className={`${inputCls} flex-1`}
+                    />
+                    <button
+                      onClick={() => setCustomVariables((prev) => prev.filter((_, j) => j !== i))}
+                      className="text-sm text-red-500 hover:text-red-600"
+                      title="Remove variable"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ))}
+              </div>
+
+              <div className="mt-4 flex justify-between">
+                <button
+                  onClick={() => setCustomVariables((prev) => [...prev, { name: "", value: "" }])}
+                  className={secondaryBtn}
+                >
+                  + Add Variable
+                </button>
+                <button onClick={handleSaveVariables} disabled={savingVariables} className={primaryBtn}>
+                  {savingVariables ? "Saving..." : "Save Variables"}
+                </button>
+              </div>
+            </div>
+
+            {/* Versions */}
+            <div className="rounded-xl border border-slate-200 bg-white p-5 dark:border-slate-700 dark:bg-slate-900">
+              <h2 className="mb-3 font-semibold text-slate-900 dark:text-white">Versions</h2>
+              {versions.length === 0 ? (
+                <p className="text-sm text-slate-400">No versions yet. Save the editor to create the first one.</p>
+              ) : (
+                <ul className="divide-y divide-slate-100 dark:divide-slate-800">
+                  {versions.map((version) => {
+                    const isPublished = version.id === publishedVersionId;
+                    return (
+                      <li key={version.id} className="py-3">
+                        <div className="flex items-center gap-2">
+                          <span className="font-medium text-slate-900 dark:text-white">v{version.version}</span>
+                          {isPublished ? (
+                            <span className="rounded-full bg-emerald-100 px-2 py-0.5 text-xs font-medium text-emerald-700 dark:bg-emerald-500/10 dark:text-emerald-400">Live</span>
+                          ) : !version.published_at && (
+                            <span className="rounded-full bg-slate-100 px-2 py-0.5 text-xs font-medium text-slate-600 dark:bg-slate-700 dark:text-slate-300">Draft</span>
+                          )}
+                          <span className="ml-auto text-xs text-slate-400">{new Date(version.created_at).toLocaleString()}</span>
+                        </div>
+                        {version.note && <p className="mt-0.5 text-xs text-slate-500 dark:text-slate-400">{version.note}</p>}
+                        <div className="mt-2 flex flex-wrap gap-2 text-xs">
+                          <button onClick={() => { setDraft(version.content); setPreview(null); }} className="text-slate-600 hover:underline dark:text-slate-300">
+                            Load
+                          </button>
+                          <button onClick={() => handleDiff(version)} className="text-slate-600 hover:underline dark:text-slate-300">
+                            Changes
+                          </button>
+                          {published && !isPublished && (
+                            <button onClick={() => handleDiff(version, published.id)} className="text-slate-600 hover:underline dark:text-slate-300">
+                              Compare with live
+                            </button>
+                          )}
+                          {!isPublished && (
+                            <button onClick={() => handlePublish(version)} className="font-medium text-emerald-600 hover:underline dark:text-emerald-400">
+                              {version.published_at ? "Roll back to this" : "Publish"}
+                            </button>
+                          )}
+                        </div>
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
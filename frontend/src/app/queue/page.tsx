@@ -0,0 +1,200 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { backendGet, backendPostJson, backendDelete } from "@/lib/backendClient";
+import type { InboundJob, InboundJobCounts, InboundJobStatus } from "@/lib/types";
+
+type QueueTab = "pending" | "dead" | "done";
+
+const TABS: { label: string; value: QueueTab }[] = [
+  { label: "Pending", value: "pending" },
+  { label: "Dead-letter", value: "dead" },
+  { label: "Done", value: "done" },
+];
+
+const STATUS_COLORS: Record<InboundJobStatus, string> = {
+  queued: "bg-amber-100 text-amber-700 dark:bg-amber-500/10 dark:text-amber-400",
+  processing: "bg-blue-100 text-blue-700 dark:bg-blue-500/10 dark:text-blue-400",
+  done: "bg-emerald-100 text-emerald-700 dark:bg-emerald-500/10 dark:text-emerald-400",
+  dead: "bg-red-100 text-red-700 dark:bg-red-500/10 dark:text-red-400",
+};
+
+const REFRESH_INTERVAL_MS = 10000;
+
+const formatDate = (iso?: string | null) => {
+  if (!iso) return "—";
+  return new Date(iso).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+};
+
+export default function QueuePage() {
+  const [tab, setTab] = useState<QueueTab>("pending");
+  const [jobs, setJobs] = useState<InboundJob[]>([]);
+  const [counts, setCounts] = useState<InboundJobCounts>({ queued: 0, processing: 0, dead: 0 });
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [toast, setToast] = useState<{ message: string; type: "success" | "error" } | null>(null);
+
+  const fetchJobs = useCallback(
+    () =>
+      backendGet<{ ok: boolean; jobs: InboundJob[]; counts: InboundJobCounts }>(`/api/inbound-jobs?status=${tab}`)
+        .then((res) => {
+          if (res.ok) {
+            setJobs(res.jobs);
+            setCounts(res.counts);
+          }
+        })
+        .catch(() => setToast({ message: "Failed to load queue", type: "error" }))
+        .finally(() => setLoading(false)),
+    [tab]
+  );
+
+  useEffect(() => {
+    fetchJobs();
+    const interval = setInterval(fetchJobs, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchJobs]);
+
+  useEffect(() => {
+    if (toast) {
+      const t = setTimeout(() => setToast(null), 3000);
+      return () => clearTimeout(t);
+    }
+  }, [toast]);
+
+  const handleRetry = async (jobId: string) => {
+    setBusyId(jobId);
+    try {
+      await backendPostJson(`/api/inbound-jobs/${jobId}/retry`, {});
+      setToast({ message: "Job requeued", type: "success" });
+      fetchJobs();
+    } catch {
+      setToast({ message: "Failed to retry job", type: "error" });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDiscard = async (jobId: string) => {
+    if (!confirm("Discard this message? The bot will never reply to it.")) return;
+    setBusyId(jobId);
+    try {
+      await backendDelete(`/api/inbound-jobs/${jobId}`);
+      setToast({ message: "Job discarded", type: "success" });
+      fetchJobs();
+    } catch {
+      setToast({ message: "Failed to discard job", type: "error" });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="p-6 lg:p-8">
+      {toast && (
+        <div className={`fixed right-6 top-6 z-50 rounded-lg px-4 py-3 text-sm font-medium shadow-lg ${
+          toast.type === "success" ? "bg-emerald-500 text-white" : "bg-red-500 text-white"
+        }`}>
+          {toast.message}
+        </div>
+      )}
+
+      <div className="mb-4">
+        <h1 className="text-2xl font-bold text-slate-900 dark:text-white">Message Queue</h1>
+        <p className="text-sm text-slate-500 dark:text-slate-400">
+          {counts.queued} queued · {counts.processing} processing · {counts.dead} dead-lettered
+        </p>
+      </div>
+
+      <div className="mb-4 flex flex-wrap gap-1">
+        {TABS.map((t) => (
+          <button
+            key={t.value}
+            onClick={() => { setTab(t.value); setLoading(true); }}
+            className={`rounded-lg px-3 py-1.5 text-xs font-medium transition ${
+              tab === t.value
+                ? "bg-emerald-500 text-white"
+                : "bg-slate-100 text-slate-600 hover:bg-slate-200 dark:bg-slate-800 dark:text-slate-300 dark:hover:bg-slate-700"
+            }`}
+          >
+            {t.label}
+            {t.value === "dead" && counts.dead > 0 && ` (${counts.dead})`}
+          </button>
+        ))}
+      </div>
+
+      <div className="overflow-x-auto rounded-xl border border-slate-200 bg-white dark:border-slate-700 dark:bg-slate-900">
+        <table className="w-full text-left text-sm">
+          <thead className="border-b border-slate-200 text-xs uppercase text-slate-400 dark:border-slate-700">
+            <tr>
+              <th className="px-4 py-3">Contact</th>
+              <th className="px-4 py-3">Message</th>
+              <th className="px-4 py-3">Status</th>
+              <th className="px-4 py-3">Attempts</th>
+              <th className="px-4 py-3">Received</th>
+              <th className="px-4 py-3">{tab === "pending" ? "Next run" : "Updated"}</th>
+              <th className="px-4 py-3">Last error</th>
+              <th className="px-4 py-3" />
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr><td colSpan={8} className="py-8 text-center text-slate-400">Loading...</td></tr>
+            ) : jobs.length === 0 ? (
+              <tr><td colSpan={8} className="py-8 text-center text-slate-400">No jobs</td></tr>
+            ) : (
+              jobs.map((job) => (
+                <tr key={job.id} className="border-b border-slate-100 last:border-0 dark:border-slate-800">
+                  <td className="px-4 py-3 text-slate-900 dark:text-white">{job.contact_key.split("@")[0]}</td>
+                  <td className="max-w-xs truncate px-4 py-3 text-slate-600 dark:text-slate-300">
+                    {job.message_preview || "—"}
+                  </td>
+                  <td className="px-4 py-3">
+                    <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${STATUS_COLORS[job.status]}`}>
+                      {job.status}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-slate-600 dark:text-slate-300">
+                    {job.attempts}/{job.max_attempts}
+                  </td>
+                  <td className="px-4 py-3 text-xs text-slate-500">{formatDate(job.created_at)}</td>
+                  <td className="px-4 py-3 text-xs text-slate-500">
+                    {formatDate(tab === "pending" ? job.next_run_at : job.updated_at)}
+                  </td>
+                  <td className="max-w-xs truncate px-4 py-3 text-xs text-red-600 dark:text-red-400" title={job.last_error || ""}>
+                    {job.last_error || ""}
+                  </td>
+                  <td className="whitespace-nowrap px-4 py-3 text-right">
+                    {(job.status === "dead" || job.status === "queued") && (
+                      <div className="flex justify-end gap-2">
+                        <button
+                          onClick={() => handleRetry(job.id)}
+                          disabled={busyId === job.id}
+                          className="rounded-lg bg-emerald-500 px-3 py-1 text-xs font-medium text-white transition hover:bg-emerald-600 disabled:opacity-50"
+                        >
+                          {job.status === "dead" ? "Retry" : "Run now"}
+                        </button>
+                        <button
+                          onClick={() => handleDiscard(job.id)}
+                          disabled={busyId === job.id}
+                          className="rounded-lg border border-red-200 px-3 py-1 text-xs font-medium text-red-600 transition hover:bg-red-50 disabled:opacity-50 dark:border-red-800 dark:text-red-400 dark:hover:bg-red-900/30"
+                        >
+                          Discard
+                        </button>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -2,9 +2,10 @@
 
 import { useEffect, useRef, useState } from "react";
 import { useRouter } from "next/navigation";
+import Link from "next/link";
 import { supabaseClient } from "@/lib/supabaseClient";
 import { backendGet, backendPatch } from "@/lib/backendClient";
-import type { AgentMode } from "@/lib/types";
+import type { AgentMode, AgentSettings, KbGroundingAction, LLMFallback, LLMFallbackAction, LLMProvider, LLMProviderId } from "@/lib/types";
 
 // ─── Types ───────────────────────────────────────────────────────────────────
 
@@ -127,6 +128,30 @@ export default function SettingsPage() {
   // ── Agent state (admin only) ──
   const [agentMode, setAgentMode] = useState<AgentMode>("kb_only");
   const [bankTransferDetails, setBankTransferDetails] = useState("");
+  const [quietWindowSeconds, setQuietWindowSeconds] = useState("3");
+  const [autoResolveHours, setAutoResolveHours] = useState("24");
+  const [stockReservationHours, setStockReservationHours] = useState("24");
+  const [lowStockThreshold, setLowStockThreshold] = useState("5");
+  const [llmProviders, setLlmProviders] = useState<LLMProvider[]>([]);
+  const [llmProvider, setLlmProvider] = useState<LLMProviderId>("groq");
+  const [llmModel, setLlmModel] = useState("");
+  const [llmApiKey, setLlmApiKey] = useState("");
+  const [llmApiKeyHint, setLlmApiKeyHint] = useState<string | null>(null);
+  const [clearLlmApiKey, setClearLlmApiKey] = useState(false);
+  const [llmBaseUrl, setLlmBaseUrl] = useState("");
+  const [llmTemperature, setLlmTemperature] = useState("0.7");
+  const [llmMaxTokens, setLlmMaxTokens] = useState("1024");
+  const [llmFallbacks, setLlmFallbacks] = useState<LLMFallback[]>([]);
+  const [llmFallbackAction, setLlmFallbackAction] = useState<LLMFallbackAction>("message");
+  const [llmFallbackMessage, setLlmFallbackMessage] = useState("");
+  const [kbMinScore, setKbMinScore] = useState("0");
+  const [kbRerankEnabled, setKbRerankEnabled] = useState(false);
+  const [kbRerankAvailable, setKbRerankAvailable] = useState(false);
+  const [kbStrictGrounding, setKbStrictGrounding] = useState(false);
+  const [kbGroundingMinScore, setKbGroundingMinScore] = useState("0.6");
+  const [kbGroundingAction, setKbGroundingAction] = useState<KbGroundingAction>("decline");
+  const [kbGroundingMessage, setKbGroundingMessage] = useState("");
+  const [faqMinScore, setFaqMinScore] = useState("0.85");
   const [agentSaving, setAgentSaving] = useState(false);
   const [agentStatus, setAgentStatus] = useState({ ok: true, msg: "" });
 
@@ -170,11 +195,33 @@ export default function SettingsPage() {
         })
         .catch(console.error);
 
-      backendGet<{ ok: boolean; agent_mode: AgentMode; bank_transfer_details: string | null }>("/api/settings/agent")
+      backendGet<{ ok: boolean } & AgentSettings>("/api/settings/agent")
         .then((d) => {
           if (d.ok) {
             setAgentMode(d.agent_mode || "kb_only");
             setBankTransferDetails(d.bank_transfer_details || "");
+            setQuietWindowSeconds(String(d.reply_quiet_window_seconds ?? 3));
+            setAutoResolveHours(String(d.auto_resolve_after_hours ?? 24));
+            setStockReservationHours(String(d.stock_reservation_hours ?? 24));
+            setLowStockThreshold(String(d.low_stock_threshold ?? 5));
+            setLlmProviders(d.llm_providers || []);
+            setLlmProvider(d.llm_provider || "groq");
+            setLlmModel(d.llm_model || "");
+            setLlmApiKeyHint(d.llm_api_key_hint || null);
+            setLlmBaseUrl(d.llm_base_url || "");
+            setLlmTemperature(String(d.llm_temperature ?? 0.7));
+            setLlmMaxTokens(String(d.llm_max_tokens ?? 1024));
+            setLlmFallbacks(d.llm_fallbacks || []);
+            setLlmFallbackAction(d.llm_fallback_action || "message");
+            setLlmFallbackMessage(d.llm_fallback_message || "");
+            setKbMinScore(String(d.kb_min_score ?? 0));
+            setKbRerankEnabled(Boolean(d.kb_rerank_enabled));
+            setKbRerankAvailable(Boolean(d.kb_rerank_available));
+            setKbStrictGrounding(Boolean(d.kb_strict_grounding));
+            setKbGroundingMinScore(String(d.kb_grounding_min_score ?? 0.6));
+            setKbGroundingAction(d.kb_grounding_action || "decline");
+            setKbGroundingMessage(d.kb_grounding_message || "");
+            setFaqMinScore(String(d.faq_min_score ?? 0.85));
           }
         })
         .catch(console.error);
@@ -247,6 +294,16 @@ export default function SettingsPage() {
     }
   }
 
+  const selectedLlmProvider = llmProviders.find((p) => p.id === llmProvider);
+
+  function updateFallback(index: number, changes: Partial<LLMFallback>) {
+    // A saved key belongs to its provider + model + base URL; changing those drops it
+    const dropsKey = "provider" in changes || "model" in changes || "base_url" in changes;
+    setLlmFallbacks((prev) => prev.map((f, i) => (
+      i === index ? { ...f, ...changes, ...(dropsKey ? { api_key_hint: null } : {}) } : f
+    )));
+  }
+
   async function saveAgent(e: React.FormEvent) {
     e.preventDefault();
     setAgentSaving(true);
@@ -255,7 +312,40 @@ export default function SettingsPage() {
       await backendPatch("/api/settings/agent", {
         agent_mode: agentMode,
         bank_transfer_details: bankTransferDetails || null,
+        reply_quiet_window_seconds: Number(quietWindowSeconds),
+        auto_resolve_after_hours: Number(autoResolveHours),
+        stock_reservation_hours: Number(stockReservationHours),
+        low_stock_threshold: Number(lowStockThreshold),
+        llm_provider: llmProvider,
+        llm_model: llmModel,
+        llm_base_url: llmBaseUrl,
+        llm_temperature: Number(llmTemperature),
+        llm_max_tokens: Number(llmMaxTokens),
+        // Only sent when changed; the saved key is never loaded back into the form
+        ...(llmApiKey ? { llm_api_key: llmApiKey } : clearLlmApiKey ? { llm_api_key: "" } : {}),
+        llm_fallbacks: llmFallbacks.map((f) => ({
+          provider: f.provider,
+          model: f.model,
+          base_url: f.base_url,
+          ...(f.api_key ? { api_key: f.api_key } : {}),
+        })),
+        llm_fallback_action: llmFallbackAction,
+        llm_fallback_message: llmFallbackMessage,
+        kb_min_score: Number(kbMinScore),
+        kb_rerank_enabled: kbRerankEnabled,
+        kb_strict_grounding: kbStrictGrounding,
+        kb_grounding_min_score: Number(kbGroundingMinScore),
+        kb_grounding_action: kbGroundingAction,
+        kb_grounding_message: kbGroundingMessage,
+        faq_min_score: Number(faqMinScore),
       });
+      if (llmApiKey) setLlmApiKeyHint(`••••${llmApiKey.slice(-4)}`);
+      if (clearLlmApiKey) setLlmApiKeyHint(null);
+      setLlmApiKey("");
+      setClearLlmApiKey(false);
+      setLlmFallbacks((prev) => prev.map(({ api_key, ...f }) => (
+        api_key ? { ...f, api_key_hint: `••••${api_key.slice(-4)}` } : f
+      )));
       setAgentStatus({ ok: true, msg: "Saved successfully." });
     } catch (err: unknown) {
       setAgentStatus({ ok: false, msg: err instanceof Error ? err.message : "Error" });
@@ -448,7 +538,7 @@ export default function SettingsPage() {
                   <form onSubmit={(e) => void saveAgent(e)} className="space-y-4">
                     <Field
                       label="Agent Mode"
-                      hint="KB Only: answers from knowledge base. Ordering Agent: handles book browsing, cart, and orders via WhatsApp."
+                      hint="KB Only: answers from knowledge base. Ordering Agent: handles catalog browsing, cart, and orders via WhatsApp."
                     >
                       <select
                         className={inputCls}
@@ -456,25 +546,395 @@ export default function SettingsPage() {
                         onChange={(e) => setAgentMode(e.target.value as AgentMode)}
                       >
                         <option value="kb_only">KB Only (Knowledge Base)</option>
-                        <option value="ordering_agent">Ordering Agent (Bookstore)</option>
+                        <option value="ordering_agent">Ordering Agent (Catalog)</option>
                       </select>
                     </Field>
 
+                    <Field
+                      label="Reply Delay (seconds)"
+                      hint="Customers often split one question over several messages. The bot shows “typing…” and waits until the customer has been quiet this long, then answers all of their messages in one reply. 0 replies to every message immediately."
+                    >
+                      <input
+                        type="number"
+                        min={0}
+                        max={60}
+                        className={inputCls}
+                        value={quietWindowSeconds}
+                        onChange={(e) => setQuietWindowSeconds(e.target.value)}
+                      />
+                    </Field>
+
+                    <Field
+                      label="Auto-resolve After (hours)"
+                      hint="Open and pending conversations with no messages for this long are marked resolved. Conversations waiting on a human are never auto-resolved. A new customer message reopens the conversation. 0 disables auto-resolve."
+                    >
+                      <input
+                        type="number"
+                        min={0}
+                        max={720}
+                        className={inputCls}
+                        value={autoResolveHours}
+                        onChange={(e) => setAutoResolveHours(e.target.value)}
+                      />
+                    </Field>
+
                     {agentMode === "ordering_agent" && (
+                      <>
+                        <Field
+                          label="Bank Transfer Details"
+                          hint="These details are shared with customers when they confirm an order. Include bank name, account number, and account holder name."
+                        >
+                          <textarea
+                            className={`${inputCls} resize-none`}
+                            rows={4}
+                            value={bankTransferDetails}
+                            onChange={(e) => setBankTransferDetails(e.target.value)}
+                            placeholder={"Bank: ABC Bank\nAccount Number: 1234567890\nAccount Name: My Store\nBranch: Main Branch"}
+                          />
+                        </Field>
+
+                        <Field
+                          label="Hold Stock For (hours)"
+                          hint="A confirmed order reserves its items while the customer pays. If no receipt arrives in time the items are released for other customers; approving a late receipt takes them again if they are still available."
+                        >
+                          <input
+                            type="number"
+                            min={1}
+                            max={720}
+                            className={inputCls}
+                            value={stockReservationHours}
+                            onChange={(e) => setStockReservationHours(e.target.value)}
+                          />
+                        </Field>
+
+                        <Field
+                          label="Low Stock Alert At"
+                          hint="Variants with this many units available or fewer are listed on the dashboard."
+                        >
+                          <input
+                            type="number"
+                            min={0}
+                            className={inputCls}
+                            value={lowStockThreshold}
+                            onChange={(e) => setLowStockThreshold(e.target.value)}
+                          />
+                        </Field>
+                      </>
+                    )}
+
+                    <div className="border-t border-slate-200 pt-4 dark:border-slate-700">
+                      <h3 className="text-sm font-semibold">AI Model</h3>
+                      <p className="text-xs text-slate-500 dark:text-slate-400">
+                        Leave model, API key and base URL empty to use the server defaults.
+                      </p>
+                    </div>
+
+                    <Field label="Provider">
+                      <select
+                        className={inputCls}
+                        value={llmProvider}
+                        onChange={(e) => setLlmProvider(e.target.value as LLMProviderId)}
+                      >
+                        {llmProviders.map((p) => (
+                          <option key={p.id} value={p.id}>{p.label}</option>
+                        ))}
+                      </select>
+                    </Field>
+
+                    <Field label="Model">
+                      <input
+                        className={inputCls}
+                        value={llmModel}
+                        onChange={(e) => setLlmModel(e.target.value)}
+                        placeholder={selectedLlmProvider?.defaultModel || ""}
+                      />
+                    </Field>
+
+                    {llmProvider !== "local" && (
                       <Field
-                        label="Bank Transfer Details"
-                        hint="These details are shared with customers when they confirm an order. Include bank name, account number, and account holder name."
+                        label="API Key"
+                        hint={llmApiKeyHint ? `A key ending in ${llmApiKeyHint.slice(-4)} is saved. Enter a new one to replace it.` : "Stored encrypted. Never shown again after saving."}
                       >
-                        <textarea
-                          className={`${inputCls} resize-none`}
-                          rows={4}
-                          value={bankTransferDetails}
-                          onChange={(e) => setBankTransferDetails(e.target.value)}
-                          placeholder={"Bank: ABC Bank\nAccount Number: 1234567890\nAccount Name: My Bookstore\nBranch: Main Branch"}
+                        <input
+                          type="password"
+                          autoComplete="off"
+                          className={inputCls}
+                          value={llmApiKey}
+                          onChange={(e) => { setLlmApiKey(e.target.value); setClearLlmApiKey(false); }}
+                          placeholder={llmApiKeyHint || "Server default"}
                         />
+                        {llmApiKeyHint && !llmApiKey && (
+                          <label className="mt-2 flex items-center gap-2 text-xs text-slate-500 dark:text-slate-400">
+                            <input type="checkbox" checked={clearLlmApiKey} onChange={(e) => setClearLlmApiKey(e.target.checked)} />
+                            Remove the saved key and use the server default
+                          </label>
+                        )}
                       </Field>
                     )}
 
+                    {(llmProvider === "openai" || llmProvider === "local") && (
+                      <Field
+                        label="Base URL"
+                        hint="OpenAI-compatible endpoint, e.g. https://openrouter.ai/api/v1 or http://localhost:11434/v1 for Ollama."
+                      >
+                        <input
+                          className={inputCls}
+                          value={llmBaseUrl}
+                          onChange={(e) => setLlmBaseUrl(e.target.value)}
+                          placeholder={selectedLlmProvider?.defaultBaseUrl || ""}
+                        />
+                      </Field>
+                    )}
+
+                    <div className="grid grid-cols-2 gap-4">
+                      <Field label="Temperature" hint="0 = focused, 2 = creative.">
+                        <input
+                          type="number"
+                          min={0}
+                          max={2}
+                          step={0.1}
+                          className={inputCls}
+                          value={llmTemperature}
+                          onChange={(e) => setLlmTemperature(e.target.value)}
+                        />
+                      </Field>
+                      <Field label="Max Tokens" hint="Longest reply the model may write.">
+                        <input
+                          type="number"
+                          min={16}
+                          max={8192}
+                          className={inputCls}
+                          value={llmMaxTokens}
+                          onChange={(e) => setLlmMaxTokens(e.target.value)}
+                        />
+                      </Field>
+                    </div>
+
+                    <Field
+                      label="System Prompt"
+                      hint="The bot's persona and voice, in both modes. Prompts are versioned: edit, compare and test them before publishing."
+                    >
+                      <Link
+                        href="/prompts"
+                        className="inline-block rounded-lg border border-slate-200 px-3 py-2 text-sm font-medium text-slate-700 transition hover:bg-slate-50 dark:border-slate-700 dark:text-slate-300 dark:hover:bg-slate-800"
+                      >
+                        Open the prompt editor →
+                      </Link>
+                    </Field>
+
+                    <div className="border-t border-slate-200 pt-4 dark:border-slate-700">
+                      <h3 className="text-sm font-semibold">Fallback Models</h3>
+                      <p className="text-xs text-slate-500 dark:text-slate-400">
+                        Tried in order when the model above times out, is rate limited or is down.
+                        Models that keep failing are skipped for a minute.
+                      </p>
+                    </div>
+
+                    {llmFallbacks.map((f, i) => {
+                      const provider = llmProviders.find((p) => p.id === f.provider);
+                      return (
+                        <div key={i} className="space-y-2 rounded-lg border border-slate-200 p-3 dark:border-slate-700">
+                          <div className="flex items-center gap-2">
+                            <span className="w-5 text-xs font-medium text-slate-400">{i + 1}.</span>
+                            <select
+                              className={inputCls}
+                              value={f.provider}
+                              onChange={(e) => updateFallback(i, { provider: e.target.value as LLMProviderId })}
+                            >
+                              {llmProviders.map((p) => (
+                                <option key={p.id} value={p.id}>{p.label}</option>
+                              ))}
+                            </select>
+                            <input
+                              className={inputCls}
+                              value={f.model || ""}
+                              onChange={(e) => updateFallback(i, { model: e.target.value })}
+                              placeholder={provider?.defaultModel || "Model"}
+                            />
+                            <button
+                              type="button"
+                              onClick={() => setLlmFallbacks((prev) => prev.filter((_, j) => j !== i))}
+                              className="rounded-lg px-2 py-1 text-sm text-slate-400 hover:bg-slate-100 hover:text-red-600 dark:hover:bg-slate-800"
+                              aria-label="Remove fallback model"
+                            >
+                              ✕
+                            </button>
+                          </div>
+                          <div className="flex items-center gap-2 pl-7">
+                            {f.provider !== "local" && (
+                              <input
+                                type="password"
+                                autoComplete="off"
+                                className={inputCls}
+                                value={f.api_key || ""}
+                                onChange={(e) => updateFallback(i, { api_key: e.target.value })}
+                                placeholder={f.api_key_hint || (f.provider === llmProvider ? "Same key as above" : "Server default key")}
+                              />
+                            )}
+                            {(f.provider === "openai" || f.provider === "local") && (
+                              <input
+                                className={inputCls}
+                                value={f.base_url || ""}
+                                onChange={(e) => updateFallback(i, { base_url: e.target.value })}
+                                placeholder={provider?.defaultBaseUrl || "Base URL"}
+                              />
+                            )}
+                          </div>
+                        </div>
+                      );
+                    })}
+
+                    {llmFallbacks.length < 5 && (
+                      <button
+                        type="button"
+                        onClick={() => setLlmFallbacks((prev) => [...prev, { provider: "groq", model: null, base_url: null }])}
+                        className="rounded-lg border border-dashed border-slate-300 px-3 py-1.5 text-sm text-slate-600 hover:bg-slate-50 dark:border-slate-700 dark:text-slate-300 dark:hover:bg-slate-800"
+                      >
+                        + Add fallback model
+                      </button>
+                    )}
+
+                    <Field
+                      label="When Every Model Fails"
+                      hint="The customer always gets a reply, even if no model is reachable."
+                    >
+                      <select
+                        className={inputCls}
+                        value={llmFallbackAction}
+                        onChange={(e) => setLlmFallbackAction(e.target.value as LLMFallbackAction)}
+                      >
+                        <option value="message">Send the fallback message</option>
+                        <option value="handoff">Send the fallback message and hand off to a human</option>
+                      </select>
+                    </Field>
+
+                    <Field label="Fallback Message">
+                      <textarea
+                        className={`${inputCls} resize-none`}
+                        rows={2}
+                        value={llmFallbackMessage}
+                        onChange={(e) => setLlmFallbackMessage(e.target.value)}
+                        placeholder="Sorry, I can't answer right now. A member of our team will get back to you shortly."
+                      />
+                    </Field>
+
+                    <div className="border-t border-slate-200 pt-4 dark:border-slate-700">
+                      <h3 className="text-sm font-semibold">Knowledge Base Retrieval</h3>
+                      <p className="text-xs text-slate-500 dark:text-slate-400">
+                        Snippets are found by meaning and by exact words (codes, ISBNs, phone numbers), then merged.
+                      </p>
+                    </div>
+
+                    <Field
+                      label="Minimum Relevance"
+                      hint="0–1. Snippets scoring below this are not shown to the bot (rerank score when reranking, otherwise similarity). 0 keeps every match."
+                    >
+                      <input
+                        type="number"
+                        min={0}
+                        max={1}
+                        step={0.05}
+                        className={inputCls}
+                        value={kbMinScore}
+                        onChange={(e) => setKbMinScore(e.target.value)}
+                      />
+                    </Field>
+
+                    <label className="flex items-center gap-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={kbRerankEnabled}
+                        disabled={!kbRerankAvailable}
+                        onChange={(e) => setKbRerankEnabled(e.target.checked)}
+                      />
+                      Rerank snippets with a cross-encoder
+                      {!kbRerankAvailable && (
+                        <span className="text-xs text-slate-500 dark:text-slate-400">(set KB_RERANK_URL on the server)</span>
+                      )}
+                    </label>
+
+                    <div className="border-t border-slate-200 pt-4 dark:border-slate-700">
+                      <h3 className="text-sm font-semibold">Strict Grounding</h3>
+                      <p className="text-xs text-slate-500 dark:text-slate-400">
+                        The bot answers only from your knowledge base and records the chunks each reply cites (shown under the reply in Messages). It never answers from general knowledge.
+                      </p>
+                    </div>
+
+                    <label className="flex items-center gap-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={kbStrictGrounding}
+                        onChange={(e) => setKbStrictGrounding(e.target.checked)}
+                      />
+                      Only answer from the knowledge base, with citations
+                    </label>
+
+                    {kbStrictGrounding && (
+                      <>
+                        <Field
+                          label="Answer Threshold"
+                          hint="0–1. When the best snippet scores below this, the bot doesn't answer (rerank score when reranking, otherwise similarity)."
+                        >
+                          <input
+                            type="number"
+                            min={0}
+                            max={1}
+                            step={0.05}
+                            className={inputCls}
+                            value={kbGroundingMinScore}
+                            onChange={(e) => setKbGroundingMinScore(e.target.value)}
+                          />
+                        </Field>
+
+                        <Field label="When the Knowledge Base Has No Answer">
+                          <select
+                            className={inputCls}
+                            value={kbGroundingAction}
+                            onChange={(e) => setKbGroundingAction(e.target.value as KbGroundingAction)}
+                          >
+                            <option value="decline">Send the &ldquo;don&apos;t know&rdquo; message</option>
+                            <option value="handoff">Send the message and hand off to a human</option>
+                          </select>
+                        </Field>
+
+                        <Field label="Reply When Declining">
+                          <textarea
+                            className={`${inputCls} resize-none`}
+                            rows={2}
+                            value={kbGroundingMessage}
+                            onChange={(e) => setKbGroundingMessage(e.target.value)}
+                            placeholder={
+                              kbGroundingAction === "handoff"
+                                ? "Sorry, I don't have information about that. I've asked a team member to help you, they'll reply shortly."
+                                : "Sorry, I don't have information about that. Please contact us directly and we'll be happy to help."
+                            }
+                          />
+                        </Field>
+                      </>
+                    )}
+
+                    <div className="border-t border-slate-200 pt-4 dark:border-slate-700">
+                      <h3 className="text-sm font-semibold">Curated FAQs</h3>
+                      <p className="text-xs text-slate-500 dark:text-slate-400">
+                        Messages that match a question on the FAQs page get its approved answer word for word, before the knowledge base or the AI is used.
+                      </p>
+                    </div>
+
+                    <Field
+                      label="FAQ Match Threshold"
+                      hint="0–1. Similarity a message needs to an FAQ question (or one of its variants) to get the FAQ's answer. Keep it high so only close rephrasings match."
+                    >
+                      <input
+                        type="number"
+                        min={0}
+                        max={1}
+                        step={0.01}
+                        className={inputCls}
+                        value={faqMinScore}
+                        onChange={(e) => setFaqMinScore(e.target.value)}
+                      />
+                    </Field>
+
                     <div className="flex items-center gap-3 pt-1">
                       <SaveButton loading={agentSaving} />
                       <StatusBadge {...agentStatus} />
@@ -17,11 +17,14 @@ const navItems: NavItem[] = [
   { label: "Dashboard", href: "/" },
   { label: "Messages", href: "/messages" },
   { label: "Chat Tester", href: "/chat-tester" },
-  { label: "Books", href: "/books", adminOnly: true },
+  { label: "Catalog", href: "/catalog", adminOnly: true },
   { label: "Orders", href: "/orders" },
+  { label: "Message Queue", href: "/queue", adminOnly: true },
   { label: "Users", href: "/users", adminOnly: true },
   { label: "Analytics", href: "/analytics" },
   { label: "Knowledge Base", href: "/knowledge-base", adminOnly: true },
+  { label: "FAQs", href: "/faqs", adminOnly: true },
+  { label: "Prompt", href: "/prompts", adminOnly: true },
   { label: "Settings", href: "/settings", adminOnly: true },
 ];
 
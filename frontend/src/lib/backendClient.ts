@@ -130,6 +130,31 @@ export async function backendPatch<T>(
   return authFetch(path, { method: "PATCH", body, orgId: waAccountId });
 }
 
+// File downloads (exports): same auth as authFetch, returns the body as a Blob
+export async function backendGetBlob(
+  path: string,
+  waAccountId?: string | null
+): Promise<Blob> {
+  const token = await getAccessToken();
+  const orgId = waAccountId ?? getSelectedWaAccountId();
+  const headers: Record<string, string> = { Authorization: `Bearer ${token}` };
+  if (orgId) {
+    headers["x-org-id"] = orgId;
+    headers["x-wa-account-id"] = orgId;
+  }
+
+  const res = await fetch(`${API_BASE}${path}`, { headers });
+  if (!res.ok) {
+    const text = await res.text();
+    let message = text || "Request failed";
+    try {
+      message = JSON.parse(text)?.error || message;
+    } catch { /* not JSON */ }
+    throw new Error(message);
+  }
+  return res.blob();
+}
+
 export async function backendDelete<T>(
   path: string,
   waAccountId?: string | null
@@ -0,0 +1,30 @@
+import { io, Socket } from "socket.io-client";
+import { API_BASE } from "@/lib/api";
+import { getSelectedWaAccountId } from "@/lib/backendClient";
+import { supabaseClient } from "@/lib/supabaseClient";
+
+export function getSocketUrl(): string {
+  // Extract base URL from API_BASE (e.g., http://localhost:4000)
+  try {
+    const url = new URL(API_BASE);
+    return url.origin;
+  } catch {
+    return "http://localhost:4000";
+  }
+}
+
+// Socket.IO connection scoped to the selected organization.
+// The backend verifies the token and joins the socket to the org's room.
+export function createOrgSocket(): Socket {
+  return io(getSocketUrl(), {
+    auth: (cb) => {
+      void supabaseClient.auth.getSession().then(({ data }) => {
+        cb({ token: data.session?.access_token, orgId: getSelectedWaAccountId() });
+      });
+    },
+    transports: ["websocket", "polling"],
+    reconnection: true,
+    reconnectionDelay: 1000,
+    reconnectionAttempts: 5,
+  });
+}
@@ -1,21 +1,108 @@
 export interface KbAddTextRequest {
   title: string;
   text: string;
+  chunk_strategy?: KbChunkStrategy;
+  chunk_max_tokens?: number;
+  chunk_overlap_tokens?: number;
 }
 
+// Chunking and embedding run in the background: follow jobId / the source's status
 export interface KbAddTextResponse {
   ok: boolean;
-  addedChunks: number;
+  sourceId: string;
+  jobId: string;
 }
 
 export interface KbUploadPdfResponse {
   ok: boolean;
   title: string;
-  addedChunks: number;
+  sourceId: string;
+  jobId: string;
   pages: number | null;
   error?: string;
 }
 
+export type KbSourceType = "text" | "pdf" | "docx" | "txt" | "csv" | "markdown" | "html" | "faq";
+
+export interface KbUploadResponse extends KbUploadPdfResponse {
+  sourceType: KbSourceType;
+  rows: number | null;
+}
+
+export type KbSourceStatus = "processing" | "ready" | "error";
+
+export type KbChunkStrategy = "structured" | "sentence" | "fixed";
+
+export interface KbChunkingOptions {
+  strategy: KbChunkStrategy;
+  maxTokens: number;
+  overlapTokens: number;
+}
+
+export interface KbSource {
+  id: string;
+  title: string;
+  source_type: KbSourceType;
+  original_filename: string | null;
+  mime_type: string | null;
+  file_size: number | null;
+  chunking: KbChunkingOptions | null;
+  /** "<provider>:<model>" the chunks were last embedded with */
+  embedding_model: string | null;
+  embedding_dim: number | null;
+  status: KbSourceStatus;
+  chunk_count: number;
+  processed_chunks: number;
+  error: string | null;
+  created_by: string | null;
+  created_at: string;
+  updated_at: string;
+  reindexed_at: string | null;
+}
+
+export type KbChunkEmbeddingStatus = "pending" | "done" | "failed";
+
+/** Where a chunk sits in its document; CSV chunks carry columns and rows instead */
+export interface KbChunkMetadata {
+  section?: string;
+  page?: number;
+  pages?: [number, number];
+  columns?: string[];
+  rows?: [number, number];
+}
+
+export interface KbChunk {
+  id: string;
+  chunk_index: number;
+  text: string;
+  metadata: KbChunkMetadata;
+  embedding_status: KbChunkEmbeddingStatus;
+  embedding_error: string | null;
+  created_at: string;
+}
+
+export interface KbEmbeddingModel {
+  id: string;
+  provider: "hf" | "local";
+  model: string;
+  dimensions: number | null;
+}
+
+/** GET /api/kb/embedding: sources embedded with another model need a re-index */
+export interface KbEmbeddingStatus {
+  model: KbEmbeddingModel;
+  compatible: number;
+  staleSources: Pick<KbSource, "id" | "title" | "embedding_model" | "embedding_dim">[];
+}
+
+export interface KbSourceUpdatedEvent {
+  sourceId: string;
+  status: KbSourceStatus;
+  processed_chunks: number;
+  chunk_count: number;
+  error: string | null;
+}
+
 export type UserRole = "admin" | "user";
 
 export type WaStatus = "connected" | "disconnected" | "pending_qr" | "error";
@@ -83,42 +170,171 @@ export type OrderStatus =
   | "pending_payment"
   | "receipt_submitted"
   | "confirmed"
-  | "delivering"
+  | "shipped"
   | "delivered"
-  | "cancelled";
+  | "cancelled"
+  | "refunded";
+
+/** A status change in an order's history (order_events) */
+export interface OrderEvent {
+  id: string;
+  /** null for the event recording the order's creation */
+  from_status: OrderStatus | null;
+  to_status: OrderStatus;
+  /** customer: over WhatsApp; user: a team member (actor_id); system: automatic */
+  actor_type: "customer" | "user" | "system";
+  actor_id: string | null;
+  reason: string | null;
+  created_at: string;
+  profiles?: { full_name: string | null } | null;
+}
 
 export type AgentMode = "kb_only" | "ordering_agent";
 
-export interface Book {
+export type CatalogAttributeType = "text" | "number" | "boolean" | "select";
+
+// A custom product field defined by the org (brand, material, author…)
+export interface CatalogAttribute {
+  key: string;
+  label: string;
+  type: CatalogAttributeType;
+  /** Choices of a select attribute */
+  options?: string[];
+  required: boolean;
+  /** Matched by searches (text attributes) */
+  searchable: boolean;
+  /** Offered to the ordering agent as a search filter */
+  filterable: boolean;
+}
+
+// What variants of a product differ in (size, colour…)
+export interface CatalogVariantOption {
+  key: string;
+  label: string;
+  /** Allowed values; empty allows any */
+  values: string[];
+}
+
+// What the org sells; the ordering agent's tools are generated from it
+export interface CatalogSchema {
+  item_label: string;
+  item_label_plural: string;
+  attributes: CatalogAttribute[];
+  variant_options: CatalogVariantOption[];
+}
+
+export type CatalogAttributeValue = string | number | boolean;
+
+export interface ProductVariant {
+  id: string;
+  product_id: string;
+  /** Variant option key → value, e.g. { size: "M" }; {} for a product without options */
+  options: Record<string, string>;
+  sku: string | null;
+  barcode: string | null;
+  /** Overrides the product price when set */
+  price: number | null;
+  /** Units on hand */
+  stock: number;
+  /** Units held by orders awaiting payment; stock - reserved can be sold */
+  reserved: number;
+  is_active: boolean;
+}
+
+/** GET /api/catalog/low-stock: a variant at or below the org's low_stock_threshold */
+export interface LowStockVariant {
+  variant_id: string;
+  product_id: string;
+  /** Product name with the variant's options, e.g. "Classic Tee (M / Red)" */
+  name: string;
+  options: Record<string, string>;
+  sku: string | null;
+  stock: number;
+  reserved: number;
+  available: number;
+  threshold: number;
+}
+
+export interface Product {
   id: string;
   org_id: string;
-  title: string;
-  author: string;
-  isbn?: string | null;
-  category?: string | null;
+  name: string;
   description?: string | null;
+  category?: string | null;
   price: number;
-  stock: number;
   image_url?: string | null;
+  attributes: Record<string, CatalogAttributeValue>;
   is_active: boolean;
+  /** Active variants only */
+  variants: ProductVariant[];
+  created_at: string;
+  updated_at: string;
+}
+
+export type CatalogImportAction = "create" | "update" | "add_variant" | "error";
+
+// One spreadsheet row of a catalog import
+export interface CatalogImportRow {
+  /** Row number in the file; the header is row 1 */
+  row: number;
+  name: string | null;
+  sku: string | null;
+  action: CatalogImportAction;
+  error: string | null;
+}
+
+export interface CatalogImportReport {
+  dryRun: boolean;
+  /** Headers that matched no catalog field */
+  ignoredColumns: string[];
+  summary: {
+    rows: number;
+    imported: number;
+    failed: number;
+    productsCreated: number;
+    productsUpdated: number;
+    productsRestored: number;
+    variantsCreated: number;
+    variantsUpdated: number;
+  };
+  rows: CatalogImportRow[];
+}
+
+// Curated FAQ: an approved answer sent verbatim when a message matches one of its questions
+export interface Faq {
+  id: string;
+  org_id: string;
+  question: string;
+  /** Other wordings customers use for the same question */
+  variants: string[];
+  answer: string;
+  enabled: boolean;
+  hit_count: number;
+  last_hit_at: string | null;
+  created_by: string | null;
   created_at: string;
   updated_at: string;
+  /** False until every wording is embedded with the current embedding model */
+  matchable?: boolean;
 }
 
 export interface OrderItem {
   id: string;
   order_id: string;
-  book_id: string;
+  variant_id: string | null;
   quantity: number;
   unit_price: number;
   created_at: string;
-  books?: {
-    title: string;
-    author: string;
-    isbn?: string;
-  };
+  product_variants?: {
+    options: Record<string, string>;
+    sku: string | null;
+    barcode: string | null;
+    products?: { name: string } | null;
+  } | null;
 }
 
+export type OrderStockStatus = "none" | "reserved" | "committed" | "released";
+
 export interface Order {
   id: string;
   org_id: string;
@@ -130,6 +346,9 @@ export interface Order {
   notes?: string | null;
   shipping_address?: string | null;
   admin_notes?: string | null;
+  /** What the order holds from the catalog: reserved while awaiting payment, committed once paid */
+  stock_status?: OrderStockStatus;
+  stock_reserved_until?: string | null;
   status_changed_at: string;
   created_at: string;
   updated_at: string;
@@ -139,6 +358,8 @@ export interface Order {
   };
   items?: OrderItem[];
   receipts?: PaymentReceipt[];
+  /** Oldest first */
+  events?: OrderEvent[];
 }
 
 export interface PaymentReceipt {
@@ -153,8 +374,192 @@ export interface PaymentReceipt {
   has_media?: boolean;
 }
 
+export type LLMProviderId = "groq" | "openai" | "gemini" | "local";
+
+export interface LLMProvider {
+  id: LLMProviderId;
+  label: string;
+  defaultModel: string;
+  defaultBaseUrl: string | null;
+}
+
+export interface LLMFallback {
+  provider: LLMProviderId;
+  model: string | null;
+  base_url: string | null;
+  api_key_hint?: string | null;
+  /** Write-only: sent to replace (or "" to clear) the saved key */
+  api_key?: string;
+}
+
+export type LLMFallbackAction = "message" | "handoff";
+
+export type KbGroundingAction = "decline" | "handoff";
+
 export interface AgentSettings {
   agent_mode: AgentMode;
   bank_transfer_details?: string | null;
+  reply_quiet_window_seconds?: number;
+  auto_resolve_after_hours?: number;
+  /** How long a confirmed, unpaid order holds its stock */
+  stock_reservation_hours?: number;
+  /** Variants with this many units available or fewer are flagged on the dashboard */
+  low_stock_threshold?: number;
+  llm_provider?: LLMProviderId;
+  llm_model?: string | null;
+  llm_api_key_hint?: string | null;
+  llm_base_url?: string | null;
+  llm_temperature?: number;
+  llm_max_tokens?: number;
+  llm_system_prompt?: string | null;
+  llm_fallbacks?: LLMFallback[];
+  llm_fallback_action?: LLMFallbackAction;
+  llm_fallback_message?: string | null;
+  llm_providers?: LLMProvider[];
+  kb_min_score?: number;
+  kb_rerank_enabled?: boolean;
+  /** Whether the server has a rerank endpoint (KB_RERANK_URL) */
+  kb_rerank_available?: boolean;
+  /** Answer only from cited KB chunks; decline (or hand off) when none score high enough */
+  kb_strict_grounding?: boolean;
+  kb_grounding_min_score?: number;
+  kb_grounding_action?: KbGroundingAction;
+  kb_grounding_message?: string | null;
+  /** Similarity a message needs to a curated FAQ question to get its answer */
+  faq_min_score?: number;
+}
+
+// A saved edit of the org's system prompt; publishing makes it the prompt the bot uses
+export interface PromptVersion {
+  id: string;
+  version: number;
+  content: string;
+  note: string | null;
+  created_by: string | null;
+  created_at: string;
+  /** Last time this version went live (null if never published) */
+  published_at: string | null;
 }
 
+// A {{variable}} the prompt can use; value "" means the default is used
+export interface PromptVariable {
+  name: string;
+  description: string | null;
+  builtin: boolean;
+  value: string;
+  defaultValue: string;
+}
+
+export interface PromptDiffLine {
+  type: "same" | "added" | "removed";
+  text: string;
+}
+
+export interface LLMModelReliability {
+  provider: LLMProviderId;
+  model: string;
+  attempts: number;
+  successes: number;
+  errors: number;
+  skipped: number;
+  successRate: number | null;
+  avgLatencyMs: number | null;
+}
+
+export interface LLMOpenCircuit {
+  label: string;
+  failures: number;
+  openUntil: string;
+  lastError: string | null;
+}
+
+export interface LLMReliabilityReport {
+  days: number;
+  providers: LLMModelReliability[];
+  requests: number;
+  failoverRequests: number;
+  exhaustedRequests: number;
+  openCircuits: LLMOpenCircuit[];
+}
+
+
+export type InboundJobStatus = "queued" | "processing" | "done" | "dead";
+
+export interface InboundJob {
+  id: string;
+  wa_message_id: string;
+  contact_key: string;
+  message_preview?: string | null;
+  status: InboundJobStatus;
+  attempts: number;
+  max_attempts: number;
+  next_run_at: string;
+  locked_at?: string | null;
+  last_error?: string | null;
+  completed_at?: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface InboundJobCounts {
+  queued: number;
+  processing: number;
+  dead: number;
+}
+
+export interface KbJobProgressEvent {
+  jobId: string;
+  sourceId: string;
+  kind: "ingest" | "reindex" | "retry";
+  status: "processing" | "done" | "failed";
+  total: number;
+  processed: number;
+  failed: number;
+  chunks: { chunkIndex: number; status: KbChunkEmbeddingStatus }[];
+}
+
+// ─── Answer feedback ─────────────────────────────────────────────────────────
+
+export type AnswerRating = "up" | "down";
+
+export type AnswerFeedbackReason = "wrong_answer" | "outdated" | "incomplete" | "not_relevant" | "tone" | "other";
+
+/** Staff ratings of one AI reply */
+export interface AnswerFeedbackSummary {
+  up: number;
+  down: number;
+  /** The current staff member's own rating */
+  mine: { rating: AnswerRating; reason: AnswerFeedbackReason | null; comment: string | null } | null;
+  /** A corrected answer was saved to the knowledge base */
+  corrected: boolean;
+}
+
+export interface DownvotedAnswer {
+  message_id: string;
+  conversation_id: string;
+  answered_at: string;
+  question: string | null;
+  answer: string | null;
+  downvotes: number;
+  reasons: Partial<Record<AnswerFeedbackReason, number>>;
+  comments: string[];
+  last_downvoted_at: string;
+  correction_source_id: string | null;
+  /** null for replies saved before retrieval was recorded */
+  retrieved_chunks: {
+    id: string;
+    title: string | null;
+    score: number | null;
+    cited: boolean;
+    text: string | null;
+    metadata: KbChunkMetadata | null;
+    /** Deleted since (source removed or re-indexed) */
+    missing: boolean;
+  }[] | null;
+}
+
+export interface AnswerFeedbackReport {
+  days: number;
+  totalDownvotes: number;
+  answers: DownvotedAnswer[];
+}